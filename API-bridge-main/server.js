@@ -29,6 +29,8 @@ let config = {
   uid: null,
   userId: null,
   token: null,
+  connectCode: null,
+  signMethod: null,
   appId: null,
   sign: null
 };
@@ -59,14 +61,24 @@ function broadcastToClients(data) {
   });
 }
 
+// 解析凭证：优先 connect_code（"UID 空格 Token"），否则 uid + token
+function resolveCredentials(src = {}) {
+  const code = String(src.connect_code ?? src.connectCode ?? '').trim();
+  const parts = code.split(/\s+/).filter(Boolean);
+  if (parts.length >= 2) {
+    return { uid: parts[0], token: parts.slice(1).join(' '), connectCode: parts.join(' ') };
+  }
+  return { uid: src.uid || null, token: src.token || null, connectCode: null };
+}
+
 // 加载配置
 async function loadState() {
   try {
     const data = await fs.readFile(STATE_FILE, 'utf-8');
-    const state = JSON.parse(data);
+    const state = resolveCredentials(JSON.parse(data));
 
     if (!state.uid || !state.token) {
-      log('WARN', 'state.json 缺少 uid 或 token');
+      log('WARN', 'state.json 缺少 connect_code 或 uid/token');
       return false;
     }
 
@@ -81,6 +93,7 @@ async function loadState() {
     }
 
     config.token = state.token;
+    config.connectCode = state.connectCode;
     log('INFO', `已加载配置: UID=${config.uid}, UserID=${config.userId}`);
     return true;
   } catch (error) {
@@ -89,31 +102,42 @@ async function loadState() {
   }
 }
 
-// 请求 IM 签名
-async function requestGameSign() {
-  try {
-    const url = `${API_BASE}/user/game_sign`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        uid: config.uid,
-        token: config.token
-      })
-    });
+// 请求 IM 签名（优先 connect_code；uid + token 已废弃，仅在 connect_code 失败时回退）
+async function postGameSign(body) {
+  const url = `${API_BASE}/user/game_sign`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (result.code !== 1 || !result.data) {
+    throw new Error(`API 返回错误: ${result.msg || 'Unknown error'}`);
+  }
+  return result.data;
+}
 
-    const result = await response.json();
-    if (result.code !== 1 || !result.data) {
-      throw new Error(`API 返回错误: ${result.msg || 'Unknown error'}`);
+async function requestGameSign() {
+  try {
+    const connectCode = config.connectCode || `${config.userId} ${config.token}`;
+    let data;
+    try {
+      data = await postGameSign({ connect_code: connectCode });
+      config.signMethod = 'connect_code';
+    } catch (error) {
+      log('WARN', `connect_code 获取签名失败（${error.message}），回退 uid + token（已废弃）`);
+      data = await postGameSign({ uid: config.uid, token: config.token });
+      config.signMethod = 'uid_token';
     }
 
-    config.appId = result.data.appid;
-    config.sign = result.data.sign;
-    log('INFO', '✓ 获取 IM 签名成功');
+    config.appId = data.appid;
+    config.sign = data.sign;
+    log('INFO', `✓ 获取 IM 签名成功 (${config.signMethod})`);
     return true;
   } catch (error) {
     log('ERROR', '✗ 获取 IM 签名失败:', error.message);
@@ -357,6 +381,7 @@ app.get('/api/status', (req, res) => {
       userId: config.userId,
       appId: config.appId,
       hasToken: !!config.token,
+      signMethod: config.signMethod,
       hasSign: !!config.sign
     }
   });
@@ -412,12 +437,12 @@ app.post('/api/reinit', async (req, res) => {
 // 使用自定义凭证登录
 app.post('/api/login', async (req, res) => {
   try {
-    const { uid, token } = req.body;
+    const { uid, token, connectCode } = resolveCredentials(req.body);
 
     if (!uid || !token) {
       return res.status(400).json({
         success: false,
-        message: '缺少 uid 或 token 参数'
+        message: '缺少 connect_code 或 uid/token 参数'
       });
     }
 
@@ -433,6 +458,7 @@ app.post('/api/login', async (req, res) => {
       config.uid = `game_${rawUid}`;
     }
     config.token = token;
+    config.connectCode = connectCode;
 
     log('INFO', `使用自定义凭证: UID=${config.uid}, UserID=${config.userId}`);
 
@@ -564,7 +590,8 @@ app.post('/api/login', async (req, res) => {
       data: {
         uid: config.uid,
         userId: config.userId,
-        appId: config.appId
+        appId: config.appId,
+        signMethod: config.signMethod
       }
     });
   } catch (error) {
@@ -600,6 +627,7 @@ function handleWebSocketMessage(ws, message) {
               userId: config.userId,
               appId: config.appId,
               hasToken: !!config.token,
+              signMethod: config.signMethod,
               hasSign: !!config.sign
             }
           }
@@ -662,20 +690,21 @@ function handleWebSocketMessage(ws, message) {
 
       case 'login':
         // 使用自定义凭证登录
-        if (!data.uid || !data.token) {
+        const creds = resolveCredentials(data);
+        if (!creds.uid || !creds.token) {
           ws.send(JSON.stringify({
             type: 'error',
-            message: '缺少 uid 或 token 参数'
+            message: '缺少 connect_code 或 uid/token 参数'
           }));
           return;
         }
 
         (async () => {
           try {
-            log('INFO', `WebSocket 收到登录请求: UID=${data.uid}`);
+            log('INFO', `WebSocket 收到登录请求: UID=${creds.uid}`);
 
             // 临时更新配置
-            const rawUid = data.uid.trim();
+            const rawUid = creds.uid.trim();
             if (rawUid.startsWith('game_')) {
               config.userId = rawUid.replace('game_', '');
               config.uid = rawUid;
@@ -683,7 +712,8 @@ function handleWebSocketMessage(ws, message) {
               config.userId = rawUid;
               config.uid = `game_${rawUid}`;
             }
-            config.token = data.token;
+            config.token = creds.token;
+            config.connectCode = creds.connectCode;
 
             log('INFO', `使用自定义凭证: UID=${config.uid}, UserID=${config.userId}`);
 
@@ -784,7 +814,8 @@ function handleWebSocketMessage(ws, message) {
               data: {
                 uid: config.uid,
                 userId: config.userId,
-                appId: config.appId
+                appId: config.appId,
+                signMethod: config.signMethod
               }
             }));
           } catch (error) {
@@ -0,0 +1,429 @@
+/**
+ * OpenAPI / AsyncAPI 生成（GET /api/spec）
+ *
+ * 路由清单取自运行中的 Express app（app._router），每条路由的说明、scope 与请求 / 响应 schema 来自：
+ *  - GATEWAY_ROUTE_DOCS（本文件，server.js 的路由）
+ *  - game2-api.js 的 game2RouteDocs、mock-im.js 的 mockRouteDocs()（optional：只在 IM_TRANSPORT=mock 时注册）
+ * 已注册但没有说明的路由照样输出（x-undocumented: true），自检时报错；有说明但未注册的（非 optional）同样报错。
+ *
+ * WS 部分直接由 ws-protocol.js 的 INBOUND_SCHEMAS / OUTBOUND_SCHEMAS 生成 AsyncAPI 2.6。
+ *
+ * 自检：npm run check:spec（SPEC_CHECK=1 启动 server.js 到随机端口，调用 selfCheck 后退出），
+ * 检查路由覆盖，并请求 selfCheck 标记的 GET 路由、连一次 WS，把真实响应与 schema 对照。
+ */
+
+import { SCOPES } from './auth.js';
+import { INBOUND_SCHEMAS, OUTBOUND_SCHEMAS, WS_PROTOCOL_VERSION, validate } from './ws-protocol.js';
+
+// ---------- schema 片段 ----------
+const str = { type: 'string' };
+const nullableStr = { type: ['string', 'null'] };
+const bool = { type: 'boolean' };
+const int = { type: 'integer' };
+const anyObj = { type: 'object' };
+const uidLike = { type: ['string', 'integer'], description: 'game_ 前缀可有可无' };
+
+function obj(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+const failure = obj({ success: { const: false }, error: str, message: str, errors: { type: 'array', items: str } }, ['success']);
+const safetyFailure = obj({
+  success: { const: false }, error: { const: 'safety_violation' }, traceId: str, rule: str, limit: { type: 'number' }, retryAfterMs: { type: 'number' }, message: str,
+}, ['success', 'error', 'rule']);
+const loginBody = obj({ uid: uidLike, token: str, connect_code: str, connectCode: str });
+const loginData = obj({ uid: str, userId: str, appId: { type: ['string', 'integer'] }, usedConnectCode: bool, signMethod: nullableStr });
+const sendData = obj({ to: str, traceId: str, messageId: nullableStr }, ['to', 'traceId']);
+const commandResult = obj({
+  kind: { enum: ['ack', 'failed', 'timeout'] }, traceId: str, messageId: nullableStr, to: str, code: nullableStr, commandId: nullableStr, latencyMs: int,
+}, ['kind', 'traceId']);
+const httpSession = obj({
+  id: str, owner: str, uid: nullableStr, userId: nullableStr, appId: { type: ['string', 'integer', 'null'] }, signMethod: nullableStr,
+  isReady: bool, connState: str, createdAt: str, lastActiveAt: str, pendingCommands: int, recentResults: { type: 'array', items: commandResult },
+}, ['id', 'isReady', 'connState']);
+const estopResult = obj({
+  sessionId: str, uid: nullableStr, reason: str, by: str, to: str, ok: bool,
+  results: { type: 'array', items: obj({ ok: bool, code: str, traceId: str, attempts: int, latencyMs: int, message: str }, ['ok']) },
+  message: str,
+}, ['sessionId', 'ok', 'results']);
+const game2Link = obj({
+  uid: str, gatewaySessionId: str, kind: { enum: ['ws', 'http'] }, game2SessionId: nullableStr, linkedAt: int,
+  output: { enum: ['idle', 'on', 'stopped', 'estopped'] }, mode: { enum: ['opts', 'cmd'] },
+}, ['uid', 'gatewaySessionId', 'output']);
+
+/**
+ * 路由说明：key 为 "METHOD /path"（Express 写法，:id）。
+ *  - scope      : 需要的 scope（鉴权开启时）
+ *  - query/body : 查询参数 / 请求体 schema
+ *  - responses  : { 状态码: schema | 说明文字 }
+ *  - contentType: 200 响应非 JSON 时指定
+ *  - selfCheck  : 自检时实际请求该路由并校验 200 响应
+ *  - optional   : 只在特定配置下注册
+ */
+export const GATEWAY_ROUTE_DOCS = {
+  'GET /health': {
+    tag: 'gateway',
+    summary: '健康检查（公开；开启鉴权后不返回 admin 账号）',
+    selfCheck: true,
+    responses: {
+      200: obj({
+        ok: bool, time: str, imTransport: { enum: ['tencent', 'mock'] }, wsClients: int, auth: bool,
+        admin: obj({ isReady: bool, uid: nullableStr, userId: nullableStr, appId: { type: ['string', 'integer', 'null'] } }, ['isReady']),
+      }, ['ok', 'time', 'imTransport', 'wsClients', 'auth', 'admin']),
+    },
+  },
+  'GET /api/ws-protocol': {
+    tag: 'gateway',
+    summary: 'WS 协议描述（版本、消息 JSON Schema、错误码）',
+    selfCheck: true,
+    responses: {
+      200: obj({ version: int, versions: { type: 'array', items: int }, defaultVersion: int, errorCodes: { type: 'array', items: str }, inbound: anyObj, outbound: anyObj },
+        ['version', 'versions', 'errorCodes', 'inbound', 'outbound']),
+    },
+  },
+  'GET /api/spec': {
+    tag: 'gateway',
+    summary: 'OpenAPI + AsyncAPI',
+    selfCheck: true,
+    responses: { 200: obj({ openapi: anyObj, asyncapi: anyObj }, ['openapi', 'asyncapi']) },
+  },
+  'GET /api/spec/openapi.json': {
+    tag: 'gateway',
+    summary: 'HTTP 接口 OpenAPI 3.1',
+    selfCheck: true,
+    responses: { 200: obj({ openapi: str, info: anyObj, paths: anyObj }, ['openapi', 'info', 'paths']) },
+  },
+  'GET /api/spec/asyncapi.json': {
+    tag: 'gateway',
+    summary: 'WS 消息 AsyncAPI 2.6',
+    selfCheck: true,
+    responses: { 200: obj({ asyncapi: str, info: anyObj, channels: anyObj }, ['asyncapi', 'info', 'channels']) },
+  },
+  'GET /metrics': {
+    tag: 'gateway',
+    summary: 'Prometheus 指标',
+    scope: SCOPES.STATUS_READ,
+    contentType: 'text/plain',
+    selfCheck: true,
+    responses: { 200: 'Prometheus 文本格式 0.0.4' },
+  },
+  'GET /api/config': {
+    tag: 'admin',
+    summary: '生效配置（secret 打码，附每项来源）',
+    scope: SCOPES.SESSIONS_MANAGE,
+    selfCheck: true,
+    responses: {
+      200: obj({
+        success: bool,
+        file: nullableStr,
+        config: anyObj,
+        settings: { type: 'array', items: obj({ key: str, env: str, source: { enum: ['env', 'file', 'default'] } }, ['key', 'env', 'source']) },
+      }, ['success', 'config', 'settings']),
+    },
+  },
+  'GET /api/status': {
+    tag: 'admin',
+    summary: 'admin 会话状态',
+    scope: SCOPES.STATUS_READ,
+    selfCheck: true,
+    responses: {
+      200: obj({ isReady: bool, config: obj({ uid: nullableStr, userId: nullableStr, appId: { type: ['string', 'integer', 'null'] } }), wsClients: int }, ['isReady', 'config', 'wsClients']),
+    },
+  },
+  'POST /api/reinit': {
+    tag: 'admin',
+    summary: '用 STATE_FILE 中的凭据重新登录 admin 会话',
+    scope: SCOPES.SESSIONS_MANAGE,
+    responses: { 200: obj({ success: { const: true }, message: str, data: loginData }, ['success', 'data']), 500: failure },
+  },
+  'POST /api/login': {
+    tag: 'admin',
+    summary: '登录 admin 会话（connect_code，或 uid + token）',
+    scope: SCOPES.SESSIONS_MANAGE,
+    body: loginBody,
+    responses: { 200: obj({ success: { const: true }, message: str, data: loginData }, ['success', 'data']), 400: failure, 500: failure },
+  },
+  'POST /api/send-command': {
+    tag: 'admin',
+    summary: '通过 admin 会话发送 game_cmd',
+    scope: SCOPES.COMMANDS_SEND,
+    body: obj({ commandId: str, payload: anyObj, targetId: uidLike, traceId: str }),
+    responses: { 200: obj({ success: { const: true }, message: str, data: sendData }, ['success', 'data']), 400: failure, 403: safetyFailure, 409: failure, 429: safetyFailure, 500: failure, 503: failure },
+  },
+  'POST /api/send-opts': {
+    tag: 'admin',
+    summary: '通过 admin 会话发送 game_opts',
+    scope: SCOPES.COMMANDS_SEND,
+    body: obj({ payload: obj({ code: { const: 'game_opts' } }, ['code']), targetId: uidLike, traceId: str }, ['payload']),
+    responses: {
+      200: obj({ success: { const: true }, message: str, data: obj({ ...sendData.properties, actions: int }, ['to', 'traceId']) }, ['success', 'data']),
+      400: failure, 403: safetyFailure, 409: failure, 429: safetyFailure, 500: failure, 503: failure,
+    },
+  },
+  'POST /api/sessions': {
+    tag: 'sessions',
+    summary: '创建 HTTP 会话（与同 uid 的 WS 连接共用 IM 登录），创建者为会话 owner',
+    scope: SCOPES.SESSIONS_MANAGE,
+    body: loginBody,
+    responses: { 201: obj({ success: { const: true }, data: httpSession }, ['success', 'data']), 400: failure, 429: failure, 500: failure },
+  },
+  'GET /api/sessions': {
+    tag: 'sessions',
+    summary: '列出调用方自己的 HTTP 会话（sessions:admin 可见全部）',
+    scope: SCOPES.STATUS_READ,
+    selfCheck: true,
+    responses: { 200: obj({ success: bool, data: { type: 'array', items: httpSession } }, ['success', 'data']) },
+  },
+  'GET /api/sessions/:id': {
+    tag: 'sessions',
+    summary: 'HTTP 会话状态；非 owner（且无 sessions:admin）返回 404',
+    scope: SCOPES.STATUS_READ,
+    responses: { 200: obj({ success: bool, data: httpSession }, ['success', 'data']), 404: failure },
+  },
+  'DELETE /api/sessions/:id': {
+    tag: 'sessions',
+    summary: '登出并销毁 HTTP 会话',
+    scope: SCOPES.SESSIONS_MANAGE,
+    responses: { 200: obj({ success: bool }, ['success']), 404: failure },
+  },
+  'POST /api/sessions/:id/commands': {
+    tag: 'sessions',
+    summary: '通过 HTTP 会话发送 game_cmd / game_opts；waitForAck=true 时等待 App 回执',
+    scope: SCOPES.COMMANDS_SEND,
+    body: obj({ commandId: str, commandPayload: { type: ['object', 'null'] }, payload: anyObj, targetId: uidLike, traceId: str, waitForAck: bool }),
+    responses: {
+      200: obj({ success: { const: true }, data: obj({ ...sendData.properties, tried: { type: 'array', items: anyObj }, result: commandResult }, ['to', 'traceId']) }, ['success', 'data']),
+      400: failure, 403: safetyFailure, 404: failure, 409: failure, 429: safetyFailure, 500: failure, 503: failure,
+    },
+  },
+  'POST /api/emergency-stop': {
+    tag: 'safety',
+    summary: '急停：不带参数为 admin 会话；all / sessionId / uid 需要 sessions:manage',
+    scope: SCOPES.COMMANDS_SEND,
+    body: obj({ all: bool, sessionId: str, uid: uidLike, reason: str }),
+    responses: { 200: obj({ success: bool, results: { type: 'array', items: estopResult } }, ['success', 'results']), 403: failure, 404: failure },
+  },
+  'POST /api/game2/link': {
+    tag: 'game2',
+    summary: 'game2 uid 关联到调用方自己的已登录网关会话（sessions:manage 不受限），之后流程步骤由网关驱动该会话的设备',
+    scope: SCOPES.COMMANDS_SEND,
+    body: obj({ uid: str, gatewaySessionId: { type: 'string', description: 'WS 会话（welcome.sessionId）或 HTTP 会话 id' } }, ['uid', 'gatewaySessionId']),
+    responses: { 200: obj({ success: { const: true }, data: game2Link }, ['success', 'data']), 400: failure, 404: failure, 503: failure },
+  },
+  'GET /api/game2/link': {
+    tag: 'game2',
+    summary: 'game2 uid 当前关联的网关会话（没有时 data=null）',
+    scope: SCOPES.STATUS_READ,
+    query: { uid: str },
+    responses: { 200: obj({ success: bool, data: { ...game2Link, type: ['object', 'null'] } }, ['success', 'data']), 400: failure },
+  },
+  'DELETE /api/game2/link': {
+    tag: 'game2',
+    summary: '解除关联（只能解除自己网关会话的，sessions:manage 不受限）：输出中的急停，进行中的 game2 会话置为 interrupted',
+    scope: SCOPES.COMMANDS_SEND,
+    query: { uid: str },
+    responses: { 200: obj({ success: bool }, ['success']), 400: failure, 404: failure },
+  },
+  'GET /api/history': {
+    tag: 'history',
+    summary: '会话 / 指令 / 回执历史；只含调用方自己创建的会话及其指令、回执（sessions:admin 可见全部）',
+    scope: SCOPES.STATUS_READ,
+    query: { uid: uidLike, from: { type: ['string', 'integer'], description: '毫秒时间戳或 ISO 时间' }, to: { type: ['string', 'integer'] }, limit: int },
+    responses: {
+      200: obj({ success: bool, uid: nullableStr, from: { type: ['integer', 'null'] }, to: { type: ['integer', 'null'] }, commands: { type: 'array', items: anyObj }, receipts: { type: 'array', items: anyObj }, sessions: { type: 'array', items: anyObj } },
+        ['success', 'commands', 'receipts', 'sessions']),
+      400: failure,
+      503: failure,
+    },
+  },
+};
+
+// ---------- 路由清单 ----------
+/**
+ * 运行中 app 的路由：[{ method: 'GET', path: '/api/sessions/:id' }]（不含中间件 / 静态目录）。
+ */
+export function listRoutes(app) {
+  const routes = [];
+  for (const layer of app._router?.stack || []) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method === '_all') continue;
+      routes.push({ method: method.toUpperCase(), path: layer.route.path });
+    }
+  }
+  return routes;
+}
+
+function toOpenApiPath(p) {
+  return p.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function pathParams(p) {
+  return [...p.matchAll(/:([A-Za-z0-9_]+)/g)].map((m) => m[1]);
+}
+
+function response(schemaOrText, contentType = 'application/json') {
+  if (typeof schemaOrText === 'string') return { description: schemaOrText, content: { [contentType]: { schema: { type: 'string' } } } };
+  return { description: schemaOrText.description || '', content: { [contentType]: { schema: schemaOrText } } };
+}
+
+function operation(method, routePath, doc) {
+  if (!doc) {
+    return { summary: '（未写说明）', tags: ['undocumented'], 'x-undocumented': true, responses: { 200: { description: '' } } };
+  }
+  const op = { summary: doc.summary, tags: [doc.tag] };
+  const params = [
+    ...pathParams(routePath).map((name) => ({ name, in: 'path', required: true, schema: str })),
+    ...Object.entries(doc.query || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema })),
+  ];
+  if (params.length) op.parameters = params;
+  if (doc.body) op.requestBody = { required: true, content: { 'application/json': { schema: doc.body } } };
+  op.responses = Object.fromEntries(Object.entries(doc.responses).map(([status, s]) => [
+    status,
+    response(s, status === '200' && doc.contentType ? doc.contentType : 'application/json'),
+  ]));
+  if (doc.scope) {
+    op.security = [{ bearerAuth: [doc.scope] }, { apiKey: [doc.scope] }];
+    op['x-scope'] = doc.scope;
+    op.responses[401] ??= response(failure);
+    op.responses[403] ??= response(failure);
+  } else {
+    op.security = [];
+  }
+  return op;
+}
+
+export function buildOpenApi({ app, docs, serverUrl = null, version = '1.0.0' }) {
+  const paths = {};
+  for (const { method, path: routePath } of listRoutes(app)) {
+    const key = toOpenApiPath(routePath);
+    paths[key] ??= {};
+    paths[key][method.toLowerCase()] = operation(method, routePath, docs[`${method} ${routePath}`]);
+  }
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'YiDimension IM Gateway HTTP API',
+      version,
+      description: '由运行中的网关路由生成（GET /api/spec/openapi.json）。鉴权关闭时 security 不生效。',
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key 或签名 token（auth.js）' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+    },
+    paths,
+  };
+}
+
+export function buildAsyncApi({ serverUrl = null, wsPath = '/', version = '1.0.0' } = {}) {
+  const messages = {};
+  const ref = (name) => ({ $ref: `#/components/messages/${name}` });
+  for (const [type, schema] of Object.entries(INBOUND_SCHEMAS)) {
+    messages[`in.${type}`] = { name: type, title: type, summary: schema.description || '', payload: schema };
+  }
+  for (const [type, schema] of Object.entries(OUTBOUND_SCHEMAS)) {
+    messages[`out.${type}`] = { name: type, title: type, summary: schema.description || '', payload: schema };
+  }
+  return {
+    asyncapi: '2.6.0',
+    info: {
+      title: 'YiDimension IM Gateway WebSocket API',
+      version,
+      description: `protocol ${WS_PROTOCOL_VERSION}（连接时 ?protocol=<n> 协商，见 GET /api/ws-protocol）。所有消息为 JSON 文本帧，按 type 区分。`,
+    },
+    ...(serverUrl ? { servers: { gateway: { url: serverUrl, protocol: 'ws' } } } : {}),
+    defaultContentType: 'application/json',
+    channels: {
+      [wsPath]: {
+        description: '网关直连时路径可以是 /（见 server.js 方案 B），经 Nginx 反代时为 WS_PATH',
+        bindings: {
+          ws: {
+            query: obj({ protocol: { type: 'string', enum: ['1', '2'] }, access_token: { type: 'string', description: 'API key 或签名 token' } }),
+          },
+        },
+        publish: { summary: '客户端 -> 网关', message: { oneOf: Object.keys(INBOUND_SCHEMAS).map((t) => ref(`in.${t}`)) } },
+        subscribe: { summary: '网关 -> 客户端', message: { oneOf: Object.keys(OUTBOUND_SCHEMAS).map((t) => ref(`out.${t}`)) } },
+      },
+    },
+    components: { messages },
+  };
+}
+
+// ---------- 自检 ----------
+/**
+ * 路由覆盖：未写说明的已注册路由、已写说明但未注册的路由（optional 除外）。
+ */
+export function checkCoverage(app, docs) {
+  const live = new Set(listRoutes(app).map((r) => `${r.method} ${r.path}`));
+  return [
+    ...[...live].filter((k) => !docs[k]).map((k) => `路由未写说明: ${k}`),
+    ...Object.entries(docs).filter(([k, d]) => !d.optional && !live.has(k)).map(([k]) => `说明对应的路由不存在: ${k}`),
+  ];
+}
+
+/**
+ * 对运行中的网关做契约自检，返回 { ok, problems, checked }。
+ * headers 用于鉴权开启时带凭据；WS 部分使用 protocol 2 连接并校验 welcome / status / pong。
+ */
+export async function selfCheck({ app, docs, baseUrl, wsUrl, WebSocket, headers = {} }) {
+  const problems = [...checkCoverage(app, docs)];
+  const checked = [];
+
+  for (const [key, doc] of Object.entries(docs)) {
+    if (!doc.selfCheck) continue;
+    const [method, routePath] = key.split(' ');
+    if (method !== 'GET') continue;
+    const res = await fetch(baseUrl + routePath, { headers });
+    if (res.status === 401 || res.status === 403) {
+      checked.push(`${key}: 跳过（${res.status}，需要凭据）`);
+      continue;
+    }
+    if (res.status !== 200) {
+      problems.push(`${key}: 返回 ${res.status}`);
+      continue;
+    }
+    if (doc.contentType) {
+      if (!String(res.headers.get('content-type') || '').startsWith(doc.contentType)) problems.push(`${key}: content-type 不是 ${doc.contentType}`);
+      checked.push(key);
+      continue;
+    }
+    const errors = validate(doc.responses[200], await res.json());
+    problems.push(...errors.map((e) => `${key}: ${e}`));
+    checked.push(key);
+  }
+
+  if (WebSocket && wsUrl) {
+    const frames = await new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${wsUrl}?protocol=${WS_PROTOCOL_VERSION}`, { headers });
+      const got = [];
+      const timer = setTimeout(() => { ws.terminate(); resolve(got); }, 3000);
+      ws.on('message', (data) => {
+        const frame = JSON.parse(String(data));
+        got.push(frame);
+        if (frame.type === 'status') ws.send(JSON.stringify({ type: 'ping', requestId: 'spec-check' }));
+        if (frame.type === 'pong') {
+          clearTimeout(timer);
+          ws.close();
+          resolve(got);
+        }
+      });
+      ws.on('error', (e) => { clearTimeout(timer); reject(e); });
+    });
+    for (const type of ['welcome', 'status', 'pong']) {
+      const frame = frames.find((f) => f.type === type);
+      if (!frame) {
+        problems.push(`WS: 没有收到 ${type}`);
+        continue;
+      }
+      const schema = OUTBOUND_SCHEMAS[type];
+      problems.push(...validate(schema, frame).map((e) => `WS ${type}: ${e}`));
+      checked.push(`WS ${type}`);
+    }
+    if (frames.find((f) => f.type === 'pong')?.requestId !== 'spec-check') problems.push('WS pong: 没有回带 requestId');
+  }
+
+  return { ok: problems.length === 0, problems, checked };
+}
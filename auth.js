@@ -0,0 +1,185 @@
+/**
+ * Auth layer（HTTP admin API + WS gateway）
+ *
+ * 凭据：
+ *  - API key：AUTH_KEYS_FILE 指向的 JSON 数组，或 AUTH_KEYS 环境变量（同格式的 JSON 字符串）
+ *      [{ "name": "ops", "key": "<随机串>", "scopes": ["status:read", "commands:send", "sessions:manage"] }]
+ *  - 签名 bearer token：配置 AUTH_TOKEN_SECRET 后可签发 HMAC-SHA256 token
+ *      <base64url(JSON { sub, scopes, exp })>.<base64url(hmac)>
+ *      签发：node auth.js token <sub> <scope,scope> [ttlSec]
+ *
+ * 传递方式：HTTP `Authorization: Bearer <key|token>` 或 `X-API-Key: <key>`；WS 升级时 `?access_token=<key|token>`。
+ *
+ * Origin：ALLOWED_ORIGINS（逗号分隔）同时用于 CORS 与 WS 升级；不配置时不限制，配置后不带 Origin 的请求（非浏览器客户端）必须带凭据。
+ * 未配置任何 key / secret 时鉴权关闭（本地开发），启动时由 server.js 打印警告。
+ * 匿名 WS 连接的 scope（WS_DEFAULT_SCOPES）未配置时：鉴权开启为 status:read，关闭为 status:read + commands:send。
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SCOPES = {
+  STATUS_READ: 'status:read',
+  COMMANDS_SEND: 'commands:send',
+  SESSIONS_MANAGE: 'sessions:manage',
+  // 访问其他调用方创建的 HTTP 会话（/api/sessions/:id），/api/history 不按调用方过滤
+  SESSIONS_ADMIN: 'sessions:admin',
+};
+
+const ALL_SCOPES = Object.values(SCOPES);
+
+function splitList(v) {
+  return String(v || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function digest(v) {
+  return crypto.createHash('sha256').update(String(v)).digest();
+}
+
+function normalizeScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : splitList(scopes);
+  const unknown = list.filter((s) => !ALL_SCOPES.includes(s));
+  if (unknown.length) throw new Error(`未知 scope: ${unknown.join(', ')}（可选: ${ALL_SCOPES.join(', ')}）`);
+  return list;
+}
+
+export class Authenticator {
+  constructor({ keys = [], tokenSecret = '', allowedOrigins = [], wsAuthRequired = false, wsDefaultScopes = null } = {}) {
+    // 只保存 key 的摘要，比较时用 timingSafeEqual
+    this.keys = keys.map((k) => {
+      if (!k?.key) throw new Error(`API key 配置缺少 key（name=${k?.name || '?'}）`);
+      return { name: String(k.name || 'key'), hash: digest(k.key), scopes: normalizeScopes(k.scopes) };
+    });
+    this.tokenSecret = String(tokenSecret || '');
+    this.allowedOrigins = allowedOrigins;
+    this.wsAuthRequired = !!wsAuthRequired;
+    // 开启鉴权后匿名连接默认只读，需要匿名发指令时显式配置 WS_DEFAULT_SCOPES
+    this.wsDefaultScopes = wsDefaultScopes == null
+      ? (this.enabled ? [SCOPES.STATUS_READ] : [SCOPES.STATUS_READ, SCOPES.COMMANDS_SEND])
+      : normalizeScopes(wsDefaultScopes);
+  }
+
+  get enabled() {
+    return this.keys.length > 0 || !!this.tokenSecret;
+  }
+
+  /**
+   * 校验 API key 或签名 token，返回 principal（{ name, kind, scopes }），无效时返回 null。
+   */
+  authenticate(credential) {
+    const cred = String(credential || '').trim();
+    if (!cred) return null;
+    const hash = digest(cred);
+    const key = this.keys.find((k) => crypto.timingSafeEqual(k.hash, hash));
+    if (key) return { name: key.name, kind: 'key', scopes: key.scopes };
+    return this.verifyToken(cred);
+  }
+
+  signToken({ sub, scopes, ttlSec = 3600 }) {
+    if (!this.tokenSecret) throw new Error('未配置 AUTH_TOKEN_SECRET，无法签发 token');
+    const body = b64url(JSON.stringify({ sub: String(sub), scopes: normalizeScopes(scopes), exp: Math.floor(Date.now() / 1000) + Number(ttlSec) }));
+    const sig = b64url(crypto.createHmac('sha256', this.tokenSecret).update(body).digest());
+    return `${body}.${sig}`;
+  }
+
+  verifyToken(token) {
+    if (!this.tokenSecret) return null;
+    const [body, sig] = String(token).split('.');
+    if (!body || !sig) return null;
+    const expected = crypto.createHmac('sha256', this.tokenSecret).update(body).digest();
+    const given = Buffer.from(sig, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+    } catch {
+      return null;
+    }
+    if (!claims?.exp || claims.exp * 1000 < Date.now()) return null;
+    const scopes = Array.isArray(claims.scopes) ? claims.scopes.filter((s) => ALL_SCOPES.includes(s)) : [];
+    return { name: String(claims.sub || 'token'), kind: 'token', scopes };
+  }
+
+  /**
+   * 配置了 ALLOWED_ORIGINS 时：Origin 须在列表内；不带 Origin（非浏览器客户端）时须带凭据（hasCredential）。
+   */
+  isOriginAllowed(origin, { hasCredential = false } = {}) {
+    if (!this.allowedOrigins.length) return true;
+    if (!origin) return hasCredential;
+    return this.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * 从 HTTP 请求头取凭据：Authorization: Bearer / X-API-Key。
+   */
+  static credentialFromRequest(req) {
+    const authz = String(req.headers?.authorization || '');
+    if (/^bearer\s+/i.test(authz)) return authz.replace(/^bearer\s+/i, '').trim();
+    return String(req.headers?.['x-api-key'] || '').trim() || null;
+  }
+
+  /**
+   * WS 升级时取凭据：?access_token=（浏览器 WebSocket 无法自定义请求头），也接受请求头。
+   */
+  static credentialFromUpgrade(req) {
+    try {
+      const url = new URL(req.url || '/', 'http://localhost');
+      const q = url.searchParams.get('access_token');
+      if (q) return q;
+    } catch {
+      // ignore
+    }
+    return Authenticator.credentialFromRequest(req);
+  }
+}
+
+/**
+ * 由 config.js 的 auth.* 生成 Authenticator 参数；keysFile 优先于 keys（AUTH_KEYS_FILE / AUTH_KEYS）。
+ */
+export async function loadAuthConfig({ keysFile = null, keys = null, tokenSecret = '', allowedOrigins = [], wsAuthRequired = false, wsDefaultScopes = null } = {}) {
+  let list = keys || [];
+  if (keysFile) list = JSON.parse(await fs.readFile(keysFile, 'utf-8'));
+  if (!Array.isArray(list)) throw new Error('AUTH_KEYS / AUTH_KEYS_FILE 必须是 JSON 数组');
+  return { keys: list, tokenSecret, allowedOrigins, wsAuthRequired, wsDefaultScopes };
+}
+
+/**
+ * Express 中间件：要求请求带有含 scope 的凭据；通过后 req.principal 为调用方。
+ * 鉴权关闭时放行（principal 为 anonymous，拥有全部 scope）。
+ */
+export function requireScope(auth, scope) {
+  return (req, res, next) => {
+    if (!auth.enabled) {
+      req.principal = { name: 'anonymous', kind: 'none', scopes: ALL_SCOPES };
+      return next();
+    }
+    const principal = auth.authenticate(Authenticator.credentialFromRequest(req));
+    if (!principal) return res.status(401).json({ success: false, error: 'unauthorized', message: '缺少或无效的 API key / token' });
+    if (!principal.scopes.includes(scope)) {
+      return res.status(403).json({ success: false, error: 'forbidden', message: `需要 scope: ${scope}` });
+    }
+    req.principal = principal;
+    next();
+  };
+}
+
+export function hasScope(principal, scope) {
+  return !!principal && principal.scopes.includes(scope);
+}
+
+// CLI：node auth.js token <sub> <scope,scope> [ttlSec]（使用 AUTH_TOKEN_SECRET）
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const [cmd, sub, scopes, ttlSec] = process.argv.slice(2);
+  if (cmd !== 'token' || !sub || !scopes) {
+    console.error('用法: AUTH_TOKEN_SECRET=... node auth.js token <sub> <scope,scope> [ttlSec]');
+    process.exit(1);
+  }
+  const auth = new Authenticator({ tokenSecret: process.env.AUTH_TOKEN_SECRET });
+  console.log(auth.signToken({ sub, scopes, ttlSec: ttlSec || 3600 }));
+}
@@ -0,0 +1,167 @@
+/**
+ * Command delivery tracking
+ *
+ * sendMessage 成功只代表 IM 已投递；设备是否执行要看 App 的入站回执。
+ * CommandTracker 按 traceId / IM messageId 记录每条出站指令，并把入站消息匹配回去：
+ *  - 回执中带 traceId / messageId（traceId、msgId、messageId、ref，或 data 内同名字段）时精确匹配；
+ *  - 否则按发送方匹配该收件人最早的未决指令（FIFO）。
+ *
+ * 结果（通过 onResult 回调）：
+ *  - ack     : 收到回执（含 severity=warning 的 error 回执，附 warning）
+ *  - failed  : 收到 error 回执（IM_backup.md「错误回执」：action=error, data.{code,message,severity}）
+ *  - timeout : timeoutMs 内没有任何回执
+ *
+ * track() 返回的 entry.settled 是结算结果的 promise，需要等待回执的调用方（如急停）可直接 await。
+ *
+ * traceId 是未决指令的键：同一 tracker 上仍在等待回执的 traceId 不能复用，发送前用 has() 检查并拒绝；
+ * 检查与 track 之间并发进来的同 traceId 仍会被 track，此时旧的一条以 timeout（reason=superseded）结算，不会一直挂起。
+ *
+ * 多个会话共用一个 IM 登录时也共用一个 tracker：track 时带 owner，onResult(result, owner) 据此把结果路由回发送方，
+ * forOwner(owner) 返回只能 track / clear 自己指令的视图。
+ */
+
+const REF_KEYS = ['traceId', 'trace_id', 'msgId', 'messageId', 'message_id', 'ref'];
+
+function plainUid(id) {
+  const s = String(id || '').trim();
+  return s.startsWith('game_') ? s.slice(5) : s;
+}
+
+function parseReceipt(text) {
+  if (typeof text !== 'string') return null;
+  try {
+    const obj = JSON.parse(text);
+    return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : null;
+  } catch {
+    return null;
+  }
+}
+
+function findRef(obj) {
+  for (const src of [obj, obj?.data]) {
+    if (!src || typeof src !== 'object') continue;
+    for (const k of REF_KEYS) {
+      if (src[k] !== undefined && src[k] !== null && src[k] !== '') return String(src[k]);
+    }
+  }
+  return null;
+}
+
+export class CommandTracker {
+  constructor({ timeoutMs = 5000, maxPending = 200, onResult = null, onTrack = null } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.maxPending = maxPending;
+    this.onResult = onResult;
+    // (entry)：每条指令开始跟踪时调用（如写入历史库）
+    this.onTrack = onTrack;
+    this.pending = new Map(); // traceId -> entry（插入顺序即发送顺序）
+  }
+
+  track({ traceId, messageId = null, to, payload = null, timeoutMs = this.timeoutMs, owner = null }) {
+    if (this.pending.size >= this.maxPending) {
+      const oldest = this.pending.values().next().value;
+      this._settle(oldest, 'timeout', { reason: 'evicted' });
+    }
+    this._settle(this.pending.get(traceId), 'timeout', { reason: 'superseded' });
+    const entry = {
+      traceId,
+      messageId,
+      to: plainUid(to),
+      code: payload?.code ?? null,
+      commandId: payload?.id ?? null,
+      payload,
+      sentAt: Date.now(),
+      timeoutMs,
+      owner,
+      timer: null,
+      resolve: null,
+    };
+    entry.settled = new Promise((resolve) => { entry.resolve = resolve; });
+    entry.timer = setTimeout(() => this._settle(entry, 'timeout', {}), timeoutMs);
+    this.pending.set(traceId, entry);
+    if (typeof this.onTrack === 'function') {
+      try { this.onTrack(entry); } catch (e) { /* ignore */ }
+    }
+    return entry;
+  }
+
+  has(traceId) {
+    return this.pending.has(traceId);
+  }
+
+  /**
+   * 处理一条入站消息（{ from, text }），匹配到未决指令时返回结算结果，否则 null。
+   */
+  handleIncoming(message) {
+    const receipt = parseReceipt(message?.text);
+    if (!receipt) return null;
+    // 配对通知不是指令回执
+    if (receipt.action === 'device_paired' || receipt.type === 'device_paired') return null;
+
+    const ref = findRef(receipt);
+    let entry = null;
+    if (ref) {
+      entry = this.pending.get(ref) || [...this.pending.values()].find((e) => e.messageId === ref) || null;
+    }
+    if (!entry) {
+      const from = plainUid(message?.from);
+      entry = [...this.pending.values()].find((e) => e.to === from) || null;
+    }
+    if (!entry) return null;
+
+    if (receipt.action === 'error') {
+      const error = {
+        code: receipt.data?.code ?? null,
+        message: receipt.data?.message ?? null,
+        severity: receipt.data?.severity === 'warning' ? 'warning' : 'error',
+      };
+      if (error.severity === 'warning') return this._settle(entry, 'ack', { receipt, warning: error });
+      return this._settle(entry, 'failed', { receipt, error });
+    }
+    return this._settle(entry, 'ack', { receipt });
+  }
+
+  _settle(entry, kind, extra) {
+    if (!entry || this.pending.get(entry.traceId) !== entry) return null;
+    clearTimeout(entry.timer);
+    this.pending.delete(entry.traceId);
+    const result = {
+      kind,
+      traceId: entry.traceId,
+      messageId: entry.messageId,
+      to: entry.to,
+      code: entry.code,
+      commandId: entry.commandId,
+      latencyMs: Date.now() - entry.sentAt,
+      ...(kind === 'timeout' ? { timeoutMs: entry.timeoutMs } : {}),
+      ...extra,
+    };
+    entry.resolve(result);
+    if (typeof this.onResult === 'function') {
+      try { this.onResult(result, entry.owner); } catch (e) { /* ignore */ }
+    }
+    return result;
+  }
+
+  /**
+   * 清理未决指令（以 cleared 结算，不触发 onResult）；传 owner 时只清理该 owner 的。
+   */
+  clear(owner = undefined) {
+    for (const entry of [...this.pending.values()]) {
+      if (owner !== undefined && entry.owner !== owner) continue;
+      clearTimeout(entry.timer);
+      this.pending.delete(entry.traceId);
+      entry.resolve({ kind: 'timeout', traceId: entry.traceId, reason: 'cleared' });
+    }
+  }
+
+  forOwner(owner) {
+    return {
+      track: (args) => this.track({ ...args, owner }),
+      // traceId 在整个共享 tracker 上唯一（回执按 traceId 匹配，不分 owner）
+      has: (traceId) => this.has(traceId),
+      clear: () => this.clear(owner),
+      pendingCount: () => [...this.pending.values()].filter((e) => e.owner === owner).length,
+    };
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Gateway configuration（配置文件 + 环境变量覆盖，启动时统一校验）
+ *
+ * 来源优先级：环境变量 > 配置文件 > 默认值。
+ *  - 配置文件：CONFIG_FILE 指定（不存在即报错）；未指定时读取工作目录下的 config.json（可选）。
+ *    JSON 按 CONFIG_SETTINGS 的 key 分层，如 { "server": { "port": 3001 }, "ws": { "path": "/ws" } }；
+ *    文件中的相对路径相对于配置文件所在目录，环境变量中的相对路径相对于工作目录。
+ *  - 未知配置项、类型错误、非法 URL / 范围一次性收集，loadConfig 抛出 ConfigError（server.js 打印后退出）。
+ *
+ * GET /api/config（sessions:manage）返回 describeConfig() 的结果：生效值（secret 打码）及每项来源。
+ * 校验部署配置：npm run check:config（node config.js，输出同上，出错时退出码 1）。
+ */
+
+import path from 'path';
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { SCOPES } from './auth.js';
+
+const cwd = process.cwd();
+
+/**
+ * 全部配置项：key（配置文件中的路径）、env（覆盖用的环境变量）、type、default 与取值约束。
+ * secret=true 的项在 /api/config 中打码。
+ */
+export const CONFIG_SETTINGS = [
+  // HTTP / 上游
+  { key: 'server.port', env: 'PORT', type: 'port', default: 3001 },
+  { key: 'server.host', env: 'HOST', type: 'string', default: '0.0.0.0' },
+  { key: 'server.apiBase', env: 'API_BASE', type: 'url', default: 'https://suo.jiushu1234.com/api.php' },
+  { key: 'server.stateFile', env: 'STATE_FILE', type: 'path', default: path.resolve(cwd, '..', 'state.json') },
+  { key: 'server.httpSessionsMax', env: 'HTTP_SESSIONS_MAX', type: 'int', min: 1, default: 200 },
+
+  // WebSocket：path 为空时不限制路径（方案 B：ws://<ip>:3001 直连），设置后只接受该路径的升级
+  { key: 'ws.path', env: 'WS_PATH', type: 'wsPath', default: null },
+  { key: 'ws.resumeGraceMs', env: 'WS_RESUME_GRACE_MS', type: 'int', min: 0, default: 30000 },
+  { key: 'ws.resumeBufferMax', env: 'WS_RESUME_BUFFER_MAX', type: 'int', min: 0, default: 200 },
+  { key: 'ws.validateOutbound', env: 'WS_VALIDATE_OUTBOUND', type: 'bool', default: false },
+
+  // IM
+  { key: 'im.transport', env: 'IM_TRANSPORT', type: 'enum', values: ['tencent', 'mock'], default: 'tencent' },
+  { key: 'im.commandTarget', env: 'GAME_CMD_TO', type: 'uid', default: null },
+  { key: 'im.gameSignLegacyFallback', env: 'GAME_SIGN_LEGACY_FALLBACK', type: 'bool', default: true },
+  { key: 'im.send.timeoutMs', env: 'IM_SEND_TIMEOUT_MS', type: 'int', min: 100, default: 8000 },
+  { key: 'im.send.retries', env: 'IM_SEND_RETRIES', type: 'int', min: 0, max: 10, default: 1 },
+  { key: 'im.send.retryDelayMs', env: 'IM_SEND_RETRY_DELAY_MS', type: 'int', min: 0, default: 300 },
+  { key: 'im.send.retryOnTimeout', env: 'IM_SEND_RETRY_ON_TIMEOUT', type: 'bool', default: false },
+  { key: 'im.reconnect.baseDelayMs', env: 'IM_RECONNECT_BASE_MS', type: 'int', min: 1, default: 1000 },
+  { key: 'im.reconnect.maxDelayMs', env: 'IM_RECONNECT_MAX_MS', type: 'int', min: 1, default: 30000 },
+  { key: 'im.reconnect.maxAttempts', env: 'IM_RECONNECT_MAX_ATTEMPTS', type: 'int', min: 0, default: 6 },
+  { key: 'im.reconnect.netLossGraceMs', env: 'IM_NET_LOSS_GRACE_MS', type: 'int', min: 0, default: 10000 },
+
+  // 指令
+  { key: 'commands.ackTimeoutMs', env: 'COMMAND_ACK_TIMEOUT_MS', type: 'int', min: 100, default: 5000 },
+  { key: 'commands.watchdogTimeoutMs', env: 'WATCHDOG_TIMEOUT_MS', type: 'int', min: 0, max: 600000, default: 0 },
+  { key: 'commands.emergencyStop.maxAttempts', env: 'EMERGENCY_STOP_MAX_ATTEMPTS', type: 'int', min: 1, default: 5 },
+  { key: 'commands.emergencyStop.ackTimeoutMs', env: 'EMERGENCY_STOP_ACK_MS', type: 'int', min: 100, default: 2000 },
+  { key: 'commands.optsMaxActions', env: 'GAME_OPTS_MAX_ACTIONS', type: 'int', min: 1, default: 8 },
+  { key: 'commands.optsMaxDurationMs', env: 'GAME_OPTS_MAX_DURATION_MS', type: 'int', min: 0, default: 60000 },
+
+  // 安全策略默认值（safety-policy.js），policyFile 可按 uid 覆盖
+  { key: 'safety.policyFile', env: 'SAFETY_POLICY_FILE', type: 'path', default: null },
+  { key: 'safety.maxCommandsPerSec', env: 'SAFETY_MAX_CMDS_PER_SEC', type: 'number', min: 0, default: 5 },
+  { key: 'safety.maxStrength', env: 'SAFETY_MAX_STRENGTH', type: 'int', min: 0, max: 100, default: 100 },
+  { key: 'safety.maxDurationMs', env: 'SAFETY_MAX_DURATION_MS', type: 'int', min: 0, default: 60000 },
+  { key: 'safety.allowContinuous', env: 'SAFETY_ALLOW_CONTINUOUS', type: 'bool', default: true },
+  { key: 'safety.stopCooldownMs', env: 'SAFETY_STOP_COOLDOWN_MS', type: 'int', min: 0, default: 0 },
+  { key: 'safety.sessionTimeLimitMs', env: 'SAFETY_SESSION_LIMIT_MS', type: 'int', min: 0, default: 0 },
+
+  // 鉴权（auth.js）
+  { key: 'auth.keysFile', env: 'AUTH_KEYS_FILE', type: 'path', default: null },
+  { key: 'auth.keys', env: 'AUTH_KEYS', type: 'jsonArray', default: null, secret: true },
+  { key: 'auth.tokenSecret', env: 'AUTH_TOKEN_SECRET', type: 'string', default: '', secret: true },
+  { key: 'auth.allowedOrigins', env: 'ALLOWED_ORIGINS', type: 'origins', default: [] },
+  { key: 'auth.wsAuthRequired', env: 'WS_AUTH_REQUIRED', type: 'bool', default: false },
+  // null：鉴权开启时匿名 WS 只有 status:read，关闭时为 status:read + commands:send（见 auth.js）
+  { key: 'auth.wsDefaultScopes', env: 'WS_DEFAULT_SCOPES', type: 'scopes', default: null },
+
+  // 关停（SIGTERM / SIGINT）：deadlineMs 内未完成则强制退出；retryAfterMs / reconnectUrl 随 serverShutdown 帧发给客户端
+  { key: 'shutdown.deadlineMs', env: 'SHUTDOWN_DEADLINE_MS', type: 'int', min: 1000, default: 15000 },
+  { key: 'shutdown.drainMs', env: 'SHUTDOWN_DRAIN_MS', type: 'int', min: 0, default: 3000 },
+  { key: 'shutdown.retryAfterMs', env: 'SHUTDOWN_RETRY_AFTER_MS', type: 'int', min: 0, default: 5000 },
+  { key: 'shutdown.reconnectUrl', env: 'SHUTDOWN_RECONNECT_URL', type: 'url', protocols: ['ws:', 'wss:'], default: null },
+
+  // 历史库（history-store.js）
+  { key: 'history.dbPath', env: 'HISTORY_DB_PATH', type: 'path', default: path.resolve(cwd, 'data', 'gateway.sqlite') },
+  { key: 'history.flushMs', env: 'HISTORY_FLUSH_MS', type: 'int', min: 10, default: 500 },
+  { key: 'history.retentionDays', env: 'HISTORY_RETENTION_DAYS', type: 'number', min: 0, default: 30 },
+
+  // game2（game2_cunzhi/game2-api.js）
+  { key: 'game2.dbPath', env: 'GAME2_DB_PATH', type: 'path', default: path.resolve(cwd, 'game2_cunzhi', 'data', 'game2.sqlite') },
+  { key: 'game2.autoMigrate', env: 'GAME2_AUTO_MIGRATE', type: 'bool', default: true },
+  { key: 'game2.safetyTimeoutSec', env: 'GAME2_SAFETY_TIMEOUT_SEC', type: 'int', min: 1, default: 30 },
+  { key: 'game2.frequency.adaptSeconds', env: 'GAME2_ADAPT_SEC', type: 'int', min: 0, default: 2 },
+  { key: 'game2.frequency.evaluateSeconds', env: 'GAME2_EVALUATE_SEC', type: 'int', min: 0, default: 3 },
+  { key: 'game2.frequency.restSeconds', env: 'GAME2_FREQUENCY_REST_SEC', type: 'int', min: 0, default: 20 },
+  { key: 'game2.tolerance.restSeconds', env: 'GAME2_TOLERANCE_REST_SEC', type: 'int', min: 0, default: 20 },
+  { key: 'game2.tolerance.minRounds', env: 'GAME2_MIN_ROUNDS', type: 'int', min: 1, default: 4 },
+  { key: 'game2.tolerance.maxRounds', env: 'GAME2_MAX_ROUNDS', type: 'int', min: 1, default: 6 },
+  { key: 'game2.tolerance.convergeRatio', env: 'GAME2_CONVERGE_RATIO', type: 'number', min: 0, max: 1, default: 0.15 },
+  { key: 'game2.tolerance.stableWindow', env: 'GAME2_STABLE_WINDOW', type: 'int', min: 1, default: 3 },
+  { key: 'game2.tolerance.guardRatio', env: 'GAME2_GUARD_RATIO', type: 'number', min: 0, max: 1, default: 0.7 },
+  // game2 驱动设备（game2-drive.js）：档位 1..5 对应的输出
+  { key: 'game2.drive.mode', env: 'GAME2_DRIVE_MODE', type: 'enum', values: ['opts', 'cmd'], default: 'opts' },
+  { key: 'game2.drive.channel', env: 'GAME2_DRIVE_CHANNEL', type: 'enum', values: ['A', 'B', 'AB'], default: 'A' },
+  { key: 'game2.drive.levelStrengths', env: 'GAME2_DRIVE_LEVEL_STRENGTHS', type: 'jsonArray', default: [20, 30, 40, 50, 60] },
+  { key: 'game2.drive.levelCommands', env: 'GAME2_DRIVE_LEVEL_COMMANDS', type: 'jsonArray', default: ['game2_level_1', 'game2_level_2', 'game2_level_3', 'game2_level_4', 'game2_level_5'] },
+  { key: 'game2.drive.levelOutputMs', env: 'GAME2_DRIVE_LEVEL_OUTPUT_MS', type: 'int', min: 1000, default: 10000 },
+  // game2 校准结果套用到其他游戏的指令（game2-calibration.js）
+  { key: 'game2.calibration.enabled', env: 'GAME2_CALIBRATION', type: 'bool', default: true },
+  { key: 'game2.calibration.capDuration', env: 'GAME2_CALIBRATION_CAP_DURATION', type: 'bool', default: true },
+  { key: 'game2.calibration.acceptWarning', env: 'GAME2_CALIBRATION_ACCEPT_WARNING', type: 'bool', default: false },
+  { key: 'game2.calibration.preferredCommandId', env: 'GAME2_CALIBRATION_PREFERRED_COMMAND', type: 'string', default: 'game2_preferred' },
+];
+
+const SETTINGS_BY_KEY = new Map(CONFIG_SETTINGS.map((s) => [s.key, s]));
+
+const TRUE_WORDS = ['1', 'true', 'yes', 'on'];
+const FALSE_WORDS = ['0', 'false', 'no', 'off'];
+
+export class ConfigError extends Error {
+  constructor(errors, file = null) {
+    super(`配置无效（${errors.length} 项）:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+    this.file = file;
+  }
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function getIn(obj, key) {
+  return key.split('.').reduce((o, k) => (isPlainObject(o) ? o[k] : undefined), obj);
+}
+
+function setIn(obj, key, value) {
+  const parts = key.split('.');
+  let o = obj;
+  for (const k of parts.slice(0, -1)) o = o[k] ??= {};
+  o[parts[parts.length - 1]] = value;
+}
+
+function splitList(v) {
+  return String(v).split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * 把原始值（环境变量为字符串，配置文件为 JSON 值）转换为 setting.type；返回 { value } 或 { error }。
+ * baseDir 用于解析相对路径。
+ */
+function coerce(setting, raw, baseDir) {
+  const fromEnv = typeof raw === 'string';
+  switch (setting.type) {
+    case 'int':
+    case 'number':
+    case 'port': {
+      const n = fromEnv ? Number(raw.trim()) : raw;
+      const integer = setting.type !== 'number';
+      if (typeof n !== 'number' || !Number.isFinite(n) || (integer && !Number.isInteger(n))) {
+        return { error: `应为${integer ? '整数' : '数字'}` };
+      }
+      const min = setting.type === 'port' ? 0 : setting.min;
+      const max = setting.type === 'port' ? 65535 : setting.max;
+      if (min !== undefined && n < min) return { error: `不能小于 ${min}` };
+      if (max !== undefined && n > max) return { error: `不能大于 ${max}` };
+      return { value: n };
+    }
+    case 'bool': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (TRUE_WORDS.includes(s)) return { value: true };
+      if (FALSE_WORDS.includes(s)) return { value: false };
+      return { error: `应为布尔值（${[...TRUE_WORDS, ...FALSE_WORDS].join(' / ')}）` };
+    }
+    case 'string':
+      return typeof raw === 'string' ? { value: raw } : { error: '应为字符串' };
+    case 'enum':
+      return setting.values.includes(raw) ? { value: raw } : { error: `应为 ${setting.values.join(' / ')}` };
+    case 'url': {
+      if (typeof raw !== 'string') return { error: '应为 URL 字符串' };
+      let url;
+      try { url = new URL(raw); } catch { return { error: `不是合法 URL: ${raw}` }; }
+      const protocols = setting.protocols || ['http:', 'https:'];
+      if (!protocols.includes(url.protocol)) return { error: `只支持 ${protocols.map((p) => p.slice(0, -1)).join(' / ')}: ${raw}` };
+      return { value: raw };
+    }
+    case 'path':
+      if (typeof raw !== 'string' || !raw.trim()) return { error: '应为非空路径字符串' };
+      return { value: path.resolve(baseDir, raw) };
+    case 'wsPath':
+      if (typeof raw !== 'string' || !/^\/[^\s?#]*$/.test(raw)) return { error: `应以 / 开头且不含空白、? 或 #: ${raw}` };
+      return { value: raw };
+    case 'uid': {
+      const s = String(raw).trim();
+      if (!/^(game_)?\d+$/.test(s)) return { error: `应为数字 uid（可带 game_ 前缀）: ${raw}` };
+      return { value: s };
+    }
+    case 'jsonArray': {
+      let v = raw;
+      if (fromEnv) {
+        try { v = JSON.parse(raw); } catch (e) { return { error: `JSON 解析失败: ${e.message}` }; }
+      }
+      return Array.isArray(v) ? { value: v } : { error: '应为 JSON 数组' };
+    }
+    case 'origins':
+    case 'scopes': {
+      const list = fromEnv ? splitList(raw) : raw;
+      if (!Array.isArray(list) || list.some((v) => typeof v !== 'string')) return { error: '应为字符串数组或逗号分隔列表' };
+      for (const v of list) {
+        if (setting.type === 'scopes' && !Object.values(SCOPES).includes(v)) return { error: `未知 scope: ${v}` };
+        if (setting.type === 'origins') {
+          let origin = null;
+          try { origin = new URL(v).origin; } catch { /* ignore */ }
+          if (origin !== v) return { error: `不是合法 origin（协议://主机[:端口]，不带路径）: ${v}` };
+        }
+      }
+      return { value: list };
+    }
+    default:
+      return { error: `未知类型 ${setting.type}` };
+  }
+}
+
+// 配置文件里所有叶子 key（用于报告未知配置项）
+function leafKeys(obj, prefix = '') {
+  const out = [];
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (isPlainObject(v) && !SETTINGS_BY_KEY.has(key)) out.push(...leafKeys(v, key));
+    else out.push(key);
+  }
+  return out;
+}
+
+async function readConfigFile(env) {
+  const explicit = env.CONFIG_FILE;
+  const file = path.resolve(cwd, explicit || 'config.json');
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf-8');
+  } catch (e) {
+    if (e?.code === 'ENOENT' && !explicit) return { file: null, data: {} };
+    throw new ConfigError([`无法读取配置文件 ${file}: ${e?.message || e}`], file);
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new ConfigError([`配置文件不是合法 JSON（${file}）: ${e.message}`], file);
+  }
+  if (!isPlainObject(data)) throw new ConfigError([`配置文件顶层必须是对象: ${file}`], file);
+  return { file, data };
+}
+
+/**
+ * 读取配置文件与环境变量并校验；返回 { values, sources, file }，任一项无效时抛出 ConfigError。
+ *  - values  : 按 key 分层的生效值，如 values.server.port
+ *  - sources : key -> 'env' | 'file' | 'default'
+ */
+export async function loadConfig(env = process.env) {
+  const { file, data } = await readConfigFile(env);
+  const fileDir = file ? path.dirname(file) : cwd;
+  const errors = [];
+  const values = {};
+  const sources = {};
+
+  for (const key of leafKeys(data)) {
+    if (!SETTINGS_BY_KEY.has(key)) errors.push(`未知配置项 ${key}（${file}）`);
+  }
+
+  for (const setting of CONFIG_SETTINGS) {
+    const envRaw = env[setting.env];
+    const fileRaw = getIn(data, setting.key);
+    let value = setting.default;
+    let source = 'default';
+    if (envRaw !== undefined && envRaw !== '') {
+      const r = coerce(setting, envRaw, cwd);
+      if (r.error) errors.push(`${setting.env}: ${r.error}`);
+      else { value = r.value; source = 'env'; }
+    } else if (fileRaw !== undefined && fileRaw !== null) {
+      const r = coerce(setting, fileRaw, fileDir);
+      if (r.error) errors.push(`${setting.key}（${file}）: ${r.error}`);
+      else { value = r.value; source = 'file'; }
+    }
+    setIn(values, setting.key, value);
+    sources[setting.key] = source;
+  }
+
+  // 项间约束
+  const { reconnect } = values.im;
+  if (reconnect.baseDelayMs > reconnect.maxDelayMs) errors.push('im.reconnect.baseDelayMs（IM_RECONNECT_BASE_MS）不能大于 im.reconnect.maxDelayMs（IM_RECONNECT_MAX_MS）');
+  const { tolerance } = values.game2;
+  if (tolerance.minRounds > tolerance.maxRounds) errors.push('game2.tolerance.minRounds 不能大于 game2.tolerance.maxRounds');
+  if (tolerance.stableWindow > tolerance.maxRounds) errors.push('game2.tolerance.stableWindow 不能大于 game2.tolerance.maxRounds');
+  const { drive } = values.game2;
+  if (drive.levelStrengths.length !== 5 || drive.levelStrengths.some((v) => !Number.isInteger(v) || v < 0 || v > 100)) {
+    errors.push('game2.drive.levelStrengths（GAME2_DRIVE_LEVEL_STRENGTHS）应为 5 个 0..100 的整数（档位 1..5）');
+  }
+  if (drive.levelCommands.length !== 5 || drive.levelCommands.some((v) => typeof v !== 'string' || !v.trim())) {
+    errors.push('game2.drive.levelCommands（GAME2_DRIVE_LEVEL_COMMANDS）应为 5 个非空指令 ID（档位 1..5）');
+  }
+
+  if (errors.length) throw new ConfigError(errors, file);
+  return { values, sources, file };
+}
+
+/**
+ * 生效配置的可公开视图：secret 项有值时显示为 '***'。
+ */
+export function describeConfig(config) {
+  const redacted = structuredClone(config.values);
+  for (const setting of CONFIG_SETTINGS) {
+    const v = getIn(redacted, setting.key);
+    if (setting.secret && v !== null && v !== '') setIn(redacted, setting.key, '***');
+  }
+  return {
+    file: config.file,
+    config: redacted,
+    settings: CONFIG_SETTINGS.map(({ key, env }) => ({ key, env, source: config.sources[key] })),
+  };
+}
+
+// CLI：node config.js（npm run check:config）—— 校验当前环境下的配置并打印生效值
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  try {
+    console.log(JSON.stringify(describeConfig(await loadConfig()), null, 2));
+  } catch (e) {
+    console.error(e?.message || e);
+    process.exit(1);
+  }
+}
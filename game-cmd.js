@@ -0,0 +1,48 @@
+/**
+ * game_cmd 协议（见 YCY-YOKONEX-OpenSource-main/Instant Messaging/README.md「发送执行指令」）
+ *
+ *   { code: 'game_cmd', id: '<指令ID>', token: '<token>', payload?: { reset_strength?, waveform? } }
+ *
+ * payload 可完全缺省（执行 App 内配置的放电与强度递增）：
+ *  - reset_strength: boolean，为 true 时重置强度递增值，此次指令不放电
+ *  - waveform      : string，App 内置波形名称，不存在时使用游戏配置的波形
+ */
+
+export const GAME_CMD_CODE = 'game_cmd';
+export const STOP_ALL_ID = '_stop_all';
+
+export const CMD_PAYLOAD_FIELDS = {
+  reset_strength: (v) => typeof v === 'boolean' || 'reset_strength 必须是 boolean',
+  waveform: (v) => (typeof v === 'string' && v.trim().length > 0 && v.length <= 64) || 'waveform 必须是 1..64 个字符的字符串',
+};
+
+/**
+ * 校验 game_cmd 的可选 payload；null 与缺省相同。未知字段视为错误（避免 resetStrength 之类的拼写被静默忽略）。
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+export function validateCmdPayload(payload) {
+  if (payload === undefined || payload === null) return { ok: true, errors: [] };
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, errors: ['payload 必须是对象'] };
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(payload)) {
+    const check = CMD_PAYLOAD_FIELDS[key];
+    if (!check) {
+      errors.push(`payload.${key} 不是支持的字段（可选: ${Object.keys(CMD_PAYLOAD_FIELDS).join(', ')}）`);
+      continue;
+    }
+    const res = check(value);
+    if (res !== true) errors.push(`payload.${res}`);
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * 构造 game_cmd；payload 为空对象或缺省时不带 payload 字段。
+ */
+export function buildGameCmd({ id, token, payload }) {
+  const cmd = { code: GAME_CMD_CODE, id: String(id ?? '').trim(), token: String(token || '').trim() };
+  if (payload && Object.keys(payload).length) cmd.payload = { ...payload };
+  return cmd;
+}
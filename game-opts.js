@@ -0,0 +1,96 @@
+/**
+ * game_opts 协议（见 YCY-YOKONEX-OpenSource-main/Instant Messaging/IM_backup.md）
+ *
+ * 多动作形式：
+ *   { code: 'game_opts', actions: [{ type: 'estim', action: 'control_channel', data: { channel, strength, duration_ms } }, ...] }
+ * 单动作形式：
+ *   { code: 'game_opts', type: 'estim', action: 'clear_channel', data: { channel } }
+ *
+ * 校验通过的 payload 原样转发（不重建、不删字段），data 中的扩展字段（waveform、frequency_hz…）保留。
+ */
+
+export const GAME_OPTS_CODE = 'game_opts';
+export const CHANNELS = ['A', 'B', 'AB'];
+export const OPTS_ACTIONS = ['control_channel', 'clear_channel'];
+
+// 默认上限；网关按 config.js 的 commands.optsMaxActions / optsMaxDurationMs 覆盖后传给 validateGameOpts
+export const GAME_OPTS_LIMITS = {
+  maxActions: 8,
+  strengthMin: 0,
+  strengthMax: 100,
+  // duration_ms = 0 表示持续到下一条指令
+  durationMaxMs: 60000,
+};
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function validateAction(act, at, limits, errors) {
+  if (!isPlainObject(act)) {
+    errors.push(`${at} 必须是对象`);
+    return;
+  }
+  if (act.type !== 'estim') errors.push(`${at}.type 必须为 "estim"`);
+  if (!OPTS_ACTIONS.includes(act.action)) {
+    errors.push(`${at}.action 必须是 ${OPTS_ACTIONS.join(' / ')}`);
+    return;
+  }
+  const data = act.data;
+  if (!isPlainObject(data)) {
+    errors.push(`${at}.data 必须是对象`);
+    return;
+  }
+  if (!CHANNELS.includes(data.channel)) errors.push(`${at}.data.channel 必须是 ${CHANNELS.join(' / ')}`);
+  if (act.action !== 'control_channel') return;
+
+  const { strength, duration_ms: durationMs } = data;
+  if (!Number.isInteger(strength) || strength < limits.strengthMin || strength > limits.strengthMax) {
+    errors.push(`${at}.data.strength 必须是 ${limits.strengthMin}..${limits.strengthMax} 的整数`);
+  }
+  if (!Number.isInteger(durationMs) || durationMs < 0 || durationMs > limits.durationMaxMs) {
+    errors.push(`${at}.data.duration_ms 必须是 0..${limits.durationMaxMs} 的整数（0 表示持续到下一条指令）`);
+  }
+}
+
+/**
+ * 校验 game_opts payload。
+ * @returns {{ ok: boolean, errors: string[], actions: object[] }} actions 为归一化后的动作列表（仅供检查，不用于转发）
+ */
+export function validateGameOpts(payload, limits = GAME_OPTS_LIMITS) {
+  const errors = [];
+  if (!isPlainObject(payload)) return { ok: false, errors: ['payload 必须是对象'], actions: [] };
+  if (payload.code !== GAME_OPTS_CODE) errors.push(`code 必须为 "${GAME_OPTS_CODE}"`);
+
+  let actions;
+  // actions: null 与缺省相同（单动作形式）
+  if (payload.actions !== undefined && payload.actions !== null) {
+    if (!Array.isArray(payload.actions) || payload.actions.length === 0) {
+      errors.push('actions 必须是非空数组');
+      actions = [];
+    } else {
+      actions = payload.actions;
+      if (actions.length > limits.maxActions) errors.push(`actions 最多 ${limits.maxActions} 个`);
+    }
+    actions.forEach((act, i) => validateAction(act, `actions[${i}]`, limits, errors));
+  } else {
+    // 单动作形式
+    actions = [{ type: payload.type, action: payload.action, data: payload.data }];
+    validateAction(actions[0], 'payload', limits, errors);
+  }
+
+  return { ok: errors.length === 0, errors, actions };
+}
+
+// ---------- builders ----------
+export function controlChannel(channel, strength, durationMs, extra = {}) {
+  return { type: 'estim', action: 'control_channel', data: { ...extra, channel, strength, duration_ms: durationMs } };
+}
+
+export function clearChannel(channel) {
+  return { type: 'estim', action: 'clear_channel', data: { channel } };
+}
+
+export function buildGameOpts(actions) {
+  return { code: GAME_OPTS_CODE, actions: [...actions] };
+}
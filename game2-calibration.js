@@ -0,0 +1,184 @@
+/**
+ * game2 校准结果套用到其他游戏（网关侧）
+ *
+ * 校准结果来自 game2 profile（game2-api.js getGame2Calibration）：selectedFrequency（偏好档位 1..5）、T_stable / T_guard（秒）。
+ * 会话按 game2Uid（game2Subscribe / game2Link 设置）查找，没有时用登录的 uid。默认只套用 status=complete（已收敛）的结果。
+ *
+ * 对客户端发来的指令（game2 驱动自身的输出不经过这里）：
+ *  - 通用档位：game_opts control_channel 用 data.level（1..5 或 "preferred"）代替 strength，按 game2.drive.levelStrengths 换成强度；
+ *    game_cmd 的 id 为 preferredCommandId（默认 game2_preferred）时换成偏好档位的 levelCommands；
+ *    "preferred" / preferredCommandId 需要校准结果，没有时校验失败；
+ *  - 时长上限（capDuration）：control_channel 的 duration_ms 超过 T_guard 或为 0（持续）时改为 T_guard；
+ *  - 连续输出上限（ContinuousOutputGuard）：只针对不会自行结束的输出（game_opts 的 duration_ms 为 0）——
+ *    从连续输出开始满 T_guard 仍未被停止 / 有时长的指令替换时，网关急停；有时长的输出到时结束，计时随之清除。
+ *    game_cmd 的时长由 App 决定（通常是一次短输出），不计时、不延续连续输出，也不清除已有的计时。
+ */
+
+import { GAME_CMD_CODE } from './game-cmd.js';
+import { GAME_OPTS_CODE } from './game-opts.js';
+import { isStopPayload } from './safety-policy.js';
+
+export const PREFERRED_LEVEL = 'preferred';
+
+/**
+ * 可套用的校准结果；未完成 / 未收敛（acceptWarning=false 时）的返回 null。
+ */
+export function usableCalibration(calibration, { acceptWarning = false } = {}) {
+  if (!calibration) return null;
+  if (calibration.status === 'complete') return calibration;
+  if (acceptWarning && calibration.status === 'complete_with_warning') return calibration;
+  return null;
+}
+
+// T_guard（秒）-> 毫秒；没有时为 null
+export function guardMsOf(calibration) {
+  const sec = Number(calibration?.T_guard);
+  return sec > 0 ? Math.round(sec * 1000) : null;
+}
+
+function resolveLevel(level, calibration, at, errors) {
+  if (level === PREFERRED_LEVEL) {
+    if (calibration?.selectedFrequency == null) {
+      errors.push(`${at} 为 "${PREFERRED_LEVEL}"，但没有可用的 game2 校准结果（selectedFrequency）`);
+      return null;
+    }
+    return Number(calibration.selectedFrequency);
+  }
+  if (!Number.isInteger(level) || level < 1 || level > 5) {
+    errors.push(`${at} 必须是 1..5 或 "${PREFERRED_LEVEL}"`);
+    return null;
+  }
+  return level;
+}
+
+function calibrateAction(act, at, calibration, options, applied, errors) {
+  if (act?.action !== 'control_channel' || !act.data || typeof act.data !== 'object') return act;
+  let data = act.data;
+  if (data.level !== undefined) {
+    if (data.strength !== undefined) {
+      errors.push(`${at}.data.level 与 strength 只能二选一`);
+      return act;
+    }
+    const level = resolveLevel(data.level, calibration, `${at}.data.level`, errors);
+    if (level == null) return act;
+    const { level: _generic, ...rest } = data;
+    data = { ...rest, strength: options.drive.levelStrengths[level - 1] };
+    applied.push(`${at}: level ${JSON.stringify(act.data.level)} -> 档位 ${level}（strength ${data.strength}）`);
+  }
+  const guardMs = options.capDuration ? guardMsOf(calibration) : null;
+  if (guardMs && Number.isInteger(data.duration_ms) && (data.duration_ms === 0 || data.duration_ms > guardMs)) {
+    applied.push(`${at}: duration_ms ${data.duration_ms} -> ${guardMs}（T_guard）`);
+    data = { ...data, duration_ms: guardMs };
+  }
+  return data === act.data ? act : { ...act, data };
+}
+
+/**
+ * 按校准结果改写指令。没有改动时原样返回 payload（同一个对象）。
+ * @param {object} payload game_cmd / game_opts
+ * @param {object|null} calibration usableCalibration 之后的校准结果
+ * @param {{ drive: object, capDuration: boolean, preferredCommandId: string }} options
+ * @returns {{ payload: object, applied: string[], errors: string[] }}
+ */
+export function applyCalibration(payload, calibration, options) {
+  const applied = [];
+  const errors = [];
+  if (!payload || typeof payload !== 'object') return { payload, applied, errors };
+
+  if (payload.code === GAME_CMD_CODE) {
+    if (String(payload.id ?? '').trim() !== options.preferredCommandId) return { payload, applied, errors };
+    const level = resolveLevel(PREFERRED_LEVEL, calibration, 'id', errors);
+    if (level == null) return { payload, applied, errors };
+    const id = options.drive.levelCommands[level - 1];
+    applied.push(`id ${options.preferredCommandId} -> ${id}（档位 ${level}）`);
+    return { payload: { ...payload, id }, applied, errors };
+  }
+
+  if (payload.code === GAME_OPTS_CODE) {
+    if (Array.isArray(payload.actions)) {
+      const actions = payload.actions.map((act, i) => calibrateAction(act, `actions[${i}]`, calibration, options, applied, errors));
+      return { payload: applied.length ? { ...payload, actions } : payload, applied, errors };
+    }
+    // 单动作形式
+    const act = calibrateAction(payload, 'payload', calibration, options, applied, errors);
+    return { payload: act, applied, errors };
+  }
+
+  return { payload, applied, errors };
+}
+
+/**
+ * 指令发出后的输出时长（新指令替换之前的输出）：0 = 没有输出（停止类 / 强度 0），
+ * Infinity = 持续到下一条指令（duration_ms 为 0 或缺省），null = 时长未知（game_cmd，由 App 决定），否则为毫秒（多动作取最长）。
+ */
+export function outputSpanMs(payload) {
+  if (!payload || typeof payload !== 'object' || isStopPayload(payload)) return 0;
+  if (payload.code === GAME_CMD_CODE) return null;
+  if (payload.code !== GAME_OPTS_CODE) return 0;
+  const actions = Array.isArray(payload.actions) ? payload.actions : [payload];
+  let span = 0;
+  for (const act of actions) {
+    if (act?.action !== 'control_channel' || !(Number(act.data?.strength) > 0)) continue;
+    const durationMs = Number(act.data?.duration_ms);
+    span = Math.max(span, durationMs > 0 ? durationMs : Infinity);
+  }
+  return span;
+}
+
+/**
+ * 连续输出上限：按网关会话跟踪最近一条指令的输出。
+ *  - 持续输出（outputSpanMs 为 Infinity）：从连续输出开始（上一段输出未结束时沿用它的开始时间）满 guardMs 调用 onExpire(session, { startedAt, guardMs })；
+ *  - 有时长的输出：不急停，到时清除记录；期间的新指令视为连续输出；
+ *  - 时长未知（game_cmd）：不改动记录——不开始计时，已有的计时照常进行；
+ *  - 停止类指令 / 没有 guardMs（未校准、game2 自身输出）：清除。
+ * onExpire 可以是 async，抛错 / reject 交给 onError(error, session)。
+ */
+export class ContinuousOutputGuard {
+  constructor({ onExpire, onError = null }) {
+    this.onExpire = onExpire;
+    this.onError = onError;
+    // 网关会话 id -> { timer, startedAt, endsAt（null = 持续）, guardMs }
+    this.active = new Map();
+  }
+
+  note(session, payload, guardMs, now = Date.now()) {
+    const span = outputSpanMs(payload);
+    if (span === null && guardMs) return;
+    if (!span || !guardMs) {
+      this.clear(session);
+      return;
+    }
+    const prev = this.active.get(session.id);
+    const continuing = prev && (prev.endsAt === null || prev.endsAt > now);
+    const entry = { timer: null, startedAt: continuing ? prev.startedAt : now, endsAt: span === Infinity ? null : now + span, guardMs };
+    if (prev) clearTimeout(prev.timer);
+    entry.timer = entry.endsAt === null
+      ? setTimeout(() => this._expire(session, entry), Math.max(0, entry.startedAt + guardMs - now))
+      : setTimeout(() => this._drop(session, entry), span);
+    entry.timer.unref?.();
+    this.active.set(session.id, entry);
+  }
+
+  _drop(session, entry) {
+    if (this.active.get(session.id) === entry) this.active.delete(session.id);
+  }
+
+  _expire(session, entry) {
+    this._drop(session, entry);
+    Promise.resolve()
+      .then(() => this.onExpire(session, { startedAt: entry.startedAt, guardMs: entry.guardMs }))
+      .catch((e) => this.onError?.(e, session));
+  }
+
+  clear(session) {
+    const entry = this.active.get(session.id);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.active.delete(session.id);
+  }
+
+  clearAll() {
+    for (const entry of this.active.values()) clearTimeout(entry.timer);
+    this.active.clear();
+  }
+}
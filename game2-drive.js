@@ -0,0 +1,152 @@
+/**
+ * game2 驱动设备（网关侧）
+ *
+ * game2 uid 关联到一个已登录 IM 的网关会话（WS 会话 / HTTP 会话）后，按 game2 的步骤变化（game2-api.js onGame2Step）输出：
+ *  - 流程A 每个档位进入 adapt 时输出该档位，evaluate 期间持续；
+ *  - 流程B 每轮 round 开始时按最终选择的档位输出，直到寸止；
+ *  - 离开输出步骤（score / rest / select / round_rest）时发送停止（opts 为 clear_channel，cmd 为 _stop_all）；
+ *  - 会话 interrupted / 结束时走急停（重发直到回执），每次输出之后只急停一次。
+ *
+ * 档位输出（game2.drive.*）：
+ *  - mode=opts：game_opts control_channel，strength = levelStrengths[档位 - 1]，round 的 duration_ms 为安全期限（deadlineAt - startedAt），
+ *    档位为 levelOutputMs；网关失联时设备到时自行停止；
+ *  - mode=cmd ：game_cmd，id = levelCommands[档位 - 1]（App「开发游戏」里配置的指令）。
+ *
+ * 关联时正在进行的输出步骤不会补发（中途开始的测量无效），从下一步开始驱动。
+ * 同一 uid 的步骤按到达顺序串行处理；发送 / 安全策略失败时调用 onFailure（网关据此中断 game2 会话）。
+ */
+
+import { STOP_ALL_ID, buildGameCmd } from './game-cmd.js';
+import { buildGameOpts, clearChannel, controlChannel } from './game-opts.js';
+
+export const GAME2_OUTPUT_PHASES = ['adapt', 'round'];
+
+/**
+ * 步骤对应的动作：{ kind: 'output', payload, level } | { kind: 'stop', payload } | { kind: 'estop' } | null（不需要动作）。
+ */
+export function game2Action(event, drive, token) {
+  const { status, step } = event;
+  if (status !== 'active') return { kind: 'estop' };
+  if (!step) return null;
+  if (step.phase === 'evaluate') return null;
+  if (!GAME2_OUTPUT_PHASES.includes(step.phase)) {
+    const payload = drive.mode === 'cmd'
+      ? buildGameCmd({ id: STOP_ALL_ID, token })
+      : buildGameOpts([clearChannel(drive.channel)]);
+    return { kind: 'stop', payload };
+  }
+
+  const level = step.phase === 'adapt' ? step.level : event.selectedFrequency;
+  const index = Number(level) - 1;
+  if (!(index >= 0)) return null;
+  if (drive.mode === 'cmd') {
+    return { kind: 'output', level, payload: buildGameCmd({ id: drive.levelCommands[index], token }) };
+  }
+  const durationMs = step.phase === 'round' && step.deadlineAt != null
+    ? step.deadlineAt - step.startedAt
+    : drive.levelOutputMs;
+  return { kind: 'output', level, payload: buildGameOpts([controlChannel(drive.channel, drive.levelStrengths[index], durationMs)]) };
+}
+
+export class Game2Driver {
+  /**
+   * @param {object} options
+   * @param {object} options.drive config.js 的 game2.drive
+   * @param {(session, payload, meta) => Promise<void>} options.send 发送档位输出 / 停止（失败时抛错，含安全策略拒绝）
+   * @param {(session, meta) => Promise<{ ok: boolean, message?: string }>} options.estop 急停（interrupted / 结束）
+   * @param {(link, event, error) => void} [options.onFailure]
+   */
+  constructor({ drive, send, estop, onFailure = null }) {
+    this.drive = drive;
+    this.send = send;
+    this.estop = estop;
+    this.onFailure = onFailure;
+    // game2 uid -> { uid, session, sessionId（最近一次步骤的 game2 会话）, linkedAt, lastStepKey, output: 'idle' | 'on' | 'stopped' | 'estopped', chain }
+    this.links = new Map();
+  }
+
+  link(uid, session) {
+    const prev = this.links.get(uid);
+    const link = { uid, session, sessionId: null, linkedAt: Date.now(), lastStepKey: null, output: 'idle', chain: prev?.chain || Promise.resolve() };
+    this.links.set(uid, link);
+    return link;
+  }
+
+  // 解除关联，返回被解除的 link（没有时为 null）；是否急停由调用方按 link.output 决定
+  unlink(uid) {
+    const link = this.links.get(uid) || null;
+    this.links.delete(uid);
+    return link;
+  }
+
+  // 网关会话释放时解除其全部关联，返回被解除的 link 列表
+  unlinkSession(session) {
+    const removed = [];
+    for (const [uid, link] of this.links) {
+      if (link.session !== session) continue;
+      this.links.delete(uid);
+      removed.push(link);
+    }
+    return removed;
+  }
+
+  linkOf(uid) {
+    return this.links.get(uid) || null;
+  }
+
+  describe(link) {
+    if (!link) return null;
+    return {
+      uid: link.uid,
+      gatewaySessionId: link.session.id,
+      kind: link.session.kind,
+      game2SessionId: link.sessionId,
+      linkedAt: link.linkedAt,
+      output: link.output,
+      mode: this.drive.mode,
+    };
+  }
+
+  /**
+   * 处理一次步骤变化（未关联的 uid 忽略）；返回本次处理的 Promise（便于测试 / 关停时等待）。
+   */
+  handleStep(event) {
+    const link = this.links.get(event.uid);
+    if (!link) return Promise.resolve();
+    link.chain = link.chain.then(() => this._apply(link, event)).catch(() => {});
+    return link.chain;
+  }
+
+  async _apply(link, event) {
+    if (this.links.get(link.uid) !== link) return;
+    const key = `${event.sessionId}:${event.step?.id}:${event.status}`;
+    if (link.lastStepKey === key) return;
+    const first = link.lastStepKey === null;
+    link.lastStepKey = key;
+    link.sessionId = event.sessionId;
+
+    const action = game2Action(event, this.drive, link.session.token);
+    if (!action) return;
+    const meta = { uid: link.uid, sessionId: event.sessionId, phase: event.step?.phase ?? null, status: event.status };
+    try {
+      if (action.kind === 'output') {
+        // 关联时已在进行中的步骤不补发
+        if (first && event.step.startedAt < link.linkedAt) return;
+        // 先置为 on：发送结果不确定时后续仍会停止
+        link.output = 'on';
+        await this.send(link.session, action.payload, { ...meta, level: action.level });
+      } else if (action.kind === 'stop') {
+        if (link.output !== 'on') return;
+        link.output = 'stopped';
+        await this.send(link.session, action.payload, meta);
+      } else {
+        if (link.output === 'estopped') return;
+        link.output = 'estopped';
+        const result = await this.estop(link.session, meta);
+        if (!result?.ok) throw new Error(result?.message || '急停未确认');
+      }
+    } catch (e) {
+      this.onFailure?.(link, event, e);
+    }
+  }
+}
@@ -1,16 +1,25 @@
 import path from 'path';
-import { promises as fs } from 'fs';
-import { execFile } from 'child_process';
-import { promisify } from 'util';
-
-const execFileAsync = promisify(execFile);
+import { Game2Store } from './game2-store.js';
+import { DOC_SCHEMA_VERSION, upgradeProfile, upgradeState } from './game2-migrations.js';
+import {
+  advanceFlow,
+  applyFlowAction,
+  describeStep,
+  expectedAction,
+  finishFlow,
+  nextWakeAt,
+  resumeFlow,
+  startFlow,
+} from './game2-flow.js';
 
 export const config = {
   basePath: '/api/game2',
-  schemaVersion: 1,
+  schemaVersion: DOC_SCHEMA_VERSION,
   gameVersion: '1.0.0',
   dbPath: path.resolve(process.cwd(), 'game2_cunzhi', 'data', 'game2.sqlite'),
   dataDir: path.resolve(process.cwd(), 'game2_cunzhi', 'data'),
+  // false：有待执行迁移时拒绝启动，由运维先 npm run migrate:game2（可先 --dry-run）
+  autoMigrate: true,
   statuses: {
     active: 'active',
     paused: 'paused',
@@ -80,10 +89,13 @@ function makeDefaultState(uid, sessionId) {
       T_guard: null,
       warning: null,
     },
+    // 服务端流程步骤（game2-flow.js），由 startFlow 设置
+    step: null,
     safety: {
       safetyTimeoutSec: config.safety.safetyTimeoutSec,
       interruptedByVisibility: false,
       interruptedByApi: false,
+      interruptedBySafetyTimeout: false,
     },
   };
 }
@@ -98,10 +110,10 @@ function makeDefaultProfile(uid) {
   };
 }
 
+// 旧版本的 state / profile 先经 game2-migrations.js 的升级链到当前版本，再补默认值
 function normalizeState(obj, uid, sessionId) {
   const base = makeDefaultState(uid, sessionId);
-  const next = { ...base, ...(obj || {}) };
-  next.schemaVersion = config.schemaVersion;
+  const next = { ...base, ...(obj ? upgradeState(obj) : {}) };
   next.gameVersion = config.gameVersion;
   next.uid = uid || next.uid;
   next.sessionId = sessionId || next.sessionId;
@@ -135,141 +147,178 @@ function normalizeState(obj, uid, sessionId) {
 
 function normalizeProfile(obj, uid) {
   const base = makeDefaultProfile(uid);
-  const next = { ...base, ...(obj || {}) };
-  next.schemaVersion = config.schemaVersion;
+  const next = { ...base, ...(obj ? upgradeProfile(obj) : {}) };
   next.gameVersion = config.gameVersion;
   next.uid = uid || next.uid;
   return next;
 }
 
-function median(nums) {
-  const arr = [...nums].sort((a, b) => a - b);
-  const mid = Math.floor(arr.length / 2);
-  if (!arr.length) return null;
-  return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
+// 存储（game2-store.js）：applyGame2Routes 时按 config.dbPath 打开
+let store = null;
+
+// 本事务内保存过的会话 state：提交后据此重排计时器并推送步骤变化（回滚时丢弃）
+let savedInTx = [];
+
+function saveSession(row, state) {
+  store.saveSession({ ...row, status: state.status, state_json: JSON.stringify(state), updated_at: nowTs() });
+  savedInTx.push(state);
 }
 
-function evalConvergence(rounds) {
-  if (rounds.length < config.flow.tolerance.stableWindow) {
-    return { converged: false, T_stable: null, T_guard: null };
-  }
-  const recent = rounds.slice(-config.flow.tolerance.stableWindow);
-  const med = median(recent);
-  const max = Math.max(...recent);
-  const min = Math.min(...recent);
-  const converged = (max - min) <= config.flow.tolerance.convergeRatio * med;
-  return {
-    converged,
-    T_stable: med,
-    T_guard: Number((config.flow.tolerance.guardRatio * med).toFixed(4)),
+function saveProfile(uid, profile) {
+  store.saveProfile({ uid, profile, schemaVersion: config.schemaVersion, gameVersion: config.gameVersion });
+}
+
+/**
+ * 路由处理放在一个写事务里执行（state_json 的读-改-写不会与并发请求交错）；handler 同步返回 [httpStatus, body]。
+ */
+function transactional(handler) {
+  return (req, res) => {
+    const [status, body] = inTransaction(() => handler(req));
+    res.status(status).json(body);
   };
 }
 
-function quote(v) {
-  if (v == null) return 'NULL';
-  const s = String(v).replace(/'/g, "''");
-  return `'${s}'`;
+// 在写事务中执行 fn；提交后对保存过的会话重排计时器并推送步骤变化
+function inTransaction(fn) {
+  savedInTx = [];
+  let result;
+  try {
+    result = store.transaction(fn);
+  } catch (e) {
+    savedInTx = [];
+    throw e;
+  }
+  const saved = savedInTx;
+  savedInTx = [];
+  saved.forEach(afterSave);
+  return result;
 }
 
-async function runSql(dbPath, sql) {
-  await execFileAsync('sqlite3', [dbPath, sql]);
+// ---------- 步骤计时器与推送 ----------
+const stepTimers = new Map(); // sessionId -> timeout
+const lastPushed = new Map(); // sessionId -> `${step.id}:${status}`
+const stepListeners = new Set();
+
+/**
+ * 订阅步骤变化（网关通过 WS 推送 game2Step）：fn({ uid, sessionId, status, step })。返回取消订阅函数。
+ */
+export function onGame2Step(fn) {
+  stepListeners.add(fn);
+  return () => stepListeners.delete(fn);
 }
 
-async function getSql(dbPath, sql) {
-  const { stdout } = await execFileAsync('sqlite3', ['-json', dbPath, sql]);
-  const arr = JSON.parse(stdout || '[]');
-  return arr[0] || null;
+function scheduleStep(state) {
+  const { sessionId } = state;
+  clearTimeout(stepTimers.get(sessionId));
+  stepTimers.delete(sessionId);
+  const at = nextWakeAt(state, config);
+  if (at == null) return;
+  const timer = setTimeout(() => tickSession(sessionId), Math.max(0, at - nowTs()));
+  timer.unref?.();
+  stepTimers.set(sessionId, timer);
 }
 
-async function allSql(dbPath, sql) {
-  const { stdout } = await execFileAsync('sqlite3', ['-json', dbPath, sql]);
-  return JSON.parse(stdout || '[]');
+/**
+ * 网关侧中断会话（设备输出失败 / 关联的网关会话断开），与 progress action=interrupted 相同；会话不是 active 时不变。
+ */
+export function interruptGame2Session(uid, sessionId, reason) {
+  if (!store) return false;
+  return inTransaction(() => {
+    const row = store.getSession(sessionId);
+    if (!row || row.uid !== uid) return false;
+    const { state } = loadState(row, uid, sessionId);
+    if (state.status !== config.statuses.active) return false;
+    state.status = config.statuses.interrupted;
+    state.safety.interruptedByApi = true;
+    saveSession(row, state);
+    store.appendEvent({ sessionId, uid, type: 'interrupted', payload: { by: 'gateway', reason } });
+    return true;
+  });
 }
 
-async function initDb() {
-  await fs.mkdir(config.dataDir, { recursive: true });
-  const ddl = `
-CREATE TABLE IF NOT EXISTS sessions(
-  id TEXT PRIMARY KEY,
-  uid TEXT,
-  game TEXT,
-  status TEXT,
-  state_json TEXT,
-  schema_version INTEGER,
-  game_version TEXT,
-  created_at INTEGER,
-  updated_at INTEGER
-);
-CREATE TABLE IF NOT EXISTS events(
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  session_id TEXT,
-  uid TEXT,
-  type TEXT,
-  payload_json TEXT,
-  ts INTEGER
-);
-CREATE TABLE IF NOT EXISTS profiles(
-  uid TEXT PRIMARY KEY,
-  profile_json TEXT,
-  schema_version INTEGER,
-  game_version TEXT,
-  updated_at INTEGER
-);
-CREATE INDEX IF NOT EXISTS idx_sessions_uid ON sessions(uid);
-CREATE INDEX IF NOT EXISTS idx_events_session ON events(session_id);
-`;
-  await runSql(config.dbPath, ddl);
+/**
+ * uid 当前未结束会话的步骤（WS 订阅时回复）；没有时为 null。
+ */
+export function getGame2Step(uid) {
+  if (!store) return null;
+  return inTransaction(() => {
+    const row = store.getActiveSession(uid);
+    if (!row) return null;
+    const { state, advanced } = loadState(row, uid, row.id);
+    if (advanced) saveStep(row, state, 'poll');
+    return { uid, sessionId: row.id, status: state.status, step: describeStep(state, nowTs()) };
+  });
 }
 
-async function getSessionById(sessionId) {
-  return getSql(config.dbPath, `SELECT * FROM sessions WHERE id=${quote(sessionId)} LIMIT 1;`);
+// profile.latestResult 中供其他游戏使用的校准结果
+function calibrationOf(profile) {
+  const result = profile.latestResult;
+  if (!result) return null;
+  return {
+    uid: profile.uid,
+    sessionId: profile.latestSessionId,
+    status: result.status,
+    selectedFrequency: result.flowA?.selectedFrequency ?? null,
+    T_stable: result.flowB?.T_stable ?? null,
+    T_guard: result.flowB?.T_guard ?? null,
+    converged: !!result.flowB?.converged,
+    completedAt: result.completedAt ?? null,
+  };
 }
 
-async function getActiveSession(uid) {
-  return getSql(
-    config.dbPath,
-    `SELECT * FROM sessions WHERE uid=${quote(uid)} AND status NOT IN ('complete','aborted','complete_with_warning') ORDER BY updated_at DESC LIMIT 1;`,
-  );
+/**
+ * uid 最近一次结束的 game2 校准结果（网关套用到其他游戏的指令，见 game2-calibration.js）；没有时为 null。
+ */
+export function getGame2Calibration(uid) {
+  if (!store || !uid) return null;
+  const row = store.getProfile(uid);
+  if (!row) return null;
+  return calibrationOf(normalizeProfile(JSON.parse(row.profile_json || '{}'), uid));
 }
 
-async function persistSession(record) {
-  const sql = `
-INSERT INTO sessions(id, uid, game, status, state_json, schema_version, game_version, created_at, updated_at)
-VALUES(${quote(record.id)}, ${quote(record.uid)}, ${quote(record.game)}, ${quote(record.status)}, ${quote(record.state_json)}, ${record.schema_version}, ${quote(record.game_version)}, ${record.created_at}, ${record.updated_at})
-ON CONFLICT(id) DO UPDATE SET
-  uid=excluded.uid,
-  game=excluded.game,
-  status=excluded.status,
-  state_json=excluded.state_json,
-  schema_version=excluded.schema_version,
-  game_version=excluded.game_version,
-  updated_at=excluded.updated_at;
-`;
-  await runSql(config.dbPath, sql);
+function afterSave(state) {
+  scheduleStep(state);
+  const key = `${state.step?.id}:${state.status}`;
+  if (lastPushed.get(state.sessionId) === key) return;
+  if (TERMINAL_STATUS.has(state.status)) lastPushed.delete(state.sessionId);
+  else lastPushed.set(state.sessionId, key);
+  const event = {
+    uid: state.uid,
+    sessionId: state.sessionId,
+    status: state.status,
+    step: describeStep(state, nowTs()),
+    selectedFrequency: state.flowA.selectedFrequency,
+  };
+  for (const fn of stepListeners) {
+    try {
+      fn(event);
+    } catch {
+      // 推送失败不影响流程
+    }
+  }
 }
 
-async function appendEvent({ sessionId, uid, type, payload }) {
-  const sql = `INSERT INTO events(session_id, uid, type, payload_json, ts)
-VALUES(${quote(sessionId)}, ${quote(uid)}, ${quote(type)}, ${quote(JSON.stringify(payload || {}))}, ${nowTs()});`;
-  await runSql(config.dbPath, sql);
+// 定时步骤到点：在事务里推进并保存，提交后推送
+function tickSession(sessionId) {
+  stepTimers.delete(sessionId);
+  if (!store) return;
+  inTransaction(() => {
+    const row = store.getSession(sessionId);
+    if (!row) return;
+    const { state, advanced } = loadState(row, row.uid, sessionId);
+    if (advanced) saveStep(row, state, 'timer');
+  });
 }
 
-async function getProfile(uid) {
-  return getSql(config.dbPath, `SELECT * FROM profiles WHERE uid=${quote(uid)} LIMIT 1;`);
+// 读出会话并按服务端时间推进；advanced=true 时调用方需在本事务内保存
+function loadState(row, uid, sessionId) {
+  const state = normalizeState(JSON.parse(row.state_json || '{}'), uid, sessionId);
+  return { state, advanced: advanceFlow(state, nowTs(), config) };
 }
 
-async function persistProfile(uid, profile) {
-  const ts = nowTs();
-  const sql = `
-INSERT INTO profiles(uid, profile_json, schema_version, game_version, updated_at)
-VALUES(${quote(uid)}, ${quote(JSON.stringify(profile))}, ${config.schemaVersion}, ${quote(config.gameVersion)}, ${ts})
-ON CONFLICT(uid) DO UPDATE SET
-  profile_json=excluded.profile_json,
-  schema_version=excluded.schema_version,
-  game_version=excluded.game_version,
-  updated_at=excluded.updated_at;
-`;
-  await runSql(config.dbPath, sql);
+function saveStep(row, state, by) {
+  saveSession(row, state);
+  store.appendEvent({ sessionId: row.id, uid: row.uid, type: 'step', payload: { by, status: state.status, step: state.step } });
 }
 
 function ensureUidSession(body = {}) {
@@ -290,52 +339,259 @@ function markIdempotent(state, type, seq) {
   state.seqState.maxSeq = Math.max(state.seqState.maxSeq, seq);
 }
 
-export async function applyGame2Routes(app) {
-  await initDb();
+// 路由说明（网关 /api/spec 生成 OpenAPI 时使用，见 api-spec.js）。
+// access：read 只读；write 改动 uid 的会话 / profile，关联了网关会话的 uid 会因此驱动设备。网关按它鉴权（applyGame2Routes 的 guard）
+const g2Fail = { type: 'object', properties: { ok: { const: false }, message: { type: 'string' } }, required: ['ok'] };
+const g2Body = (properties, required = ['uid', 'sessionId']) => ({
+  type: 'object',
+  properties: { uid: { type: 'string' }, sessionId: { type: 'string' }, seq: { type: 'integer', description: '幂等序号，重复 / 过旧的请求不会重复生效' }, ...properties },
+  required,
+});
+const g2Ok = (properties = {}, required = []) => ({ type: 'object', properties: { ok: { const: true }, ...properties }, required: ['ok', ...required] });
+const g2State = { type: 'object', description: 'game2 会话状态（flowA / flowB / step / safety / seqState）' };
+const g2Step = {
+  type: ['object', 'null'],
+  description: '服务端流程步骤（game2-flow.js）：时间为服务端毫秒时间戳；remainingMs 后步骤自动推进，expects 为当前接受的 action',
+  properties: {
+    id: { type: 'integer' },
+    phase: { enum: ['adapt', 'evaluate', 'score', 'rest', 'select', 'round', 'round_rest', 'done'] },
+    flow: { enum: ['A', 'B', null] },
+    level: { type: ['integer', 'null'] },
+    round: { type: ['integer', 'null'] },
+    startedAt: { type: ['integer', 'null'] },
+    endsAt: { type: ['integer', 'null'] },
+    deadlineAt: { type: ['integer', 'null'] },
+    expects: { enum: ['frequency_score', 'frequency_select', 'tolerance_stop', null] },
+    serverTime: { type: 'integer' },
+    remainingMs: { type: ['integer', 'null'] },
+    deadlineInMs: { type: ['integer', 'null'] },
+  },
+};
+const g2Calibration = {
+  type: ['object', 'null'],
+  description: '最近一次结束会话的校准结果（/session/complete 写入）',
+  properties: {
+    uid: { type: 'string' },
+    sessionId: { type: ['string', 'null'] },
+    status: { type: 'string' },
+    selectedFrequency: { type: ['integer', 'null'] },
+    T_stable: { type: ['number', 'null'] },
+    T_guard: { type: ['number', 'null'] },
+    converged: { type: 'boolean' },
+    completedAt: { type: ['integer', 'null'] },
+  },
+};
+const g2OutOfOrder = {
+  type: 'object',
+  properties: { ok: { const: false }, code: { enum: ['out_of_order', 'session_not_active', 'session_finished'] }, expected: { type: ['string', 'null'] }, status: { type: 'string' }, step: g2Step, message: { type: 'string' } },
+  required: ['ok', 'code'],
+};
+
+export const game2RouteDocs = {
+  [`GET ${config.basePath}/session/active`]: {
+    tag: 'game2',
+    access: 'read',
+    summary: '查询 uid 未完成的会话（没有时 session=null）',
+    query: { uid: { type: 'string' } },
+    responses: { 200: g2Ok({ session: { type: ['object', 'null'] }, step: g2Step }, ['session']), 400: g2Fail },
+  },
+  [`GET ${config.basePath}/session/step`]: {
+    tag: 'game2',
+    access: 'read',
+    summary: '当前流程步骤（按服务端时间推进后返回）；步骤变化也会通过 WS game2Step 推送',
+    query: { uid: { type: 'string' }, sessionId: { type: 'string' } },
+    responses: { 200: g2Ok({ sessionId: { type: 'string' }, status: { enum: Object.values(config.statuses) }, step: g2Step }, ['step']), 400: g2Fail, 404: g2Fail },
+  },
+  [`GET ${config.basePath}/profile`]: {
+    tag: 'game2',
+    access: 'read',
+    summary: 'uid 的 profile 与校准结果（selectedFrequency / T_stable / T_guard）；soft reset 后 calibration=null',
+    query: { uid: { type: 'string' } },
+    responses: { 200: g2Ok({ uid: { type: 'string' }, profile: { type: 'object' }, calibration: g2Calibration }, ['uid', 'profile', 'calibration']), 400: g2Fail, 404: g2Fail },
+  },
+  [`POST ${config.basePath}/session/start`]: {
+    tag: 'game2',
+    access: 'write',
+    summary: '开始或恢复会话（服务端从流程A第一档开始计时；恢复时重新开始当前步骤）；已有其他未完成会话或会话已结束时 409',
+    body: g2Body({}),
+    responses: {
+      200: g2Ok({ sessionId: { type: 'string' }, created: { type: 'boolean' }, resumed: { type: 'boolean' }, idempotent: { type: 'boolean' }, dropped: { type: 'boolean' }, state: g2State, step: g2Step }),
+      400: g2Fail,
+      409: {
+        anyOf: [
+          { type: 'object', properties: { ok: { const: false }, conflict: { const: true }, activeSessionId: { type: 'string' }, message: { type: 'string' } }, required: ['ok', 'conflict'] },
+          g2OutOfOrder,
+        ],
+      },
+    },
+  },
+  [`POST ${config.basePath}/session/progress`]: {
+    tag: 'game2',
+    access: 'write',
+    summary: '上报用户操作：frequency_score / frequency_select / tolerance_stop 须与当前步骤的 expects 一致，否则 409；interrupted 任何时候可报',
+    body: g2Body({
+      action: { enum: ['frequency_score', 'frequency_select', 'tolerance_stop', 'interrupted'] },
+      level: { type: 'integer' },
+      score: { type: 'integer' },
+      selectedFrequency: { type: 'integer' },
+      elapsedSec: { type: 'number', description: '仅记录（clientElapsedSec），轮次用时由服务端按步骤开始时间计算' },
+      byVisibility: { type: 'boolean' },
+      byApi: { type: 'boolean' },
+    }, ['uid', 'sessionId', 'action']),
+    responses: { 200: g2Ok({ sessionId: { type: 'string' }, status: { enum: Object.values(config.statuses) }, state: g2State, step: g2Step }), 400: g2Fail, 404: g2Fail, 409: g2OutOfOrder },
+  },
+  [`POST ${config.basePath}/event`]: {
+    tag: 'game2',
+    access: 'write',
+    summary: '记录自定义事件',
+    body: g2Body({ type: { type: 'string' }, payload: { type: 'object' } }),
+    responses: { 200: g2Ok(), 400: g2Fail, 404: g2Fail },
+  },
+  [`POST ${config.basePath}/session/complete`]: {
+    tag: 'game2',
+    access: 'write',
+    summary: '结束会话并写入 profile（快速 ACK）；流程未在服务端结束时一律记为 complete_with_warning',
+    body: g2Body({ status: { enum: [config.statuses.complete, config.statuses.completeWithWarning] } }),
+    responses: { 200: g2Ok({ ack: { type: 'boolean' }, status: { enum: Object.values(config.statuses) }, flowB: { type: 'object' } }), 400: g2Fail, 404: g2Fail },
+  },
+  [`POST ${config.basePath}/user/reset`]: {
+    tag: 'game2',
+    access: 'write',
+    summary: 'soft：中止未完成会话并清空最近结果；hard：中止未完成会话（关联的设备急停）后删除该 uid 全部数据',
+    body: { type: 'object', properties: { uid: { type: 'string' }, mode: { enum: ['soft', 'hard'] } }, required: ['uid'] },
+    responses: { 200: g2Ok({ mode: { type: 'string' }, abortedSessionId: { type: ['string', 'null'] }, removedAll: { type: 'boolean' } }), 400: g2Fail },
+  },
+  [`GET ${config.basePath}/debug/events`]: {
+    tag: 'game2',
+    access: 'read',
+    summary: '（调试）会话事件列表',
+    query: { sessionId: { type: 'string' } },
+    responses: { 200: g2Ok({ events: { type: 'array', items: { type: 'object' } } }, ['events']), 400: g2Fail },
+  },
+};
+
+/**
+ * 各状态的会话数（供网关 /metrics 使用）：{ active: 2, complete: 10, ... }
+ */
+export async function countSessionsByStatus() {
+  return store ? store.countSessionsByStatus() : {};
+}
+
+/**
+ * 用网关配置（config.js 的 game2.*）覆盖默认值：dbPath（数据目录随之变化）、autoMigrate、safetyTimeoutSec 与流程参数。
+ */
+export function configureGame2({ dbPath, autoMigrate, safetyTimeoutSec, frequency = {}, tolerance = {} } = {}) {
+  if (dbPath) {
+    config.dbPath = dbPath;
+    config.dataDir = path.dirname(dbPath);
+  }
+  if (autoMigrate !== undefined) config.autoMigrate = autoMigrate;
+  if (safetyTimeoutSec !== undefined) config.safety.safetyTimeoutSec = safetyTimeoutSec;
+  Object.assign(config.flow.frequency, frequency);
+  Object.assign(config.flow.tolerance, tolerance);
+  return config;
+}
+
+/**
+ * 关闭数据库（网关关停时调用，WAL 落盘）。
+ */
+export function closeGame2Store() {
+  for (const timer of stepTimers.values()) clearTimeout(timer);
+  stepTimers.clear();
+  store?.close();
+  store = null;
+}
 
-  app.get(`${config.basePath}/session/active`, async (req, res) => {
+/**
+ * 打开数据库（执行迁移）并注册路由；返回 { migrations }（game2-migrations.js migrate() 的结果），供网关记录日志。
+ * guard(doc)：按路由说明（game2RouteDocs，含 access）返回放在处理函数之前的 Express 中间件（网关鉴权）；不传时不鉴权。
+ */
+export async function applyGame2Routes(app, options = null, { guard = null } = {}) {
+  if (options) configureGame2(options);
+  const guarded = (method, subPath) => (guard ? [guard(game2RouteDocs[`${method} ${config.basePath}${subPath}`])] : []);
+  store = new Game2Store(config.dbPath, { terminalStatuses: [...TERMINAL_STATUS] });
+  let migrations;
+  try {
+    migrations = await store.init({ autoMigrate: config.autoMigrate });
+  } catch (e) {
+    closeGame2Store();
+    throw e;
+  }
+
+  // 重启前未结束的会话：恢复定时推进
+  for (const row of store.listSessionsByStatus(config.statuses.active)) {
+    try {
+      scheduleStep(normalizeState(JSON.parse(row.state_json || '{}'), row.uid, row.id));
+    } catch {
+      // 无法解析 / 版本过新的行在访问时再报错
+    }
+  }
+
+  app.get(`${config.basePath}/session/active`, ...guarded('GET', '/session/active'), transactional((req) => {
     const uid = String(req.query.uid || '').trim();
-    if (!uid) return res.status(400).json({ ok: false, message: '缺少 uid' });
+    if (!uid) return [400, { ok: false, message: '缺少 uid' }];
 
-    const active = await getActiveSession(uid);
-    if (!active) return res.json({ ok: true, session: null });
+    const active = store.getActiveSession(uid);
+    if (!active) return [200, { ok: true, session: null }];
 
-    const state = normalizeState(JSON.parse(active.state_json || '{}'), uid, active.id);
-    await persistSession({ ...active, state_json: JSON.stringify(state), status: state.status, updated_at: nowTs() });
+    const { state } = loadState(active, uid, active.id);
+    saveSession(active, state);
 
-    res.json({ ok: true, session: { ...active, state_json: state } });
-  });
+    return [200, { ok: true, session: { ...active, status: state.status, state_json: state }, step: describeStep(state, nowTs()) }];
+  }));
+
+  app.get(`${config.basePath}/session/step`, ...guarded('GET', '/session/step'), transactional((req) => {
+    const uid = String(req.query.uid || '').trim();
+    const sessionId = String(req.query.sessionId || '').trim();
+    if (!uid || !sessionId) return [400, { ok: false, message: 'uid 和 sessionId 必填' }];
+    const row = store.getSession(sessionId);
+    if (!row || row.uid !== uid) return [404, { ok: false, message: '会话不存在或 uid 不匹配' }];
+
+    const { state, advanced } = loadState(row, uid, sessionId);
+    if (advanced) saveStep(row, state, 'poll');
+    return [200, { ok: true, sessionId, status: state.status, step: describeStep(state, nowTs()) }];
+  }));
 
-  app.post(`${config.basePath}/session/start`, async (req, res) => {
+  app.post(`${config.basePath}/session/start`, ...guarded('POST', '/session/start'), transactional((req) => {
     const { uid, sessionId } = req.body || {};
     const seq = Number(req.body?.seq || 0);
-    if (!uid || !sessionId) return res.status(400).json({ ok: false, message: 'uid/sessionId 必填' });
+    if (!uid || !sessionId) return [400, { ok: false, message: 'uid/sessionId 必填' }];
 
-    const active = await getActiveSession(uid);
+    const active = store.getActiveSession(uid);
     if (active && active.id !== sessionId) {
-      return res.status(409).json({ ok: false, conflict: true, activeSessionId: active.id, message: '已有未完成会话' });
+      return [409, { ok: false, conflict: true, activeSessionId: active.id, message: '已有未完成会话' }];
     }
 
-    const existed = await getSessionById(sessionId);
+    const existed = store.getSession(sessionId);
     if (existed) {
       const state = normalizeState(JSON.parse(existed.state_json || '{}'), uid, sessionId);
       if (seq && isDupByIdempotency(state, 'start', seq)) {
-        return res.json({ ok: true, idempotent: true, sessionId });
+        return [200, { ok: true, idempotent: true, sessionId, step: describeStep(state, nowTs()) }];
       }
       if (seq && seq < state.seqState.maxSeq) {
-        return res.json({ ok: true, dropped: true, reason: 'seq_too_old', maxSeq: state.seqState.maxSeq });
+        return [200, { ok: true, dropped: true, reason: 'seq_too_old', maxSeq: state.seqState.maxSeq }];
+      }
+      if (TERMINAL_STATUS.has(state.status)) {
+        return [409, { ok: false, code: 'session_finished', status: state.status, message: '会话已结束，请使用新的 sessionId' }];
       }
       if (seq) markIdempotent(state, 'start', seq);
-      state.status = config.statuses.active;
-      await persistSession({ ...existed, status: config.statuses.active, state_json: JSON.stringify(state), updated_at: nowTs() });
-      await appendEvent({ sessionId, uid, type: 'start', payload: req.body });
-      return res.json({ ok: true, resumed: true, sessionId, state });
+      const now = nowTs();
+      if (state.status === config.statuses.active) advanceFlow(state, now, config);
+      else {
+        state.status = config.statuses.active;
+        state.safety.interruptedBySafetyTimeout = false;
+        resumeFlow(state, now, config);
+      }
+      saveSession(existed, state);
+      store.appendEvent({ sessionId, uid, type: 'start', payload: req.body });
+      return [200, { ok: true, resumed: true, sessionId, state, step: describeStep(state, now) }];
     }
 
     const ts = nowTs();
     const state = makeDefaultState(uid, sessionId);
+    startFlow(state, ts, config);
     if (seq) markIdempotent(state, 'start', seq);
-    const sessionRow = {
+    store.saveSession({
       id: sessionId,
       uid,
       game: 'game2',
@@ -345,119 +601,128 @@ export async function applyGame2Routes(app) {
       game_version: config.gameVersion,
       created_at: ts,
       updated_at: ts,
-    };
-    await persistSession(sessionRow);
-    await appendEvent({ sessionId, uid, type: 'start', payload: req.body });
-    res.json({ ok: true, created: true, sessionId, state });
-  });
+    });
+    savedInTx.push(state);
+    store.appendEvent({ sessionId, uid, type: 'start', payload: req.body });
+    return [200, { ok: true, created: true, sessionId, state, step: describeStep(state, ts) }];
+  }));
 
-  app.post(`${config.basePath}/session/progress`, async (req, res) => {
+  app.post(`${config.basePath}/session/progress`, ...guarded('POST', '/session/progress'), transactional((req) => {
     const checked = ensureUidSession(req.body);
-    if (!checked.ok) return res.status(400).json({ ok: false, message: checked.msg });
+    if (!checked.ok) return [400, { ok: false, message: checked.msg }];
 
     const { uid, sessionId } = checked;
     const seq = Number(req.body?.seq || 0);
-    const row = await getSessionById(sessionId);
-    if (!row || row.uid !== uid) return res.status(404).json({ ok: false, message: '会话不存在或 uid 不匹配' });
-
-    const state = normalizeState(JSON.parse(row.state_json || '{}'), uid, sessionId);
+    const row = store.getSession(sessionId);
+    if (!row || row.uid !== uid) return [404, { ok: false, message: '会话不存在或 uid 不匹配' }];
+
+    const now = nowTs();
+    const { state, advanced } = loadState(row, uid, sessionId);
+    // 推进结果即使本次请求被拒绝也要保存
+    const reject = (status, body) => {
+      if (advanced) saveStep(row, state, 'poll');
+      return [status, { ok: false, ...body, status: state.status, step: describeStep(state, now) }];
+    };
     if (seq && seq < state.seqState.maxSeq) {
-      return res.json({ ok: true, dropped: true, reason: 'seq_too_old', maxSeq: state.seqState.maxSeq });
+      if (advanced) saveStep(row, state, 'poll');
+      return [200, { ok: true, dropped: true, reason: 'seq_too_old', maxSeq: state.seqState.maxSeq }];
     }
     const action = String(req.body?.action || '').trim();
     if (seq && isDupByIdempotency(state, `progress:${action}`, seq)) {
-      return res.json({ ok: true, idempotent: true, sessionId, state });
+      if (advanced) saveStep(row, state, 'poll');
+      return [200, { ok: true, idempotent: true, sessionId, state, step: describeStep(state, now) }];
     }
 
-    if (action === 'frequency_score') {
-      const level = Number(req.body?.level);
-      const score = Number(req.body?.score);
-      if (!config.flow.frequency.levels.includes(level)) {
-        return res.status(400).json({ ok: false, message: 'level 必须在 1..5' });
-      }
-      if (score < config.flow.frequency.scoreRange[0] || score > config.flow.frequency.scoreRange[1]) {
-        return res.status(400).json({ ok: false, message: 'score 必须在 1..5' });
+    const payload = { ...req.body };
+    if (action === 'interrupted') {
+      state.status = config.statuses.interrupted;
+      state.safety.interruptedByVisibility = !!req.body?.byVisibility;
+      state.safety.interruptedByApi = !!req.body?.byApi;
+    } else if (['frequency_score', 'frequency_select', 'tolerance_stop'].includes(action)) {
+      if (state.status !== config.statuses.active) {
+        return reject(409, { code: 'session_not_active', message: `会话状态为 ${state.status}，不接受 ${action}` });
       }
-      const item = state.flowA.levels.find((x) => x.level === level);
-      if (item) item.score = score;
-    } else if (action === 'frequency_select') {
-      const selected = Number(req.body?.selectedFrequency);
-      if (!config.flow.frequency.levels.includes(selected)) {
-        return res.status(400).json({ ok: false, message: 'selectedFrequency 必须在 1..5' });
+      const expected = expectedAction(state);
+      if (action !== expected) {
+        return reject(409, { code: 'out_of_order', expected, message: `当前步骤 ${state.step?.phase} 不接受 ${action}` });
       }
-      state.flowA.selectedFrequency = selected;
-      state.currentFlow = 'B';
-    } else if (action === 'tolerance_stop') {
-      const elapsedSec = Number(req.body?.elapsedSec);
-      if (!Number.isFinite(elapsedSec) || elapsedSec <= 0) {
-        return res.status(400).json({ ok: false, message: 'elapsedSec 必须是正数' });
+
+      const input = {};
+      if (action === 'frequency_score') {
+        const level = Number(req.body?.level);
+        input.score = Number(req.body?.score);
+        if (!config.flow.frequency.levels.includes(level)) {
+          return reject(400, { message: 'level 必须在 1..5' });
+        }
+        if (!(input.score >= config.flow.frequency.scoreRange[0] && input.score <= config.flow.frequency.scoreRange[1])) {
+          return reject(400, { message: 'score 必须在 1..5' });
+        }
+        if (level !== state.step.level) {
+          return reject(409, { code: 'out_of_order', expected, message: `当前评分档位为 ${state.step.level}` });
+        }
+      } else if (action === 'frequency_select') {
+        input.selectedFrequency = Number(req.body?.selectedFrequency);
+        if (!config.flow.frequency.levels.includes(input.selectedFrequency)) {
+          return reject(400, { message: 'selectedFrequency 必须在 1..5' });
+        }
       }
-      state.flowB.rounds.push(elapsedSec);
-      const stats = evalConvergence(state.flowB.rounds);
-      state.flowB.converged = stats.converged;
-      state.flowB.T_stable = stats.T_stable;
-      state.flowB.T_guard = stats.T_guard;
-      const rounds = state.flowB.rounds.length;
-      if (rounds >= config.flow.tolerance.minRounds && stats.converged) {
-        state.status = config.statuses.complete;
-      } else if (rounds >= config.flow.tolerance.maxRounds && !stats.converged) {
-        state.status = config.statuses.completeWithWarning;
-        state.flowB.warning = '轮次达到上限仍未收敛';
+      const { elapsedSec } = applyFlowAction(state, action, input, now, config);
+      // 客户端上报的 elapsedSec 只留作记录
+      if (elapsedSec !== undefined) {
+        payload.clientElapsedSec = req.body?.elapsedSec ?? null;
+        payload.elapsedSec = elapsedSec;
       }
-    } else if (action === 'interrupted') {
-      state.status = config.statuses.interrupted;
-      state.safety.interruptedByVisibility = !!req.body?.byVisibility;
-      state.safety.interruptedByApi = !!req.body?.byApi;
     } else {
-      return res.status(400).json({ ok: false, message: '未知 action' });
+      return reject(400, { message: '未知 action' });
     }
 
     if (seq) markIdempotent(state, `progress:${action}`, seq);
 
-    await persistSession({ ...row, status: state.status, state_json: JSON.stringify(state), updated_at: nowTs() });
-    await appendEvent({ sessionId, uid, type: action, payload: req.body });
-    res.json({ ok: true, sessionId, status: state.status, state });
-  });
+    saveSession(row, state);
+    store.appendEvent({ sessionId, uid, type: action, payload });
+    return [200, { ok: true, sessionId, status: state.status, state, step: describeStep(state, now) }];
+  }));
 
-  app.post(`${config.basePath}/event`, async (req, res) => {
+  app.post(`${config.basePath}/event`, ...guarded('POST', '/event'), transactional((req) => {
     const checked = ensureUidSession(req.body);
-    if (!checked.ok) return res.status(400).json({ ok: false, message: checked.msg });
+    if (!checked.ok) return [400, { ok: false, message: checked.msg }];
     const { uid, sessionId } = checked;
-    const row = await getSessionById(sessionId);
-    if (!row || row.uid !== uid) return res.status(404).json({ ok: false, message: '会话不存在或 uid 不匹配' });
+    const row = store.getSession(sessionId);
+    if (!row || row.uid !== uid) return [404, { ok: false, message: '会话不存在或 uid 不匹配' }];
     const eventType = String(req.body?.type || 'custom').trim();
-    await appendEvent({ sessionId, uid, type: eventType, payload: req.body?.payload || {} });
-    res.json({ ok: true });
-  });
+    store.appendEvent({ sessionId, uid, type: eventType, payload: req.body?.payload || {} });
+    return [200, { ok: true }];
+  }));
 
-  app.post(`${config.basePath}/session/complete`, async (req, res) => {
+  app.post(`${config.basePath}/session/complete`, ...guarded('POST', '/session/complete'), transactional((req) => {
     const checked = ensureUidSession(req.body);
-    if (!checked.ok) return res.status(400).json({ ok: false, message: checked.msg });
+    if (!checked.ok) return [400, { ok: false, message: checked.msg }];
     const { uid, sessionId } = checked;
     const seq = Number(req.body?.seq || 0);
 
-    const row = await getSessionById(sessionId);
-    if (!row || row.uid !== uid) return res.status(404).json({ ok: false, message: '会话不存在或 uid 不匹配' });
+    const row = store.getSession(sessionId);
+    if (!row || row.uid !== uid) return [404, { ok: false, message: '会话不存在或 uid 不匹配' }];
 
     const state = normalizeState(JSON.parse(row.state_json || '{}'), uid, sessionId);
     if (seq && seq < state.seqState.maxSeq) {
-      return res.json({ ok: true, dropped: true, reason: 'seq_too_old', maxSeq: state.seqState.maxSeq });
+      return [200, { ok: true, dropped: true, reason: 'seq_too_old', maxSeq: state.seqState.maxSeq }];
     }
     if (seq && isDupByIdempotency(state, 'complete', seq)) {
-      return res.json({ ok: true, idempotent: true, sessionId, status: state.status });
+      return [200, { ok: true, idempotent: true, sessionId, status: state.status }];
     }
     if (seq) markIdempotent(state, 'complete', seq);
 
+    // 流程在服务端结束时状态已是终态；提前结束（急停等）一律记为 complete_with_warning
     if (!TERMINAL_STATUS.has(state.status)) {
-      state.status = req.body?.status === config.statuses.completeWithWarning
-        ? config.statuses.completeWithWarning
-        : config.statuses.complete;
+      state.status = config.statuses.completeWithWarning;
+      state.flowB.warning = state.flowB.warning || `流程未完成即结束（${state.step?.phase || '-'}）`;
     }
+    finishFlow(state, nowTs(), config);
 
-    await persistSession({ ...row, status: state.status, state_json: JSON.stringify(state), updated_at: nowTs() });
-    await appendEvent({ sessionId, uid, type: 'complete', payload: req.body });
+    saveSession(row, state);
+    store.appendEvent({ sessionId, uid, type: 'complete', payload: req.body });
 
-    const currentProfileRow = await getProfile(uid);
+    const currentProfileRow = store.getProfile(uid);
     const profile = normalizeProfile(currentProfileRow ? JSON.parse(currentProfileRow.profile_json || '{}') : null, uid);
     profile.latestSessionId = sessionId;
     profile.latestResult = {
@@ -466,42 +731,55 @@ export async function applyGame2Routes(app) {
       flowB: state.flowB,
       completedAt: nowTs(),
     };
-    await persistProfile(uid, profile);
+    saveProfile(uid, profile);
 
     // stop/complete 需要快速 ACK
-    res.json({ ok: true, ack: true, status: state.status, flowB: state.flowB });
-  });
+    return [200, { ok: true, ack: true, status: state.status, flowB: state.flowB }];
+  }));
 
-  app.post(`${config.basePath}/user/reset`, async (req, res) => {
+  app.post(`${config.basePath}/user/reset`, ...guarded('POST', '/user/reset'), transactional((req) => {
     const uid = String(req.body?.uid || '').trim();
     const mode = String(req.body?.mode || 'soft').trim();
-    if (!uid) return res.status(400).json({ ok: false, message: 'uid 必填' });
-
-    const active = await getActiveSession(uid);
-    if (mode === 'hard') {
-      await runSql(config.dbPath, `DELETE FROM events WHERE uid=${quote(uid)};DELETE FROM sessions WHERE uid=${quote(uid)};DELETE FROM profiles WHERE uid=${quote(uid)};`);
-      return res.json({ ok: true, mode, removedAll: true });
-    }
+    if (!uid) return [400, { ok: false, message: 'uid 必填' }];
 
+    // hard 也先中止未完成会话：提交后推送 aborted 步骤，关联的设备随之急停，再删除数据
+    const active = store.getActiveSession(uid);
     if (active) {
       const state = normalizeState(JSON.parse(active.state_json || '{}'), uid, active.id);
       state.status = config.statuses.aborted;
-      await persistSession({ ...active, status: config.statuses.aborted, state_json: JSON.stringify(state), updated_at: nowTs() });
-      await appendEvent({ sessionId: active.id, uid, type: 'soft_reset', payload: req.body });
+      finishFlow(state, nowTs(), config);
+      saveSession(active, state);
+      if (mode !== 'hard') store.appendEvent({ sessionId: active.id, uid, type: 'soft_reset', payload: req.body });
+    }
+
+    if (mode === 'hard') {
+      store.deleteUser(uid);
+      return [200, { ok: true, mode, abortedSessionId: active?.id || null, removedAll: true }];
     }
 
-    const row = await getProfile(uid);
+    const row = store.getProfile(uid);
     const profile = normalizeProfile(row ? JSON.parse(row.profile_json || '{}') : null, uid);
     profile.latestResult = null;
-    await persistProfile(uid, profile);
+    saveProfile(uid, profile);
 
-    res.json({ ok: true, mode, abortedSessionId: active?.id || null });
+    return [200, { ok: true, mode, abortedSessionId: active?.id || null }];
+  }));
+
+  app.get(`${config.basePath}/profile`, ...guarded('GET', '/profile'), (req, res) => {
+    const uid = String(req.query.uid || '').trim();
+    if (!uid) return res.status(400).json({ ok: false, message: 'uid 必填' });
+    const row = store.getProfile(uid);
+    if (!row) return res.status(404).json({ ok: false, message: `uid=${uid} 没有 profile` });
+    const profile = normalizeProfile(JSON.parse(row.profile_json || '{}'), uid);
+    res.json({ ok: true, uid, profile, calibration: calibrationOf(profile) });
   });
 
-  app.get(`${config.basePath}/debug/events`, async (req, res) => {
+  app.get(`${config.basePath}/debug/events`, ...guarded('GET', '/debug/events'), (req, res) => {
     const sessionId = String(req.query.sessionId || '').trim();
     if (!sessionId) return res.status(400).json({ ok: false, message: '缺少 sessionId' });
-    const rows = await allSql(config.dbPath, `SELECT * FROM events WHERE session_id=${quote(sessionId)} ORDER BY id ASC;`);
+    const rows = store.listEvents(sessionId);
     res.json({ ok: true, events: rows.map((r) => ({ ...r, payload_json: JSON.parse(r.payload_json || '{}') })) });
   });
+
+  return { migrations };
 }
@@ -0,0 +1,227 @@
+/**
+ * game2 流程状态机（服务端计时）
+ *
+ * 步骤顺序与时长都来自 config.flow，客户端只负责展示和上报用户操作：
+ *   流程A：每个档位 adapt -> evaluate -> score（等评分）-> rest，最后一档评分后进入 select（等选择）
+ *   流程B：round（等寸止）-> round_rest -> round ...，收敛或达到 maxRounds 后 done
+ *
+ * state.step = { id, phase, flow, level, round, startedAt, endsAt, deadlineAt }，时间均为服务端毫秒时间戳：
+ *  - 定时步骤（adapt / evaluate / rest / round_rest）到 endsAt 自动进入下一步，下一步的 startedAt 取上一步的 endsAt；
+ *  - round 的 elapsedSec 由服务端按 startedAt 计算，不再采用客户端上报值；超过 deadlineAt（safetyTimeoutSec）未寸止则中断；
+ *  - startedAt 为 null 表示尚未开始（迁移来的旧会话），下次推进时从当前时间开始。
+ *
+ * 函数都直接修改传入的 state，不做 IO；持久化、定时器和推送在 game2-api.js。
+ */
+
+export const PHASES = {
+  ADAPT: 'adapt',
+  EVALUATE: 'evaluate',
+  SCORE: 'score',
+  REST: 'rest',
+  SELECT: 'select',
+  ROUND: 'round',
+  ROUND_REST: 'round_rest',
+  DONE: 'done',
+};
+
+// 等待用户操作的步骤及其接受的 action
+const EXPECTED_ACTIONS = {
+  [PHASES.SCORE]: 'frequency_score',
+  [PHASES.SELECT]: 'frequency_select',
+  [PHASES.ROUND]: 'tolerance_stop',
+};
+
+const FLOW_OF_PHASE = {
+  [PHASES.ADAPT]: 'A',
+  [PHASES.EVALUATE]: 'A',
+  [PHASES.SCORE]: 'A',
+  [PHASES.REST]: 'A',
+  [PHASES.SELECT]: 'A',
+  [PHASES.ROUND]: 'B',
+  [PHASES.ROUND_REST]: 'B',
+  [PHASES.DONE]: null,
+};
+
+function median(nums) {
+  const arr = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(arr.length / 2);
+  if (!arr.length) return null;
+  return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
+}
+
+export function evalConvergence(rounds, tolerance) {
+  if (rounds.length < tolerance.stableWindow) {
+    return { converged: false, T_stable: null, T_guard: null };
+  }
+  const recent = rounds.slice(-tolerance.stableWindow);
+  const med = median(recent);
+  const max = Math.max(...recent);
+  const min = Math.min(...recent);
+  const converged = (max - min) <= tolerance.convergeRatio * med;
+  return {
+    converged,
+    T_stable: med,
+    T_guard: Number((tolerance.guardRatio * med).toFixed(4)),
+  };
+}
+
+function levelEntry(state, level) {
+  return state.flowA.levels.find((x) => x.level === level) || null;
+}
+
+function durationMs(state, step, cfg) {
+  const entry = levelEntry(state, step.level);
+  switch (step.phase) {
+    case PHASES.ADAPT: return Number(entry?.adaptSeconds ?? cfg.flow.frequency.adaptSeconds) * 1000;
+    case PHASES.EVALUATE: return Number(entry?.evaluateSeconds ?? cfg.flow.frequency.evaluateSeconds) * 1000;
+    case PHASES.REST: return Number(entry?.restSeconds ?? cfg.flow.frequency.restSeconds) * 1000;
+    case PHASES.ROUND_REST: return Number(cfg.flow.tolerance.restSeconds) * 1000;
+    default: return null;
+  }
+}
+
+function enterStep(state, phase, { level = null, round = null } = {}, at, cfg) {
+  const step = {
+    id: Number(state.step?.id || 0) + 1,
+    phase,
+    flow: FLOW_OF_PHASE[phase],
+    level,
+    round,
+    startedAt: at,
+    endsAt: null,
+    deadlineAt: null,
+  };
+  const ms = durationMs(state, step, cfg);
+  if (ms != null) step.endsAt = at + ms;
+  if (phase === PHASES.ROUND) step.deadlineAt = at + Number(state.safety.safetyTimeoutSec) * 1000;
+  state.step = step;
+  if (step.flow) state.currentFlow = step.flow;
+  return step;
+}
+
+// 定时步骤结束后的下一步
+function nextAfterTimed(state, step) {
+  if (step.phase === PHASES.ADAPT) return [PHASES.EVALUATE, { level: step.level }];
+  if (step.phase === PHASES.EVALUATE) return [PHASES.SCORE, { level: step.level }];
+  if (step.phase === PHASES.REST) {
+    const next = state.flowA.levels.find((x) => x.score == null);
+    return next ? [PHASES.ADAPT, { level: next.level }] : [PHASES.SELECT, {}];
+  }
+  return [PHASES.ROUND, { round: Number(step.round || 0) + 1 }];
+}
+
+/**
+ * 新会话：从第一个档位的 adapt 开始。
+ */
+export function startFlow(state, now, cfg) {
+  enterStep(state, PHASES.ADAPT, { level: state.flowA.levels[0]?.level ?? null }, now, cfg);
+}
+
+/**
+ * 中断后恢复：当前档位从 adapt 重新开始，round / 休息从现在重新计时；等待用户操作的步骤不变。
+ */
+export function resumeFlow(state, now, cfg) {
+  const step = state.step;
+  if (!step || step.phase === PHASES.DONE) return;
+  if (step.phase === PHASES.ADAPT || step.phase === PHASES.EVALUATE) {
+    enterStep(state, PHASES.ADAPT, { level: step.level }, now, cfg);
+  } else if (step.phase === PHASES.REST || step.phase === PHASES.ROUND || step.phase === PHASES.ROUND_REST) {
+    enterStep(state, step.phase, { level: step.level, round: step.round }, now, cfg);
+  }
+}
+
+export function finishFlow(state, now, cfg) {
+  if (state.step?.phase !== PHASES.DONE) enterStep(state, PHASES.DONE, {}, now, cfg);
+}
+
+/**
+ * 按服务端时间推进定时步骤；round 超过安全期限时把会话置为 interrupted。返回是否有变化。
+ */
+export function advanceFlow(state, now, cfg) {
+  if (state.status !== cfg.statuses.active || !state.step) return false;
+  let changed = false;
+  if (state.step.startedAt == null) {
+    enterStep(state, state.step.phase, { level: state.step.level, round: state.step.round }, now, cfg);
+    changed = true;
+  }
+  while (state.step.endsAt != null && state.step.endsAt <= now) {
+    const [phase, attrs] = nextAfterTimed(state, state.step);
+    enterStep(state, phase, attrs, state.step.endsAt, cfg);
+    changed = true;
+  }
+  if (state.step.deadlineAt != null && state.step.deadlineAt <= now) {
+    state.status = cfg.statuses.interrupted;
+    state.safety.interruptedBySafetyTimeout = true;
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * 当前步骤接受的 action（不在等待用户操作时为 null）。
+ */
+export function expectedAction(state) {
+  return EXPECTED_ACTIONS[state.step?.phase] || null;
+}
+
+/**
+ * 执行用户操作并进入下一步；调用方已用 expectedAction 校验过顺序、校验过参数范围。
+ * 返回 { elapsedSec }（仅 tolerance_stop）。
+ */
+export function applyFlowAction(state, action, input, now, cfg) {
+  const step = state.step;
+  if (action === 'frequency_score') {
+    levelEntry(state, step.level).score = input.score;
+    const next = state.flowA.levels.find((x) => x.score == null);
+    if (next) enterStep(state, PHASES.REST, { level: step.level }, now, cfg);
+    else enterStep(state, PHASES.SELECT, {}, now, cfg);
+    return {};
+  }
+  if (action === 'frequency_select') {
+    state.flowA.selectedFrequency = input.selectedFrequency;
+    enterStep(state, PHASES.ROUND, { round: state.flowB.rounds.length + 1 }, now, cfg);
+    return {};
+  }
+
+  // tolerance_stop
+  const elapsedSec = Number(((now - step.startedAt) / 1000).toFixed(3));
+  state.flowB.rounds.push(elapsedSec);
+  const tolerance = cfg.flow.tolerance;
+  const stats = evalConvergence(state.flowB.rounds, tolerance);
+  state.flowB.converged = stats.converged;
+  state.flowB.T_stable = stats.T_stable;
+  state.flowB.T_guard = stats.T_guard;
+  const rounds = state.flowB.rounds.length;
+  if (rounds >= tolerance.minRounds && stats.converged) {
+    state.status = cfg.statuses.complete;
+  } else if (rounds >= tolerance.maxRounds && !stats.converged) {
+    state.status = cfg.statuses.completeWithWarning;
+    state.flowB.warning = '轮次达到上限仍未收敛';
+  }
+  if (state.status === cfg.statuses.active) enterStep(state, PHASES.ROUND_REST, { round: step.round }, now, cfg);
+  else enterStep(state, PHASES.DONE, {}, now, cfg);
+  return { elapsedSec };
+}
+
+/**
+ * 下一次需要服务端推进的时间（定时步骤结束 / round 安全期限），没有时为 null。
+ */
+export function nextWakeAt(state, cfg) {
+  if (state.status !== cfg.statuses.active || !state.step) return null;
+  return state.step.endsAt ?? state.step.deadlineAt ?? null;
+}
+
+/**
+ * 返回给客户端的步骤：附带服务端时间、剩余毫秒与期望的 action。
+ */
+export function describeStep(state, now) {
+  if (!state.step) return null;
+  const { endsAt, deadlineAt } = state.step;
+  return {
+    ...state.step,
+    expects: expectedAction(state),
+    serverTime: now,
+    remainingMs: endsAt != null ? Math.max(0, endsAt - now) : null,
+    deadlineInMs: deadlineAt != null ? Math.max(0, deadlineAt - now) : null,
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * game2 schema migrations（表结构 + 存储的 state / profile JSON）
+ *
+ * 两类迁移，执行记录都写入 game2_migrations 表：
+ *  - 表结构：DB_MIGRATIONS（version 递增，up(db) 在事务内执行），记录 id = db@<version>
+ *  - JSON 文档：STATE_UPGRADES / PROFILE_UPGRADES，键为起始版本 n，函数把 n 版对象升级为 n+1 版。
+ *    迁移时把 schema_version 落后的 sessions.state_json / profiles.profile_json 逐版升级并写回，记录 id = docs@<version>；
+ *    读取时 upgradeState / upgradeProfile 走同一条链（兜底迁移之后才写入的旧数据）。
+ *
+ * 新增流程 / 字段时：DOC_SCHEMA_VERSION + 1，并在 STATE_UPGRADES（及 PROFILE_UPGRADES）里加 [旧版本]: (doc) => 新形状。
+ * 升级函数只依赖传入的对象（不读 config），保证对历史数据结果确定；不要修改已发布的迁移，只追加新的。
+ *
+ * 保护措施：
+ *  - 有待执行迁移且库里已有数据时，先用 SQLite 在线备份复制到 <db>.bak-<时间戳>；
+ *  - 全部迁移在一个事务内执行，任一步失败整体回滚（包括某一行 JSON 无法解析 / 升级）；
+ *  - 库里有比代码更新的版本（回退部署）时拒绝启动，避免旧代码改写新数据；
+ *  - dryRun：在事务中实际执行后回滚，返回将执行的迁移与受影响行数。
+ *
+ * CLI：node game2_cunzhi/game2-migrations.js [--dry-run] [dbPath]（npm run migrate:game2）
+ */
+
+import path from 'path';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+// sessions.state_json 与 profiles.profile_json 的当前版本（即 game2-api.js 的 config.schemaVersion）
+export const DOC_SCHEMA_VERSION = 2;
+
+export const DB_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_tables',
+    // 与迁移机制之前的 initDb 相同（IF NOT EXISTS），已有数据库上执行无副作用
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS sessions(
+  id TEXT PRIMARY KEY,
+  uid TEXT,
+  game TEXT,
+  status TEXT,
+  state_json TEXT,
+  schema_version INTEGER,
+  game_version TEXT,
+  created_at INTEGER,
+  updated_at INTEGER
+);
+CREATE TABLE IF NOT EXISTS events(
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT,
+  uid TEXT,
+  type TEXT,
+  payload_json TEXT,
+  ts INTEGER
+);
+CREATE TABLE IF NOT EXISTS profiles(
+  uid TEXT PRIMARY KEY,
+  profile_json TEXT,
+  schema_version INTEGER,
+  game_version TEXT,
+  updated_at INTEGER
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_uid ON sessions(uid);
+CREATE INDEX IF NOT EXISTS idx_events_session ON events(session_id);`);
+    },
+  },
+  {
+    version: 2,
+    name: 'index_active_session_and_event_uid',
+    // getActiveSession 按 uid + status 取最新；hard reset 按 uid 删除 events
+    up(db) {
+      db.exec(`
+CREATE INDEX IF NOT EXISTS idx_sessions_uid_status ON sessions(uid, status, updated_at);
+CREATE INDEX IF NOT EXISTS idx_events_uid ON events(uid);`);
+    },
+  },
+];
+
+const DONE_STATUSES = ['complete', 'complete_with_warning', 'aborted'];
+
+// { [fromVersion]: (state) => state of fromVersion + 1 }
+export const STATE_UPGRADES = {
+  // v2：服务端流程状态机（game2-flow.js）。按已记录的进度推出当前步骤，startedAt=null 表示下次推进时从当时开始计时
+  1: (state) => {
+    const levels = Array.isArray(state.flowA?.levels) ? state.flowA.levels : [];
+    const rounds = Array.isArray(state.flowB?.rounds) ? state.flowB.rounds : [];
+    let step = { phase: 'done', flow: null };
+    if (!DONE_STATUSES.includes(state.status)) {
+      const unscored = levels.find((x) => x.score == null);
+      if (state.flowA?.selectedFrequency != null) step = { phase: 'round', flow: 'B', round: rounds.length + 1 };
+      else if (unscored) step = { phase: 'adapt', flow: 'A', level: Number(unscored.level) };
+      else step = { phase: 'select', flow: 'A' };
+    }
+    return {
+      ...state,
+      step: { id: 0, level: null, round: null, ...step, startedAt: null, endsAt: null, deadlineAt: null },
+      safety: { ...(state.safety || {}), interruptedBySafetyTimeout: false },
+    };
+  },
+};
+
+// { [fromVersion]: (profile) => profile of fromVersion + 1 }
+export const PROFILE_UPGRADES = {
+  1: (profile) => profile, // v2 只改了 state
+};
+
+const RECORD_DDL = `
+CREATE TABLE IF NOT EXISTS game2_migrations(
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  name TEXT,
+  applied_at INTEGER NOT NULL,
+  detail_json TEXT
+);`;
+
+const LATEST_DB_VERSION = Math.max(...DB_MIGRATIONS.map((m) => m.version));
+
+function upgradeDoc(doc, upgrades, kind) {
+  let version = Number(doc?.schemaVersion) || 1;
+  if (version > DOC_SCHEMA_VERSION) {
+    throw new Error(`${kind} schemaVersion=${version} 比当前代码支持的 ${DOC_SCHEMA_VERSION} 新，拒绝处理（是否回退了部署？）`);
+  }
+  let out = { ...doc };
+  while (version < DOC_SCHEMA_VERSION) {
+    const up = upgrades[version];
+    if (typeof up !== 'function') throw new Error(`缺少 ${kind} v${version} -> v${version + 1} 的升级函数`);
+    out = up(out);
+    version += 1;
+  }
+  out.schemaVersion = version;
+  return out;
+}
+
+/**
+ * 把任意旧版本的 state 升级到 DOC_SCHEMA_VERSION（缺 schemaVersion 视为 1）；比当前版本新时抛错。
+ */
+export function upgradeState(state) {
+  return upgradeDoc(state, STATE_UPGRADES, 'state');
+}
+
+export function upgradeProfile(profile) {
+  return upgradeDoc(profile, PROFILE_UPGRADES, 'profile');
+}
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name=?").get(name);
+}
+
+/**
+ * 只读检查：待执行的表结构迁移、schema_version 落后 / 超前的文档行数。
+ */
+export function planMigrations(db) {
+  const applied = tableExists(db, 'game2_migrations')
+    ? db.prepare('SELECT id, kind, version, name, applied_at AS appliedAt FROM game2_migrations ORDER BY applied_at, id').all()
+    : [];
+  const done = new Set(applied.map((r) => r.id));
+  const dbVersion = Math.max(0, ...applied.filter((r) => r.kind === 'db').map((r) => r.version));
+  const docs = { stale: 0, newer: 0 };
+  for (const table of ['sessions', 'profiles']) {
+    if (!tableExists(db, table)) continue;
+    docs.stale += db.prepare(`SELECT COUNT(*) FROM ${table} WHERE schema_version IS NULL OR schema_version < ?`).pluck().get(DOC_SCHEMA_VERSION);
+    docs.newer += db.prepare(`SELECT COUNT(*) FROM ${table} WHERE schema_version > ?`).pluck().get(DOC_SCHEMA_VERSION);
+  }
+  const pendingDb = DB_MIGRATIONS.filter((m) => !done.has(`db@${m.version}`)).map(({ version, name }) => ({ version, name }));
+  return {
+    dbVersion,
+    latestDbVersion: LATEST_DB_VERSION,
+    docSchemaVersion: DOC_SCHEMA_VERSION,
+    applied,
+    pendingDb,
+    docs,
+    pending: pendingDb.length > 0 || docs.stale > 0,
+    // 表里已有数据（不是新建的空库）：迁移前需要备份
+    hasData: tableExists(db, 'sessions') || tableExists(db, 'profiles'),
+  };
+}
+
+function parseDoc(json, what) {
+  try {
+    const obj = JSON.parse(json || '{}');
+    if (obj && typeof obj === 'object' && !Array.isArray(obj)) return obj;
+  } catch {
+    // 落到下面的错误
+  }
+  throw new Error(`${what} 的 JSON 无法解析，迁移中止`);
+}
+
+function upgradeStoredDocs(db) {
+  const counts = { sessions: 0, profiles: 0 };
+  const sessions = db.prepare('SELECT id, state_json, schema_version FROM sessions WHERE schema_version IS NULL OR schema_version < ?').all(DOC_SCHEMA_VERSION);
+  const updateSession = db.prepare('UPDATE sessions SET state_json = ?, schema_version = ? WHERE id = ?');
+  for (const row of sessions) {
+    const doc = parseDoc(row.state_json, `sessions.id=${row.id}`);
+    doc.schemaVersion ??= row.schema_version ?? 1;
+    updateSession.run(JSON.stringify(upgradeState(doc)), DOC_SCHEMA_VERSION, row.id);
+    counts.sessions += 1;
+  }
+  const profiles = db.prepare('SELECT uid, profile_json, schema_version FROM profiles WHERE schema_version IS NULL OR schema_version < ?').all(DOC_SCHEMA_VERSION);
+  const updateProfile = db.prepare('UPDATE profiles SET profile_json = ?, schema_version = ? WHERE uid = ?');
+  for (const row of profiles) {
+    const doc = parseDoc(row.profile_json, `profiles.uid=${row.uid}`);
+    doc.schemaVersion ??= row.schema_version ?? 1;
+    updateProfile.run(JSON.stringify(upgradeProfile(doc)), DOC_SCHEMA_VERSION, row.uid);
+    counts.profiles += 1;
+  }
+  return counts;
+}
+
+/**
+ * 在一个事务内执行全部待执行迁移；dryRun 时执行后回滚。返回 { dryRun, applied: [{ id, name, detail }] }。
+ */
+export function runMigrations(db, { dryRun = false } = {}) {
+  const now = Date.now();
+  const applied = [];
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    db.exec(RECORD_DDL);
+    const record = db.prepare(`INSERT INTO game2_migrations(id, kind, version, name, applied_at, detail_json) VALUES(?, ?, ?, ?, ?, ?)
+ON CONFLICT(id) DO UPDATE SET applied_at=excluded.applied_at, detail_json=excluded.detail_json`);
+    const done = new Set(db.prepare('SELECT id FROM game2_migrations').pluck().all());
+    const dbVersion = Math.max(0, ...db.prepare("SELECT version FROM game2_migrations WHERE kind='db'").pluck().all());
+    if (dbVersion > LATEST_DB_VERSION) {
+      throw new Error(`数据库结构版本 ${dbVersion} 比当前代码支持的 ${LATEST_DB_VERSION} 新，拒绝启动（是否回退了部署？）`);
+    }
+
+    for (const m of DB_MIGRATIONS) {
+      const id = `db@${m.version}`;
+      if (done.has(id)) continue;
+      m.up(db);
+      record.run(id, 'db', m.version, m.name, now, null);
+      applied.push({ id, name: m.name });
+    }
+
+    const newer = ['sessions', 'profiles']
+      .reduce((n, t) => n + db.prepare(`SELECT COUNT(*) FROM ${t} WHERE schema_version > ?`).pluck().get(DOC_SCHEMA_VERSION), 0);
+    if (newer) throw new Error(`${newer} 行数据的 schema_version 比当前代码支持的 ${DOC_SCHEMA_VERSION} 新，拒绝启动（是否回退了部署？）`);
+    const counts = upgradeStoredDocs(db);
+    if (counts.sessions || counts.profiles) {
+      const id = `docs@${DOC_SCHEMA_VERSION}`;
+      record.run(id, 'docs', DOC_SCHEMA_VERSION, 'upgrade_state_and_profiles', now, JSON.stringify(counts));
+      applied.push({ id, name: 'upgrade_state_and_profiles', detail: counts });
+    }
+
+    db.exec(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (e) {
+    if (db.inTransaction) db.exec('ROLLBACK');
+    throw e;
+  }
+  return { dryRun, applied };
+}
+
+/**
+ * 检查 -> （有数据且有待执行迁移时）备份 -> 执行。返回 { plan, applied, dryRun, backupPath }。
+ */
+export async function migrate(db, { dryRun = false, backup = true } = {}) {
+  const plan = planMigrations(db);
+  let backupPath = null;
+  if (plan.pending && plan.hasData && backup && !dryRun && !db.memory) {
+    backupPath = `${db.name}.bak-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await db.backup(backupPath);
+  }
+  const result = plan.pending || plan.dbVersion > LATEST_DB_VERSION || plan.docs.newer
+    ? runMigrations(db, { dryRun })
+    : { dryRun, applied: [] };
+  return { plan, ...result, backupPath };
+}
+
+// CLI：检查 / 执行迁移（默认库路径同 game2-api.js；网关启动时也会自动执行，见 GAME2_AUTO_MIGRATE）
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const dbPath = args.find((a) => !a.startsWith('--')) || process.env.GAME2_DB_PATH || path.resolve(process.cwd(), 'game2_cunzhi', 'data', 'game2.sqlite');
+  if (!existsSync(dbPath)) {
+    console.error(`数据库不存在: ${dbPath}`);
+    process.exit(1);
+  }
+  const { default: Database } = await import('better-sqlite3');
+  const db = new Database(dbPath);
+  try {
+    const { plan, applied, backupPath } = await migrate(db, { dryRun });
+    console.log(JSON.stringify({ dbPath, dryRun, backupPath, plan: { ...plan, applied: undefined }, applied }, null, 2));
+  } catch (e) {
+    console.error(`迁移失败（已回滚）: ${e?.message || e}`);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
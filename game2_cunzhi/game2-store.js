@@ -0,0 +1,150 @@
+/**
+ * game2 storage（better-sqlite3，进程内驱动）
+ *
+ * 表与原先 sqlite3 CLI 版本一致：sessions / events / profiles，已有数据库文件可直接使用。
+ * 建表 / 改表由 game2-migrations.js 负责：构造后先 await init()，再使用其他方法。
+ *  - 所有语句均为预编译的参数化语句，不再拼接 SQL；
+ *  - WAL 模式，读写互不阻塞；busy_timeout 兜底其他进程持有写锁的情况；
+ *  - transaction(fn) 以 BEGIN IMMEDIATE 执行 fn：state_json 的读-改-写放在一个事务里，并发的 /session/progress 不会丢更新。
+ *
+ * better-sqlite3 是同步 API：方法直接返回结果，路由里不需要 await。
+ */
+
+import path from 'path';
+import { mkdirSync } from 'fs';
+import Database from 'better-sqlite3';
+import { migrate, planMigrations } from './game2-migrations.js';
+
+export class Game2Store {
+  /**
+   * @param {string} dbPath 数据库文件（目录不存在时创建）
+   * @param {{ terminalStatuses?: string[], busyTimeoutMs?: number }} [options]
+   */
+  constructor(dbPath, { terminalStatuses = [], busyTimeoutMs = 5000 } = {}) {
+    mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma(`busy_timeout = ${Number(busyTimeoutMs) || 0}`);
+
+    // 终态列表作为 JSON 参数传入，active 查询不随状态名变化而重写 SQL
+    this.terminalJson = JSON.stringify(terminalStatuses);
+    this.stmts = null;
+  }
+
+  /**
+   * 执行待执行的迁移并预编译语句；返回 migrate() 的结果。
+   * autoMigrate=false 时如有待执行迁移则抛错（需先手动运行 npm run migrate:game2）。
+   */
+  async init({ autoMigrate = true } = {}) {
+    if (!autoMigrate) {
+      const plan = planMigrations(this.db);
+      if (plan.pending) {
+        const docs = plan.docs.stale ? `，${plan.docs.stale} 行待升级` : '';
+        throw new Error(`game2 数据库有待执行的迁移（${plan.pendingDb.map((m) => `db@${m.version}`).join(', ') || '无表结构迁移'}${docs}），请先运行 npm run migrate:game2`);
+      }
+    }
+    const result = await migrate(this.db);
+    this._prepare();
+    return result;
+  }
+
+  _prepare() {
+    this.stmts = {
+      getSession: this.db.prepare('SELECT * FROM sessions WHERE id = ? LIMIT 1'),
+      getActiveSession: this.db.prepare(`SELECT * FROM sessions
+WHERE uid = ? AND status NOT IN (SELECT value FROM json_each(?))
+ORDER BY updated_at DESC LIMIT 1`),
+      saveSession: this.db.prepare(`INSERT INTO sessions(id, uid, game, status, state_json, schema_version, game_version, created_at, updated_at)
+VALUES(@id, @uid, @game, @status, @state_json, @schema_version, @game_version, @created_at, @updated_at)
+ON CONFLICT(id) DO UPDATE SET
+  uid=excluded.uid,
+  game=excluded.game,
+  status=excluded.status,
+  state_json=excluded.state_json,
+  schema_version=excluded.schema_version,
+  game_version=excluded.game_version,
+  updated_at=excluded.updated_at`),
+      appendEvent: this.db.prepare('INSERT INTO events(session_id, uid, type, payload_json, ts) VALUES(?, ?, ?, ?, ?)'),
+      listEvents: this.db.prepare('SELECT * FROM events WHERE session_id = ? ORDER BY id ASC'),
+      getProfile: this.db.prepare('SELECT * FROM profiles WHERE uid = ? LIMIT 1'),
+      saveProfile: this.db.prepare(`INSERT INTO profiles(uid, profile_json, schema_version, game_version, updated_at)
+VALUES(@uid, @profile_json, @schema_version, @game_version, @updated_at)
+ON CONFLICT(uid) DO UPDATE SET
+  profile_json=excluded.profile_json,
+  schema_version=excluded.schema_version,
+  game_version=excluded.game_version,
+  updated_at=excluded.updated_at`),
+      deleteEvents: this.db.prepare('DELETE FROM events WHERE uid = ?'),
+      deleteSessions: this.db.prepare('DELETE FROM sessions WHERE uid = ?'),
+      deleteProfile: this.db.prepare('DELETE FROM profiles WHERE uid = ?'),
+      listByStatus: this.db.prepare('SELECT * FROM sessions WHERE status = ?'),
+      countByStatus: this.db.prepare('SELECT status, COUNT(*) AS n FROM sessions GROUP BY status'),
+    };
+  }
+
+  /**
+   * 在写事务（BEGIN IMMEDIATE）中执行 fn 并返回其结果；fn 抛错时回滚。fn 必须是同步的。
+   */
+  transaction(fn) {
+    return this.db.transaction(fn).immediate();
+  }
+
+  getSession(id) {
+    return this.stmts.getSession.get(id) || null;
+  }
+
+  getActiveSession(uid) {
+    return this.stmts.getActiveSession.get(uid, this.terminalJson) || null;
+  }
+
+  saveSession(row) {
+    this.stmts.saveSession.run(row);
+  }
+
+  appendEvent({ sessionId, uid, type, payload, ts = Date.now() }) {
+    this.stmts.appendEvent.run(sessionId, uid, type, JSON.stringify(payload || {}), ts);
+  }
+
+  listEvents(sessionId) {
+    return this.stmts.listEvents.all(sessionId);
+  }
+
+  getProfile(uid) {
+    return this.stmts.getProfile.get(uid) || null;
+  }
+
+  saveProfile({ uid, profile, schemaVersion, gameVersion, updatedAt = Date.now() }) {
+    this.stmts.saveProfile.run({
+      uid,
+      profile_json: JSON.stringify(profile),
+      schema_version: schemaVersion,
+      game_version: gameVersion,
+      updated_at: updatedAt,
+    });
+  }
+
+  /**
+   * 删除某 uid 的全部数据（hard reset），单个事务内完成。
+   */
+  deleteUser(uid) {
+    this.transaction(() => {
+      this.stmts.deleteEvents.run(uid);
+      this.stmts.deleteSessions.run(uid);
+      this.stmts.deleteProfile.run(uid);
+    });
+  }
+
+  listSessionsByStatus(status) {
+    return this.stmts.listByStatus.all(status);
+  }
+
+  countSessionsByStatus() {
+    return Object.fromEntries(this.stmts.countByStatus.all().map((r) => [r.status, r.n]));
+  }
+
+  close() {
+    if (this.db.open) this.db.close();
+  }
+}
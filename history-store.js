@@ -0,0 +1,290 @@
+/**
+ * Gateway history store（better-sqlite3，进程内驱动）
+ *
+ * 表：
+ *  - gw_sessions : 会话元数据（WS / HTTP / admin，登录时间、关闭时间与原因）
+ *  - gw_commands : 出站指令（traceId、目标、payload、发送结果、回执结果 ack/failed/timeout），每次发送一行
+ *  - gw_receipts : 入站消息（App 回执 / 响应），匹配到指令时带 trace_id
+ *
+ * 所有语句均为预编译的参数化语句。写入先进内存队列，每 flushMs 在一个事务里批量执行（减少 fsync）；
+ * 单条写入失败只记日志并跳过，不影响同批其他记录与发送链路。数据库打不开时 init() 抛错，网关不启动。
+ *
+ * better-sqlite3 是同步 API：方法直接返回结果。
+ */
+
+import path from 'path';
+import { mkdirSync } from 'fs';
+import Database from 'better-sqlite3';
+
+// 网关启动时由 config.js 的 history.*（HISTORY_DB_PATH / HISTORY_FLUSH_MS / HISTORY_RETENTION_DAYS）传入构造参数
+export const HISTORY_DEFAULTS = {
+  dbPath: path.resolve(process.cwd(), 'data', 'gateway.sqlite'),
+  flushMs: 500,
+  retentionDays: 30,
+  maxQueryRows: 1000,
+};
+
+function int(v) {
+  if (v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.floor(n) : null;
+}
+
+function str(v) {
+  return v == null ? null : String(v);
+}
+
+function json(v) {
+  return v === undefined || v === null ? null : JSON.stringify(v);
+}
+
+// gw_commands 以自增 id 为主键：traceId 由客户端提供，结算后可以复用，同一 traceId 的每次发送各占一行
+const COMMANDS_TABLE = `
+CREATE TABLE IF NOT EXISTS gw_commands(
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trace_id TEXT,
+  session_id TEXT,
+  uid TEXT,
+  target TEXT,
+  source TEXT,
+  code TEXT,
+  command_id TEXT,
+  payload_json TEXT,
+  message_id TEXT,
+  sent_at INTEGER,
+  send_ok INTEGER,
+  send_error TEXT,
+  result_kind TEXT,
+  result_json TEXT,
+  result_at INTEGER,
+  latency_ms INTEGER
+);`;
+
+const COMMAND_COLUMNS = 'trace_id, session_id, uid, target, source, code, command_id, payload_json, message_id, sent_at, send_ok, send_error, result_kind, result_json, result_at, latency_ms';
+
+const DDL = `
+CREATE TABLE IF NOT EXISTS gw_sessions(
+  id TEXT PRIMARY KEY,
+  kind TEXT,
+  uid TEXT,
+  principal TEXT,
+  created_at INTEGER,
+  logged_in_at INTEGER,
+  closed_at INTEGER,
+  close_reason TEXT
+);
+${COMMANDS_TABLE}
+CREATE TABLE IF NOT EXISTS gw_receipts(
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  uid TEXT,
+  from_uid TEXT,
+  trace_id TEXT,
+  text TEXT,
+  ts INTEGER
+);
+`;
+
+// 索引在旧表迁移之后建（旧 gw_commands 改名时索引随旧表删除）
+const INDEXES = `
+CREATE INDEX IF NOT EXISTS idx_gw_sessions_uid ON gw_sessions(uid);
+CREATE INDEX IF NOT EXISTS idx_gw_commands_uid_sent ON gw_commands(uid, sent_at);
+CREATE INDEX IF NOT EXISTS idx_gw_commands_trace ON gw_commands(trace_id);
+CREATE INDEX IF NOT EXISTS idx_gw_receipts_uid_ts ON gw_receipts(uid, ts);
+`;
+
+export class HistoryStore {
+  constructor({ dbPath = HISTORY_DEFAULTS.dbPath, flushMs = HISTORY_DEFAULTS.flushMs, retentionDays = HISTORY_DEFAULTS.retentionDays, logger = null } = {}) {
+    this.dbPath = dbPath;
+    this.flushMs = flushMs;
+    this.retentionDays = retentionDays;
+    this.logger = logger;
+    this.enabled = false;
+    this.db = null;
+    this.stmts = null;
+    this.queue = []; // [{ stmt, params }]
+    this.timer = null;
+  }
+
+  _log(level, msg, extra) {
+    if (typeof this.logger === 'function') this.logger(level, `[HISTORY] ${msg}`, extra ?? '');
+  }
+
+  /**
+   * 打开数据库、建表、预编译语句并清理过期数据；失败时抛错。
+   */
+  init() {
+    mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(DDL);
+    this._migrateCommands();
+    this.db.exec(INDEXES);
+    this._prepare();
+    this.enabled = true;
+    if (this.retentionDays > 0) this.prune(Date.now() - this.retentionDays * 86400000);
+    return true;
+  }
+
+  /**
+   * 旧库的 gw_commands 以 trace_id 为主键（同 traceId 再次发送会覆盖前一行）：整表迁到自增 id 主键，数据原样保留。
+   */
+  _migrateCommands() {
+    const columns = this.db.prepare('PRAGMA table_info(gw_commands)').all().map((c) => c.name);
+    if (columns.includes('id')) return;
+    this.db.transaction(() => {
+      this.db.exec('ALTER TABLE gw_commands RENAME TO gw_commands_old');
+      this.db.exec(COMMANDS_TABLE);
+      this.db.exec(`INSERT INTO gw_commands(${COMMAND_COLUMNS}) SELECT ${COMMAND_COLUMNS} FROM gw_commands_old ORDER BY sent_at`);
+      this.db.exec('DROP TABLE gw_commands_old');
+    })();
+    this._log('INFO', 'gw_commands 已迁移为自增 id 主键');
+  }
+
+  _prepare() {
+    this.stmts = {
+      saveSession: this.db.prepare(`INSERT INTO gw_sessions(id, kind, uid, principal, created_at, logged_in_at)
+VALUES(@id, @kind, @uid, @principal, @created_at, @logged_in_at)
+ON CONFLICT(id) DO UPDATE SET uid=excluded.uid, principal=excluded.principal, logged_in_at=excluded.logged_in_at, closed_at=NULL, close_reason=NULL`),
+      closeSession: this.db.prepare('UPDATE gw_sessions SET closed_at = @closed_at, close_reason = @close_reason WHERE id = @id'),
+      saveCommand: this.db.prepare(`INSERT INTO gw_commands(trace_id, session_id, uid, target, source, code, command_id, payload_json, message_id, sent_at, send_ok, send_error)
+VALUES(@trace_id, @session_id, @uid, @target, @source, @code, @command_id, @payload_json, @message_id, @sent_at, @send_ok, @send_error)`),
+      saveResult: this.db.prepare(`UPDATE gw_commands SET result_kind = @result_kind, result_json = @result_json, result_at = @result_at, latency_ms = @latency_ms
+WHERE id = (SELECT MAX(id) FROM gw_commands WHERE trace_id = @trace_id AND send_ok = 1)`),
+      saveReceipt: this.db.prepare('INSERT INTO gw_receipts(uid, from_uid, trace_id, text, ts) VALUES(@uid, @from_uid, @trace_id, @text, @ts)'),
+      pruneCommands: this.db.prepare('DELETE FROM gw_commands WHERE sent_at < ?'),
+      pruneReceipts: this.db.prepare('DELETE FROM gw_receipts WHERE ts < ?'),
+      pruneSessions: this.db.prepare('DELETE FROM gw_sessions WHERE closed_at IS NOT NULL AND closed_at < ?'),
+    };
+    // 批量写入：单条失败跳过（SQLite 只回滚该语句），其余照常提交
+    this.writeBatch = this.db.transaction((batch) => {
+      let failed = 0;
+      for (const { stmt, params } of batch) {
+        try {
+          stmt.run(params);
+        } catch (e) {
+          failed += 1;
+          this._log('ERROR', `写入失败（跳过 1 条）: ${e?.message || e}`);
+        }
+      }
+      return failed;
+    });
+  }
+
+  prune(beforeMs) {
+    const before = int(beforeMs);
+    this.db.transaction(() => {
+      this.stmts.pruneCommands.run(before);
+      this.stmts.pruneReceipts.run(before);
+      this.stmts.pruneSessions.run(before);
+    })();
+  }
+
+  _enqueue(stmt, params) {
+    if (!this.enabled) return;
+    this.queue.push({ stmt: this.stmts[stmt], params });
+    if (!this.timer) this.timer = setTimeout(() => this.flush(), this.flushMs);
+  }
+
+  /**
+   * 把队列中的写入在一个事务里执行。
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.enabled || !this.queue.length) return;
+    const batch = this.queue.splice(0);
+    try {
+      this.writeBatch(batch);
+    } catch (e) {
+      this._log('ERROR', `写入失败（丢弃 ${batch.length} 条）: ${e?.message || e}`);
+    }
+  }
+
+  /**
+   * 落盘队列后关闭数据库（关闭后的写入被忽略）。
+   */
+  close() {
+    if (!this.enabled) return;
+    this.flush();
+    this.enabled = false;
+    this.db.close();
+  }
+
+  recordSession({ id, kind, uid = null, principal = null, createdAt = Date.now(), loggedInAt = null }) {
+    this._enqueue('saveSession', { id: str(id), kind: str(kind), uid: str(uid), principal: str(principal), created_at: int(createdAt), logged_in_at: int(loggedInAt) });
+  }
+
+  closeSession(id, reason) {
+    this._enqueue('closeSession', { id: str(id), closed_at: Date.now(), close_reason: str(reason) });
+  }
+
+  /**
+   * 记录一条出站指令；ok=false 时为发送失败（不会再有回执结果）。
+   */
+  recordCommand({ traceId, sessionId, uid, to, source, payload, messageId = null, sentAt = Date.now(), ok = true, error = null }) {
+    // game_cmd 里的 token 是玩家凭据，不落盘
+    if (payload && typeof payload === 'object' && 'token' in payload) payload = { ...payload, token: '***' };
+    this._enqueue('saveCommand', {
+      trace_id: str(traceId),
+      session_id: str(sessionId),
+      uid: str(uid),
+      target: str(to),
+      source: str(source),
+      code: str(payload?.code ?? null),
+      command_id: str(payload?.id ?? null),
+      payload_json: json(payload),
+      message_id: str(messageId),
+      sent_at: int(sentAt),
+      send_ok: ok ? 1 : 0,
+      send_error: str(error),
+    });
+  }
+
+  recordResult({ kind, traceId, latencyMs, ...rest }) {
+    this._enqueue('saveResult', { trace_id: str(traceId), result_kind: str(kind), result_json: json(rest), result_at: Date.now(), latency_ms: int(latencyMs) });
+  }
+
+  recordReceipt({ uid, from, text, traceId = null, ts = Date.now() }) {
+    this._enqueue('saveReceipt', { uid: str(uid), from_uid: str(from), trace_id: str(traceId), text: str(text), ts: int(ts) });
+  }
+
+  /**
+   * 查询某 uid 在 [from, to] 内的指令、回执与会话（时间为毫秒时间戳）。查询前先落盘队列。
+   * principal 不为空时只返回该调用方创建的会话及其指令，回执只含匹配到这些指令的（没匹配到指令的回执无法归属，不返回）。
+   */
+  query({ uid = null, from = null, to = null, limit = 200, principal = null } = {}) {
+    if (!this.enabled) throw new Error('历史记录未启用');
+    this.flush();
+    const n = Math.min(Math.max(Number(limit) || 200, 1), HISTORY_DEFAULTS.maxQueryRows);
+    // 条件只有 uid / from / to / principal 是否出现这几种组合，参数一律绑定
+    const params = { uid: str(uid), from: int(from), to: int(to), principal: str(principal), limit: n };
+    const where = (conds) => conds.filter(Boolean).join(' AND ') || '1=1';
+    const uidCond = uid ? 'uid = @uid' : null;
+    const ownSessions = 'SELECT id FROM gw_sessions WHERE principal = @principal';
+    const ownCond = {
+      commands: principal != null ? `session_id IN (${ownSessions})` : null,
+      receipts: principal != null ? `trace_id IN (SELECT trace_id FROM gw_commands WHERE session_id IN (${ownSessions}))` : null,
+      sessions: principal != null ? 'principal = @principal' : null,
+    };
+    const rangeOf = (col, own) => where([uidCond, own, params.from != null ? `${col} >= @from` : null, params.to != null ? `${col} <= @to` : null]);
+    const pick = (sql) => this.db.prepare(sql).all(params);
+
+    const commands = pick(`SELECT * FROM gw_commands WHERE ${rangeOf('sent_at', ownCond.commands)} ORDER BY sent_at DESC LIMIT @limit`);
+    const receipts = pick(`SELECT * FROM gw_receipts WHERE ${rangeOf('ts', ownCond.receipts)} ORDER BY ts DESC LIMIT @limit`);
+    // 会话按是否与时间窗重叠筛选
+    const sessions = pick(`SELECT * FROM gw_sessions WHERE ${where([
+      uidCond,
+      ownCond.sessions,
+      params.from != null ? '(closed_at IS NULL OR closed_at >= @from)' : null,
+      params.to != null ? 'created_at <= @to' : null,
+    ])} ORDER BY created_at DESC LIMIT @limit`);
+    for (const row of commands) {
+      row.payload = row.payload_json ? JSON.parse(row.payload_json) : null;
+      row.result = row.result_json ? JSON.parse(row.result_json) : null;
+      delete row.payload_json;
+      delete row.result_json;
+    }
+    return { commands, receipts, sessions };
+  }
+}
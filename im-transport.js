@@ -0,0 +1,57 @@
+/**
+ * IM transport layer
+ *
+ * ChatClient 不直接依赖 TencentCloudChat / fetch，而是通过 transport 获取：
+ *  - postGameSign(body) : 调用 /user/game_sign，返回原始响应 JSON（{ code, msg, data }）
+ *  - createChat(appId)  : 创建 chat 实例（on/off/login/logout/destroy/createTextMessage/sendMessage）
+ *  - EVENT / TYPES      : 与 TencentCloudChat 同名的常量
+ *
+ * 可选实现：
+ *  - tencent : 真实 game_sign 接口 + TencentCloudChat（默认）
+ *  - mock    : 进程内假 game_sign + 假 C2C 中继（离线开发 / CI 回归）
+ */
+
+import TencentCloudChat from '@tencentcloud/chat';
+import { createMockTransport } from './mock-im.js';
+
+export const TRANSPORT_NAMES = ['tencent', 'mock'];
+
+export function createTencentTransport({ apiBase }) {
+  return {
+    name: 'tencent',
+    EVENT: TencentCloudChat.EVENT,
+    TYPES: TencentCloudChat.TYPES,
+
+    async postGameSign(body) {
+      const url = `${apiBase}/user/game_sign`;
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!resp.ok) throw new Error(`game_sign http ${resp.status}`);
+      return resp.json();
+    },
+
+    async createChat(appId) {
+      // provide WebSocket implementation for Node
+      // TencentCloudChat on Node expects global WebSocket
+      if (typeof globalThis.WebSocket === 'undefined') {
+        const wsmod = await import('ws');
+        globalThis.WebSocket = wsmod.default;
+      }
+      return TencentCloudChat.create({ SDKAppID: appId });
+    },
+  };
+}
+
+export function createTransport(name, options = {}) {
+  switch (name) {
+    case 'tencent':
+      return createTencentTransport(options);
+    case 'mock':
+      return createMockTransport(options);
+    default:
+      throw new Error(`未知 IM_TRANSPORT: ${name}（可选: ${TRANSPORT_NAMES.join('/')}）`);
+  }
+}
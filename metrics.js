@@ -0,0 +1,171 @@
+/**
+ * Prometheus-style metrics（无第三方依赖，文本格式 0.0.4）
+ *
+ *  - Counter   : inc(labels?, n?)
+ *  - Gauge     : set(labels?, v) / inc / dec；也可传 collect()，在抓取时计算（如当前会话数）
+ *  - Histogram : observe(labels?, seconds)，默认桶适合 IM / HTTP 延迟（5ms .. 15s）
+ *
+ * 指标由 server.js 定义并打点，GET /metrics 时调用 registry.render()。
+ * collect() 可以是 async（如查询 game2 数据库），出错时该指标本次不输出样本，只记日志。
+ */
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15];
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // 序列化后的 labels -> { labels, ... }
+  }
+
+  _series(labels = {}, init) {
+    const picked = {};
+    for (const k of this.labelNames) picked[k] = labels[k] ?? '';
+    const key = JSON.stringify(picked);
+    let s = this.series.get(key);
+    if (!s) {
+      s = { labels: picked, ...init() };
+      this.series.set(key, s);
+    }
+    return s;
+  }
+
+  _header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    // 无 label 的计数器从 0 开始输出，便于 rate() / 告警
+    if (!this.labelNames.length) this.inc({}, 0);
+  }
+
+  inc(labels = {}, n = 1) {
+    this._series(labels, () => ({ value: 0 })).value += n;
+  }
+
+  lines() {
+    return [...this._header(), ...[...this.series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, v) {
+    this._series(labels, () => ({ value: 0 })).value = v;
+  }
+
+  inc(labels = {}, n = 1) {
+    this._series(labels, () => ({ value: 0 })).value += n;
+  }
+
+  dec(labels = {}, n = 1) {
+    this.inc(labels, -n);
+  }
+
+  lines() {
+    return [...this._header(), ...[...this.series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, v) {
+    const s = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((b, i) => { if (v <= b) s.counts[i] += 1; });
+    s.sum += v;
+    s.count += 1;
+  }
+
+  /**
+   * 计时：返回 end(labels)，调用时按经过的秒数 observe（labels 与开始时的合并）。
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (more = {}) => this.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  lines() {
+    const out = this._header();
+    for (const s of this.series.values()) {
+      this.buckets.forEach((b, i) => out.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: b })} ${s.counts[i]}`));
+      out.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      out.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+      out.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return out;
+  }
+}
+
+export class MetricsRegistry {
+  constructor({ prefix = '', logger = null } = {}) {
+    this.prefix = prefix;
+    this.logger = logger;
+    this.metrics = [];
+  }
+
+  _add(metric) {
+    if (this.metrics.some((m) => m.name === metric.name)) throw new Error(`指标重复定义: ${metric.name}`);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, { labelNames = [] } = {}) {
+    return this._add(new Counter(this.prefix + name, help, labelNames));
+  }
+
+  gauge(name, help, { labelNames = [], collect = null } = {}) {
+    return this._add(new Gauge(this.prefix + name, help, labelNames, collect));
+  }
+
+  histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+    return this._add(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+
+  async render() {
+    const out = [];
+    for (const m of this.metrics) {
+      if (typeof m.collect === 'function') {
+        // collect 型 gauge 每次抓取重算，不保留已消失的序列（如会话结束的 kind）
+        m.series.clear();
+        try {
+          await m.collect(m);
+        } catch (e) {
+          if (typeof this.logger === 'function') this.logger('WARN', `[METRICS] ${m.name} 采集失败: ${e?.message || e}`);
+        }
+      }
+      out.push(...m.lines());
+    }
+    return `${out.join('\n')}\n`;
+  }
+}
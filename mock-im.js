@@ -0,0 +1,306 @@
+/**
+ * In-process mock IM (offline development / CI)
+ *
+ * 提供与 im-transport.js 相同的 transport 接口：
+ *  - 假 /user/game_sign：接受 connect_code 或 uid+token，返回 { code: 1, data: { appid, sign } }
+ *  - 假 C2C 中继：记录每条发送的 payload.text，并可向已登录的 chat 注入事件
+ *      MESSAGE_RECEIVED / KICKED_OUT / SDK_NOT_READY / SDK_READY / NET_STATE_CHANGE / ERROR
+ *
+ * 约定：token 以 "invalid" 开头时 game_sign 返回失败（用于回归登录失败分支）。
+ *
+ * HTTP 调试路由（applyMockRoutes，默认前缀 /mock-im）：
+ *  - POST /mock-im/user/game_sign
+ *  - GET  /mock-im/sent?to=
+ *  - POST /mock-im/inject   { type, to?, from?, text?, payload?, reason?, state? }
+ *  - POST /mock-im/fail-sends { count, code?, message?, hang? }  让接下来 count 次 sendMessage 失败（hang=true 时不返回）
+ *  - POST /mock-im/reset
+ */
+
+import crypto from 'crypto';
+
+export const MOCK_EVENT = {
+  SDK_READY: 'sdkStateReady',
+  SDK_NOT_READY: 'sdkStateNotReady',
+  SDK_DESTROY: 'sdkDestroy',
+  MESSAGE_RECEIVED: 'onMessageReceived',
+  KICKED_OUT: 'kickedOut',
+  ERROR: 'error',
+  NET_STATE_CHANGE: 'netStateChange',
+};
+
+export const MOCK_TYPES = {
+  CONV_C2C: 'C2C',
+  MSG_TEXT: 'TIMTextElem',
+  KICKED_OUT_MULT_ACCOUNT: 'multipleAccount',
+  KICKED_OUT_MULT_DEVICE: 'multipleDevice',
+  KICKED_OUT_USERSIG_EXPIRED: 'userSigExpired',
+  NET_STATE_CONNECTED: 'connected',
+  NET_STATE_CONNECTING: 'connecting',
+  NET_STATE_DISCONNECTED: 'disconnected',
+};
+
+const DEFAULT_APP_ID = 1400000000;
+
+function plainUid(id) {
+  const s = String(id || '').trim();
+  return s.startsWith('game_') ? s.slice(5) : s;
+}
+
+function mockSign(userId) {
+  return `mock_sig_${crypto.createHash('sha1').update(String(userId)).digest('hex').slice(0, 16)}`;
+}
+
+class MockChat {
+  constructor(relay, appId) {
+    this.relay = relay;
+    this.appId = appId;
+    this.userID = null;
+    this.ready = false;
+    this.listeners = new Map();
+  }
+
+  on(evt, fn) {
+    if (!this.listeners.has(evt)) this.listeners.set(evt, new Set());
+    this.listeners.get(evt).add(fn);
+  }
+
+  off(evt, fn) {
+    this.listeners.get(evt)?.delete(fn);
+  }
+
+  _fire(evt, data) {
+    for (const fn of [...(this.listeners.get(evt) || [])]) {
+      try { fn({ name: evt, data }); } catch (e) { /* ignore */ }
+    }
+  }
+
+  async login({ userID, userSig } = {}) {
+    if (!userID || userSig !== mockSign(userID)) {
+      throw Object.assign(new Error('mock login: userSig 校验失败'), { code: 70001 });
+    }
+    this.userID = String(userID);
+    this.relay._attach(this);
+    setImmediate(() => {
+      if (!this.relay.chats.has(this)) return;
+      this.ready = true;
+      this._fire(MOCK_EVENT.SDK_READY);
+    });
+    return { code: 0, data: { repeatLogin: false } };
+  }
+
+  async logout() {
+    this.ready = false;
+    this.relay._detach(this);
+    return { code: 0, data: {} };
+  }
+
+  async destroy() {
+    this.ready = false;
+    this.relay._detach(this);
+    this._fire(MOCK_EVENT.SDK_DESTROY);
+    this.listeners.clear();
+  }
+
+  createTextMessage({ to, conversationType, payload } = {}) {
+    return {
+      ID: `mock-${crypto.randomBytes(6).toString('hex')}`,
+      from: this.userID,
+      to: String(to ?? ''),
+      conversationType,
+      type: MOCK_TYPES.MSG_TEXT,
+      payload: { ...(payload || {}) },
+      time: Math.floor(Date.now() / 1000),
+    };
+  }
+
+  async sendMessage(message) {
+    if (!this.ready) {
+      throw Object.assign(new Error('mock sendMessage: SDK not ready'), { code: 2801 });
+    }
+    const failure = this.relay.sendFailures.shift();
+    if (failure?.hang) return new Promise(() => {});
+    if (failure) throw Object.assign(new Error(failure.message), { code: failure.code });
+    if (this.relay.latencyMs > 0) {
+      await new Promise((r) => setTimeout(r, this.relay.latencyMs));
+    }
+    this.relay._record(this, message);
+    return { code: 0, data: { message } };
+  }
+}
+
+export class MockRelay {
+  constructor({ appId = DEFAULT_APP_ID, latencyMs = 0 } = {}) {
+    this.appId = Number(appId);
+    this.latencyMs = Number(latencyMs) || 0;
+    this.chats = new Set();
+    this.sent = [];
+    this.sendFailures = [];
+  }
+
+  // ---- fake /user/game_sign ----
+  gameSign(body = {}) {
+    let uid = body.uid;
+    let token = body.token;
+    if (body.connect_code) {
+      const parts = String(body.connect_code).trim().split(/\s+/).filter(Boolean);
+      uid = parts[0];
+      token = parts.slice(1).join(' ');
+    }
+    uid = plainUid(uid);
+    token = String(token || '').trim();
+    if (!uid || !token) return { code: 0, msg: 'uid/token 或 connect_code 缺失', data: null };
+    if (token.startsWith('invalid')) return { code: 0, msg: 'token 无效', data: null };
+    return { code: 1, msg: 'ok', data: { appid: String(this.appId), sign: mockSign(`game_${uid}`) } };
+  }
+
+  // ---- fake C2C relay ----
+  _attach(chat) { this.chats.add(chat); }
+  _detach(chat) { this.chats.delete(chat); }
+
+  _record(chat, message) {
+    const text = message?.payload?.text;
+    let parsed = null;
+    try { parsed = typeof text === 'string' ? JSON.parse(text) : null; } catch { parsed = null; }
+    this.sent.push({
+      id: message.ID,
+      from: chat.userID,
+      to: message.to,
+      conversationType: message.conversationType,
+      text: typeof text === 'string' ? text : null,
+      payload: parsed,
+      time: Date.now(),
+    });
+  }
+
+  _targets(to) {
+    const all = [...this.chats];
+    if (!to) return all;
+    const uid = plainUid(to);
+    return all.filter((c) => plainUid(c.userID) === uid);
+  }
+
+  listSent({ to } = {}) {
+    if (!to) return [...this.sent];
+    const uid = plainUid(to);
+    return this.sent.filter((m) => plainUid(m.to) === uid);
+  }
+
+  /**
+   * 向已登录的 chat 注入事件，返回命中的 chat 数量。
+   */
+  inject(type, opts = {}) {
+    const targets = this._targets(opts.to);
+    for (const chat of targets) {
+      switch (type) {
+        case 'MESSAGE_RECEIVED': {
+          const text = typeof opts.text === 'string' ? opts.text : JSON.stringify(opts.payload ?? {});
+          const from = String(opts.from ?? plainUid(chat.userID));
+          chat._fire(MOCK_EVENT.MESSAGE_RECEIVED, [{
+            ID: `mock-${crypto.randomBytes(6).toString('hex')}`,
+            from,
+            to: chat.userID,
+            conversationID: `C2C${from}`,
+            type: MOCK_TYPES.MSG_TEXT,
+            payload: { text },
+            time: Math.floor(Date.now() / 1000),
+          }]);
+          break;
+        }
+        case 'KICKED_OUT':
+          chat.ready = false;
+          this._detach(chat);
+          chat._fire(MOCK_EVENT.KICKED_OUT, { type: opts.reason || MOCK_TYPES.KICKED_OUT_MULT_ACCOUNT });
+          break;
+        case 'SDK_NOT_READY':
+          chat.ready = false;
+          chat._fire(MOCK_EVENT.SDK_NOT_READY);
+          break;
+        case 'SDK_READY':
+          chat.ready = true;
+          chat._fire(MOCK_EVENT.SDK_READY);
+          break;
+        case 'NET_STATE_CHANGE':
+          chat._fire(MOCK_EVENT.NET_STATE_CHANGE, { state: opts.state || MOCK_TYPES.NET_STATE_DISCONNECTED });
+          break;
+        case 'ERROR':
+          chat._fire(MOCK_EVENT.ERROR, { code: Number(opts.code ?? 0), message: String(opts.message || 'mock error') });
+          break;
+        default:
+          throw new Error(`mock inject 不支持的事件类型: ${type}`);
+      }
+    }
+    return targets.length;
+  }
+
+  failSends(count = 1, { code = 2801, message = 'mock sendMessage failure', hang = false } = {}) {
+    for (let i = 0; i < count; i++) this.sendFailures.push({ code: Number(code), message: String(message), hang: !!hang });
+  }
+
+  reset() {
+    this.sent = [];
+    this.sendFailures = [];
+  }
+}
+
+export function createMockTransport(options = {}) {
+  const relay = new MockRelay(options);
+  return {
+    name: 'mock',
+    EVENT: MOCK_EVENT,
+    TYPES: MOCK_TYPES,
+    relay,
+
+    async postGameSign(body) {
+      return relay.gameSign(body);
+    },
+
+    async createChat(appId) {
+      return new MockChat(relay, appId);
+    },
+  };
+}
+
+// 路由说明（/api/spec，见 api-spec.js）；只在 IM_TRANSPORT=mock 时注册
+export function mockRouteDocs(basePath = '/mock-im') {
+  const ok = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'] };
+  const doc = (summary, extra = {}) => ({ tag: 'mock', summary, optional: true, responses: { 200: ok }, ...extra });
+  return {
+    [`POST ${basePath}/user/game_sign`]: doc('模拟 game_sign（token 以 invalid 开头时失败）', { responses: { 200: { type: 'object' } } }),
+    [`GET ${basePath}/sent`]: doc('已发送的消息（?to= 过滤）', { query: { to: { type: 'string' } } }),
+    [`POST ${basePath}/inject`]: doc('注入 IM 事件 / 入站消息', { body: { type: 'object', properties: { type: { type: 'string' } }, required: ['type'] } }),
+    [`POST ${basePath}/fail-sends`]: doc('让接下来 count 次 sendMessage 失败', { body: { type: 'object', properties: { count: { type: 'integer' }, code: { type: 'integer' }, message: { type: 'string' }, hang: { type: 'boolean' } } } }),
+    [`POST ${basePath}/reset`]: doc('清空状态'),
+  };
+}
+
+export function applyMockRoutes(app, relay, basePath = '/mock-im') {
+  app.post(`${basePath}/user/game_sign`, (req, res) => {
+    res.json(relay.gameSign(req.body || {}));
+  });
+
+  app.get(`${basePath}/sent`, (req, res) => {
+    const to = String(req.query.to || '').trim();
+    res.json({ ok: true, sent: relay.listSent({ to: to || null }) });
+  });
+
+  app.post(`${basePath}/inject`, (req, res) => {
+    const { type, ...opts } = req.body || {};
+    try {
+      const delivered = relay.inject(String(type || ''), opts);
+      res.json({ ok: true, delivered });
+    } catch (e) {
+      res.status(400).json({ ok: false, message: e?.message || String(e) });
+    }
+  });
+
+  app.post(`${basePath}/fail-sends`, (req, res) => {
+    const { count = 1, code, message, hang } = req.body || {};
+    relay.failSends(Number(count) || 1, { code, message, hang });
+    res.json({ ok: true, pending: relay.sendFailures.length });
+  });
+
+  app.post(`${basePath}/reset`, (_req, res) => {
+    relay.reset();
+    res.json({ ok: true });
+  });
+}
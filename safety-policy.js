@@ -0,0 +1,166 @@
+/**
+ * Per-uid safety policy（网关兜底，WS 与 HTTP 发送路径共用）
+ *
+ * 规则（违反时拒绝发送，rule 为下列之一）：
+ *  - rate_limit         : 每个 uid 每秒最多 maxCommandsPerSec 条指令（WS + HTTP 合计）。放行时 check 当场占用额度，
+ *                         并发的请求不会都看到同一个未满的窗口；发送失败的由调用方 release 归还
+ *  - max_strength       : control_channel 的 strength 不得超过 maxStrength
+ *  - max_duration       : control_channel 的 duration_ms 不得超过 maxDurationMs；
+ *                         allowContinuous=false 时 duration_ms=0（持续到下一条）同样拒绝
+ *  - stop_cooldown      : _stop_all / 急停后 stopCooldownMs 内拒绝新指令
+ *  - session_time_limit : 登录超过 sessionTimeLimitMs 后拒绝新指令（0 = 不限）
+ *
+ * 停止类指令（game_cmd _stop_all、仅含 clear_channel 的 game_opts）永远放行，也不计入速率。
+ *
+ * 策略来源：config.js 的 safety.* 给出默认值（环境变量 SAFETY_*），safety.policyFile（SAFETY_POLICY_FILE）指向的 JSON 可覆盖：
+ *   { "default": { ... }, "uids": { "30033": { "maxStrength": 40 } } }
+ */
+
+import { promises as fs } from 'fs';
+import { GAME_CMD_CODE, STOP_ALL_ID } from './game-cmd.js';
+import { GAME_OPTS_CODE } from './game-opts.js';
+
+export const SAFETY_RULES = {
+  RATE: 'rate_limit',
+  STRENGTH: 'max_strength',
+  DURATION: 'max_duration',
+  COOLDOWN: 'stop_cooldown',
+  SESSION_TIME: 'session_time_limit',
+};
+
+export const DEFAULT_SAFETY_POLICY = {
+  maxCommandsPerSec: 5,
+  maxStrength: 100,
+  maxDurationMs: 60000,
+  allowContinuous: true,
+  stopCooldownMs: 0,
+  sessionTimeLimitMs: 0,
+};
+
+const POLICY_KEYS = Object.keys(DEFAULT_SAFETY_POLICY);
+
+function plainUid(id) {
+  const s = String(id || '').trim();
+  return s.startsWith('game_') ? s.slice(5) : s;
+}
+
+function pickPolicy(obj) {
+  const out = {};
+  for (const k of POLICY_KEYS) {
+    if (obj && obj[k] !== undefined) out[k] = obj[k];
+  }
+  return out;
+}
+
+/**
+ * 读取策略文件；文件不存在时只用 defaults，格式错误直接抛出（启动即失败）。
+ */
+export async function loadSafetyPolicies(file, defaults = DEFAULT_SAFETY_POLICY) {
+  const policies = { default: { ...DEFAULT_SAFETY_POLICY, ...pickPolicy(defaults) }, uids: {} };
+  if (!file) return policies;
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf-8');
+  } catch (e) {
+    if (e?.code === 'ENOENT') return policies;
+    throw e;
+  }
+  const json = JSON.parse(raw);
+  Object.assign(policies.default, pickPolicy(json.default));
+  for (const [uid, p] of Object.entries(json.uids || {})) policies.uids[plainUid(uid)] = pickPolicy(p);
+  return policies;
+}
+
+export function isStopPayload(payload) {
+  if (!payload || typeof payload !== 'object') return false;
+  if (payload.code === GAME_CMD_CODE) return payload.id === STOP_ALL_ID;
+  if (payload.code === GAME_OPTS_CODE) {
+    const actions = Array.isArray(payload.actions) ? payload.actions : [payload];
+    return actions.length > 0 && actions.every((a) => a?.action === 'clear_channel');
+  }
+  return false;
+}
+
+function optsActions(payload) {
+  if (payload?.code !== GAME_OPTS_CODE) return [];
+  return Array.isArray(payload.actions) ? payload.actions : [payload];
+}
+
+export class SafetyGuard {
+  constructor(policies = { default: { ...DEFAULT_SAFETY_POLICY }, uids: {} }) {
+    this.policies = policies;
+    this.recent = new Map(); // uid -> 最近 1s 内占用额度的指令 [{ at, ref }]
+    this.lastStopAt = new Map(); // uid -> ms
+  }
+
+  policyFor(uid) {
+    return { ...this.policies.default, ...(this.policies.uids[plainUid(uid)] || {}) };
+  }
+
+  /**
+   * 检查一条出站 payload；放行返回 null，违规时返回 { rule, message, limit }。
+   * 放行的非停止类指令立即占用一个速率额度（ref 标识这一条，如 traceId）；之后发送失败或被拒绝时用 release 归还。
+   * @param {{ uid: string, payload: object, sessionStartedAt?: number|null, ref?: string|null }} ctx
+   */
+  check({ uid, payload, sessionStartedAt = null, ref = null }, now = Date.now()) {
+    const key = plainUid(uid);
+    if (isStopPayload(payload)) {
+      this.noteStop(key, now);
+      return null;
+    }
+    const policy = this.policyFor(key);
+
+    if (policy.sessionTimeLimitMs > 0 && sessionStartedAt && now - sessionStartedAt > policy.sessionTimeLimitMs) {
+      return { rule: SAFETY_RULES.SESSION_TIME, limit: policy.sessionTimeLimitMs, message: `会话已超过时长上限 ${policy.sessionTimeLimitMs}ms` };
+    }
+
+    const lastStop = this.lastStopAt.get(key);
+    if (policy.stopCooldownMs > 0 && lastStop && now - lastStop < policy.stopCooldownMs) {
+      return {
+        rule: SAFETY_RULES.COOLDOWN,
+        limit: policy.stopCooldownMs,
+        retryAfterMs: policy.stopCooldownMs - (now - lastStop),
+        message: `停止后 ${policy.stopCooldownMs}ms 冷却中`,
+      };
+    }
+
+    for (const [i, act] of optsActions(payload).entries()) {
+      if (act?.action !== 'control_channel') continue;
+      const { strength, duration_ms: durationMs } = act.data || {};
+      if (Number(strength) > policy.maxStrength) {
+        return { rule: SAFETY_RULES.STRENGTH, limit: policy.maxStrength, message: `actions[${i}].strength=${strength} 超过上限 ${policy.maxStrength}` };
+      }
+      if (durationMs === 0 && !policy.allowContinuous) {
+        return { rule: SAFETY_RULES.DURATION, limit: policy.maxDurationMs, message: `actions[${i}] 不允许 duration_ms=0（持续输出）` };
+      }
+      if (Number(durationMs) > policy.maxDurationMs) {
+        return { rule: SAFETY_RULES.DURATION, limit: policy.maxDurationMs, message: `actions[${i}].duration_ms=${durationMs} 超过上限 ${policy.maxDurationMs}` };
+      }
+    }
+
+    const window = (this.recent.get(key) || []).filter((e) => now - e.at < 1000);
+    if (policy.maxCommandsPerSec > 0 && window.length >= policy.maxCommandsPerSec) {
+      this.recent.set(key, window);
+      return {
+        rule: SAFETY_RULES.RATE,
+        limit: policy.maxCommandsPerSec,
+        retryAfterMs: 1000 - (now - window[0].at),
+        message: `超过速率上限 ${policy.maxCommandsPerSec} 条/秒`,
+      };
+    }
+    window.push({ at: now, ref });
+    this.recent.set(key, window);
+    return null;
+  }
+
+  // 归还 check 占用的速率额度：ref 对应的那条没有发出去（发送失败 / 被后续环节拒绝）
+  release({ uid, ref }) {
+    const window = this.recent.get(plainUid(uid));
+    const i = window ? window.findIndex((e) => e.ref === ref) : -1;
+    if (i >= 0) window.splice(i, 1);
+  }
+
+  noteStop(uid, now = Date.now()) {
+    this.lastStopAt.set(plainUid(uid), now);
+  }
+}
@@ -3,30 +3,126 @@
  * Path on server: /www/wwwroot/yidimension/server.js
  *
  * Responsibilities:
- *  - HTTP API: /health, /api/status, /api/login, /api/reinit, /api/send-command
- *  - WebSocket gateway: connection management, message handling, heartbeat, broadcast
+ *  - HTTP API: /health, /metrics (Prometheus, metrics.js), /api/spec (OpenAPI + AsyncAPI, api-spec.js), /api/config, /api/status, /api/login, /api/reinit, /api/send-command, /api/send-opts,
+ *              /api/emergency-stop, /api/sessions（多账号 HTTP 会话）, /api/history（history-store.js）
+ *  - WebSocket gateway: connection management, message handling, heartbeat, broadcast,
+ *                       versioned protocol with JSON Schema + requestId (ws-protocol.js, GET /api/ws-protocol),
+ *                       per-session dead-man switch (watchdog.js)
  *  - Tencent Cloud IM: login/auth via game_sign, event listeners, message sending
+ *  - IM transport: IM_TRANSPORT=tencent (default) | mock (in-process fake, see mock-im.js)
+ *  - Configuration: config.json / CONFIG_FILE + env overrides, validated at startup (config.js)
  *
  * Notes:
  *  - WebSocket is designed for multi-user (each WS connection has its own IM session).
- *  - HTTP API is "single-admin" style for quick testing/monitoring (as in developer docs).
+ *  - /api/login, /api/send-command... are "single-admin" style for quick testing/monitoring (as in developer docs);
+ *    /api/sessions gives each HTTP caller (e.g. a match server) its own IM session, like WS clients.
  */
 
-import TencentCloudChat from '@tencentcloud/chat';
 import express from 'express';
 import cors from 'cors';
-import { WebSocketServer } from 'ws';
+import WebSocket, { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import { promises as fs } from 'fs';
 import path from 'path';
 import crypto from 'crypto';
-import { applyGame2Routes } from './game2_cunzhi/game2-api.js';
-
-const PORT = Number(process.env.PORT || 3001);
-const HOST = process.env.HOST || '0.0.0.0';
-const API_BASE = process.env.API_BASE || 'https://suo.jiushu1234.com/api.php';
-const STATE_FILE = process.env.STATE_FILE || path.resolve(process.cwd(), '..', 'state.json');
-const WS_PATH = process.env.WS_PATH || '/ws'; // for nginx reverse proxy
+import {
+  applyGame2Routes, closeGame2Store, countSessionsByStatus, game2RouteDocs, getGame2Calibration, getGame2Step, interruptGame2Session, onGame2Step,
+} from './game2_cunzhi/game2-api.js';
+import { Game2Driver } from './game2-drive.js';
+import { ContinuousOutputGuard, applyCalibration, guardMsOf, usableCalibration } from './game2-calibration.js';
+import { ConfigError, describeConfig, loadConfig } from './config.js';
+import { createTransport } from './im-transport.js';
+import { applyMockRoutes, mockRouteDocs } from './mock-im.js';
+import { GAME_OPTS_CODE, GAME_OPTS_LIMITS, buildGameOpts, clearChannel, validateGameOpts } from './game-opts.js';
+import { GAME_CMD_CODE, STOP_ALL_ID, buildGameCmd, validateCmdPayload } from './game-cmd.js';
+import { CommandTracker } from './command-tracker.js';
+import { Watchdog } from './watchdog.js';
+import { SafetyGuard, SAFETY_RULES, isStopPayload, loadSafetyPolicies } from './safety-policy.js';
+import { Authenticator, SCOPES, hasScope, loadAuthConfig, requireScope } from './auth.js';
+import { HistoryStore } from './history-store.js';
+import { METRICS_CONTENT_TYPE, MetricsRegistry } from './metrics.js';
+import { GATEWAY_ROUTE_DOCS, buildAsyncApi, buildOpenApi, checkCoverage, selfCheck } from './api-spec.js';
+import { WS_ERROR_CODES, WS_PROTOCOL_VERSIONS, describeProtocol, negotiateProtocol, validateInbound, validateOutbound } from './ws-protocol.js';
+
+// 配置：config.json / CONFIG_FILE + 环境变量覆盖（config.js），任一项无效时直接退出
+let config;
+try {
+  config = await loadConfig();
+} catch (e) {
+  if (!(e instanceof ConfigError)) throw e;
+  log('ERROR', `[CONFIG] ${e.message}`);
+  process.exit(1);
+}
+const CFG = config.values;
+if (config.file) log('INFO', `[CONFIG] 已加载配置文件 ${config.file}`);
+
+const PORT = CFG.server.port;
+const HOST = CFG.server.host;
+const API_BASE = CFG.server.apiBase;
+const STATE_FILE = CFG.server.stateFile;
+// 为 null 时不限制 WS 路径（方案 B：ws://<ip>:3001 直连）；设置后（如 Nginx 反代的 /ws）只接受该路径
+const WS_PATH = CFG.ws.path;
+const IM_TRANSPORT = CFG.im.transport; // tencent | mock
+// 固定收件人（对齐官方“固定中枢账号”模式，例如 50141），见 resolveTargets
+const GAME_CMD_TO = CFG.im.commandTarget;
+// 单条 IM 发送：超时与重试（仅对 IM SDK 返回的可重试错误码重试；本地超时结果不确定，默认不重试以免设备重复执行）
+const SEND_POLICY = { ...CFG.im.send };
+// TencentCloudChat 网络类错误码：2800 网络错误 / 2801 请求超时
+const RETRYABLE_SEND_CODES = new Set([2800, 2801]);
+
+// 急停：绕过发送队列，重发直到收到 App 回执或达到上限（_stop_all 幂等，重发安全）
+const EMERGENCY_STOP_POLICY = {
+  maxAttempts: CFG.commands.emergencyStop.maxAttempts,
+  ackTimeoutMs: CFG.commands.emergencyStop.ackTimeoutMs,
+  sendTimeoutMs: 3000,
+  retryDelayMs: 200,
+};
+
+// 指令回执等待时长：超时未收到 App 回执则推送 commandTimeout
+const COMMAND_ACK_TIMEOUT_MS = CFG.commands.ackTimeoutMs;
+
+// dead-man switch 默认超时（0 = 默认不启用，客户端可通过 watchdog 消息按会话启用）
+const WATCHDOG_DEFAULT_MS = CFG.commands.watchdogTimeoutMs;
+// game_sign 的 uid+token 形式已废弃：优先 connect_code，失败时是否回退 uid+token
+const GAME_SIGN_LEGACY_FALLBACK = CFG.im.gameSignLegacyFallback;
+// game_opts 校验上限（动作数 / duration_ms）
+const OPTS_LIMITS = { ...GAME_OPTS_LIMITS, maxActions: CFG.commands.optsMaxActions, durationMaxMs: CFG.commands.optsMaxDurationMs };
+
+const transport = createTransport(IM_TRANSPORT, { apiBase: API_BASE });
+
+// per-uid 安全策略（速率 / 强度 / 时长 / 停止冷却 / 会话时长），WS 与 HTTP 发送路径共用
+const { policyFile: SAFETY_POLICY_FILE, ...safetyDefaults } = CFG.safety;
+const safetyGuard = new SafetyGuard(await loadSafetyPolicies(SAFETY_POLICY_FILE, safetyDefaults));
+
+// 鉴权：API key / 签名 token + scope，ALLOWED_ORIGINS 同时约束 CORS 与 WS 升级
+const auth = new Authenticator(await loadAuthConfig(CFG.auth));
+
+// 会话 / 指令 / 回执历史（SQLite，重启后可通过 /api/history 查询）
+const history = new HistoryStore({ ...CFG.history, logger: log });
+history.init();
+
+// Prometheus 指标（GET /metrics）；会话数等 gauge 在抓取时计算，定义在文末
+const metrics = new MetricsRegistry({ prefix: 'yidimension_', logger: log });
+const M = {
+  loginAttempts: metrics.counter('im_login_attempts_total', 'IM 登录尝试（trigger=login|reconnect）', { labelNames: ['trigger'] }),
+  loginFailures: metrics.counter('im_login_failures_total', 'IM 登录失败（reason=game_sign|timeout|im_login）', { labelNames: ['trigger', 'reason'] }),
+  gameSignSeconds: metrics.histogram('game_sign_duration_seconds', 'game_sign 请求耗时', { labelNames: ['method', 'result'] }),
+  commandsSent: metrics.counter('commands_sent_total', '发送成功的 IM 指令', { labelNames: ['target', 'code'] }),
+  commandsFailed: metrics.counter('commands_failed_total', '发送失败的 IM 指令（已含重试）', { labelNames: ['target', 'code'] }),
+  sendSeconds: metrics.histogram('command_send_duration_seconds', 'IM 指令发送耗时（含重试）', { labelNames: ['result'] }),
+  imEvents: metrics.counter('im_events_total', 'IM SDK 事件（KICKED_OUT / NET_STATE_CHANGE / ERROR ...）', { labelNames: ['type'] }),
+  heartbeatTerminations: metrics.counter('ws_heartbeat_terminations_total', '心跳超时被断开的 WS 连接'),
+};
+
+// IM 自动重连策略（KICKED_OUT userSigExpired / SDK_NOT_READY / 长时间断网 / 发送失败）
+const RECONNECT_POLICY = {
+  ...CFG.im.reconnect,
+  jitterRatio: 0.3,
+};
+
+// 关停策略（SIGTERM / SIGINT，见文末 shutdown）
+const SHUTDOWN_POLICY = CFG.shutdown;
+let shuttingDown = false;
 
 // ---------- Helpers ----------
 function nowIso() { return new Date().toISOString(); }
@@ -41,6 +137,16 @@ function safeJsonParse(str) {
   try { return JSON.parse(str); } catch { return null; }
 }
 
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(message), { isTimeout: true })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 function normalizeUid(input) {
   // 统一转为“不带 game_ 前缀”的纯 UID
   // - 输入 game_30033 => 30033
@@ -56,32 +162,48 @@ function toGameUid(input) {
   return uid ? `game_${uid}` : null;
 }
 
-function parseUidToken(uidInput, tokenInput) {
+function parseUidToken(uidInput, tokenInput, connectCodeInput) {
   const rawUid = String(uidInput ?? '').trim();
   const rawToken = String(tokenInput ?? '').trim();
+  const rawCode = String(connectCodeInput ?? '').trim();
 
   // 兼容用户直接粘贴 connect_code（格式："uid token"）
   const splitBySpace = (s) => s.split(/\s+/).map(v => v.trim()).filter(Boolean);
 
+  // 显式传入 connect_code 时优先
+  const codeParts = splitBySpace(rawCode);
+  if (codeParts.length >= 2) {
+    return {
+      uid: normalizeUid(codeParts[0]),
+      token: codeParts.slice(1).join(' '),
+      usedConnectCode: true,
+      connectCode: codeParts.join(' '),
+    };
+  }
+
   let uid = rawUid;
   let token = rawToken;
+  let connectCode = null;
 
   const tokenParts = splitBySpace(rawToken);
   if (tokenParts.length >= 2) {
     uid = tokenParts[0];
     token = tokenParts.slice(1).join(' ');
+    connectCode = tokenParts.join(' ');
   }
 
   const uidParts = splitBySpace(rawUid);
   if (uidParts.length >= 2) {
     uid = uidParts[0];
     token = uidParts.slice(1).join(' ');
+    connectCode = uidParts.join(' ');
   }
 
   return {
     uid: normalizeUid(uid),
     token: String(token || '').trim(),
-    usedConnectCode: tokenParts.length >= 2 || uidParts.length >= 2,
+    usedConnectCode: !!connectCode,
+    connectCode,
   };
 }
 function stripGamePrefix(id) {
@@ -100,19 +222,13 @@ function findValue(obj, keys) {
 async function readStateFile() {
   const raw = await fs.readFile(STATE_FILE, 'utf-8');
   const obj = JSON.parse(raw);
-  if (!obj?.uid || !obj?.token) throw new Error('state.json 缺少 uid/token');
-  return { uid: String(obj.uid), token: String(obj.token), signature: obj.signature ?? null };
+  // state.json 支持 { connect_code } 或 { uid, token }
+  const parsed = parseUidToken(obj?.uid, obj?.token, obj?.connect_code ?? obj?.connectCode);
+  if (!parsed.uid || !parsed.token) throw new Error('state.json 缺少 connect_code 或 uid/token');
+  return { uid: parsed.uid, token: parsed.token, connectCode: parsed.connectCode, signature: obj.signature ?? null };
 }
 
-async function requestGameSign(uid, token) {
-  const url = `${API_BASE}/user/game_sign`;
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ uid, token }),
-  });
-  if (!resp.ok) throw new Error(`game_sign http ${resp.status}`);
-  const payload = await resp.json();
+function parseGameSignPayload(payload) {
   if (payload?.code !== 1 || !payload?.data) {
     throw new Error(`game_sign 返回异常: ${JSON.stringify(payload)}`);
   }
@@ -128,11 +244,58 @@ async function requestGameSign(uid, token) {
   return { appId: Number(appId), userSig, userId };
 }
 
+/**
+ * 获取 IM 签名。
+ * 官方文档：connect_code 为优选方式，uid+token 已废弃。
+ *  - 有 connectCode（用户粘贴的连接码）时直接使用；
+ *  - 只有 uid/token 时按 "uid token" 拼出 connect_code；
+ *  - connect_code 失败且 GAME_SIGN_LEGACY_FALLBACK 未关闭时，回退 uid+token。
+ * 返回值额外带 signMethod: 'connect_code' | 'uid_token'。
+ */
+async function requestGameSign({ uid, token, connectCode = null }) {
+  const plainUid = normalizeUid(uid);
+  const code = connectCode || (plainUid && token ? `${plainUid} ${token}` : null);
+
+  const attempts = [];
+  if (code) attempts.push({ method: 'connect_code', body: { connect_code: code } });
+  if (plainUid && token && (GAME_SIGN_LEGACY_FALLBACK || !code)) {
+    attempts.push({ method: 'uid_token', body: { uid: toGameUid(plainUid), token } });
+  }
+  if (!attempts.length) throw new Error('game_sign 缺少 connect_code 或 uid/token');
+
+  const errors = [];
+  for (const { method, body } of attempts) {
+    const end = M.gameSignSeconds.startTimer({ method });
+    try {
+      const sign = parseGameSignPayload(await transport.postGameSign(body));
+      end({ result: 'ok' });
+      if (errors.length) log('WARN', `game_sign connect_code 失败，已回退 ${method}（已废弃）`, errors);
+      return { ...sign, signMethod: method };
+    } catch (e) {
+      end({ result: 'failed' });
+      errors.push(`${method}: ${e?.message || e}`);
+    }
+  }
+  throw Object.assign(new Error(errors.join('; ')), { stage: 'game_sign' });
+}
+
+// 被其他登录挤下线时不再重连（避免两端互踢）；userSig 过期则重新取签名
+const KICKED_BY_OTHER_LOGIN = new Set(['multipleAccount', 'multipleDevice']);
+
+function reconnectDelay(attempt, policy = RECONNECT_POLICY) {
+  const exp = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** Math.max(0, attempt - 1));
+  const jitter = 1 + policy.jitterRatio * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(exp * jitter));
+}
+
 // ---------- IM Client (per session) ----------
+// connState: idle -> connecting -> ready
+//            ready -> reconnecting -> ready | failed
+//            ready -> kicked（被其他登录挤下线，不自动重连）
 class ChatClient {
-  constructor({ loggerPrefix = 'im', onEvent = null } = {}) {
+  constructor({ loggerPrefix = 'im', onEvent = null, reconnectPolicy = RECONNECT_POLICY } = {}) {
     this.chat = null;
-    this.state = { uid: null, token: null, appId: null, userSig: null, userId: null };
+    this.state = { uid: null, token: null, connectCode: null, appId: null, userSig: null, userId: null, signMethod: null };
     this.initialized = false;
     this.isReady = false;
     this.initPromise = null;
@@ -140,24 +303,89 @@ class ChatClient {
     this.destroyed = false;
     this.loggerPrefix = loggerPrefix;
     this.onEvent = onEvent;
+    this.reconnectPolicy = reconnectPolicy;
+    this.connState = 'idle';
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.netLossTimer = null;
+    // 当前这一批排队消息；cancelQueued 给它标上取消原因并换新的一批
+    this.queueBatch = { cancelled: null };
   }
 
   _emit(evt, data) {
+    if (evt === 'imEvent') M.imEvents.inc({ type: data?.type });
     if (typeof this.onEvent === 'function') {
       try { this.onEvent(evt, data); } catch (e) { /* ignore */ }
     }
   }
 
+  _setConnState(next, extra = {}) {
+    const prev = this.connState;
+    this.connState = next;
+    if (prev === next && !extra.attempt) return;
+    this._emit('imEvent', { type: 'CONNECTION_STATE', state: next, prevState: prev, ...extra });
+  }
+
+  _clearTimers() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.netLossTimer);
+    this.reconnectTimer = null;
+    this.netLossTimer = null;
+  }
+
+  /**
+   * 触发自动恢复：重新获取签名并重新登录（指数退避 + 抖动，最多 maxAttempts 次）。
+   * 被其他登录挤下线（kicked）、未登录、已销毁时不处理。
+   */
+  recover(reason) {
+    if (this.destroyed || !this.state.uid || !this.state.token) return;
+    if (this.connState === 'kicked' || this.connState === 'connecting') return;
+    if (this.reconnectTimer) return;
+
+    this.isReady = false;
+    const attempt = this.reconnectAttempt + 1;
+    if (attempt > this.reconnectPolicy.maxAttempts) {
+      this._setConnState('failed', { reason, attempts: this.reconnectAttempt });
+      this._emit('log', { level: 'error', msg: `IM 自动重连失败，已达上限 ${this.reconnectPolicy.maxAttempts} 次，请重新登录` });
+      this._emit('status', { isReady: false });
+      return;
+    }
+
+    this.reconnectAttempt = attempt;
+    const delayMs = reconnectDelay(attempt, this.reconnectPolicy);
+    this._setConnState('reconnecting', { reason, attempt, maxAttempts: this.reconnectPolicy.maxAttempts, delayMs });
+    this._emit('status', { isReady: false });
+    this._emit('log', { level: 'warn', msg: `IM 将在 ${delayMs}ms 后重连（第 ${attempt}/${this.reconnectPolicy.maxAttempts} 次，原因: ${reason}）` });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this._teardownChat();
+        this.initPromise = this._initIM();
+        await this.initPromise;
+        this._emit('log', { level: 'success', msg: `IM 重连成功（第 ${attempt} 次）` });
+      } catch (e) {
+        this.initPromise = null;
+        this._emit('log', { level: 'error', msg: `IM 重连失败: ${e?.message || e}` });
+        // 失败后 connState 仍为 reconnecting，继续退避
+        this.recover(e?.message || 'reconnect_failed');
+      }
+    }, delayMs);
+  }
+
   async ensureReady(timeout = 15000) {
     if (this.destroyed) this.destroyed = false;
     if (this.isReady && this.initialized && this.chat) return;
+    if (this.connState === 'reconnecting') throw new Error('IM 正在自动重连，请稍后再试');
+    if (this.connState === 'kicked') throw new Error('IM 账号已在其他地方登录，请重新登录');
     if (!this.initPromise) this.initPromise = this._initIM(timeout);
     await this.initPromise;
   }
 
-  async loginWith(uid, token, timeout = 15000) {
+  async loginWith(uid, token, { connectCode = null, timeout = 15000 } = {}) {
     this.state.uid = normalizeUid(uid);
     this.state.token = String(token);
+    this.state.connectCode = connectCode ? String(connectCode) : null;
     if (!this.state.uid || !this.state.token) throw new Error('uid/token 不能为空');
 
     // if already logged in with same creds and ready, reuse
@@ -172,31 +400,48 @@ class ChatClient {
     this._currentToken = this.state.token;
 
     this.initPromise = this._initIM(timeout);
-    await this.initPromise;
+    try {
+      await this.initPromise;
+    } catch (e) {
+      this.initPromise = null;
+      this._setConnState('failed', { reason: e?.message || String(e) });
+      throw e;
+    }
   }
 
+  // 登录 / 重连都经过这里，按 trigger 统计尝试与失败原因
   async _initIM(timeout = 15000) {
+    const trigger = this.connState === 'reconnecting' ? 'reconnect' : 'login';
+    M.loginAttempts.inc({ trigger });
+    try {
+      await this._loginIM(timeout);
+    } catch (e) {
+      const reason = e?.stage === 'game_sign' ? 'game_sign' : /超时/.test(e?.message || '') ? 'timeout' : 'im_login';
+      M.loginFailures.inc({ trigger, reason });
+      throw e;
+    }
+  }
+
+  async _loginIM(timeout) {
     const uid = normalizeUid(this.state.uid);
     const gameUid = toGameUid(uid);
     const token = this.state.token;
 
+    if (this.connState !== 'reconnecting') this._setConnState('connecting');
     this._emit('log', { level: 'info', msg: `正在获取 IM 签名: uid=${gameUid}` });
-    const { appId, userSig } = await requestGameSign(gameUid, token);
+    const { appId, userSig, signMethod } = await requestGameSign({ uid, token, connectCode: this.state.connectCode });
+    if (signMethod === 'uid_token') {
+      this._emit('log', { level: 'warn', msg: 'IM 签名使用了已废弃的 uid+token 方式，请改用 connect_code' });
+    }
 
     this.state.appId = appId;
     this.state.userSig = userSig;
+    this.state.signMethod = signMethod;
     // 官方 IM 规范：登录 userID 必须使用 game_ 前缀账号
     // 发送目标 to 仍然使用纯 UID（不带 game_）
     this.state.userId = gameUid;
 
-    // provide WebSocket implementation for Node
-    // TencentCloudChat on Node expects global WebSocket
-    if (typeof globalThis.WebSocket === 'undefined') {
-      const wsmod = await import('ws');
-      globalThis.WebSocket = wsmod.default;
-    }
-
-    this.chat = TencentCloudChat.create({ SDKAppID: appId });
+    this.chat = await transport.createChat(appId);
 
     this._bindIMEvents();
 
@@ -207,39 +452,71 @@ class ChatClient {
 
     this.initialized = true;
     this.isReady = true;
+    this.reconnectAttempt = 0;
+    this._setConnState('ready');
     this._emit('status', { isReady: true, config: { uid, userId: this.state.userId, appId } });
   }
 
   _bindIMEvents() {
     if (!this.chat) return;
 
-    const ev = TencentCloudChat.EVENT;
-    const TYPES = TencentCloudChat.TYPES;
+    const ev = transport.EVENT;
+    const TYPES = transport.TYPES;
+    // 旧实例在 teardown 时可能还会抛事件，只处理当前实例
+    const chat = this.chat;
+    const isCurrent = () => this.chat === chat && !this.destroyed;
 
     this.chat.on(ev.SDK_READY, () => {
+      if (!isCurrent()) return;
       this.isReady = true;
       this._emit('imEvent', { type: 'SDK_READY' });
     });
 
     this.chat.on(ev.SDK_NOT_READY, () => {
+      if (!isCurrent()) return;
       this.isReady = false;
       this._emit('imEvent', { type: 'SDK_NOT_READY' });
+      if (this.initialized) this.recover('sdk_not_ready');
     });
 
     this.chat.on(ev.KICKED_OUT, (event) => {
+      if (!isCurrent()) return;
       this.isReady = false;
-      this._emit('imEvent', { type: 'KICKED_OUT', event });
+      const kickType = event?.data?.type || null;
+      this._emit('imEvent', { type: 'KICKED_OUT', kickType, event });
+      if (KICKED_BY_OTHER_LOGIN.has(kickType)) {
+        this._clearTimers();
+        this._setConnState('kicked', { reason: kickType });
+        this._emit('log', { level: 'warn', msg: `IM 账号在其他地方登录（${kickType}），不自动重连` });
+        this._emit('status', { isReady: false });
+        return;
+      }
+      this.recover(kickType === TYPES.KICKED_OUT_USERSIG_EXPIRED ? 'usersig_expired' : `kicked_out:${kickType}`);
     });
 
     this.chat.on(ev.NET_STATE_CHANGE, (event) => {
-      this._emit('imEvent', { type: 'NET_STATE_CHANGE', event });
+      if (!isCurrent()) return;
+      const netState = event?.data?.state || null;
+      this._emit('imEvent', { type: 'NET_STATE_CHANGE', netState, event });
+      if (netState === TYPES.NET_STATE_CONNECTED) {
+        clearTimeout(this.netLossTimer);
+        this.netLossTimer = null;
+      } else if (netState === TYPES.NET_STATE_DISCONNECTED && !this.netLossTimer) {
+        // SDK 自身会尝试重连；超过宽限期仍未恢复再重新登录
+        this.netLossTimer = setTimeout(() => {
+          this.netLossTimer = null;
+          if (isCurrent()) this.recover('net_lost');
+        }, this.reconnectPolicy.netLossGraceMs);
+      }
     });
 
     this.chat.on(ev.ERROR, (event) => {
+      if (!isCurrent()) return;
       this._emit('imEvent', { type: 'ERROR', event });
     });
 
     this.chat.on(ev.MESSAGE_RECEIVED, (event) => {
+      if (!isCurrent()) return;
       // 原始事件也保留（方便深度排查）
       this._emit('imEvent', { type: 'MESSAGE_RECEIVED', event });
 
@@ -271,7 +548,7 @@ class ChatClient {
     if (this.isReady) return;
 
     await new Promise((resolve, reject) => {
-      const ev = TencentCloudChat.EVENT;
+      const ev = transport.EVENT;
       const onReady = () => {
         cleanup();
         resolve();
@@ -290,14 +567,71 @@ class ChatClient {
     });
   }
 
-  async sendToC2C(targetId, payloadObj) {
-    // queue sends to avoid concurrent send causing odd states
-    this.sendQueue = this.sendQueue.then(() => this._doSendToC2C(targetId, payloadObj)).catch((e) => {
-      this._emit('log', { level: 'error', msg: `send queue error: ${e?.message || e}` });
+  /**
+   * 串行发送（保持顺序，避免并发 send 造成异常状态）。
+   * 返回的 promise 反映本条消息自己的结果：成功 resolve { messageId, attempts }，失败 reject；
+   * 队列本身吞掉失败，后续消息照常发送。
+   */
+  sendToC2C(targetId, payloadObj, policy = {}) {
+    const batch = this.queueBatch;
+    const task = this.sendQueue.then(() => {
+      if (batch.cancelled) throw new Error(`发送已取消（${batch.cancelled}）`);
+      return this._sendWithRetry(targetId, payloadObj, { ...SEND_POLICY, ...policy });
     });
+    this.sendQueue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 绕过发送队列立即发送（急停专用），不等待排在前面的指令。
+   */
+  sendImmediate(targetId, payloadObj, policy = {}) {
+    return this._sendWithRetry(targetId, payloadObj, { ...SEND_POLICY, ...policy });
+  }
+
+  /**
+   * 取消所有尚未开始发送的排队消息（它们的 promise 会 reject，错误信息带 reason）。
+   */
+  cancelQueued(reason = '急停') {
+    this.queueBatch.cancelled = reason;
+    this.queueBatch = { cancelled: null };
+  }
+
+  /**
+   * 等待当前已排队的消息发送完（成功或失败都算完成），关停时使用。
+   */
+  drain() {
     return this.sendQueue;
   }
 
+  async _sendWithRetry(targetId, payloadObj, policy) {
+    let lastErr = null;
+    const labels = { target: normalizeUid(targetId) || '', code: payloadObj?.code ?? '' };
+    const end = M.sendSeconds.startTimer();
+    for (let attempt = 1; attempt <= policy.retries + 1; attempt++) {
+      try {
+        const res = await withTimeout(
+          this._doSendToC2C(targetId, payloadObj),
+          policy.timeoutMs,
+          `IM 发送超时（${policy.timeoutMs}ms）`,
+        );
+        end({ result: 'ok' });
+        M.commandsSent.inc(labels);
+        return { ...res, attempts: attempt };
+      } catch (e) {
+        lastErr = e;
+        const retryable = e?.isTimeout ? policy.retryOnTimeout : RETRYABLE_SEND_CODES.has(Number(e?.code));
+        if (!retryable || attempt > policy.retries) break;
+        this._emit('log', { level: 'warn', msg: `IM 发送失败，${policy.retryDelayMs * attempt}ms 后重试（第 ${attempt} 次）: ${e?.message || e}` });
+        await sleep(policy.retryDelayMs * attempt);
+      }
+    }
+    end({ result: 'failed' });
+    M.commandsFailed.inc(labels);
+    this._emit('log', { level: 'error', msg: `IM 发送失败 -> ${targetId}: ${lastErr?.message || lastErr}` });
+    throw lastErr;
+  }
+
   async _doSendToC2C(targetId, payloadObj) {
     await this.ensureReady();
 
@@ -307,25 +641,44 @@ class ChatClient {
     const msg = this.chat.createTextMessage({
       // 官方示例里 to 常为纯数字（不带 game_ 前缀）
       to: normalizeUid(targetId),
-      conversationType: TencentCloudChat.TYPES.CONV_C2C,
+      conversationType: transport.TYPES.CONV_C2C,
       payload: {
         // IMPORTANT: payload.text must be JSON string (developer doc)
         text: JSON.stringify(payloadObj),
       },
     });
 
-    await this.chat.sendMessage(msg);
-    this._emit('log', { level: 'success', msg: 'IM 消息发送成功' });
+    const res = await this.chat.sendMessage(msg);
+    const messageId = res?.data?.message?.ID || msg?.ID || null;
+    this._emit('log', { level: 'success', msg: `IM 消息发送成功 messageId=${messageId}` });
+    return { messageId };
   }
 
-  async destroy({ keepDestroyedFlag = false } = {}) {
-    if (!this.chat) return;
+  async _teardownChat() {
+    const chat = this.chat;
+    if (!chat) return;
+    // 先解除引用，旧实例 logout 时触发的事件会被 isCurrent() 忽略
+    this.chat = null;
+    this.initialized = false;
+    this.isReady = false;
     try {
-      this._emit('log', { level: 'info', msg: '销毁 Chat 实例' });
-      await this.chat.logout();
-      await this.chat.destroy();
+      await chat.logout();
+      await chat.destroy();
     } catch (e) {
       this._emit('log', { level: 'warn', msg: `销毁 Chat 实例出错: ${e?.message || e}` });
+    }
+  }
+
+  async destroy({ keepDestroyedFlag = false } = {}) {
+    this._clearTimers();
+    this.reconnectAttempt = 0;
+    if (!this.chat) {
+      this._setConnState('idle');
+      return;
+    }
+    try {
+      this._emit('log', { level: 'info', msg: '销毁 Chat 实例' });
+      await this._teardownChat();
     } finally {
       this.chat = null;
       this.initialized = false;
@@ -333,37 +686,460 @@ class ChatClient {
       this.initPromise = null;
       this.sendQueue = Promise.resolve();
       this.destroyed = !keepDestroyedFlag ? true : false;
+      this._setConnState('idle');
     }
   }
 }
 
+// 回执结算 -> WS 帧类型
+const COMMAND_RESULT_FRAMES = { ack: 'commandAck', failed: 'commandFailed', timeout: 'commandTimeout' };
+
+// ---------- Command history hooks ----------
+// tracker 开始跟踪即发送成功：写一条指令记录；结算结果由各 onResult 补写。source 可为函数（按 entry 区分来源）
+function historyTrackHook(source, describe) {
+  return (entry) => history.recordCommand({
+    ...describe(entry),
+    traceId: entry.traceId,
+    to: entry.to,
+    source: typeof source === 'function' ? source(entry) : source,
+    payload: entry.payload,
+    messageId: entry.messageId,
+    sentAt: entry.sentAt,
+  });
+}
+
+// 入站消息：result 为 tracker 匹配到的指令结果（没匹配到时为 null）
+function historyReceipt(uid, message, result) {
+  history.recordReceipt({ uid, from: message?.from ?? null, text: message?.text ?? null, traceId: result?.traceId ?? null });
+}
+
+// 客户端自带的 traceId 在同一 IM 登录上仍有未决指令时拒绝（HTTP 409 / WS invalid_payload），回执按 traceId 匹配，复用会串
+const DUPLICATE_TRACE_MESSAGE = 'traceId 重复：同一 traceId 的上一条指令仍在等待回执';
+
+function historySendFailure({ traceId, sessionId, uid, to, payload, source, error }) {
+  history.recordCommand({ traceId, sessionId, uid, to, payload, source, ok: false, error: error?.message || String(error) });
+}
+
+// ---------- Shared IM login per uid ----------
+// 同一 game_ 用户重复登录会互踢（KICKED_OUT），所以同一 uid 的 WS 连接与 HTTP 会话共用一个 ChatClient：
+// 按引用计数登录 / 销毁，事件与入站消息扇出到每个连接，出站指令经同一个 ChatClient 串行发送。
+class SharedImRegistry {
+  constructor() {
+    this.entries = new Map(); // uid -> { uid, token, im, tracker, sessions: Set, ready: Promise }
+  }
+
+  /**
+   * 把 session 挂到 uid 的共享登录上（没有则登录）。已有登录但 token 不同时先用 game_sign 校验凭据。
+   */
+  async acquire(session, { uid, token, connectCode = null }) {
+    let entry = this.entries.get(uid);
+    if (entry) {
+      if (['kicked', 'failed'].includes(entry.im.connState)) {
+        // 被踢 / 重连放弃后又有连接登录：用新凭据重新登录共享 IM（其他连接随之恢复）
+        entry.token = token;
+        entry.ready = entry.im.loginWith(uid, token, { connectCode });
+      } else if (entry.token !== token) {
+        await requestGameSign({ uid, token, connectCode });
+      }
+      entry.sessions.add(session);
+      try {
+        await entry.ready;
+      } catch (e) {
+        entry.sessions.delete(session);
+        throw e;
+      }
+      return entry;
+    }
+
+    entry = { uid, token, sessions: new Set([session]) };
+    entry.tracker = new CommandTracker({
+      timeoutMs: COMMAND_ACK_TIMEOUT_MS,
+      onTrack: historyTrackHook((e) => (e.owner?.kind === 'http' ? 'http-session' : 'ws'), (e) => ({ sessionId: e.owner?.id ?? null, uid })),
+      onResult: (result, owner) => {
+        history.recordResult(result);
+        owner?.onCommandResult?.(result);
+      },
+    });
+    entry.im = new ChatClient({
+      loggerPrefix: `ws:${uid}`,
+      onEvent: (evt, data) => {
+        // 回执匹配在共享 tracker 上做一次，结果按 owner 路由
+        if (evt === 'incoming') for (const m of data.messages) historyReceipt(uid, m, entry.tracker.handleIncoming(m));
+        for (const s of entry.sessions) s.onImEvent?.(evt, data);
+      },
+    });
+    entry.ready = entry.im.loginWith(uid, token, { connectCode });
+    this.entries.set(uid, entry);
+    try {
+      await entry.ready;
+    } catch (e) {
+      if (this.entries.get(uid) === entry) this.entries.delete(uid);
+      entry.sessions.clear();
+      try { await entry.im.destroy(); } catch (err) { /* ignore */ }
+      throw e;
+    }
+    log('INFO', `[IM-SHARED] uid=${uid} 登录（refs=${entry.sessions.size}）`);
+    return entry;
+  }
+
+  /**
+   * 解除 session 的引用（清理它的未决指令）；最后一个引用释放时销毁 IM。
+   */
+  async release(session, entry) {
+    if (!entry || !entry.sessions.delete(session)) return;
+    entry.tracker.clear(session);
+    if (entry.sessions.size > 0) return;
+    if (this.entries.get(entry.uid) === entry) this.entries.delete(entry.uid);
+    log('INFO', `[IM-SHARED] uid=${entry.uid} 最后一个连接释放，销毁 IM`);
+    try { await entry.im.destroy(); } catch (e) { /* ignore */ }
+  }
+
+  refs(uid) {
+    return this.entries.get(uid)?.sessions.size ?? 0;
+  }
+}
+
+const imRegistry = new SharedImRegistry();
+
 // ---------- Global "admin" client for HTTP API ----------
+const adminTracker = new CommandTracker({
+  timeoutMs: COMMAND_ACK_TIMEOUT_MS,
+  onTrack: historyTrackHook('http', () => ({ sessionId: 'admin', uid: adminConfig.uid })),
+  onResult: (result) => {
+    history.recordResult(result);
+    const { kind, ...rest } = result;
+    log(kind === 'ack' ? 'INFO' : 'WARN', `[ADMIN] ${COMMAND_RESULT_FRAMES[kind]}`, rest);
+  },
+});
 const adminClient = new ChatClient({
   loggerPrefix: 'admin',
   onEvent: (evt, data) => {
+    if (evt === 'incoming') data.messages.forEach((m) => historyReceipt(adminConfig.uid, m, adminTracker.handleIncoming(m)));
     if (evt === 'log') log(data.level?.toUpperCase() || 'INFO', `[ADMIN]`, data.msg);
-    if (evt === 'status') log('INFO', `[ADMIN] status`, data);
+    if (evt === 'status') {
+      adminConfig.isReady = !!data.isReady;
+      log('INFO', `[ADMIN] status`, data);
+    }
+    if (evt === 'imEvent' && data.type === 'CONNECTION_STATE') log('INFO', `[ADMIN] im state`, data);
   }
 });
-let adminConfig = { uid: null, token: null, appId: null, userId: null, isReady: false };
+let adminConfig = { uid: null, token: null, appId: null, userId: null, isReady: false, usesGameOpts: false, loggedInAt: null };
+
+// 让 HTTP admin 客户端复用 WS 会话的发送/急停逻辑
+function adminSession() {
+  return {
+    id: 'admin',
+    uid: adminConfig.uid,
+    token: adminConfig.token,
+    im: adminClient,
+    tracker: adminTracker,
+    usesGameOpts: adminConfig.usesGameOpts,
+  };
+}
+
+/**
+ * 安全策略检查：违规时记录日志并返回 violation（{ rule, message, limit, retryAfterMs? }），放行返回 null。
+ * 放行即按 traceId 占用速率额度；之后没发出去的调用 releaseSafety 归还。
+ */
+function checkSafety({ uid, payload, sessionStartedAt, source, traceId }) {
+  const violation = safetyGuard.check({ uid, payload, sessionStartedAt, ref: traceId });
+  if (violation) log('WARN', `[SAFETY] ${violation.rule} uid=${uid} source=${source} traceId=${traceId}`, violation);
+  return violation;
+}
+
+function releaseSafety(uid, traceId) {
+  safetyGuard.release({ uid, ref: traceId });
+}
+
+// 可能仍在输出的设备：uid -> 首条未被停止的指令时间。非停止类指令发出后记录，停止类指令 / 急停确认后清除；关停时据此急停
+const playingUids = new Map();
+
+// 发送成功后调用：记录可能仍在输出的设备
+function notePlaying(uid, payload) {
+  if (!uid) return;
+  if (isStopPayload(payload)) playingUids.delete(uid);
+  else if (!playingUids.has(uid)) playingUids.set(uid, Date.now());
+}
+
+// ---------- game2 校准结果套用（game2-calibration.js） ----------
+const CALIBRATION = CFG.game2.calibration;
+
+// 持续输出（game_opts duration_ms 0）超过 T_guard 仍未停止：急停并通知客户端
+const calibrationGuard = new ContinuousOutputGuard({
+  onExpire: async (session, { guardMs }) => {
+    if (!session.im) return;
+    log('WARN', `[CALIBRATION] session=${session.id} uid=${session.uid} 连续输出超过 T_guard（${guardMs}ms），急停`);
+    if (session.kind === 'ws') sessionSend(session, { type: 'emergencyStop', by: 'calibration', reason: 't_guard', time: nowIso() });
+    await emergencyStopSession(session, { reason: 'game2_t_guard', by: 'calibration' });
+  },
+  onError: (e, session) => log('ERROR', `[CALIBRATION] session=${session.id} T_guard 急停失败: ${e?.message || e}`),
+});
+
+// 会话对应的 game2 校准结果：game2Uid（game2Subscribe / game2Link）优先，其次登录的 uid
+function calibrationFor(session) {
+  if (!CALIBRATION.enabled) return null;
+  return usableCalibration(getGame2Calibration(session.game2Uid || session.uid), CALIBRATION);
+}
+
+/**
+ * 发送前按校准结果改写指令（通用档位 / T_guard 时长上限）；返回 { payload, applied, errors, calibration }。
+ */
+function calibrate(session, payload) {
+  if (!CALIBRATION.enabled) return { payload, applied: [], errors: [], calibration: null };
+  const calibration = calibrationFor(session);
+  const result = applyCalibration(payload, calibration, { drive: CFG.game2.drive, ...CALIBRATION });
+  if (result.applied.length) log('INFO', `[CALIBRATION] session=${session.id} game2Uid=${session.game2Uid || session.uid}`, result.applied);
+  return { ...result, calibration };
+}
+
+// 发送成功后记录输出（新指令替换之前的输出，停止类清除）；没有校准结果时只做清除
+function noteCalibratedOutput(session, payload, calibration) {
+  calibrationGuard.note(session, payload, CALIBRATION.capDuration ? guardMsOf(calibration) : null);
+}
+
+function safetyHttpStatus(violation) {
+  return violation.rule === SAFETY_RULES.RATE || violation.rule === SAFETY_RULES.COOLDOWN ? 429 : 403;
+}
+
+// ---------- HTTP sessions（多账号，供游戏后端通过 HTTP 控制多个玩家） ----------
+const HTTP_SESSIONS_MAX = CFG.server.httpSessionsMax;
+const HTTP_SESSION_RECENT_RESULTS = 20;
+const httpSessions = new Map(); // id -> session（结构与 WS session 相同，可复用 resolveTargets / emergencyStopSession）
+
+function createHttpSession(owner) {
+  const session = {
+    id: genId('http'),
+    kind: 'http',
+    owner,
+    createdAt: Date.now(),
+    lastActiveAt: Date.now(),
+    uid: null,
+    token: null,
+    isReady: false,
+    usesGameOpts: false,
+    loggedInAt: null,
+    // 登录后指向 uid 的共享 IM（imRegistry，与同 uid 的 WS 连接共用），im / tracker 随之设置
+    imEntry: null,
+    im: null,
+    tracker: null,
+    recentResults: [],
+  };
+  session.onImEvent = (evt, data) => {
+    if (evt === 'status') session.isReady = !!data.isReady;
+    if (evt === 'imEvent' && data.type === 'CONNECTION_STATE') log('INFO', `[HTTP ${session.id}] im state`, data);
+  };
+  session.onCommandResult = (result) => {
+    session.recentResults.push({ ...result, time: nowIso() });
+    if (session.recentResults.length > HTTP_SESSION_RECENT_RESULTS) session.recentResults.shift();
+    log(result.kind === 'ack' ? 'INFO' : 'WARN', `[HTTP ${session.id}] ${COMMAND_RESULT_FRAMES[result.kind]}`, result);
+  };
+  return session;
+}
+
+function describeHttpSession(session) {
+  return {
+    id: session.id,
+    owner: session.owner,
+    uid: session.uid,
+    userId: session.im.state.userId,
+    appId: session.im.state.appId,
+    signMethod: session.im.state.signMethod,
+    isReady: session.isReady,
+    connState: session.im.connState,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastActiveAt: new Date(session.lastActiveAt).toISOString(),
+    pendingCommands: session.tracker.pendingCount(),
+    recentResults: session.recentResults,
+  };
+}
+
+// stop=false：调用方已统一急停（关停流程），这里不再重复发送
+async function destroyHttpSession(session, reason = 'deleted', { stop = true } = {}) {
+  httpSessions.delete(session.id);
+  await releaseGame2Links(game2Driver.unlinkSession(session), reason, { stop });
+  calibrationGuard.clear(session);
+  if (session.loggedInAt) history.closeSession(session.id, reason);
+  await detachIm(session);
+}
+
+/**
+ * 把 /api/sessions/:id/commands 的请求体转成出站 payload：
+ *  - { commandId, commandPayload? } -> game_cmd
+ *  - { payload: { code: 'game_cmd' | 'game_opts', ... } }
+ * @returns {{ payload?: object, errors?: string[] }}
+ */
+// 返回 { payload, calibration }（已套用 game2 校准结果）或 { errors }
+function buildSessionCommand(session, body) {
+  if (body.commandId !== undefined) {
+    const checked = validateCmdPayload(body.commandPayload);
+    if (!checked.ok) return { errors: checked.errors };
+    return calibratedOrErrors(calibrate(session, buildGameCmd({ id: body.commandId, token: session.token, payload: body.commandPayload })));
+  }
+  const payload = body.payload;
+  if (payload?.code === GAME_CMD_CODE) {
+    const checked = validateCmdPayload(payload.payload);
+    if (!checked.ok) return { errors: checked.errors };
+    return calibratedOrErrors(calibrate(session, buildGameCmd({ id: payload.id, token: payload.token || session.token, payload: payload.payload })));
+  }
+  if (payload?.code === GAME_OPTS_CODE) {
+    // 通用档位（data.level）换成 strength 之后再校验
+    const calibrated = calibrate(session, payload);
+    if (calibrated.errors.length) return { errors: calibrated.errors };
+    const checked = validateGameOpts(calibrated.payload, OPTS_LIMITS);
+    return checked.ok ? { payload: calibrated.payload, calibration: calibrated.calibration } : { errors: checked.errors };
+  }
+  return { errors: [`需要 commandId，或 payload.code 为 ${GAME_CMD_CODE} / ${GAME_OPTS_CODE}`] };
+}
+
+function calibratedOrErrors({ payload, errors, calibration }) {
+  return errors.length ? { errors } : { payload, calibration };
+}
 
 // ---------- Express HTTP ----------
 const app = express();
-app.use(cors());
+app.use(cors({ origin: (origin, cb) => cb(null, auth.isOriginAllowed(origin)) }));
 app.use(express.json({ limit: '1mb' }));
+// 关停期间拒绝新请求（/health 同样回 503，负载均衡据此摘除本实例）
+app.use((_req, res, next) => {
+  if (!shuttingDown) return next();
+  res.set('Connection', 'close').status(503).json({ success: false, error: 'shutting_down', message: '服务正在关闭，请稍后重试' });
+});
 app.use('/game2', express.static(path.resolve(process.cwd(), 'game2_cunzhi', 'public', 'game2')));
-await applyGame2Routes(app);
+// game2 流程接口（game2RouteDocs 的 access）：read 需要 status:read；write 需要 commands:send，
+// uid 已关联网关会话时还必须是该会话的所有者（同 /api/game2/link），否则别人能借它驱动设备
+const GAME2_ACCESS_SCOPES = { read: SCOPES.STATUS_READ, write: SCOPES.COMMANDS_SEND };
+
+function game2Guard(doc) {
+  const checkScope = requireScope(auth, GAME2_ACCESS_SCOPES[doc.access]);
+  if (doc.access !== 'write') return checkScope;
+  return [checkScope, (req, res, next) => {
+    const link = game2Driver.linkOf(String(req.body?.uid || '').trim());
+    if (link && !ownsGatewaySession(req.principal, link.session)) {
+      return res.status(403).json({ success: false, error: 'forbidden', message: `uid 已关联其他调用方的网关会话（或需要 scope: ${SCOPES.SESSIONS_MANAGE}）` });
+    }
+    next();
+  }];
+}
+
+try {
+  const { migrations } = await applyGame2Routes(app, CFG.game2, { guard: game2Guard });
+  for (const m of migrations.applied) {
+    log('INFO', `[GAME2] 已执行迁移 ${m.id} ${m.name}${m.detail ? ` ${JSON.stringify(m.detail)}` : ''}`);
+  }
+  if (migrations.backupPath) log('INFO', `[GAME2] 迁移前备份: ${migrations.backupPath}`);
+} catch (e) {
+  log('ERROR', `[GAME2] 数据库初始化失败: ${e?.message || e}`);
+  process.exit(1);
+}
+
+// ---------- game2 驱动设备（game2-drive.js） ----------
+// game2 uid 关联到已登录的网关会话后，步骤变化转成该会话的 game_opts / game_cmd 输出（安全策略照常生效）
+const game2Driver = new Game2Driver({
+  drive: CFG.game2.drive,
+  send: async (session, payload, meta) => {
+    if (!session.im || !session.isReady) throw new Error('关联的网关会话 IM 未就绪');
+    // 与其他发送路径相同的校验（档位配置可能超出 GAME_OPTS_MAX_DURATION_MS 等上限）
+    const checked = payload.code === GAME_OPTS_CODE ? validateGameOpts(payload, OPTS_LIMITS) : validateCmdPayload(payload.payload);
+    if (!checked.ok) throw new Error(`指令校验失败: ${checked.errors.join('; ')}`);
+    const traceId = genId('g2');
+    const violation = checkSafety({ uid: session.uid, payload, sessionStartedAt: session.loggedInAt, source: 'game2', traceId });
+    if (violation) throw new Error(`安全策略拒绝（${violation.rule}）: ${violation.message}`);
+    const targets = resolveTargets(session);
+    try {
+      const { okTo, messageId, results } = await sendToTargets(session.im, targets, payload);
+      if (!okTo) throw new Error(`所有候选收件人发送均失败: ${JSON.stringify(results)}`);
+      if (payload.code === GAME_OPTS_CODE) session.usesGameOpts = true;
+      session.tracker.track({ traceId, messageId, to: okTo, payload });
+      notePlaying(session.uid, payload);
+      // game2 自身的输出不受 T_guard 限制；停止时清除其他游戏留下的连续输出计时
+      noteCalibratedOutput(session, payload, null);
+      log('INFO', `[GAME2] ${meta.phase} uid=${meta.uid} game2Session=${meta.sessionId} -> ${okTo} traceId=${traceId}`, { level: meta.level, payload });
+    } catch (e) {
+      releaseSafety(session.uid, traceId);
+      historySendFailure({ traceId, sessionId: session.id, uid: session.uid, to: targets[0] || null, payload, source: 'game2', error: e });
+      throw e;
+    }
+  },
+  estop: (session, meta) => emergencyStopSession(session, { reason: `game2_${meta.status}`, by: 'game2' }),
+  // 输出失败时测量无效：中断 game2 会话（随后的 interrupted 步骤会急停）
+  onFailure: (link, event, e) => {
+    log('ERROR', `[GAME2] 驱动失败 uid=${link.uid} game2Session=${event.sessionId} gateway=${link.session.id}: ${e?.message || e}`);
+    if (link.session.kind === 'ws') wsLog(link.session.ws, `game2 驱动失败: ${e?.message || e}`, 'error');
+    interruptGame2Session(event.uid, event.sessionId, `drive_failed: ${e?.message || e}`);
+  },
+});
+
+// 按 id 查找已登录的网关会话（WS 会话含断线等待 resume 的，或 HTTP 会话）
+function findGatewaySession(id) {
+  const all = [...sessions.values(), ...detachedSessions.values(), ...httpSessions.values()];
+  return all.find((s) => s.id === id) || null;
+}
+
+// 调用方能否让 game2 驱动该网关会话的设备：自己的 WS 会话 / 自己创建的 HTTP 会话 / 同一凭据升级的 WS 会话，或带 sessions:manage。
+// 匿名 WS 连接共用名字 anonymous，不按名字匹配
+function ownsGatewaySession(principal, session, callerSession = null) {
+  if (session === callerSession || hasScope(principal, SCOPES.SESSIONS_MANAGE)) return true;
+  const owner = session.kind === 'http' ? session.owner : (session.principal?.kind === 'none' ? null : session.principal?.name);
+  return !!owner && owner === principal?.name;
+}
+
+// 解除关联后设备不再受 game2 控制：中断对应的 game2 会话，仍在输出（playingUids）的急停
+async function releaseGame2Links(links, reason, { stop = true } = {}) {
+  for (const link of links) {
+    if (link.sessionId) interruptGame2Session(link.uid, link.sessionId, `unlinked_${reason}`);
+    if (stop && link.output === 'on' && link.session.im && playingUids.has(link.session.uid)) {
+      await emergencyStopSession(link.session, { reason: `game2_unlinked_${reason}`, by: 'game2' });
+    }
+  }
+}
+if (transport.relay) applyMockRoutes(app, transport.relay);
 
 app.get('/health', (_req, res) => {
   res.json({
     ok: true,
     time: nowIso(),
+    imTransport: transport.name,
     wsClients: wss?.clients?.size ?? 0,
-    admin: { isReady: adminConfig.isReady, uid: adminConfig.uid, userId: adminConfig.userId, appId: adminConfig.appId },
+    auth: auth.enabled,
+    // 开启鉴权后 /health 仍公开，不暴露 admin 账号
+    admin: auth.enabled
+      ? { isReady: adminConfig.isReady }
+      : { isReady: adminConfig.isReady, uid: adminConfig.uid, userId: adminConfig.userId, appId: adminConfig.appId },
   });
 });
 
-app.get('/api/status', (_req, res) => {
+// WS 协议描述（版本、各消息 JSON Schema、错误码），公开给第三方客户端
+app.get('/api/ws-protocol', (_req, res) => {
+  res.json(describeProtocol());
+});
+
+// OpenAPI / AsyncAPI（api-spec.js）：路由清单取自运行中的 app，说明来自各模块的 route docs
+const GAME2_ROUTE_DOCS = Object.fromEntries(Object.entries(game2RouteDocs).map(([key, doc]) => [key, { ...doc, scope: GAME2_ACCESS_SCOPES[doc.access] }]));
+const ROUTE_DOCS = { ...GATEWAY_ROUTE_DOCS, ...GAME2_ROUTE_DOCS, ...mockRouteDocs() };
+
+function specFor(req) {
+  const host = req.get('host');
+  return {
+    openapi: buildOpenApi({ app, docs: ROUTE_DOCS, serverUrl: `${req.protocol}://${host}` }),
+    asyncapi: buildAsyncApi({ serverUrl: host, wsPath: WS_PATH || '/' }),
+  };
+}
+
+app.get('/api/spec', (req, res) => res.json(specFor(req)));
+app.get('/api/spec/openapi.json', (req, res) => res.json(specFor(req).openapi));
+app.get('/api/spec/asyncapi.json', (req, res) => res.json(specFor(req).asyncapi));
+
+// Prometheus 抓取；开启鉴权后需要 status:read
+app.get('/metrics', requireScope(auth, SCOPES.STATUS_READ), async (_req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
+});
+
+// 生效配置（config.js）：secret 打码，并标明每项来自 env / file / default
+app.get('/api/config', requireScope(auth, SCOPES.SESSIONS_MANAGE), (_req, res) => {
+  res.json({ success: true, ...describeConfig(config) });
+});
+
+app.get('/api/status', requireScope(auth, SCOPES.STATUS_READ), (_req, res) => {
   res.json({
     isReady: adminConfig.isReady,
     config: { uid: adminConfig.uid, userId: adminConfig.userId, appId: adminConfig.appId },
@@ -371,66 +1147,342 @@ app.get('/api/status', (_req, res) => {
   });
 });
 
-app.post('/api/reinit', async (_req, res) => {
+app.post('/api/reinit', requireScope(auth, SCOPES.SESSIONS_MANAGE), async (_req, res) => {
   try {
     const st = await readStateFile();
     const uid = normalizeUid(st.uid);
     const token = st.token;
-    await adminClient.loginWith(uid, token);
-    adminConfig = { ...adminConfig, uid, token, appId: adminClient.state.appId, userId: adminClient.state.userId, isReady: true };
-    res.json({ success: true, message: 'IM 重新初始化成功', data: { uid, userId: adminConfig.userId, appId: adminConfig.appId } });
+    await adminClient.loginWith(uid, token, { connectCode: st.connectCode });
+    adminConfig = { ...adminConfig, uid, token, appId: adminClient.state.appId, userId: adminClient.state.userId, isReady: true, loggedInAt: Date.now() };
+    history.recordSession({ id: 'admin', kind: 'admin', uid, principal: _req.principal?.name, loggedInAt: adminConfig.loggedInAt });
+    res.json({ success: true, message: 'IM 重新初始化成功', data: { uid, userId: adminConfig.userId, appId: adminConfig.appId, signMethod: adminClient.state.signMethod } });
   } catch (e) {
     adminConfig.isReady = false;
     res.status(500).json({ success: false, message: e?.message || String(e) });
   }
 });
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', requireScope(auth, SCOPES.SESSIONS_MANAGE), async (req, res) => {
   const { uid, token } = req.body || {};
-  const parsed = parseUidToken(uid, token);
+  const parsed = parseUidToken(uid, token, req.body?.connect_code ?? req.body?.connectCode);
   if (!parsed.uid || !parsed.token) return res.status(400).json({ success: false, message: '缺少 uid/token（或 connect_code 解析失败）' });
 
   try {
-    await adminClient.loginWith(parsed.uid, parsed.token);
-    adminConfig = { ...adminConfig, uid: parsed.uid, token: parsed.token, appId: adminClient.state.appId, userId: adminClient.state.userId, isReady: true };
-    res.json({ success: true, message: 'IM 登录成功', data: { uid: parsed.uid, userId: adminConfig.userId, appId: adminConfig.appId, usedConnectCode: parsed.usedConnectCode } });
+    await adminClient.loginWith(parsed.uid, parsed.token, { connectCode: parsed.connectCode });
+    adminConfig = { ...adminConfig, uid: parsed.uid, token: parsed.token, appId: adminClient.state.appId, userId: adminClient.state.userId, isReady: true, loggedInAt: Date.now() };
+    history.recordSession({ id: 'admin', kind: 'admin', uid: parsed.uid, principal: req.principal?.name, loggedInAt: adminConfig.loggedInAt });
+    res.json({ success: true, message: 'IM 登录成功', data: { uid: parsed.uid, userId: adminConfig.userId, appId: adminConfig.appId, usedConnectCode: parsed.usedConnectCode, signMethod: adminClient.state.signMethod } });
   } catch (e) {
     adminConfig.isReady = false;
     res.status(500).json({ success: false, message: e?.message || String(e) });
   }
 });
 
-app.post('/api/send-command', async (req, res) => {
+app.post('/api/send-command', requireScope(auth, SCOPES.COMMANDS_SEND), async (req, res) => {
   const { commandId, payload, targetId } = req.body || {};
   const cmd = commandId || payload?.commandId || null;
 
   if (!adminConfig.isReady) return res.status(503).json({ success: false, message: 'IM 未就绪，请先登录或 reinit' });
 
   // Minimal compatibility: commandId -> payload object
-  const finalPayload = payload || (cmd ? { code: cmd, data: 1, token: adminConfig.token } : null);
-  if (!finalPayload) return res.status(400).json({ success: false, message: '缺少 commandId/payload' });
+  const rawPayload = payload || (cmd ? { code: cmd, data: 1, token: adminConfig.token } : null);
+  if (!rawPayload) return res.status(400).json({ success: false, message: '缺少 commandId/payload' });
+  if (rawPayload.code === GAME_CMD_CODE) {
+    const checkedCmd = validateCmdPayload(rawPayload.payload);
+    if (!checkedCmd.ok) return res.status(400).json({ success: false, message: '指令参数校验失败', errors: checkedCmd.errors });
+  }
+  const admin = adminSession();
+  const calibrated = calibrate(admin, rawPayload);
+  if (calibrated.errors.length) return res.status(400).json({ success: false, message: 'game2 校准结果套用失败', errors: calibrated.errors });
+  const finalPayload = calibrated.payload;
+
+  // If no explicit targetId, default to self uid (common in demo)
+  // ✅ 默认发送给当前登录的用户（玩家输入的 UID 归一化后），如显式传 targetId 则优先使用
+  const to = normalizeUid(targetId || adminConfig.uid);
+  const traceId = req.body?.traceId || genId('trace');
+  if (adminTracker.has(traceId)) return res.status(409).json({ success: false, error: 'duplicate_trace_id', traceId, message: DUPLICATE_TRACE_MESSAGE });
+  try {
+    const violation = checkSafety({ uid: adminConfig.uid, payload: finalPayload, sessionStartedAt: adminConfig.loggedInAt, source: 'http', traceId });
+    if (violation) return res.status(safetyHttpStatus(violation)).json({ success: false, error: 'safety_violation', traceId, ...violation });
+    const { messageId } = await adminClient.sendToC2C(to, finalPayload) || {};
+    adminTracker.track({ traceId, messageId, to, payload: finalPayload });
+    notePlaying(adminConfig.uid, finalPayload);
+    noteCalibratedOutput(admin, finalPayload, calibrated.calibration);
+    res.json({ success: true, message: '发送成功', data: { to, traceId, messageId } });
+  } catch (e) {
+    releaseSafety(adminConfig.uid, traceId);
+    historySendFailure({ traceId, sessionId: 'admin', uid: adminConfig.uid, to, payload: finalPayload, source: 'http', error: e });
+    adminConfig.isReady = adminClient.isReady;
+    if (!adminClient.isReady) adminClient.recover('send_failed');
+    res.status(500).json({ success: false, message: e?.message || String(e) });
+  }
+});
+
+app.post('/api/send-opts', requireScope(auth, SCOPES.COMMANDS_SEND), async (req, res) => {
+  const { targetId } = req.body || {};
 
+  if (!adminConfig.isReady) return res.status(503).json({ success: false, message: 'IM 未就绪，请先登录或 reinit' });
+
+  // 通用档位（data.level）换成 strength 之后再校验
+  const admin = adminSession();
+  const calibrated = calibrate(admin, req.body?.payload);
+  if (calibrated.errors.length) return res.status(400).json({ success: false, message: 'game2 校准结果套用失败', errors: calibrated.errors });
+  const payload = calibrated.payload;
+  const checked = validateGameOpts(payload, OPTS_LIMITS);
+  if (!checked.ok) return res.status(400).json({ success: false, message: 'game_opts 校验失败', errors: checked.errors });
+
+  const to = normalizeUid(targetId || adminConfig.uid);
+  const traceId = req.body?.traceId || genId('trace');
+  if (adminTracker.has(traceId)) return res.status(409).json({ success: false, error: 'duplicate_trace_id', traceId, message: DUPLICATE_TRACE_MESSAGE });
   try {
-    // If no explicit targetId, default to self uid (common in demo)
-    // ✅ 默认发送给当前登录的用户（玩家输入的 UID 归一化后），如显式传 targetId 则优先使用
-    const to = normalizeUid(targetId || adminConfig.uid);
-    await adminClient.sendToC2C(to, finalPayload);
-    res.json({ success: true, message: '发送成功' });
+    const violation = checkSafety({ uid: adminConfig.uid, payload, sessionStartedAt: adminConfig.loggedInAt, source: 'http', traceId });
+    if (violation) return res.status(safetyHttpStatus(violation)).json({ success: false, error: 'safety_violation', traceId, ...violation });
+    const { messageId } = await adminClient.sendToC2C(to, payload) || {};
+    adminConfig.usesGameOpts = true;
+    adminTracker.track({ traceId, messageId, to, payload });
+    notePlaying(adminConfig.uid, payload);
+    noteCalibratedOutput(admin, payload, calibrated.calibration);
+    res.json({ success: true, message: '发送成功', data: { to, traceId, messageId, actions: checked.actions.length } });
+  } catch (e) {
+    releaseSafety(adminConfig.uid, traceId);
+    historySendFailure({ traceId, sessionId: 'admin', uid: adminConfig.uid, to, payload, source: 'http', error: e });
+    adminConfig.isReady = adminClient.isReady;
+    if (!adminClient.isReady) adminClient.recover('send_failed');
+    res.status(500).json({ success: false, message: e?.message || String(e) });
+  }
+});
+
+// ---------- /api/sessions ----------
+// 只能访问自己创建的会话；带 sessions:admin 的调用方可访问所有会话
+function ownsHttpSession(principal, session) {
+  return session.owner === principal.name || hasScope(principal, SCOPES.SESSIONS_ADMIN);
+}
+
+function loadHttpSession(req, res, next) {
+  const session = httpSessions.get(req.params.id);
+  // 别人的会话同样返回 404，不暴露会话是否存在
+  if (!session || !ownsHttpSession(req.principal, session)) return res.status(404).json({ success: false, message: `会话不存在: ${req.params.id}` });
+  session.lastActiveAt = Date.now();
+  req.imSession = session;
+  next();
+}
+
+app.post('/api/sessions', requireScope(auth, SCOPES.SESSIONS_MANAGE), async (req, res) => {
+  const { uid, token } = req.body || {};
+  const parsed = parseUidToken(uid, token, req.body?.connect_code ?? req.body?.connectCode);
+  if (!parsed.uid || !parsed.token) return res.status(400).json({ success: false, message: '缺少 uid/token（或 connect_code 解析失败）' });
+  if (httpSessions.size >= HTTP_SESSIONS_MAX) return res.status(429).json({ success: false, message: `HTTP 会话数已达上限 ${HTTP_SESSIONS_MAX}` });
+
+  const session = createHttpSession(req.principal.name);
+  httpSessions.set(session.id, session);
+  try {
+    // 与同 uid 的 WS 连接共用 IM 登录，避免互踢
+    const entry = await imRegistry.acquire(session, { uid: parsed.uid, token: String(parsed.token), connectCode: parsed.connectCode });
+    Object.assign(session, { imEntry: entry, im: entry.im, tracker: entry.tracker.forOwner(session) });
+    Object.assign(session, { uid: parsed.uid, token: String(parsed.token), isReady: entry.im.isReady, loggedInAt: Date.now() });
+    history.recordSession({ id: session.id, kind: 'http', uid: session.uid, principal: session.owner, createdAt: session.createdAt, loggedInAt: session.loggedInAt });
+    log('INFO', `[HTTP ${session.id}] created uid=${parsed.uid} owner=${session.owner} refs=${imRegistry.refs(parsed.uid)}`);
+    res.status(201).json({ success: true, data: describeHttpSession(session) });
+  } catch (e) {
+    await destroyHttpSession(session);
+    res.status(500).json({ success: false, message: e?.message || String(e) });
+  }
+});
+
+app.get('/api/sessions', requireScope(auth, SCOPES.STATUS_READ), (req, res) => {
+  const visible = [...httpSessions.values()].filter((s) => ownsHttpSession(req.principal, s));
+  res.json({ success: true, data: visible.map(describeHttpSession) });
+});
+
+app.get('/api/sessions/:id', requireScope(auth, SCOPES.STATUS_READ), loadHttpSession, (req, res) => {
+  res.json({ success: true, data: describeHttpSession(req.imSession) });
+});
+
+app.delete('/api/sessions/:id', requireScope(auth, SCOPES.SESSIONS_MANAGE), loadHttpSession, async (req, res) => {
+  await destroyHttpSession(req.imSession);
+  log('INFO', `[HTTP ${req.imSession.id}] deleted`);
+  res.json({ success: true });
+});
+
+// body: { commandId, commandPayload? } 或 { payload }；targetId / traceId 可选；waitForAck=true 时等待 App 回执再返回
+app.post('/api/sessions/:id/commands', requireScope(auth, SCOPES.COMMANDS_SEND), loadHttpSession, async (req, res) => {
+  const session = req.imSession;
+  const body = req.body || {};
+  if (!session.isReady) return res.status(503).json({ success: false, message: 'IM 未就绪', connState: session.im.connState });
+
+  const { payload, calibration, errors } = buildSessionCommand(session, body);
+  if (errors) return res.status(400).json({ success: false, message: '指令校验失败', errors });
+
+  const traceId = body.traceId || genId('trace');
+  if (session.tracker.has(traceId)) return res.status(409).json({ success: false, error: 'duplicate_trace_id', traceId, message: DUPLICATE_TRACE_MESSAGE });
+  const violation = checkSafety({ uid: session.uid, payload, sessionStartedAt: session.loggedInAt, source: 'http-session', traceId });
+  if (violation) return res.status(safetyHttpStatus(violation)).json({ success: false, error: 'safety_violation', traceId, ...violation });
+
+  try {
+    const { okTo, messageId, results } = await sendToTargets(session.im, resolveTargets(session, body.targetId), payload);
+    if (!okTo) throw new Error(`所有候选收件人发送均失败: ${JSON.stringify(results)}`);
+    if (payload.code === GAME_OPTS_CODE) session.usesGameOpts = true;
+    const entry = session.tracker.track({ traceId, messageId, to: okTo, payload });
+    notePlaying(session.uid, payload);
+    noteCalibratedOutput(session, payload, calibration);
+    const data = { to: okTo, traceId, messageId, tried: results };
+    if (body.waitForAck) data.result = await entry.settled;
+    res.json({ success: true, data });
+  } catch (e) {
+    releaseSafety(session.uid, traceId);
+    historySendFailure({ traceId, sessionId: session.id, uid: session.uid, to: body.targetId || session.uid, payload, source: 'http-session', error: e });
+    session.isReady = session.im.isReady;
+    if (!session.im.isReady) session.im.recover('send_failed');
+    res.status(500).json({ success: false, traceId, message: e?.message || String(e) });
+  }
+});
+
+// 急停：{ all: true } 所有会话（WS、HTTP 会话及 admin）；{ sessionId } / { uid } 指定会话；都不传时为 admin 会话
+// 急停 admin 会话只需 commands:send，涉及其他会话需要 sessions:manage
+app.post('/api/emergency-stop', requireScope(auth, SCOPES.COMMANDS_SEND), async (req, res) => {
+  const { all = false, sessionId = null, uid = null, reason = 'operator' } = req.body || {};
+  const wantUid = normalizeUid(uid);
+  const byFilter = !!(sessionId || wantUid);
+  if ((all || byFilter) && !hasScope(req.principal, SCOPES.SESSIONS_MANAGE)) {
+    return res.status(403).json({ success: false, error: 'forbidden', message: `需要 scope: ${SCOPES.SESSIONS_MANAGE}` });
+  }
+
+  const matches = (session) => session.uid && (all || session.id === sessionId || (wantUid && session.uid === wantUid));
+  // WS 会话（含断线等待 resume 的）+ HTTP 会话
+  const targets = [...sessions.values(), ...detachedSessions.values(), ...httpSessions.values()].filter(matches);
+  if (adminConfig.uid && (all || !byFilter || (wantUid && adminConfig.uid === wantUid))) {
+    targets.push(adminSession());
+  }
+  if (!targets.length) return res.status(404).json({ success: false, message: '没有匹配的已登录会话' });
+
+  log('WARN', `[ESTOP] operator emergency stop: ${targets.length} session(s)`, { all, sessionId, uid: wantUid, reason });
+  const results = await Promise.all(targets.map(async (session) => {
+    if (session.kind === 'ws') sessionSend(session, { type: 'emergencyStop', by: 'operator', reason, time: nowIso() });
+    const result = await emergencyStopSession(session, { reason, by: 'operator' });
+    if (session.kind === 'ws') sessionSend(session, { type: 'emergencyStopResult', success: result.ok, ...result, time: nowIso() });
+    return result;
+  }));
+  res.json({ success: results.every((r) => r.ok), results });
+});
+
+// ---------- /api/game2/link：game2 流程驱动网关会话的设备（game2-drive.js） ----------
+// body: { uid, gatewaySessionId }，gatewaySessionId 为 WS 会话（welcome.sessionId）或 HTTP 会话 id
+app.post('/api/game2/link', requireScope(auth, SCOPES.COMMANDS_SEND), async (req, res) => {
+  const uid = String(req.body?.uid || '').trim();
+  const gatewaySessionId = String(req.body?.gatewaySessionId || '').trim();
+  if (!uid || !gatewaySessionId) return res.status(400).json({ success: false, message: 'uid 与 gatewaySessionId 必填' });
+  const session = findGatewaySession(gatewaySessionId);
+  if (!session) return res.status(404).json({ success: false, message: `网关会话不存在: ${gatewaySessionId}` });
+  const prev = game2Driver.linkOf(uid);
+  // 目标会话与被替换的关联都必须属于调用方
+  if (!ownsGatewaySession(req.principal, session) || (prev && !ownsGatewaySession(req.principal, prev.session))) {
+    return res.status(403).json({ success: false, error: 'forbidden', message: `只能关联自己的网关会话（或需要 scope: ${SCOPES.SESSIONS_MANAGE}）` });
+  }
+  if (!session.isReady) return res.status(503).json({ success: false, message: '网关会话 IM 未就绪，请先登录' });
+
+  if (prev && prev.session !== session && prev.output === 'on' && prev.session.im) {
+    await emergencyStopSession(prev.session, { reason: 'game2_relinked', by: 'game2' });
+  }
+  const link = game2Driver.link(uid, session);
+  if (session.kind === 'ws') session.game2Uid = uid;
+  log('INFO', `[GAME2] uid=${uid} 关联网关会话 ${session.id}（${session.kind}）`);
+  res.json({ success: true, data: game2Driver.describe(link) });
+});
+
+app.get('/api/game2/link', requireScope(auth, SCOPES.STATUS_READ), (req, res) => {
+  const uid = String(req.query.uid || '').trim();
+  if (!uid) return res.status(400).json({ success: false, message: 'uid 必填' });
+  res.json({ success: true, data: game2Driver.describe(game2Driver.linkOf(uid)) });
+});
+
+// 解除关联：输出中的急停，进行中的 game2 会话中断
+app.delete('/api/game2/link', requireScope(auth, SCOPES.COMMANDS_SEND), async (req, res) => {
+  const uid = String(req.query.uid || '').trim();
+  if (!uid) return res.status(400).json({ success: false, message: 'uid 必填' });
+  const current = game2Driver.linkOf(uid);
+  if (!current) return res.status(404).json({ success: false, message: `uid=${uid} 没有关联的网关会话` });
+  if (!ownsGatewaySession(req.principal, current.session)) {
+    return res.status(403).json({ success: false, error: 'forbidden', message: `只能解除自己网关会话的关联（或需要 scope: ${SCOPES.SESSIONS_MANAGE}）` });
+  }
+  const link = game2Driver.unlink(uid);
+  await releaseGame2Links([link], 'unlink');
+  log('INFO', `[GAME2] uid=${uid} 解除关联网关会话 ${link.session.id}`);
+  res.json({ success: true });
+});
+
+// ---------- /api/history ----------
+// 时间参数接受毫秒时间戳或 ISO 字符串
+function parseTimeParam(v) {
+  if (v === undefined || v === '') return null;
+  const n = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(String(v));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// 没有 sessions:admin 时只返回调用方自己创建的会话（HTTP 会话 owner / WS 登录 / admin 登录的 principal）及其指令
+app.get('/api/history', requireScope(auth, SCOPES.STATUS_READ), async (req, res) => {
+  if (!history.enabled) return res.status(503).json({ success: false, message: '历史记录未启用' });
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ success: false, message: 'from / to 需为毫秒时间戳或 ISO 时间' });
+  try {
+    const uid = req.query.uid ? normalizeUid(req.query.uid) : null;
+    const principal = hasScope(req.principal, SCOPES.SESSIONS_ADMIN) ? null : req.principal.name;
+    const data = history.query({ uid, from, to, limit: req.query.limit, principal });
+    res.json({ success: true, uid, from, to, ...data });
   } catch (e) {
-    adminConfig.isReady = false;
     res.status(500).json({ success: false, message: e?.message || String(e) });
   }
 });
 
 // ---------- HTTP server + WS ----------
 const httpServer = createServer(app);
-// 方案 B：不限制 WS_PATH，允许 ws://<ip>:3001 直连（不依赖 Nginx /ws 反代）
-const wss = new WebSocketServer({ server: httpServer });
+// WS_PATH 未配置时不限制路径（方案 B，允许 ws://<ip>:3001 直连）；配置后其它路径的升级请求回 400
+const wss = new WebSocketServer({
+  server: httpServer,
+  ...(WS_PATH ? { path: WS_PATH } : {}),
+  // 升级前检查 Origin 与凭据（?access_token=）；通过的 principal 挂在 req 上
+  verifyClient: ({ origin, req }, done) => {
+    if (shuttingDown) return done(false, 503, 'Server shutting down');
+    const credential = Authenticator.credentialFromUpgrade(req);
+    if (!auth.isOriginAllowed(origin, { hasCredential: !!credential })) {
+      log('WARN', `WS 升级被拒绝：origin 不在允许列表 ${origin || '（无 Origin 且未带凭据）'}`);
+      return done(false, 403, 'Origin not allowed');
+    }
+    if (!auth.enabled) return done(true);
+    if (credential) {
+      const principal = auth.authenticate(credential);
+      if (!principal) return done(false, 401, 'Unauthorized');
+      req.principal = principal;
+    } else if (auth.wsAuthRequired) {
+      return done(false, 401, 'Unauthorized');
+    }
+    done(true);
+  },
+});
+
+// 各 WS 消息需要的 scope（未列出的消息不需要 scope，急停永远允许）
+const WS_MESSAGE_SCOPES = {
+  getStatus: SCOPES.STATUS_READ,
+  diagnose: SCOPES.STATUS_READ,
+  game2Subscribe: SCOPES.STATUS_READ,
+  game2Link: SCOPES.COMMANDS_SEND,
+  game2Unlink: SCOPES.COMMANDS_SEND,
+  login: SCOPES.COMMANDS_SEND,
+  sendCommand: SCOPES.COMMANDS_SEND,
+  sendOpts: SCOPES.COMMANDS_SEND,
+};
 
 // per-WS session map (multi-user)
 const sessions = new Map(); // ws -> { id, createdAt, isAlive, im: ChatClient, uid, token, isReady, lastActiveAt }
 
+// 开发时校验出站帧是否符合 ws-protocol.js 的 schema（不拦截，只记日志）
+const WS_VALIDATE_OUTBOUND = CFG.ws.validateOutbound;
+
 function wsSend(ws, obj) {
+  if (WS_VALIDATE_OUTBOUND) {
+    const errors = validateOutbound(obj);
+    if (errors.length) log('WARN', `[WS-PROTOCOL] 出站帧 ${obj?.type} 不符合 schema`, errors);
+  }
   try {
     if (ws.readyState === 1) ws.send(JSON.stringify(obj));
   } catch (e) {
@@ -446,167 +1498,384 @@ function wsStatus(ws, session) {
   wsSend(ws, { type: 'status', isOnline: true, isReady: !!session?.isReady, sessionId: session?.id, uid: session?.uid || null, time: nowIso() });
 }
 
+/**
+ * 一条入站请求的回复通道：每一帧都带上客户端的 requestId。
+ * fail() 按会话协议版本回复：protocol 1 为旧的 `<resultType> { success: false, code, message }`，protocol 2 为 error 帧。
+ */
+function wsReplier(ws, session, msg) {
+  const request = typeof msg?.type === 'string' ? msg.type : undefined;
+  const tag = (frame) => (msg?.requestId === undefined ? frame : { ...frame, requestId: msg.requestId });
+  const error = (code, message, extra = {}) => wsSend(ws, tag({ type: 'error', code, request, message, ...extra, time: nowIso() }));
+  return {
+    send: (frame) => wsSend(ws, tag(frame)),
+    log: (text, level = 'info', extra = null) => wsSend(ws, tag({ type: 'log', level, msg: text, time: nowIso(), ...(extra ? { extra } : {}) })),
+    status: (s = session) => wsSend(ws, tag({ type: 'status', isOnline: true, isReady: !!s?.isReady, sessionId: s?.id, uid: s?.uid || null, time: nowIso() })),
+    error,
+    fail: (resultType, code, message, extra = {}) => {
+      if (session.protocol >= 2) return error(code, message, extra);
+      if (resultType === 'safetyViolation') return wsSend(ws, tag({ type: resultType, request, code, ...extra, message, time: nowIso() }));
+      wsSend(ws, tag({ type: resultType, success: false, code, message, ...extra }));
+    },
+  };
+}
+
 function broadcast(obj) {
   for (const client of wss.clients) {
     wsSend(client, obj);
   }
 }
 
+// ✅ 收件人调试策略：同一条指令尝试发给多个可能的收件人（避免 userId 前缀差异导致“收到了但不执行”）
+// 1) 前端显式传 msg.targetId
+// 2) 配置 im.commandTarget / GAME_CMD_TO（对齐官方“固定中枢账号”模式，例如 50141）
+// 3) IM 实际登录 userId（game_sign 返回）
+// 4) session.uid（normalizeUid 后）
+// 候选全部统一为“纯 UID”（不带 game_）
+function resolveTargets(session, targetId) {
+  const candidatesRaw = [
+    targetId,
+    GAME_CMD_TO,
+    session.im?.state?.userId,
+    session.uid,
+  ];
+  return Array.from(
+    new Set(candidatesRaw.filter(Boolean).map((v) => normalizeUid(v)).filter(Boolean))
+  );
+}
+
+// 逐个尝试发送（命中任意一个就认为成功）
+async function sendToTargets(im, targets, payload) {
+  const results = [];
+  for (const to of targets) {
+    try {
+      const { messageId = null, attempts = 1 } = await im.sendToC2C(to, payload) || {};
+      results.push({ to, ok: true, attempts });
+      return { okTo: to, messageId, results };
+    } catch (err) {
+      results.push({ to, ok: false, message: err?.message || String(err) });
+    }
+  }
+  return { okTo: null, results };
+}
+
+// 急停 payload：_stop_all；用过 game_opts 的会话额外 clear_channel AB
+function buildStopPayloads(session) {
+  const payloads = [buildGameCmd({ id: STOP_ALL_ID, token: session.token })];
+  if (session.usesGameOpts) payloads.push(buildGameOpts([clearChannel('AB')]));
+  return payloads;
+}
+
+// 立即发送（不排队），直到收到 App 回执或达到 maxAttempts
+async function deliverUntilAcked(session, to, payload, traceBase) {
+  const { maxAttempts, ackTimeoutMs, sendTimeoutMs, retryDelayMs } = EMERGENCY_STOP_POLICY;
+  let lastError = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const traceId = `${traceBase}_${attempt}`;
+    try {
+      const { messageId } = await session.im.sendImmediate(to, payload, { timeoutMs: sendTimeoutMs, retries: 0 });
+      const entry = session.tracker.track({ traceId, messageId, to, payload, timeoutMs: ackTimeoutMs });
+      const result = await entry.settled;
+      if (result.kind === 'ack') {
+        return { ok: true, code: payload.code, traceId, attempts: attempt, latencyMs: result.latencyMs };
+      }
+      lastError = result.kind === 'failed' ? (result.error?.message || 'commandFailed') : '等待回执超时';
+    } catch (e) {
+      lastError = e?.message || String(e);
+    }
+    if (attempt < maxAttempts) await sleep(retryDelayMs);
+  }
+  return { ok: false, code: payload.code, attempts: maxAttempts, message: lastError };
+}
+
+/**
+ * 急停一个会话：取消排队中的指令，立即发送 _stop_all（及 clear_channel AB），重发直到回执。
+ */
+async function emergencyStopSession(session, { reason = 'manual', by = 'client' } = {}) {
+  const base = { sessionId: session.id, uid: session.uid || null, reason, by };
+  if (!session.im) return { ...base, ok: false, results: [], message: '未登录 IM' };
+  calibrationGuard.clear(session);
+  session.im.cancelQueued();
+  if (session.uid) safetyGuard.noteStop(session.uid);
+  const to = resolveTargets(session)[0];
+  if (!to) return { ...base, ok: false, results: [], message: '没有可用收件人（未登录）' };
+
+  const traceBase = genId('estop');
+  const results = [];
+  for (const [i, payload] of buildStopPayloads(session).entries()) {
+    results.push(await deliverUntilAcked(session, to, payload, `${traceBase}_${i}`));
+  }
+  const ok = results.every((r) => r.ok);
+  if (ok) playingUids.delete(session.uid);
+  log(ok ? 'INFO' : 'ERROR', `[ESTOP] session=${session.id} uid=${session.uid} to=${to} ok=${ok}`, { reason, by, results });
+  return { ...base, to, ok, results };
+}
+
+// 发送失败不再永久标记未就绪：连接确实不可用时交给 ChatClient 自动恢复
+function handleSessionSendFailure(reply, session) {
+  session.isReady = session.im.isReady;
+  if (!session.im.isReady) session.im.recover('send_failed');
+  reply.status();
+}
+
 async function handleWsMessage(ws, session, msg) {
   const type = msg?.type;
+  const reply = wsReplier(ws, session, msg);
   session.lastActiveAt = Date.now();
 
+  // protocol 2：按 schema 严格校验（未知 type 同样在这里拒绝）
+  if (session.protocol >= 2) {
+    const checked = validateInbound(msg);
+    if (!checked.ok) {
+      reply.error(checked.code, '消息不符合协议 schema', { errors: checked.errors });
+      return;
+    }
+  }
+
+  const scope = WS_MESSAGE_SCOPES[type];
+  if (scope && !hasScope(session.principal, scope)) {
+    reply.log(`缺少 scope ${scope}，拒绝 ${type}`, 'error');
+    reply.error(WS_ERROR_CODES.FORBIDDEN, `需要 scope: ${scope}`);
+    return;
+  }
+
   switch (type) {
     case 'ping':
-      wsSend(ws, { type: 'pong', time: nowIso() });
+      reply.send({ type: 'pong', time: nowIso() });
       break;
 
     case 'getStatus':
-      wsStatus(ws, session);
+      reply.status();
+      break;
+
+    case 'resume':
+      await resumeSession(ws, session, msg.resumeToken, reply);
       break;
 
     case 'login': {
-      const parsed = parseUidToken(msg.uid, msg.token);
+      const parsed = parseUidToken(msg.uid, msg.token, msg.connectCode ?? msg.connect_code);
       const uid = parsed.uid;
       const token = parsed.token;
       if (!uid || !token) {
-        wsLog(ws, '缺少 uid/token（或 connect_code 解析失败）', 'error');
-        wsSend(ws, { type: 'loginResult', success: false, message: '缺少 uid/token（或 connect_code 解析失败）' });
+        reply.log('缺少 uid/token（或 connect_code 解析失败）', 'error');
+        reply.fail('loginResult', WS_ERROR_CODES.MISSING_CREDENTIALS, '缺少 uid/token（或 connect_code 解析失败）');
         return;
       }
 
+      // 重新登录（含换 uid）先释放之前的共享 IM
+      if (session.imEntry) await detachIm(session);
       session.uid = uid;
       session.token = String(token);
 
-      wsLog(ws, `开始登录 IM: uid=${uid}`, 'info');
+      reply.log(`开始登录 IM: uid=${uid}${imRegistry.refs(uid) ? `（复用已有登录，${imRegistry.refs(uid)} 个连接）` : ''}`, 'info');
       try {
-        await session.im.loginWith(uid, token);
-        session.isReady = true;
-        wsLog(ws, 'IM 登录成功', 'success', { uid, appId: session.im.state.appId, userId: session.im.state.userId });
-        wsSend(ws, { type: 'loginResult', success: true, data: { uid, userId: session.im.state.userId, appId: session.im.state.appId, usedConnectCode: parsed.usedConnectCode } });
-        wsStatus(ws, session);
+        const entry = await imRegistry.acquire(session, { uid, token: session.token, connectCode: parsed.connectCode });
+        Object.assign(session, { imEntry: entry, im: entry.im, tracker: entry.tracker.forOwner(session) });
+        session.isReady = entry.im.isReady;
+        session.loggedInAt = Date.now();
+        history.recordSession({ id: session.id, kind: 'ws', uid, principal: session.principal?.name, createdAt: session.createdAt, loggedInAt: session.loggedInAt });
+        const signMethod = session.im.state.signMethod;
+        reply.log('IM 登录成功', 'success', { uid, appId: session.im.state.appId, userId: session.im.state.userId, signMethod });
+        reply.send({ type: 'loginResult', success: true, data: { uid, userId: session.im.state.userId, appId: session.im.state.appId, usedConnectCode: parsed.usedConnectCode, signMethod } });
+        reply.status();
       } catch (e) {
         session.isReady = false;
-        wsLog(ws, `IM 登录失败: ${e?.message || e}`, 'error');
-        wsSend(ws, { type: 'loginResult', success: false, message: e?.message || String(e) });
-        wsStatus(ws, session);
+        session.uid = null;
+        session.token = null;
+        reply.log(`IM 登录失败: ${e?.message || e}`, 'error');
+        reply.fail('loginResult', WS_ERROR_CODES.LOGIN_FAILED, e?.message || String(e));
+        reply.status();
       }
       break;
     }
 
     case 'logout': {
-      wsLog(ws, '正在登出并销毁 IM 会话', 'info');
+      reply.log('正在登出（同 uid 的其他连接仍在使用时保留 IM 登录）', 'info');
       try {
-        await session.im.destroy();
+        await releaseGame2Links(game2Driver.unlinkSession(session), 'logout');
+        calibrationGuard.clear(session);
+        await detachIm(session);
       } finally {
         session.isReady = false;
         session.uid = null;
         session.token = null;
-        wsSend(ws, { type: 'logoutResult', success: true });
-        wsStatus(ws, session);
+        if (session.loggedInAt) history.closeSession(session.id, 'logout');
+        session.loggedInAt = null;
+        reply.send({ type: 'logoutResult', success: true });
+        reply.status();
       }
       break;
     }
 
     case 'sendCommand': {
       if (!session.isReady) {
-        wsLog(ws, 'IM 未就绪，请先 login', 'error');
-        wsSend(ws, { type: 'sendResult', success: false, message: 'IM 未就绪' });
+        reply.log('IM 未就绪，请先 login', 'error');
+        reply.fail('sendResult', WS_ERROR_CODES.IM_NOT_READY, 'IM 未就绪');
         return;
       }
 
       const payload = msg.payload;
       if (!payload) {
-        wsLog(ws, 'payload 不能为空', 'error');
-        wsSend(ws, { type: 'sendResult', success: false, message: 'payload 不能为空' });
+        reply.log('payload 不能为空', 'error');
+        reply.fail('sendResult', WS_ERROR_CODES.INVALID_PAYLOAD, 'payload 不能为空');
         return;
       }
 
-      // ✅ 发送对象策略：
-      // 1) 前端显式传 msg.targetId 则优先
-      // 2) 否则优先使用环境变量 GAME_CMD_TO（用于对齐官方“固定中枢账号”模式，例如 50141）
-      // 3) 再否则发给当前登录用户（session.uid）
-      // ✅ 发送对象策略（更贴近 TIM 真实收件人）：
-      // 1) 前端显式传 msg.targetId 则优先（原样使用）
-      // 2) 否则使用 GAME_CMD_TO（如你需要固定发送给某账号）
-      // 3) 再否则默认发送给“当前 IM 登录的 userId”（game_sign 返回的 userId）
-      // ✅ 收件人调试策略：同一条指令同时尝试发给多个可能的收件人（避免 userId 前缀差异导致“收到了但不执行”）
-      // 1) 前端显式传 msg.targetId
-      // 2) 环境变量 GAME_CMD_TO
-      // 3) IM 实际登录 userId（game_sign 返回）
-      // 4) session.uid（normalizeUid 后）
-      // 5) 去掉 game_ 前缀的纯 uid
-      // ✅ 收件人调试策略：候选全部统一为“纯 UID”（不带 game_）
-      const candidatesRaw = [
-        msg.targetId,
-        process.env.GAME_CMD_TO,
-        session.im?.state?.userId,
-        session.uid,
-      ];
-      const targets = Array.from(
-        new Set(candidatesRaw.filter(Boolean).map((v) => normalizeUid(v)).filter(Boolean))
-      );
+      const targets = resolveTargets(session, msg.targetId);
       const actualTo = targets[0] || "";
 
       // traceId 仅用于服务端日志追踪，不注入到 payload.text，避免对方严格校验失败
       const traceId = msg.traceId || genId('trace');
+      if (session.tracker.has(traceId)) {
+        reply.fail('sendResult', WS_ERROR_CODES.INVALID_PAYLOAD, DUPLICATE_TRACE_MESSAGE, { traceId });
+        return;
+      }
 
-      // ✅ 严格按官方 game_cmd 结构（不额外塞 traceId）：{ code, id, token }
+      // 可选指令参数（reset_strength / waveform）：payload.payload 或 msg.commandPayload
+      const isObjectPayload = typeof payload === 'object' && payload !== null;
+      const cmdPayload = isObjectPayload && payload.payload != null ? payload.payload : msg.commandPayload;
+      const checkedCmd = validateCmdPayload(cmdPayload);
+      if (!checkedCmd.ok) {
+        reply.log(`指令参数校验失败 traceId=${traceId}`, 'error', { errors: checkedCmd.errors });
+        reply.fail('sendResult', WS_ERROR_CODES.INVALID_PAYLOAD, '指令参数校验失败', { traceId, errors: checkedCmd.errors });
+        return;
+      }
+
+      // ✅ 严格按官方 game_cmd 结构（不额外塞 traceId）：{ code, id, token, payload? }
       let finalPayload;
-      if (typeof payload === 'object' && payload !== null) {
+      if (isObjectPayload) {
         finalPayload = {
           code: String(payload.code || '').trim(),
           id: String(payload.id ?? '').trim(),
           token: String(payload.token || session.token || '').trim(),
         };
+        if (cmdPayload && Object.keys(cmdPayload).length) finalPayload.payload = { ...cmdPayload };
       } else {
         // 兼容：如果 payload 不是对象，则把它当作 commandId
-        finalPayload = {
-          code: 'game_cmd',
-          id: String(payload).trim(),
-          token: String(session.token || '').trim(),
-        };
+        finalPayload = buildGameCmd({ id: payload, token: session.token, payload: cmdPayload });
+      }
+
+      const calibrated = calibrate(session, finalPayload);
+      if (calibrated.errors.length) {
+        reply.log(`game2 校准结果套用失败 traceId=${traceId}`, 'error', { errors: calibrated.errors });
+        reply.fail('sendResult', WS_ERROR_CODES.INVALID_PAYLOAD, 'game2 校准结果套用失败', { traceId, errors: calibrated.errors });
+        return;
+      }
+      if (calibrated.applied.length) reply.log(`已套用 game2 校准结果 traceId=${traceId}`, 'info', { applied: calibrated.applied });
+      finalPayload = calibrated.payload;
+
+      const violation = checkSafety({ uid: session.uid, payload: finalPayload, sessionStartedAt: session.loggedInAt, source: 'ws', traceId });
+      if (violation) {
+        reply.fail('safetyViolation', WS_ERROR_CODES.SAFETY_VIOLATION, violation.message, { traceId, ...violation });
+        return;
       }
 
-      wsLog(ws, `发送指令 traceId=${traceId} -> ${actualTo}`, 'info', {
+      reply.log(`发送指令 traceId=${traceId} -> ${actualTo}`, 'info', {
         finalPayload,
         note: { sessionUid: session.uid, imUserId: session.im?.state?.userId, targets }
       });
 
       try {
-        // 逐个尝试发送（命中任意一个就认为成功），并把结果回传给前端
-        const results = [];
-        let okTo = null;
-        for (const to of targets) {
-          try {
-            await session.im.sendToC2C(to, finalPayload);
-            results.push({ to, ok: true });
-            okTo = to;
-            break;
-          } catch (err) {
-            results.push({ to, ok: false, message: err?.message || String(err) });
-          }
-        }
-
+        // 逐个尝试发送，并把结果回传给前端
+        const { okTo, messageId, results } = await sendToTargets(session.im, targets, finalPayload);
         if (okTo) {
-          wsSend(ws, { type: 'sendResult', success: true, traceId, to: okTo, tried: results });
+          session.tracker.track({ traceId, messageId, to: okTo, payload: finalPayload });
+          notePlaying(session.uid, finalPayload);
+          noteCalibratedOutput(session, finalPayload, calibrated.calibration);
+          reply.send({ type: 'sendResult', success: true, traceId, messageId, to: okTo, tried: results });
         } else {
           throw new Error(`所有候选收件人发送均失败: ${JSON.stringify(results)}`);
         }
       } catch (e) {
-        session.isReady = false;
-        wsLog(ws, `发送失败 traceId=${traceId}: ${e?.message || e}`, 'error');
-        wsSend(ws, { type: 'sendResult', success: false, traceId, message: e?.message || String(e) });
-        wsStatus(ws, session);
+        releaseSafety(session.uid, traceId);
+        historySendFailure({ traceId, sessionId: session.id, uid: session.uid, to: actualTo, payload: finalPayload, source: 'ws', error: e });
+        reply.log(`发送失败 traceId=${traceId}: ${e?.message || e}`, 'error');
+        reply.fail('sendResult', WS_ERROR_CODES.SEND_FAILED, e?.message || String(e), { traceId });
+        handleSessionSendFailure(reply, session);
+      }
+      break;
+    }
+
+    case 'sendOpts': {
+      // game_opts（control_channel / clear_channel）：校验后原样转发
+      const traceId = msg.traceId || genId('trace');
+      if (!session.isReady) {
+        reply.log('IM 未就绪，请先 login', 'error');
+        reply.fail('sendOptsResult', WS_ERROR_CODES.IM_NOT_READY, 'IM 未就绪', { traceId });
+        return;
+      }
+      if (session.tracker.has(traceId)) {
+        reply.fail('sendOptsResult', WS_ERROR_CODES.INVALID_PAYLOAD, DUPLICATE_TRACE_MESSAGE, { traceId });
+        return;
+      }
+
+      // 通用档位（data.level）换成 strength 之后再校验
+      const calibrated = calibrate(session, msg.payload);
+      if (calibrated.errors.length) {
+        reply.log(`game2 校准结果套用失败 traceId=${traceId}`, 'error', { errors: calibrated.errors });
+        reply.fail('sendOptsResult', WS_ERROR_CODES.INVALID_PAYLOAD, 'game2 校准结果套用失败', { traceId, errors: calibrated.errors });
+        return;
+      }
+      if (calibrated.applied.length) reply.log(`已套用 game2 校准结果 traceId=${traceId}`, 'info', { applied: calibrated.applied });
+      const payload = calibrated.payload;
+
+      const checked = validateGameOpts(payload, OPTS_LIMITS);
+      if (!checked.ok) {
+        reply.log(`game_opts 校验失败 traceId=${traceId}`, 'error', { errors: checked.errors });
+        reply.fail('sendOptsResult', WS_ERROR_CODES.INVALID_PAYLOAD, 'game_opts 校验失败', { traceId, errors: checked.errors });
+        return;
+      }
+
+      const violation = checkSafety({ uid: session.uid, payload, sessionStartedAt: session.loggedInAt, source: 'ws', traceId });
+      if (violation) {
+        reply.fail('safetyViolation', WS_ERROR_CODES.SAFETY_VIOLATION, violation.message, { traceId, ...violation });
+        return;
       }
+
+      const targets = resolveTargets(session, msg.targetId);
+      reply.log(`发送 game_opts traceId=${traceId} -> ${targets[0] || ''}`, 'info', { payload, targets });
+
+      try {
+        const { okTo, messageId, results } = await sendToTargets(session.im, targets, payload);
+        if (!okTo) throw new Error(`所有候选收件人发送均失败: ${JSON.stringify(results)}`);
+        session.usesGameOpts = true;
+        session.tracker.track({ traceId, messageId, to: okTo, payload });
+        notePlaying(session.uid, payload);
+        noteCalibratedOutput(session, payload, calibrated.calibration);
+        reply.send({ type: 'sendOptsResult', success: true, traceId, messageId, to: okTo, tried: results, actions: checked.actions.length });
+      } catch (e) {
+        releaseSafety(session.uid, traceId);
+        historySendFailure({ traceId, sessionId: session.id, uid: session.uid, to: targets[0] || null, payload, source: 'ws', error: e });
+        reply.log(`game_opts 发送失败 traceId=${traceId}: ${e?.message || e}`, 'error');
+        reply.fail('sendOptsResult', WS_ERROR_CODES.SEND_FAILED, e?.message || String(e), { traceId });
+        handleSessionSendFailure(reply, session);
+      }
+      break;
+    }
+
+    case 'emergencyStop': {
+      const reason = String(msg.reason || 'manual');
+      reply.log(`收到急停请求 reason=${reason}`, 'warn');
+      const result = await emergencyStopSession(session, { reason, by: 'client' });
+      reply.send({ type: 'emergencyStopResult', success: result.ok, ...result, time: nowIso() });
       break;
     }
 
+    case 'watchdog': {
+      if (msg.enabled === false) session.watchdog.disable();
+      else session.watchdog.enable(msg.timeoutMs ?? WATCHDOG_DEFAULT_MS);
+      reply.send({ type: 'watchdogResult', success: true, ...session.watchdog.status(), time: nowIso() });
+      break;
+    }
+
+    case 'watchdogFeed':
+      session.watchdog.feed(String(msg.source || 'client'));
+      break;
+
     case 'diagnose': {
-      const connect = parseUidToken(msg.uid ?? session.uid, msg.token ?? session.token);
+      const connect = parseUidToken(msg.uid ?? session.uid, msg.token ?? session.token, msg.connectCode ?? msg.connect_code ?? session.im?.state?.connectCode);
       const candidateTargets = [
         msg.targetId,
-        process.env.GAME_CMD_TO,
+        GAME_CMD_TO,
         session.im?.state?.userId,
         connect.uid,
       ];
@@ -627,8 +1896,8 @@ async function handleWsMessage(ws, session, msg) {
 
       try {
         if (connect.uid && connect.token) {
-          const sign = await requestGameSign(toGameUid(connect.uid), connect.token);
-          checks.gameSign = { ok: true, appId: sign.appId, userSigLength: (sign.userSig || '').length };
+          const sign = await requestGameSign({ uid: connect.uid, token: connect.token, connectCode: connect.connectCode });
+          checks.gameSign = { ok: true, appId: sign.appId, userSigLength: (sign.userSig || '').length, method: sign.signMethod };
         } else {
           checks.gameSign = { ok: false, message: 'uid/token 缺失，无法验证签名接口' };
         }
@@ -639,11 +1908,12 @@ async function handleWsMessage(ws, session, msg) {
       const hints = [];
       if (!checks.imReady) hints.push('IM 未就绪：先解决 KICKED_OUT/SDK_NOT_READY，再发指令');
       if (!checks.gameSign?.ok) hints.push('签名验证失败：connect_code 可能过期，需在 App 内重新启动游戏获取新的连接码');
+      if (checks.gameSign?.method === 'uid_token') hints.push('connect_code 签名失败，已回退到废弃的 uid+token 方式：服务商移除旧方式后将无法登录');
       if (!checks.commandId) hints.push('commandId 为空：必须发送你在“开发游戏”里配置的指令 ID');
       if (checks.commandId && !checks.commandIdLooksValid) hints.push('commandId 含特殊空白/字符，建议与 App 配置的 ID 完全一致（大小写敏感）');
       if (targets.length === 0) hints.push('没有可用收件人 target，无法路由到 App');
 
-      wsSend(ws, {
+      reply.send({
         type: 'diagnoseResult',
         success: true,
         time: nowIso(),
@@ -653,83 +1923,341 @@ async function handleWsMessage(ws, session, msg) {
       break;
     }
 
+    case 'game2Subscribe': {
+      const uid = String(msg.uid || '').trim();
+      if (!uid) {
+        reply.fail('game2SubscribeResult', WS_ERROR_CODES.INVALID_PAYLOAD, 'uid 必填');
+        break;
+      }
+      if (!session.isReady) {
+        reply.fail('game2SubscribeResult', WS_ERROR_CODES.IM_NOT_READY, 'IM 未就绪，请先 login', { uid });
+        break;
+      }
+      // 只能订阅本会话登录的 uid，或已关联到自己网关会话的 game2 uid（与 game2Link 的 owner 检查一致）
+      const link = game2Driver.linkOf(uid);
+      const own = normalizeUid(uid) === session.uid || (link && ownsGatewaySession(session.principal, link.session, session));
+      if (!own) {
+        reply.fail('game2SubscribeResult', WS_ERROR_CODES.FORBIDDEN, `game2 uid=${uid} 不是本会话登录的 uid，也没有关联到自己的网关会话`, { uid });
+        break;
+      }
+      session.game2Uid = uid;
+      reply.send({ type: 'game2SubscribeResult', success: true, uid, current: getGame2Step(uid) });
+      break;
+    }
+
+    case 'game2Unsubscribe':
+      session.game2Uid = null;
+      reply.send({ type: 'game2SubscribeResult', success: true, uid: null, current: null });
+      break;
+
+    case 'game2Link': {
+      const uid = String(msg.uid || '').trim();
+      if (!uid) {
+        reply.fail('game2LinkResult', WS_ERROR_CODES.INVALID_PAYLOAD, 'uid 必填');
+        break;
+      }
+      if (!session.isReady) {
+        reply.fail('game2LinkResult', WS_ERROR_CODES.IM_NOT_READY, 'IM 未就绪，请先 login');
+        break;
+      }
+      // 同一 uid 之前关联的其他会话被替换：只能替换自己的会话（或有 sessions:manage），它那边的输出先急停
+      const prev = game2Driver.linkOf(uid);
+      if (prev && !ownsGatewaySession(session.principal, prev.session, session)) {
+        reply.fail('game2LinkResult', WS_ERROR_CODES.FORBIDDEN, `game2 uid=${uid} 已关联到其他调用方的网关会话`);
+        break;
+      }
+      if (prev && prev.session !== session && prev.output === 'on' && prev.session.im) {
+        await emergencyStopSession(prev.session, { reason: 'game2_relinked', by: 'game2' });
+      }
+      const link = game2Driver.link(uid, session);
+      session.game2Uid = uid;
+      reply.log(`game2 uid=${uid} 已关联到本会话，后续步骤由网关驱动设备`, 'info');
+      reply.send({ type: 'game2LinkResult', success: true, uid, link: game2Driver.describe(link) });
+      break;
+    }
+
+    case 'game2Unlink': {
+      const links = game2Driver.unlinkSession(session);
+      await releaseGame2Links(links, 'unlink');
+      reply.send({ type: 'game2LinkResult', success: true, uid: links[0]?.uid ?? null, link: null });
+      break;
+    }
+
     default:
-      wsLog(ws, `未知消息 type=${type}`, 'warn', { msg });
-      wsSend(ws, { type: 'error', message: `未知消息 type=${type}` });
+      reply.log(`未知消息 type=${type}`, 'warn', { msg });
+      reply.error(WS_ERROR_CODES.UNKNOWN_TYPE, `未知消息 type=${type}`);
       break;
   }
 }
 
-// WS connection
-wss.on('connection', (ws, req) => {
+// ---------- WS session resume ----------
+// 断线后 IM 会话保留 WS_RESUME_GRACE_MS（0 = 关闭，断开即销毁）；期间推送给客户端的帧缓存在 outbox，resume 后补发
+const WS_RESUME_GRACE_MS = CFG.ws.resumeGraceMs;
+const WS_RESUME_BUFFER_MAX = CFG.ws.resumeBufferMax;
+const detachedSessions = new Map(); // resumeToken -> session（已断线、等待 resume）
+
+function newResumeToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * 发给会话当前绑定的 socket；断线等待 resume 期间缓存（日志 / 状态帧不缓存，resume 后会重新推送状态）。
+ */
+function sessionSend(session, obj) {
+  if (session.ws) return wsSend(session.ws, obj);
+  if (!session.detachedAt || obj.type === 'log' || obj.type === 'status') return;
+  session.outbox.push(obj);
+  if (session.outbox.length > WS_RESUME_BUFFER_MAX) {
+    session.outbox.shift();
+    session.outboxDropped += 1;
+  }
+}
+
+function createWsSession(principal, protocol) {
   const session = {
     id: genId('ws'),
+    kind: 'ws',
+    // 协商的 WS 协议版本（ws-protocol.js）
+    protocol,
+    ws: null,
+    resumeToken: newResumeToken(),
+    detachedAt: null,
+    graceTimer: null,
+    outbox: [],
+    outboxDropped: 0,
     createdAt: Date.now(),
     lastActiveAt: Date.now(),
     isAlive: true,
+    // 升级时带凭据则使用其 scope，否则为匿名玩家的默认 scope（WS_DEFAULT_SCOPES）
+    principal,
     uid: null,
     token: null,
     isReady: false,
-    im: new ChatClient({
-      loggerPrefix: 'ws',
-      onEvent: (evt, data) => {
-        // push im events to this client
-        if (evt === 'log') wsLog(ws, data.msg, data.level || 'info');
-        if (evt === 'status') {
-          session.isReady = !!data.isReady;
-          wsStatus(ws, session);
-        }
-        if (evt === 'imEvent') {
-          wsSend(ws, { type: 'imEvent', ...data, time: nowIso() });
-          // if kicked out, mark not ready
-          if (data?.type === 'KICKED_OUT' || data?.type === 'SDK_NOT_READY') {
-            session.isReady = false;
-            wsStatus(ws, session);
-          }
-        }
-        // ✅ 把入站消息（手机/App 的回执/响应）推送给网页端
-        if (evt === 'incoming') {
-          wsSend(ws, { type: 'incoming', time: nowIso(), ...data });
-        }
+    usesGameOpts: false,
+    loggedInAt: null,
+    // 登录后指向 uid 的共享 IM（imRegistry），im / tracker 随之设置
+    imEntry: null,
+    im: null,
+    tracker: null,
+    // game2Subscribe 订阅的 game2 uid（接收 game2Step 推送）
+    game2Uid: null,
+  };
+  // 共享 IM 的事件扇出到每个连接；回执匹配由共享 tracker 完成（见 SharedImRegistry）
+  session.onImEvent = (evt, data) => {
+    // push im events to this client
+    if (evt === 'log') wsLog(session.ws, data.msg, data.level || 'info');
+    if (evt === 'status') {
+      session.isReady = !!data.isReady;
+      wsStatus(session.ws, session);
+    }
+    if (evt === 'imEvent') {
+      // name: SDK_READY / SDK_NOT_READY / KICKED_OUT / NET_STATE_CHANGE / ERROR / MESSAGE_RECEIVED / CONNECTION_STATE
+      const { type: name, ...rest } = data || {};
+      sessionSend(session, { type: 'imEvent', name, ...rest, time: nowIso() });
+      // if kicked out, mark not ready
+      if (data?.type === 'KICKED_OUT' || data?.type === 'SDK_NOT_READY') {
+        session.isReady = false;
+        wsStatus(session.ws, session);
       }
-    })
+    }
+    // ✅ 把入站消息（手机/App 的回执/响应）推送给网页端
+    if (evt === 'incoming') sessionSend(session, { type: 'incoming', time: nowIso(), ...data });
   };
+  session.onCommandResult = ({ kind, ...rest }) => sessionSend(session, { type: COMMAND_RESULT_FRAMES[kind], ...rest, time: nowIso() });
+  // 客户端停止 feed（视频卡住 / 页面挂起）时急停；断线期间照常计时，连接彻底释放时见 releaseWsSession
+  session.watchdog = new Watchdog({
+    timeoutMs: WATCHDOG_DEFAULT_MS,
+    onExpire: async ({ timeoutMs, lastSource }) => {
+      if (!session.uid) return;
+      wsLog(session.ws, `watchdog ${timeoutMs}ms 未收到 feed，触发急停`, 'warn');
+      sessionSend(session, { type: 'watchdogExpired', timeoutMs, lastSource, time: nowIso() });
+      const result = await emergencyStopSession(session, { reason: 'watchdog_timeout', by: 'watchdog' });
+      sessionSend(session, { type: 'emergencyStopResult', success: result.ok, ...result, time: nowIso() });
+    },
+  });
+  return session;
+}
 
+function attachSocket(session, ws) {
+  session.ws = ws;
+  session.isAlive = true;
+  session.detachedAt = null;
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
   sessions.set(ws, session);
+}
 
-  ws.on('pong', () => { session.isAlive = true; });
+/**
+ * 断线后无人看管的设备急停：设备可能仍在输出（playingUids），且开启了 dead-man switch 或同 uid 没有其他在线连接。
+ * 急停确认后 playingUids 清除，宽限期结束释放时不会重复急停。
+ */
+async function stopUnattended(session, reason) {
+  if (!session.im || !session.uid || !playingUids.has(session.uid)) return;
+  const othersOnline = [...sessions.values()].some((s) => s !== session && s.uid === session.uid);
+  if (othersOnline && !session.watchdog.enabled) return;
+  await emergencyStopSession(session, { reason, by: 'watchdog' });
+}
+
+// 彻底释放：无人看管的设备急停，再销毁 IM。stop=false 时不急停（关停流程已统一处理）
+async function releaseWsSession(session, reason, { stop = true } = {}) {
+  await releaseGame2Links(game2Driver.unlinkSession(session), reason, { stop });
+  calibrationGuard.clear(session);
+  if (session.loggedInAt) history.closeSession(session.id, reason);
+  detachedSessions.delete(session.resumeToken);
+  clearTimeout(session.graceTimer);
+  if (stop) await stopUnattended(session, reason);
+  session.watchdog.disable();
+  await detachIm(session);
+}
+
+// 解除会话与共享 IM 的绑定（最后一个引用时销毁 IM）
+async function detachIm(session) {
+  const entry = session.imEntry;
+  Object.assign(session, { imEntry: null, im: null, tracker: null, isReady: false });
+  await imRegistry.release(session, entry);
+}
+
+// 断线：已登录且开启 resume 时保留会话等待重连，否则立即释放。无人看管的设备立即急停，不等宽限期结束（resume 后由客户端重新下发）
+function detachSocket(session) {
+  session.ws = null;
+  const release = () => releaseWsSession(session, 'client_disconnected')
+    .catch((e) => log('ERROR', `[WS] 释放会话失败 session=${session.id}: ${e?.message || e}`));
+  if (!session.uid || WS_RESUME_GRACE_MS <= 0) {
+    release();
+    return;
+  }
+  session.detachedAt = Date.now();
+  detachedSessions.set(session.resumeToken, session);
+  session.graceTimer = setTimeout(() => {
+    log('INFO', `[RESUME] session=${session.id} uid=${session.uid} 未在 ${WS_RESUME_GRACE_MS}ms 内恢复，释放`);
+    release();
+  }, WS_RESUME_GRACE_MS);
+  log('INFO', `[RESUME] session=${session.id} uid=${session.uid} 断线，保留 ${WS_RESUME_GRACE_MS}ms`);
+  stopUnattended(session, 'client_disconnected')
+    .catch((e) => log('ERROR', `[WS] 断线急停失败 session=${session.id}: ${e?.message || e}`));
+}
+
+function findSessionByResumeToken(token) {
+  if (!token) return null;
+  const detached = detachedSessions.get(token);
+  if (detached) return detached;
+  // 服务端还没发现旧连接已断（移动网络切换常见）：允许新连接接管
+  for (const session of sessions.values()) {
+    if (session.resumeToken === token) return session;
+  }
+  return null;
+}
+
+/**
+ * resume：把新 socket 挂到旧会话上（保留 IM 登录、未决回执与 watchdog），轮换 resumeToken 并补发断线期间的帧。
+ */
+async function resumeSession(ws, current, token, reply) {
+  const target = findSessionByResumeToken(String(token || ''));
+  if (!target || target === current) {
+    reply.fail('resumeResult', WS_ERROR_CODES.RESUME_FAILED, 'resumeToken 无效或会话已过期，请重新登录');
+    return;
+  }
+  if (current.uid) {
+    reply.fail('resumeResult', WS_ERROR_CODES.ALREADY_LOGGED_IN, '当前连接已登录，不能再 resume');
+    return;
+  }
+
+  const oldWs = target.ws;
+  detachedSessions.delete(target.resumeToken);
+  // 丢弃新连接自带的空会话，沿用其（升级时校验过的）principal
+  sessions.delete(ws);
+  await releaseWsSession(current, 'replaced');
+  target.principal = current.principal;
+  target.protocol = current.protocol;
+  target.resumeToken = newResumeToken();
+  attachSocket(target, ws);
+  if (oldWs) {
+    sessions.delete(oldWs);
+    try { oldWs.close(4000, 'resumed elsewhere'); } catch (e) { /* ignore */ }
+  }
+
+  const replay = target.outbox.splice(0);
+  const dropped = target.outboxDropped;
+  target.outboxDropped = 0;
+  log('INFO', `[RESUME] session=${target.id} uid=${target.uid} 已恢复，补发 ${replay.length} 帧`);
+  reply.send({
+    type: 'resumeResult',
+    success: true,
+    sessionId: target.id,
+    resumeToken: target.resumeToken,
+    uid: target.uid,
+    replayed: replay.length,
+    dropped,
+    time: nowIso(),
+  });
+  for (const frame of replay) wsSend(ws, frame);
+  reply.status(target);
+}
+
+// WS connection
+wss.on('connection', (ws, req) => {
+  const requested = new URL(req.url || '/', 'http://localhost').searchParams.get('protocol');
+  const protocol = negotiateProtocol(requested);
+  if (protocol === null) {
+    wsSend(ws, { type: 'error', code: WS_ERROR_CODES.UNSUPPORTED_PROTOCOL, message: `不支持的协议版本 ${requested}（支持: ${WS_PROTOCOL_VERSIONS.join(', ')}）`, time: nowIso() });
+    ws.close(4002, 'unsupported protocol');
+    return;
+  }
+  const session = createWsSession(req.principal || { name: 'anonymous', kind: 'none', scopes: auth.wsDefaultScopes }, protocol);
+  attachSocket(session, ws);
+
+  // resume 后 ws 可能换绑到另一个会话，所以处理函数每次都按 ws 查当前会话
+  ws.on('pong', () => {
+    const current = sessions.get(ws);
+    if (current) current.isAlive = true;
+  });
   ws.on('message', async (data) => {
+    const current = sessions.get(ws);
+    if (!current) return;
     const text = data.toString();
     const msg = safeJsonParse(text);
     if (!msg) {
-      wsLog(ws, '收到非 JSON 消息，已忽略', 'warn');
+      if (current.protocol >= 2) wsSend(ws, { type: 'error', code: WS_ERROR_CODES.BAD_JSON, message: '消息不是合法 JSON', time: nowIso() });
+      else wsLog(ws, '收到非 JSON 消息，已忽略', 'warn');
       return;
     }
-    await handleWsMessage(ws, session, msg);
+    await handleWsMessage(ws, current, msg);
   });
 
-  ws.on('close', async () => {
+  ws.on('close', () => {
+    const current = sessions.get(ws);
     sessions.delete(ws);
-    try { await session.im.destroy(); } catch (e) { /* ignore */ }
+    // 已被 resume 接管的旧 socket 不再影响会话；关停时会话由 shutdown 统一释放
+    if (!current || current.ws !== ws || shuttingDown) return;
+    detachSocket(current);
   });
 
   ws.on('error', (err) => {
-    log('WARN', `WS error session=${session.id}`, err?.message || err);
+    log('WARN', `WS error session=${sessions.get(ws)?.id}`, err?.message || err);
   });
 
   // welcome + status
-  wsSend(ws, { type: 'welcome', sessionId: session.id, wsPath: WS_PATH, time: nowIso() });
+  wsSend(ws, {
+    type: 'welcome',
+    sessionId: session.id,
+    resumeToken: session.resumeToken,
+    resumeGraceMs: WS_RESUME_GRACE_MS,
+    wsPath: WS_PATH || '/',
+    protocol,
+    protocols: WS_PROTOCOL_VERSIONS,
+    time: nowIso(),
+  });
   wsStatus(ws, session);
 });
 
-// Heartbeat: terminate dead clients
+// Heartbeat: terminate dead clients（close 事件里断开会话 / 进入 resume 等待）
 const heartbeatInterval = setInterval(() => {
   for (const ws of wss.clients) {
     const session = sessions.get(ws);
     if (!session) continue;
     if (session.isAlive === false) {
+      M.heartbeatTerminations.inc();
       try { ws.terminate(); } catch (e) { /* ignore */ }
-      sessions.delete(ws);
       continue;
     }
     session.isAlive = false;
@@ -737,6 +2265,34 @@ const heartbeatInterval = setInterval(() => {
   }
 }, 30000);
 
+// 抓取时计算的 gauge
+metrics.gauge('sessions_active', '当前会话数（ws=在线 WS，ws_detached=等待 resume，http=/api/sessions，admin）', {
+  labelNames: ['kind'],
+  collect: (g) => {
+    g.set({ kind: 'ws' }, sessions.size);
+    g.set({ kind: 'ws_detached' }, detachedSessions.size);
+    g.set({ kind: 'http' }, httpSessions.size);
+    g.set({ kind: 'admin' }, adminConfig.isReady ? 1 : 0);
+  },
+});
+metrics.gauge('ws_clients', '当前 WS 连接数', { collect: (g) => g.set({}, wss.clients.size) });
+metrics.gauge('im_shared_logins', 'WS 共用的 IM 登录数（按 uid）', { collect: (g) => g.set({}, imRegistry.entries.size) });
+// game2 流程步骤变化推送给订阅了该 uid 的 WS 会话（断线等待 resume 的会话缓存后补发），关联了设备的同时驱动输出
+onGame2Step((event) => {
+  game2Driver.handleStep(event);
+  const frame = { type: 'game2Step', ...event, time: nowIso() };
+  for (const session of new Set([...sessions.values(), ...detachedSessions.values()])) {
+    if (session.game2Uid === event.uid) sessionSend(session, frame);
+  }
+});
+
+metrics.gauge('game2_sessions', 'game2 会话数（按 status）', {
+  labelNames: ['status'],
+  collect: async (g) => {
+    for (const [status, n] of Object.entries(await countSessionsByStatus())) g.set({ status }, n);
+  },
+});
+
 // Safety: prevent process crash
 process.on('unhandledRejection', (reason) => {
   const msg = String(reason?.message || reason || '');
@@ -751,26 +2307,103 @@ process.on('uncaughtException', (err) => {
   log('ERROR', 'uncaughtException', msg);
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  log('INFO', '正在关闭服务...');
+// ---------- Graceful shutdown ----------
+/**
+ * SIGTERM / SIGINT：
+ *  1) 停止接受新 HTTP 请求与 WS 升级；
+ *  2) 给所有 WS 客户端发 serverShutdown（retryAfterMs / reconnectUrl 供客户端重连到新实例）；
+ *  3) 等各 IM 发送队列排空（最长 drainMs，超时取消剩余）；
+ *  4) 急停仍在输出的设备（playingUids），每台设备只发一次，已停止的跳过；
+ *  5) 关闭 WS、销毁所有 IM 会话（不再急停）、落盘历史后退出。
+ * 超过 deadlineMs 仍未完成时强制退出（退出码 1）。
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const { deadlineMs, drainMs, retryAfterMs, reconnectUrl } = SHUTDOWN_POLICY;
+  log('INFO', `[SHUTDOWN] 收到 ${signal}，正在关闭服务（最长 ${deadlineMs}ms）...`);
+  setTimeout(() => {
+    log('ERROR', `[SHUTDOWN] ${deadlineMs}ms 内未完成，强制退出`);
+    process.exit(1);
+  }, deadlineMs);
+
   clearInterval(heartbeatInterval);
+  httpServer.close();
+  const wsSessions = [...new Set([...sessions.values(), ...detachedSessions.values()])];
+  for (const ws of wss.clients) {
+    wsSend(ws, { type: 'serverShutdown', reason: 'server_shutdown', retryAfterMs, reconnectUrl, resumable: false, time: nowIso() });
+  }
+
+  // 排空发送队列：已受理的指令照常发出，停止指令排在它们之后
+  const clients = [adminClient, ...[...imRegistry.entries.values()].map((e) => e.im)];
+  const drained = await Promise.race([Promise.all(clients.map((im) => im.drain())).then(() => true), sleep(drainMs).then(() => false)]);
+  if (!drained) {
+    // 正在发送的那条不受影响；排队中的 reject（调用方收到发送失败），之后的急停绕过队列
+    for (const im of clients) im.cancelQueued('服务关停');
+    log('WARN', `[SHUTDOWN] 发送队列 ${drainMs}ms 内未排空，已取消剩余指令`);
+  }
+
+  // 每个 uid 只急停一次（同 uid 的会话共用 IM），释放会话 / game2 关联时不再重复急停；
+  // 未在 playingUids 中的设备已停止（或从未输出），不发送
+  const stopUids = new Set(playingUids.keys());
+  for (const session of wsSessions) {
+    session.watchdog.disable();
+    clearTimeout(session.graceTimer);
+  }
+  const loggedIn = [...wsSessions, ...httpSessions.values()].filter((s) => s.uid && s.im);
+  if (adminConfig.uid) loggedIn.push(adminSession());
+  const stopTargets = [...stopUids].map((uid) => loggedIn.find((s) => s.uid === uid)).filter(Boolean);
+  if (stopTargets.length) {
+    const results = await Promise.all(stopTargets.map((s) => emergencyStopSession(s, { reason: 'server_shutdown', by: 'server' })));
+    const failed = results.filter((r) => !r.ok).map((r) => r.uid);
+    log(failed.length ? 'ERROR' : 'INFO', `[SHUTDOWN] 急停 ${results.length} 个设备${failed.length ? `，未确认: ${failed.join(', ')}` : ''}`);
+  }
 
-  // close ws clients
   for (const ws of wss.clients) {
-    try { ws.close(); } catch (e) { /* ignore */ }
+    try { ws.close(1012, 'server shutdown'); } catch (e) { /* ignore */ }
   }
+  wss.close();
 
-  // destroy admin
+  // destroy WS + admin + HTTP sessions
+  await Promise.all(wsSessions.map((s) => releaseWsSession(s, 'shutdown', { stop: false })));
   try { await adminClient.destroy(); } catch (e) { /* ignore */ }
+  await Promise.all([...httpSessions.values()].map((s) => destroyHttpSession(s, 'shutdown', { stop: false })));
+  history.close();
+  closeGame2Store();
 
-  httpServer.close(() => process.exit(0));
-});
+  log('INFO', '[SHUTDOWN] 已关闭');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start
-httpServer.listen(PORT, HOST, () => {
-  log('INFO', `HTTP+WS server listening on http://${HOST}:${PORT} (ws path config: ${WS_PATH})`);
-});
+if (!auth.enabled) log('WARN', '未配置 AUTH_KEYS / AUTH_KEYS_FILE / AUTH_TOKEN_SECRET：HTTP admin API 未开启鉴权，请勿直接暴露到公网');
+
+if (process.env.SPEC_CHECK === '1') {
+  // 契约自检（npm run check:spec）：随机端口启动，对照 /api/spec 的 schema 请求真实接口后退出
+  httpServer.listen(0, '127.0.0.1', async () => {
+    const base = `127.0.0.1:${httpServer.address().port}`;
+    const headers = process.env.SPEC_CHECK_TOKEN ? { authorization: `Bearer ${process.env.SPEC_CHECK_TOKEN}` } : {};
+    let report;
+    try {
+      report = await selfCheck({ app, docs: ROUTE_DOCS, baseUrl: `http://${base}`, wsUrl: `ws://${base}${WS_PATH || '/'}`, WebSocket, headers });
+    } catch (e) {
+      report = { ok: false, problems: [`自检异常: ${e?.message || e}`], checked: [] };
+    }
+    for (const item of report.checked) log('INFO', `[SPEC] ok ${item}`);
+    for (const problem of report.problems) log('ERROR', `[SPEC] ${problem}`);
+    log(report.ok ? 'INFO' : 'ERROR', `[SPEC] ${report.ok ? '通过' : `${report.problems.length} 个问题`}`);
+    closeGame2Store();
+    process.exit(report.ok ? 0 : 1);
+  });
+} else {
+  httpServer.listen(PORT, HOST, () => {
+    log('INFO', `HTTP+WS server listening on http://${HOST}:${PORT} (ws path: ${WS_PATH || '任意'}, im transport: ${transport.name})`);
+    for (const problem of checkCoverage(app, ROUTE_DOCS)) log('WARN', `[SPEC] ${problem}`);
+  });
+}
 
 /*
 ================================================================================
@@ -0,0 +1,231 @@
+/**
+ * HTTP 接口契约测试：mock IM 模式启动 server.js，按 /api/spec/openapi.json 中的 schema 校验真实响应
+ * （状态码必须写在 responses 里，body 必须符合对应 schema），覆盖 check:spec 自检不请求的写接口与错误分支。
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { validate } from '../ws-protocol.js';
+import { freePort, runGateway } from './gateway.js';
+
+const KEYS = [
+  { name: 'alice', key: 'key-alice', scopes: ['status:read', 'commands:send', 'sessions:manage'] },
+  { name: 'bob', key: 'key-bob', scopes: ['status:read', 'commands:send', 'sessions:manage'] },
+  { name: 'reader', key: 'key-reader', scopes: ['status:read'] },
+  { name: 'player', key: 'key-player', scopes: ['status:read', 'commands:send'] },
+  { name: 'auditor', key: 'key-auditor', scopes: ['status:read', 'sessions:admin'] },
+];
+
+let tmpDir;
+let gateway;
+let baseUrl;
+let openapi;
+
+before(async () => {
+  tmpDir = mkdtempSync(path.join(os.tmpdir(), 'gw-contract-'));
+  const port = await freePort();
+  gateway = runGateway({
+    IM_TRANSPORT: 'mock',
+    HOST: '127.0.0.1',
+    PORT: String(port),
+    AUTH_KEYS: JSON.stringify(KEYS),
+    STATE_FILE: path.join(tmpDir, 'state.json'),
+    HISTORY_DB_PATH: path.join(tmpDir, 'gateway.sqlite'),
+    GAME2_DB_PATH: path.join(tmpDir, 'game2.sqlite'),
+    EMERGENCY_STOP_MAX_ATTEMPTS: '1',
+    EMERGENCY_STOP_ACK_MS: '200',
+  }, { waitFor: 'listening on' });
+  await gateway.ready;
+  baseUrl = `http://127.0.0.1:${port}`;
+  openapi = await fetch(`${baseUrl}/api/spec/openapi.json`).then((r) => r.json());
+});
+
+after(async () => {
+  if (gateway && gateway.child.exitCode === null) {
+    gateway.child.kill('SIGTERM');
+    await gateway.exited;
+  }
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * 请求接口并按 openapi 校验：返回 { status, body }。
+ * routePath 为 Express 写法（/api/sessions/:id），params 填充路径参数。
+ */
+async function call(method, routePath, { key = 'key-alice', params = {}, query = '', body } = {}) {
+  const url = routePath.replace(/:([A-Za-z0-9_]+)/g, (_, name) => encodeURIComponent(params[name]));
+  const headers = { 'content-type': 'application/json' };
+  if (key) headers['x-api-key'] = key;
+  const res = await fetch(`${baseUrl}${url}${query}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  const json = await res.json();
+
+  const op = openapi.paths[routePath.replace(/:([A-Za-z0-9_]+)/g, '{$1}')]?.[method.toLowerCase()];
+  assert.ok(op, `openapi 中没有 ${method} ${routePath}`);
+  const doc = op.responses[String(res.status)];
+  assert.ok(doc, `${method} ${routePath} 返回 ${res.status}，spec 未声明（${Object.keys(op.responses).join(', ')}）: ${JSON.stringify(json)}`);
+  const errors = validate(doc.content['application/json'].schema, json);
+  assert.deepEqual(errors, [], `${method} ${routePath} ${res.status} 响应不符合 spec: ${JSON.stringify(json)}`);
+  return { status: res.status, body: json };
+}
+
+test('所有已注册路由都写了说明', () => {
+  const undocumented = Object.entries(openapi.paths)
+    .flatMap(([p, ops]) => Object.entries(ops).filter(([, op]) => op['x-undocumented']).map(([m]) => `${m.toUpperCase()} ${p}`));
+  assert.deepEqual(undocumented, []);
+});
+
+test('鉴权：缺少凭据 401，scope 不足 403', async () => {
+  assert.equal((await call('GET', '/api/sessions', { key: null })).status, 401);
+  assert.equal((await call('POST', '/api/sessions', { key: 'key-reader', body: { uid: '30033', token: 't' } })).status, 403);
+});
+
+test('admin 会话：登录、发送、校验失败', async () => {
+  assert.equal((await call('POST', '/api/login', { body: {} })).status, 400);
+  const login = await call('POST', '/api/login', { body: { uid: '30001', token: 'tok-admin' } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.data.uid, '30001');
+
+  const sent = await call('POST', '/api/send-command', { body: { commandId: 'shock_1' } });
+  assert.equal(sent.status, 200);
+  assert.equal((await call('POST', '/api/send-opts', { body: { payload: { code: 'game_opts', action: 'nope' } } })).status, 400);
+  assert.equal((await call('GET', '/api/status')).status, 200);
+});
+
+test('HTTP 会话：创建、发送、owner 隔离、急停、历史（按调用方过滤）、删除', async () => {
+  const created = await call('POST', '/api/sessions', { body: { uid: '30033', token: 'tok-alice' } });
+  assert.equal(created.status, 201);
+  const id = created.body.data.id;
+  assert.equal(created.body.data.owner, 'alice');
+
+  assert.equal((await call('GET', '/api/sessions/:id', { params: { id } })).status, 200);
+  assert.equal((await call('GET', '/api/sessions/:id', { key: 'key-bob', params: { id } })).status, 404);
+  assert.deepEqual((await call('GET', '/api/sessions', { key: 'key-bob' })).body.data, []);
+
+  const cmd = await call('POST', '/api/sessions/:id/commands', { params: { id }, body: { commandId: 'shock_1', traceId: 'trace-contract-1' } });
+  assert.equal(cmd.status, 200);
+  assert.equal(cmd.body.data.traceId, 'trace-contract-1');
+  // mock IM 没有回执，trace-contract-1 仍在等待
+  assert.equal((await call('POST', '/api/sessions/:id/commands', { params: { id }, body: { commandId: 'shock_1', traceId: 'trace-contract-1' } })).status, 409);
+  assert.equal((await call('POST', '/api/sessions/:id/commands', { params: { id }, body: { payload: { code: 'game_opts' } } })).status, 400);
+  assert.equal((await call('POST', '/api/sessions/:id/commands', { key: 'key-bob', params: { id }, body: { commandId: 'shock_1' } })).status, 404);
+
+  const estop = await call('POST', '/api/emergency-stop', { body: { sessionId: id, reason: 'contract' } });
+  assert.equal(estop.status, 200);
+  assert.equal(estop.body.results[0].sessionId, id);
+
+  const history = await call('GET', '/api/history', { query: '?uid=30033' });
+  assert.equal(history.status, 200);
+  assert.ok(history.body.commands.some((c) => c.trace_id === 'trace-contract-1'));
+  assert.ok(history.body.sessions.every((row) => row.principal === 'alice'));
+  const others = await call('GET', '/api/history', { key: 'key-bob', query: '?uid=30033' });
+  assert.deepEqual([others.body.commands, others.body.receipts, others.body.sessions], [[], [], []]);
+  const audit = await call('GET', '/api/history', { key: 'key-auditor', query: '?uid=30033' });
+  assert.ok(audit.body.commands.some((c) => c.trace_id === 'trace-contract-1'));
+  assert.equal((await call('GET', '/api/history', { query: '?from=not-a-time' })).status, 400);
+
+  assert.equal((await call('DELETE', '/api/sessions/:id', { key: 'key-bob', params: { id } })).status, 404);
+  assert.equal((await call('DELETE', '/api/sessions/:id', { params: { id } })).status, 200);
+  assert.equal((await call('GET', '/api/sessions/:id', { params: { id } })).status, 404);
+});
+
+test('game_cmd payload：waveform / reset_strength 透传给 App，未知字段 400', async () => {
+  const id = (await call('POST', '/api/sessions', { body: { uid: '30044', token: 'tok-cmd' } })).body.data.id;
+  const sent = await call('POST', '/api/sessions/:id/commands', { params: { id }, body: { commandId: 'shock_1', commandPayload: { waveform: '潮汐', reset_strength: false } } });
+  assert.equal(sent.status, 200);
+  const bad = await call('POST', '/api/sessions/:id/commands', { params: { id }, body: { commandId: 'shock_1', commandPayload: { resetStrength: true } } });
+  assert.equal(bad.status, 400);
+
+  const { sent: messages } = (await call('GET', '/mock-im/sent', { query: '?to=30044' })).body;
+  assert.deepEqual(messages.map((m) => JSON.parse(m.text)).filter((p) => p.code === 'game_cmd').map((p) => p.payload), [{ waveform: '潮汐', reset_strength: false }]);
+  await call('DELETE', '/api/sessions/:id', { params: { id } });
+});
+
+test('IM 发送失败：可重试的错误码重试后成功，其他错误返回 500 并记为发送失败', async () => {
+  const id = (await call('POST', '/api/sessions', { body: { uid: '30045', token: 'tok-send' } })).body.data.id;
+  await call('POST', '/mock-im/fail-sends', { body: { count: 1, code: 2801 } });
+  const retried = await call('POST', '/api/sessions/:id/commands', { params: { id }, body: { commandId: 'shock_1' } });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.data.tried[0].attempts, 2);
+
+  await call('POST', '/mock-im/fail-sends', { body: { count: 1, code: 6014, message: 'mock rejected' } });
+  const failed = await call('POST', '/api/sessions/:id/commands', { params: { id }, body: { commandId: 'shock_1', traceId: 'trace-send-fail' } });
+  assert.equal(failed.status, 500);
+  assert.match(failed.body.message, /mock rejected/);
+  const { commands } = (await call('GET', '/api/history', { query: '?uid=30045' })).body;
+  assert.deepEqual(commands.filter((c) => c.trace_id === 'trace-send-fail').map((c) => [c.send_ok, /mock rejected/.test(c.send_error)]), [[0, true]]);
+  await call('DELETE', '/api/sessions/:id', { params: { id } });
+});
+
+test('速率上限：并发突发只放行 maxCommandsPerSec 条，其余 429', async () => {
+  const id = (await call('POST', '/api/sessions', { body: { uid: '30077', token: 'tok-burst' } })).body.data.id;
+  const burst = await Promise.all(Array.from({ length: 20 }, () => call('POST', '/api/sessions/:id/commands', { params: { id }, body: { commandId: 'shock_1' } })));
+  const statuses = burst.map((r) => r.status);
+  assert.equal(statuses.filter((s) => s === 200).length, 5, JSON.stringify(statuses));
+  assert.equal(statuses.filter((s) => s === 429).length, 15);
+  assert.equal(burst.find((r) => r.status === 429).body.rule, 'rate_limit');
+  await call('DELETE', '/api/sessions/:id', { params: { id } });
+});
+
+test('game2 关联：参数缺失、会话不存在、只能关联自己的会话', async () => {
+  assert.equal((await call('POST', '/api/game2/link', { body: { uid: 'g2-contract' } })).status, 400);
+  assert.equal((await call('POST', '/api/game2/link', { body: { uid: 'g2-contract', gatewaySessionId: 'http_missing' } })).status, 404);
+  assert.equal((await call('GET', '/api/game2/link', { query: '?uid=g2-contract' })).body.data, null);
+
+  const id = (await call('POST', '/api/sessions', { body: { uid: '30055', token: 'tok-link' } })).body.data.id;
+  assert.equal((await call('POST', '/api/game2/link', { key: 'key-player', body: { uid: 'g2-contract', gatewaySessionId: id } })).status, 403);
+  const linked = await call('POST', '/api/game2/link', { body: { uid: 'g2-contract', gatewaySessionId: id } });
+  assert.equal(linked.status, 200);
+  assert.equal(linked.body.data.gatewaySessionId, id);
+  assert.equal((await call('DELETE', '/api/game2/link', { key: 'key-player', query: '?uid=g2-contract' })).status, 403);
+  assert.equal((await call('DELETE', '/api/game2/link', { query: '?uid=g2-contract' })).status, 200);
+  assert.equal((await call('DELETE', '/api/game2/link', { query: '?uid=g2-contract' })).status, 404);
+  await call('DELETE', '/api/sessions/:id', { params: { id } });
+});
+
+test('game2 流程接口：需要凭据与 scope，已关联的 uid 只有会话所有者能写；hard reset 先中止会话再删除', async () => {
+  assert.equal((await call('GET', '/api/game2/profile', { key: null, query: '?uid=g2-guard' })).status, 401);
+  assert.equal((await call('POST', '/api/game2/session/start', { key: null, body: { uid: 'g2-guard', sessionId: 'g2s-1' } })).status, 401);
+  assert.equal((await call('POST', '/api/game2/session/start', { key: 'key-reader', body: { uid: 'g2-guard', sessionId: 'g2s-1' } })).status, 403);
+  assert.equal((await call('GET', '/api/game2/session/active', { key: 'key-reader', query: '?uid=g2-guard' })).status, 200);
+  // 没有关联的 uid：有 commands:send 即可
+  assert.equal((await call('POST', '/api/game2/user/reset', { key: 'key-player', body: { uid: 'g2-guard' } })).status, 200);
+
+  const id = (await call('POST', '/api/sessions', { body: { uid: '30066', token: 'tok-guard' } })).body.data.id;
+  assert.equal((await call('POST', '/api/game2/link', { body: { uid: 'g2-guard', gatewaySessionId: id } })).status, 200);
+  const stolen = await call('POST', '/api/game2/session/start', { key: 'key-player', body: { uid: 'g2-guard', sessionId: 'g2s-1' } });
+  assert.deepEqual([stolen.status, stolen.body.error], [403, 'forbidden']);
+  assert.equal((await call('POST', '/api/game2/user/reset', { key: 'key-player', body: { uid: 'g2-guard', mode: 'hard' } })).status, 403);
+  assert.equal((await call('GET', '/api/game2/session/active', { key: 'key-player', query: '?uid=g2-guard' })).body.session, null);
+
+  const started = await call('POST', '/api/game2/session/start', { body: { uid: 'g2-guard', sessionId: 'g2s-1' } });
+  assert.equal(started.status, 200);
+  assert.equal(started.body.created, true);
+  // hard reset 先中止会话：驱动收到 aborted 步骤后急停，再删数据
+  const reset = await call('POST', '/api/game2/user/reset', { body: { uid: 'g2-guard', mode: 'hard' } });
+  assert.deepEqual([reset.status, reset.body.abortedSessionId], [200, 'g2s-1']);
+  assert.equal((await call('GET', '/api/game2/session/active', { query: '?uid=g2-guard' })).body.session, null);
+  let link;
+  for (let i = 0; i < 50 && link?.output !== 'estopped'; i += 1) {
+    await new Promise((r) => setTimeout(r, 20));
+    link = (await call('GET', '/api/game2/link', { query: '?uid=g2-guard' })).body.data;
+  }
+  assert.equal(link.output, 'estopped');
+  assert.equal((await call('DELETE', '/api/game2/link', { query: '?uid=g2-guard' })).status, 200);
+  await call('DELETE', '/api/sessions/:id', { params: { id } });
+});
+
+test('check:spec 自检通过', { timeout: 60000 }, async () => {
+  const dir = mkdtempSync(path.join(tmpDir, 'spec-'));
+  const run = runGateway({
+    SPEC_CHECK: '1',
+    IM_TRANSPORT: 'mock',
+    AUTH_KEYS: '',
+    STATE_FILE: path.join(dir, 'state.json'),
+    HISTORY_DB_PATH: path.join(dir, 'gateway.sqlite'),
+    GAME2_DB_PATH: path.join(dir, 'game2.sqlite'),
+  });
+  assert.equal(await run.exited, 0, run.output());
+});
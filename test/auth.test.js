@@ -0,0 +1,92 @@
+/**
+ * Authenticator：API key / 签名 token 校验、scope、Origin 规则；requireScope 中间件的 401 / 403。
+ */
+
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Authenticator, SCOPES, hasScope, requireScope } from '../auth.js';
+
+const KEYS = [{ name: 'ops', key: 'key-ops', scopes: ['status:read', 'commands:send'] }];
+
+afterEach(() => mock.timers.reset());
+
+test('API key：按摘要匹配，返回 principal', () => {
+  const auth = new Authenticator({ keys: KEYS });
+  assert.equal(auth.enabled, true);
+  assert.deepEqual(auth.authenticate('key-ops'), { name: 'ops', kind: 'key', scopes: ['status:read', 'commands:send'] });
+  assert.equal(auth.authenticate('key-other'), null);
+  assert.equal(auth.authenticate(''), null);
+  assert.throws(() => new Authenticator({ keys: [{ name: 'x', key: 'k', scopes: ['root'] }] }), /未知 scope: root/);
+  assert.throws(() => new Authenticator({ keys: [{ name: 'x', scopes: [] }] }), /缺少 key/);
+});
+
+test('签名 token：签名错误、伪造内容、过期的都无效', () => {
+  mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const auth = new Authenticator({ tokenSecret: 'secret' });
+  const token = auth.signToken({ sub: 'game-backend', scopes: 'commands:send', ttlSec: 60 });
+  assert.deepEqual(auth.authenticate(token), { name: 'game-backend', kind: 'token', scopes: ['commands:send'] });
+
+  assert.equal(new Authenticator({ tokenSecret: 'other' }).authenticate(token), null);
+  const [body] = token.split('.');
+  assert.equal(auth.authenticate(`${body}.AAAA`), null);
+  const forged = Buffer.from(JSON.stringify({ sub: 'x', scopes: ['sessions:manage'], exp: 9e9 })).toString('base64url');
+  assert.equal(auth.authenticate(`${forged}.${token.split('.')[1]}`), null);
+
+  mock.timers.tick(61_000);
+  assert.equal(auth.authenticate(token), null);
+  assert.throws(() => new Authenticator().signToken({ sub: 'x', scopes: [] }), /AUTH_TOKEN_SECRET/);
+});
+
+test('匿名 WS 默认 scope：开启鉴权只读，关闭时可发指令；可显式配置', () => {
+  assert.deepEqual(new Authenticator({ keys: KEYS }).wsDefaultScopes, [SCOPES.STATUS_READ]);
+  assert.deepEqual(new Authenticator().wsDefaultScopes, [SCOPES.STATUS_READ, SCOPES.COMMANDS_SEND]);
+  assert.deepEqual(new Authenticator({ keys: KEYS, wsDefaultScopes: 'status:read,commands:send' }).wsDefaultScopes, ['status:read', 'commands:send']);
+});
+
+test('Origin：配置后只放行列表内的，不带 Origin 时须带凭据', () => {
+  const open = new Authenticator();
+  assert.equal(open.isOriginAllowed('https://evil.example'), true);
+  const auth = new Authenticator({ keys: KEYS, allowedOrigins: ['https://game.example'] });
+  assert.equal(auth.isOriginAllowed('https://game.example'), true);
+  assert.equal(auth.isOriginAllowed('https://evil.example', { hasCredential: true }), false);
+  assert.equal(auth.isOriginAllowed(undefined), false);
+  assert.equal(auth.isOriginAllowed(undefined, { hasCredential: true }), true);
+});
+
+test('凭据来源：Bearer、X-API-Key，WS 升级的 access_token 优先', () => {
+  assert.equal(Authenticator.credentialFromRequest({ headers: { authorization: 'Bearer  abc ' } }), 'abc');
+  assert.equal(Authenticator.credentialFromRequest({ headers: { 'x-api-key': 'k' } }), 'k');
+  assert.equal(Authenticator.credentialFromRequest({ headers: {} }), null);
+  assert.equal(Authenticator.credentialFromUpgrade({ url: '/?access_token=t', headers: { 'x-api-key': 'k' } }), 't');
+  assert.equal(Authenticator.credentialFromUpgrade({ url: '/', headers: { 'x-api-key': 'k' } }), 'k');
+});
+
+function run(middleware, headers = {}) {
+  const req = { headers };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+test('requireScope：缺少凭据 401，scope 不足 403，通过时设置 req.principal；鉴权关闭时拥有全部 scope', () => {
+  const auth = new Authenticator({ keys: KEYS });
+  const manage = requireScope(auth, SCOPES.SESSIONS_MANAGE);
+  assert.equal(run(manage).res.statusCode, 401);
+  const denied = run(manage, { 'x-api-key': 'key-ops' });
+  assert.deepEqual([denied.res.statusCode, denied.res.body.error, denied.nextCalled], [403, 'forbidden', false]);
+
+  const ok = run(requireScope(auth, SCOPES.COMMANDS_SEND), { authorization: 'Bearer key-ops' });
+  assert.equal(ok.nextCalled, true);
+  assert.equal(ok.req.principal.name, 'ops');
+
+  const anonymous = run(requireScope(new Authenticator(), SCOPES.SESSIONS_ADMIN));
+  assert.equal(anonymous.nextCalled, true);
+  assert.equal(hasScope(anonymous.req.principal, SCOPES.SESSIONS_ADMIN), true);
+  assert.equal(hasScope(null, SCOPES.STATUS_READ), false);
+});
@@ -0,0 +1,94 @@
+/**
+ * CommandTracker：回执按 traceId / messageId / 发送方匹配，超时结算，同 traceId 未决时不复用。
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandTracker } from '../command-tracker.js';
+
+const cmd = (id) => ({ code: 'game_cmd', id, token: 't' });
+const receipt = (obj) => ({ from: 'game_30033', text: JSON.stringify(obj) });
+
+let results;
+let tracker;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  results = [];
+  tracker = new CommandTracker({ timeoutMs: 1000, onResult: (r, owner) => results.push({ ...r, owner }) });
+});
+
+afterEach(() => {
+  tracker.clear();
+  mock.timers.reset();
+});
+
+test('回执带 traceId 时精确匹配，error 回执为 failed、warning 为 ack', async () => {
+  const a = tracker.track({ traceId: 'a', to: 'game_30033', payload: cmd('shock_1') });
+  const b = tracker.track({ traceId: 'b', to: '30033', payload: cmd('shock_2') });
+  tracker.handleIncoming(receipt({ traceId: 'b', action: 'error', data: { code: 'E1', message: 'busy' } }));
+  tracker.handleIncoming(receipt({ action: 'ok', data: { traceId: 'a' } }));
+  assert.equal((await b.settled).kind, 'failed');
+  assert.equal((await a.settled).kind, 'ack');
+
+  const c = tracker.track({ traceId: 'c', to: '30033', payload: cmd('shock_3') });
+  tracker.handleIncoming(receipt({ traceId: 'c', action: 'error', data: { code: 'W1', severity: 'warning' } }));
+  const result = await c.settled;
+  assert.equal(result.kind, 'ack');
+  assert.equal(result.warning.code, 'W1');
+});
+
+test('回执没有引用时按发送方匹配最早的未决指令，按 messageId 也能匹配', async () => {
+  const first = tracker.track({ traceId: 'a', messageId: 'm1', to: '30033', payload: cmd('shock_1') });
+  const second = tracker.track({ traceId: 'b', messageId: 'm2', to: '30033', payload: cmd('shock_2') });
+  tracker.handleIncoming(receipt({ msgId: 'm2', action: 'ok' }));
+  tracker.handleIncoming(receipt({ action: 'ok' }));
+  assert.equal((await second.settled).traceId, 'b');
+  assert.equal((await first.settled).traceId, 'a');
+  assert.deepEqual(results.map((r) => r.traceId), ['b', 'a']);
+  assert.equal(tracker.handleIncoming(receipt({ action: 'ok' })), null);
+});
+
+test('device_paired 与非 JSON 消息不是回执', () => {
+  tracker.track({ traceId: 'a', to: '30033', payload: cmd('shock_1') });
+  assert.equal(tracker.handleIncoming(receipt({ action: 'device_paired' })), null);
+  assert.equal(tracker.handleIncoming({ from: 'game_30033', text: 'hello' }), null);
+  assert.equal(tracker.has('a'), true);
+});
+
+test('timeoutMs 内没有回执时以 timeout 结算', async () => {
+  const entry = tracker.track({ traceId: 'a', to: '30033', payload: cmd('shock_1'), timeoutMs: 300 });
+  mock.timers.tick(299);
+  assert.equal(tracker.has('a'), true);
+  mock.timers.tick(1);
+  const result = await entry.settled;
+  assert.equal(result.kind, 'timeout');
+  assert.equal(result.timeoutMs, 300);
+  assert.equal(tracker.has('a'), false);
+});
+
+test('同 traceId 仍未决时再次 track：旧的一条以 superseded 结算，不会一直挂起', async () => {
+  const first = tracker.track({ traceId: 'dup', to: '30033', payload: cmd('shock_1') });
+  const second = tracker.track({ traceId: 'dup', to: '30033', payload: cmd('shock_2') });
+  const result = await first.settled;
+  assert.equal(result.kind, 'timeout');
+  assert.equal(result.reason, 'superseded');
+  tracker.handleIncoming(receipt({ traceId: 'dup', action: 'ok' }));
+  assert.equal((await second.settled).commandId, 'shock_2');
+});
+
+test('forOwner：has 查整个共享 tracker，clear 只清自己的，结果带 owner 路由', async () => {
+  const alice = tracker.forOwner('alice');
+  const bob = tracker.forOwner('bob');
+  const a = alice.track({ traceId: 'a', to: '30033', payload: cmd('shock_1') });
+  bob.track({ traceId: 'b', to: '30033', payload: cmd('shock_2') });
+  assert.equal(bob.has('a'), true);
+  assert.equal(alice.pendingCount(), 1);
+
+  bob.clear();
+  assert.equal(tracker.has('b'), false);
+  assert.equal(tracker.has('a'), true);
+  tracker.handleIncoming(receipt({ action: 'ok' }));
+  assert.equal((await a.settled).kind, 'ack');
+  assert.deepEqual(results.map((r) => [r.traceId, r.owner]), [['a', 'alice']]);
+});
@@ -0,0 +1,72 @@
+/**
+ * 配置：环境变量 > 配置文件 > 默认值，错误一次性收集为 ConfigError，describeConfig 打码 secret。
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ConfigError, describeConfig, loadConfig } from '../config.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = mkdtempSync(path.join(os.tmpdir(), 'gw-config-'));
+});
+
+after(() => rmSync(tmpDir, { recursive: true, force: true }));
+
+function configFile(name, data) {
+  const file = path.join(tmpDir, name);
+  writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+}
+
+test('来源优先级：环境变量覆盖配置文件，文件中的相对路径相对于文件所在目录', async () => {
+  const file = configFile('ok.json', { server: { port: 4000, stateFile: 'state.json' }, ws: { path: '/ws' } });
+  const config = await loadConfig({ CONFIG_FILE: file, PORT: '4001', IM_SEND_RETRIES: '' });
+  assert.equal(config.values.server.port, 4001);
+  assert.equal(config.values.server.stateFile, path.join(tmpDir, 'state.json'));
+  assert.equal(config.values.ws.path, '/ws');
+  assert.equal(config.values.im.send.retries, 1);
+  assert.deepEqual(
+    [config.sources['server.port'], config.sources['ws.path'], config.sources['im.send.retries']],
+    ['env', 'file', 'default'],
+  );
+});
+
+test('错误一次性收集：未知配置项、类型、范围、项间约束', async () => {
+  const file = configFile('bad.json', { server: { prot: 1 }, ws: { path: 'ws' } });
+  const err = await loadConfig({
+    CONFIG_FILE: file,
+    PORT: 'abc',
+    IM_SEND_RETRIES: '11',
+    IM_TRANSPORT: 'other',
+    IM_RECONNECT_BASE_MS: '5000',
+    IM_RECONNECT_MAX_MS: '1000',
+  }).then(() => null, (e) => e);
+  assert.ok(err instanceof ConfigError);
+  assert.deepEqual(err.errors, [
+    `未知配置项 server.prot（${file}）`,
+    'PORT: 应为整数',
+    `ws.path（${file}）: 应以 / 开头且不含空白、? 或 #: ws`,
+    'IM_TRANSPORT: 应为 tencent / mock',
+    'IM_SEND_RETRIES: 不能大于 10',
+    'im.reconnect.baseDelayMs（IM_RECONNECT_BASE_MS）不能大于 im.reconnect.maxDelayMs（IM_RECONNECT_MAX_MS）',
+  ]);
+});
+
+test('配置文件：显式指定但不存在、不是合法 JSON、顶层不是对象都报错', async () => {
+  await assert.rejects(loadConfig({ CONFIG_FILE: path.join(tmpDir, 'missing.json') }), /无法读取配置文件/);
+  await assert.rejects(loadConfig({ CONFIG_FILE: configFile('broken.json', '{') }), /不是合法 JSON/);
+  await assert.rejects(loadConfig({ CONFIG_FILE: configFile('array.json', []) }), /顶层必须是对象/);
+});
+
+test('describeConfig：secret 有值时打码，列出每项来源', async () => {
+  const config = await loadConfig({ CONFIG_FILE: configFile('empty.json', {}), AUTH_TOKEN_SECRET: 's3cret' });
+  const described = describeConfig(config);
+  assert.equal(described.config.auth.tokenSecret, '***');
+  assert.equal(described.config.auth.keys, null);
+  assert.deepEqual(described.settings.find((s) => s.key === 'auth.tokenSecret'), { key: 'auth.tokenSecret', env: 'AUTH_TOKEN_SECRET', source: 'env' });
+});
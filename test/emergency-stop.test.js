@@ -0,0 +1,98 @@
+/**
+ * 急停：绕过发送队列立即发送 _stop_all（用过 game_opts 时加 clear_channel AB），没有 App 回执时重发到上限，排队中的指令取消。
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { freePort, runGateway } from './gateway.js';
+
+let tmpDir;
+let gateway;
+let baseUrl;
+
+before(async () => {
+  tmpDir = mkdtempSync(path.join(os.tmpdir(), 'gw-estop-'));
+  const port = await freePort();
+  gateway = runGateway({
+    IM_TRANSPORT: 'mock',
+    HOST: '127.0.0.1',
+    PORT: String(port),
+    AUTH_KEYS: '',
+    STATE_FILE: path.join(tmpDir, 'state.json'),
+    HISTORY_DB_PATH: path.join(tmpDir, 'gateway.sqlite'),
+    GAME2_DB_PATH: path.join(tmpDir, 'game2.sqlite'),
+    IM_SEND_TIMEOUT_MS: '1000',
+    EMERGENCY_STOP_MAX_ATTEMPTS: '3',
+    EMERGENCY_STOP_ACK_MS: '200',
+  }, { waitFor: 'listening on' });
+  await gateway.ready;
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  if (gateway && gateway.child.exitCode === null) {
+    gateway.child.kill('SIGTERM');
+    await gateway.exited;
+  }
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const post = (url, body) => fetch(`${baseUrl}${url}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+  .then(async (r) => ({ status: r.status, body: await r.json() }));
+const sentTo = async (uid) => (await fetch(`${baseUrl}/mock-im/sent?to=${uid}`).then((r) => r.json())).sent.map((m) => JSON.parse(m.text));
+const isStopAll = (p) => p.code === 'game_cmd' && p.id === '_stop_all';
+
+async function session(uid) {
+  return (await post('/api/sessions', { uid, token: `tok-${uid}` })).body.data.id;
+}
+
+test('没有回执：每条停止指令重发到 EMERGENCY_STOP_MAX_ATTEMPTS 次，用过 game_opts 时加 clear_channel AB', async () => {
+  const id = await session('30201');
+  const opts = { code: 'game_opts', type: 'estim', action: 'control_channel', data: { channel: 'A', strength: 10, duration_ms: 500 } };
+  assert.equal((await post(`/api/sessions/${id}/commands`, { payload: opts })).status, 200);
+
+  const { body } = await post('/api/emergency-stop', { sessionId: id, reason: 'test' });
+  assert.equal(body.success, false);
+  const [stopAll, clear] = body.results[0].results;
+  assert.deepEqual([stopAll.code, stopAll.ok, stopAll.attempts], ['game_cmd', false, 3]);
+  assert.deepEqual([clear.code, clear.ok, clear.attempts], ['game_opts', false, 3]);
+
+  const sent = await sentTo('30201');
+  assert.equal(sent.filter(isStopAll).length, 3);
+  assert.equal(sent.filter((p) => p.actions?.[0]?.action === 'clear_channel' && p.actions[0].data.channel === 'AB').length, 3);
+});
+
+test('收到 App 回执即停止重发', async () => {
+  const id = await session('30202');
+  const pending = post('/api/emergency-stop', { sessionId: id, reason: 'test' });
+  for (let i = 0; i < 50 && !(await sentTo('30202')).some(isStopAll); i += 1) await new Promise((r) => setTimeout(r, 10));
+  await post('/mock-im/inject', { type: 'MESSAGE_RECEIVED', to: '30202', payload: { action: 'ok' } });
+
+  const { body } = await pending;
+  assert.equal(body.success, true);
+  assert.deepEqual(body.results[0].results.map((r) => [r.ok, r.attempts]), [[true, 1]]);
+  assert.equal((await sentTo('30202')).filter(isStopAll).length, 1);
+});
+
+test('急停不排在挂起的发送后面，排队中的指令被取消', async () => {
+  const id = await session('30203');
+  await post('/mock-im/fail-sends', { count: 1, hang: true });
+  const hung = post(`/api/sessions/${id}/commands`, { commandId: 'shock_1' });
+  await new Promise((r) => setTimeout(r, 50));
+  const queued = post(`/api/sessions/${id}/commands`, { commandId: 'shock_2' });
+  await new Promise((r) => setTimeout(r, 50));
+
+  const estop = post('/api/emergency-stop', { sessionId: id, reason: 'test' });
+  for (let i = 0; i < 50 && !(await sentTo('30203')).some(isStopAll); i += 1) await new Promise((r) => setTimeout(r, 10));
+  assert.ok((await sentTo('30203')).some(isStopAll), '急停没有绕过发送队列');
+  await estop;
+
+  assert.equal((await hung).status, 500);
+  const cancelled = await queued;
+  assert.equal(cancelled.status, 500);
+  assert.match(cancelled.body.message, /发送已取消（急停）/);
+  assert.equal((await sentTo('30203')).some((p) => p.id === 'shock_2'), false);
+});
@@ -0,0 +1,32 @@
+/**
+ * game_cmd：可选 payload（reset_strength / waveform）的校验与透传。
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGameCmd, validateCmdPayload } from '../game-cmd.js';
+
+test('payload 缺省 / null 合法，已知字段按类型校验', () => {
+  assert.equal(validateCmdPayload(undefined).ok, true);
+  assert.equal(validateCmdPayload(null).ok, true);
+  assert.equal(validateCmdPayload({ reset_strength: true, waveform: '呼吸' }).ok, true);
+  assert.deepEqual(validateCmdPayload({ reset_strength: 'yes', waveform: '' }).errors, [
+    'payload.reset_strength 必须是 boolean',
+    'payload.waveform 必须是 1..64 个字符的字符串',
+  ]);
+  assert.equal(validateCmdPayload({ waveform: 'x'.repeat(65) }).ok, false);
+});
+
+test('未知字段与非对象 payload 报错，不静默忽略', () => {
+  assert.match(validateCmdPayload({ resetStrength: true }).errors[0], /^payload\.resetStrength 不是支持的字段/);
+  assert.deepEqual(validateCmdPayload([]).errors, ['payload 必须是对象']);
+  assert.deepEqual(validateCmdPayload('waveform').errors, ['payload 必须是对象']);
+});
+
+test('buildGameCmd：payload 原样带上，空对象时省略', () => {
+  assert.deepEqual(buildGameCmd({ id: ' shock_1 ', token: 't', payload: { waveform: '潮汐' } }), {
+    code: 'game_cmd', id: 'shock_1', token: 't', payload: { waveform: '潮汐' },
+  });
+  assert.equal('payload' in buildGameCmd({ id: 'shock_1', token: 't', payload: {} }), false);
+  assert.equal('payload' in buildGameCmd({ id: 'shock_1', token: 't' }), false);
+});
@@ -0,0 +1,52 @@
+/**
+ * game_opts：单动作 / 多动作两种写法的校验与 builder。
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_OPTS_LIMITS, buildGameOpts, clearChannel, controlChannel, validateGameOpts } from '../game-opts.js';
+
+test('builder 生成的 payload 通过校验', () => {
+  const payload = buildGameOpts([controlChannel('A', 30, 500), clearChannel('B')]);
+  assert.deepEqual(payload.actions[0], { type: 'estim', action: 'control_channel', data: { channel: 'A', strength: 30, duration_ms: 500 } });
+  const checked = validateGameOpts(payload);
+  assert.equal(checked.ok, true, checked.errors.join('; '));
+  assert.equal(checked.actions.length, 2);
+});
+
+test('单动作写法与 actions: null 相同', () => {
+  const single = { code: 'game_opts', ...controlChannel('AB', 0, 0), actions: null };
+  const checked = validateGameOpts(single);
+  assert.equal(checked.ok, true, checked.errors.join('; '));
+  assert.equal(checked.actions[0].data.channel, 'AB');
+});
+
+test('逐项报告错误：code、type、action、channel、strength、duration_ms', () => {
+  const checked = validateGameOpts({
+    code: 'game_cmd',
+    actions: [
+      { type: 'other', action: 'control_channel', data: { channel: 'C', strength: 101, duration_ms: -1 } },
+      { type: 'estim', action: 'pulse', data: {} },
+      'x',
+    ],
+  });
+  assert.equal(checked.ok, false);
+  assert.deepEqual(checked.errors, [
+    'code 必须为 "game_opts"',
+    'actions[0].type 必须为 "estim"',
+    'actions[0].data.channel 必须是 A / B / AB',
+    'actions[0].data.strength 必须是 0..100 的整数',
+    `actions[0].data.duration_ms 必须是 0..${GAME_OPTS_LIMITS.durationMaxMs} 的整数（0 表示持续到下一条指令）`,
+    'actions[1].action 必须是 control_channel / clear_channel',
+    'actions[2] 必须是对象',
+  ]);
+});
+
+test('上限可由调用方覆盖：动作数与时长', () => {
+  const limits = { ...GAME_OPTS_LIMITS, maxActions: 1, durationMaxMs: 1000 };
+  assert.deepEqual(validateGameOpts(buildGameOpts([clearChannel('A'), clearChannel('B')]), limits).errors, ['actions 最多 1 个']);
+  assert.equal(validateGameOpts(buildGameOpts([controlChannel('A', 10, 1001)]), limits).ok, false);
+  assert.equal(validateGameOpts(buildGameOpts([controlChannel('A', 10, 1000)]), limits).ok, true);
+  assert.deepEqual(validateGameOpts({ code: 'game_opts', actions: [] }).errors, ['actions 必须是非空数组']);
+  assert.deepEqual(validateGameOpts(null).errors, ['payload 必须是对象']);
+});
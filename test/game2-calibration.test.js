@@ -0,0 +1,147 @@
+/**
+ * ContinuousOutputGuard：只有持续输出（game_opts duration_ms 0）满 T_guard 才急停，短脉冲与 game_cmd 不误触发。
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContinuousOutputGuard, outputSpanMs } from '../game2-calibration.js';
+
+const GUARD_MS = 2000;
+const session = { id: 'ws_test' };
+const pulse = (durationMs, strength = 30) => ({ code: 'game_opts', actions: [{ type: 'estim', action: 'control_channel', data: { channel: 'A', strength, duration_ms: durationMs } }] });
+const cmd = (id) => ({ code: 'game_cmd', id, token: 't' });
+const clear = { code: 'game_opts', type: 'estim', action: 'clear_channel', data: { channel: 'A' } };
+
+let expired;
+let guard;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  expired = [];
+  guard = new ContinuousOutputGuard({ onExpire: (s, info) => { expired.push({ s, info }); } });
+});
+
+afterEach(() => {
+  guard.clearAll();
+  mock.timers.reset();
+});
+
+// onExpire 在微任务里调用
+async function tick(ms) {
+  mock.timers.tick(ms);
+  await Promise.resolve();
+  await Promise.resolve();
+}
+
+test('outputSpanMs：停止 / 强度 0 无输出，duration_ms 0 为持续，game_cmd 时长未知', () => {
+  assert.equal(outputSpanMs(clear), 0);
+  assert.equal(outputSpanMs(cmd('_stop_all')), 0);
+  assert.equal(outputSpanMs(pulse(500, 0)), 0);
+  assert.equal(outputSpanMs(pulse(500)), 500);
+  assert.equal(outputSpanMs(pulse(0)), Infinity);
+  assert.equal(outputSpanMs(cmd('shock_1')), null);
+});
+
+test('短脉冲不触发，且到时清除记录', async () => {
+  guard.note(session, pulse(300), GUARD_MS);
+  await tick(300);
+  assert.equal(guard.active.size, 0);
+  await tick(GUARD_MS * 2);
+  assert.deepEqual(expired, []);
+});
+
+test('连续的短脉冲（每条都在上一条结束前发出）不触发', async () => {
+  for (let i = 0; i < 20; i += 1) {
+    guard.note(session, pulse(500), GUARD_MS);
+    await tick(400);
+  }
+  await tick(GUARD_MS);
+  assert.deepEqual(expired, []);
+});
+
+test('持续输出满 T_guard 急停一次', async () => {
+  guard.note(session, pulse(0), GUARD_MS);
+  await tick(GUARD_MS - 1);
+  assert.deepEqual(expired, []);
+  await tick(1);
+  assert.equal(expired.length, 1);
+  assert.equal(expired[0].info.guardMs, GUARD_MS);
+  await tick(GUARD_MS * 2);
+  assert.equal(expired.length, 1);
+});
+
+test('持续输出期间重复下发持续输出不重新计时', async () => {
+  guard.note(session, pulse(0), GUARD_MS);
+  await tick(1500);
+  guard.note(session, pulse(0, 40), GUARD_MS);
+  await tick(500);
+  assert.equal(expired.length, 1);
+});
+
+test('连续的 game_cmd（正常击打）不计时，不会急停', async () => {
+  for (let i = 0; i < 20; i += 1) {
+    guard.note(session, cmd('shock_1'), GUARD_MS);
+    await tick(500);
+  }
+  assert.equal(guard.active.size, 0);
+  await tick(GUARD_MS);
+  assert.deepEqual(expired, []);
+});
+
+test('持续输出期间的 game_cmd 既不延续也不清除计时', async () => {
+  guard.note(session, pulse(0), GUARD_MS);
+  await tick(1500);
+  guard.note(session, cmd('shock_1'), GUARD_MS);
+  await tick(499);
+  assert.deepEqual(expired, []);
+  await tick(1);
+  assert.equal(expired.length, 1);
+});
+
+test('game_cmd 之后开始的持续输出从自己的开始时间计时', async () => {
+  guard.note(session, cmd('shock_1'), GUARD_MS);
+  await tick(1500);
+  guard.note(session, pulse(0), GUARD_MS);
+  await tick(GUARD_MS - 1);
+  assert.deepEqual(expired, []);
+  await tick(1);
+  assert.equal(expired.length, 1);
+});
+
+test('持续输出被有时长的指令替换后不再急停', async () => {
+  guard.note(session, pulse(0), GUARD_MS);
+  await tick(1000);
+  guard.note(session, pulse(500), GUARD_MS);
+  await tick(GUARD_MS * 2);
+  assert.deepEqual(expired, []);
+});
+
+test('停止类指令清除计时', async () => {
+  guard.note(session, pulse(0), GUARD_MS);
+  await tick(1000);
+  guard.note(session, clear, GUARD_MS);
+  await tick(GUARD_MS * 2);
+  assert.deepEqual(expired, []);
+});
+
+test('脉冲结束后再开始的持续输出从头计时', async () => {
+  guard.note(session, pulse(300), GUARD_MS);
+  await tick(1000);
+  guard.note(session, pulse(0), GUARD_MS);
+  await tick(GUARD_MS - 1);
+  assert.deepEqual(expired, []);
+  await tick(1);
+  assert.equal(expired.length, 1);
+});
+
+test('onExpire reject 交给 onError，不产生未处理的 rejection', async () => {
+  const errors = [];
+  const failing = new ContinuousOutputGuard({
+    onExpire: async () => { throw new Error('estop failed'); },
+    onError: (e, s) => errors.push([e.message, s.id]),
+  });
+  failing.note(session, pulse(0), GUARD_MS);
+  await tick(GUARD_MS);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(errors, [['estop failed', session.id]]);
+});
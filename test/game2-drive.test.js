@@ -0,0 +1,141 @@
+/**
+ * game2 驱动设备：步骤到输出 / 停止 / 急停的映射（Game2Driver），以及网关发送路径对驱动输出的校验。
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Game2Driver, game2Action } from '../game2-drive.js';
+import { freePort, runGateway } from './gateway.js';
+
+const DRIVE = {
+  mode: 'opts',
+  channel: 'A',
+  levelStrengths: [20, 30, 40, 50, 60],
+  levelCommands: ['l1', 'l2', 'l3', 'l4', 'l5'],
+  levelOutputMs: 10000,
+};
+const session = { id: 'http_1', kind: 'http', token: 'tok' };
+let stepId = 0;
+const step = (phase, extra = {}) => ({ uid: 'g2', sessionId: 's1', status: 'active', step: { id: ++stepId, phase, level: 1, startedAt: Date.now(), ...extra } });
+
+function driverWith({ failSend = false } = {}) {
+  const calls = [];
+  const failures = [];
+  const driver = new Game2Driver({
+    drive: DRIVE,
+    send: async (_session, payload, meta) => {
+      calls.push(['send', payload, meta.phase]);
+      if (failSend) throw new Error('offline');
+    },
+    estop: async () => {
+      calls.push(['estop']);
+      return { ok: true };
+    },
+    onFailure: (_link, _event, e) => failures.push(e.message),
+  });
+  return { driver, calls, failures };
+}
+
+test('game2Action：adapt / round 输出档位，其他步骤停止，非 active 急停', () => {
+  const adapt = game2Action(step('adapt', { level: 3 }), DRIVE, 'tok');
+  assert.equal(adapt.kind, 'output');
+  assert.deepEqual(adapt.payload.actions[0].data, { channel: 'A', strength: 40, duration_ms: 10000 });
+
+  const round = game2Action({ ...step('round', { startedAt: 1000, deadlineAt: 31000 }), selectedFrequency: 2 }, DRIVE, 'tok');
+  assert.deepEqual([round.level, round.payload.actions[0].data.strength, round.payload.actions[0].data.duration_ms], [2, 30, 30000]);
+
+  assert.equal(game2Action(step('evaluate'), DRIVE, 'tok'), null);
+  assert.equal(game2Action(step('score'), DRIVE, 'tok').payload.actions[0].action, 'clear_channel');
+  const cmdStop = game2Action(step('rest'), { ...DRIVE, mode: 'cmd' }, 'tok').payload;
+  assert.deepEqual([cmdStop.code, cmdStop.id], ['game_cmd', '_stop_all']);
+  assert.equal(game2Action({ ...step('adapt'), status: 'interrupted' }, DRIVE, 'tok').kind, 'estop');
+});
+
+test('Game2Driver：输出后才停止，急停只一次，关联前开始的步骤不补发', async () => {
+  const { driver, calls } = driverWith();
+  const linkedAt = Date.now();
+  driver.link('g2', session);
+
+  await driver.handleStep(step('adapt', { startedAt: linkedAt - 1 }));
+  await driver.handleStep(step('score'));
+  assert.deepEqual(calls, []);
+
+  await driver.handleStep(step('adapt'));
+  await driver.handleStep(step('score'));
+  await driver.handleStep(step('rest'));
+  assert.deepEqual(calls.map(([kind, , phase]) => `${kind}:${phase}`), ['send:adapt', 'send:score']);
+  assert.equal(driver.linkOf('g2').output, 'stopped');
+
+  const aborted = { ...step('adapt'), status: 'aborted' };
+  await driver.handleStep(aborted);
+  await driver.handleStep({ ...aborted, step: { ...aborted.step, id: ++stepId } });
+  assert.equal(calls.filter(([kind]) => kind === 'estop').length, 1);
+  assert.equal(driver.linkOf('g2').output, 'estopped');
+
+  // 未关联的 uid 忽略
+  await driver.handleStep({ ...step('adapt'), uid: 'other' });
+  assert.equal(calls.length, 3);
+});
+
+test('Game2Driver：发送失败交给 onFailure，输出状态仍为 on（之后照常停止）', async () => {
+  const { driver, failures } = driverWith({ failSend: true });
+  driver.link('g2', session);
+  await driver.handleStep(step('adapt'));
+  assert.deepEqual(failures, ['offline']);
+  assert.equal(driver.linkOf('g2').output, 'on');
+});
+
+// ---------- 网关：驱动输出与其他发送路径一样经过 game_opts 校验，不合格时不发送并中断 game2 会话 ----------
+let tmpDir;
+let gateway;
+let baseUrl;
+
+before(async () => {
+  tmpDir = mkdtempSync(path.join(os.tmpdir(), 'gw-game2-drive-'));
+  const port = await freePort();
+  gateway = runGateway({
+    IM_TRANSPORT: 'mock',
+    HOST: '127.0.0.1',
+    PORT: String(port),
+    AUTH_KEYS: '',
+    STATE_FILE: path.join(tmpDir, 'state.json'),
+    HISTORY_DB_PATH: path.join(tmpDir, 'gateway.sqlite'),
+    GAME2_DB_PATH: path.join(tmpDir, 'game2.sqlite'),
+    // 档位输出 levelOutputMs 默认 10000，超出上限
+    GAME_OPTS_MAX_DURATION_MS: '5000',
+    EMERGENCY_STOP_MAX_ATTEMPTS: '1',
+    EMERGENCY_STOP_ACK_MS: '200',
+  }, { waitFor: 'listening on' });
+  await gateway.ready;
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  if (gateway && gateway.child.exitCode === null) {
+    gateway.child.kill('SIGTERM');
+    await gateway.exited;
+  }
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const post = (url, body) => fetch(`${baseUrl}${url}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) }).then((r) => r.json());
+const get = (url) => fetch(`${baseUrl}${url}`).then((r) => r.json());
+
+test('网关：驱动输出超出 game_opts 上限时不发送，game2 会话中断', async () => {
+  const { data } = await post('/api/sessions', { uid: '30088', token: 'tok-drive' });
+  assert.equal((await post('/api/game2/link', { uid: 'g2-drive', gatewaySessionId: data.id })).success, true);
+  assert.equal((await post('/api/game2/session/start', { uid: 'g2-drive', sessionId: 'g2d-1' })).ok, true);
+
+  let status;
+  for (let i = 0; i < 50 && status !== 'interrupted'; i += 1) {
+    await new Promise((r) => setTimeout(r, 20));
+    ({ status } = await get('/api/game2/session/step?uid=g2-drive&sessionId=g2d-1'));
+  }
+  assert.equal(status, 'interrupted');
+  assert.match(gateway.output(), /指令校验失败: .*duration_ms/);
+  const { sent } = await get('/mock-im/sent?to=30088');
+  assert.equal(sent.some((m) => m.text.includes('control_channel')), false);
+});
@@ -0,0 +1,119 @@
+/**
+ * game2 流程状态机：定时步骤按服务端时间推进（可一次跨多步）、round 用时由服务端计算、
+ * 超过安全期限中断、中断后恢复重新计时、收敛 / 达到上限结束。
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PHASES, advanceFlow, applyFlowAction, describeStep, evalConvergence, expectedAction, nextWakeAt, resumeFlow, startFlow,
+} from '../game2_cunzhi/game2-flow.js';
+
+const CFG = {
+  statuses: { active: 'active', interrupted: 'interrupted', complete: 'complete', completeWithWarning: 'complete_with_warning' },
+  flow: {
+    frequency: { adaptSeconds: 10, evaluateSeconds: 5, restSeconds: 3 },
+    tolerance: { restSeconds: 2, stableWindow: 3, convergeRatio: 0.2, guardRatio: 0.8, minRounds: 3, maxRounds: 4 },
+  },
+};
+
+function newState() {
+  return {
+    status: 'active',
+    flowA: { levels: [{ level: 1, score: null }, { level: 2, score: null }], selectedFrequency: null },
+    flowB: { rounds: [] },
+    safety: { safetyTimeoutSec: 60, interruptedBySafetyTimeout: false },
+  };
+}
+
+// 走完流程A，进入第一轮 round
+function toRound(state, now) {
+  startFlow(state, now, CFG);
+  advanceFlow(state, now + 15_000, CFG);
+  applyFlowAction(state, 'frequency_score', { score: 4 }, now + 16_000, CFG);
+  advanceFlow(state, now + 34_000, CFG);
+  applyFlowAction(state, 'frequency_score', { score: 2 }, now + 35_000, CFG);
+  applyFlowAction(state, 'frequency_select', { selectedFrequency: 1 }, now + 36_000, CFG);
+  return now + 36_000;
+}
+
+test('定时步骤：到点推进，下一步从上一步的 endsAt 开始计时，可一次跨多步', () => {
+  const state = newState();
+  startFlow(state, 0, CFG);
+  assert.deepEqual([state.step.phase, state.step.level, state.step.endsAt], [PHASES.ADAPT, 1, 10_000]);
+  assert.equal(nextWakeAt(state, CFG), 10_000);
+  assert.equal(advanceFlow(state, 9_999, CFG), false);
+
+  assert.equal(advanceFlow(state, 20_000, CFG), true);
+  assert.deepEqual([state.step.phase, state.step.startedAt, state.step.endsAt], [PHASES.SCORE, 15_000, null]);
+  assert.equal(expectedAction(state), 'frequency_score');
+  assert.equal(nextWakeAt(state, CFG), null);
+
+  applyFlowAction(state, 'frequency_score', { score: 3 }, 21_000, CFG);
+  assert.deepEqual([state.step.phase, state.step.endsAt], [PHASES.REST, 24_000]);
+  advanceFlow(state, 24_000, CFG);
+  assert.deepEqual([state.step.phase, state.step.level], [PHASES.ADAPT, 2]);
+
+  const described = describeStep(state, 30_000);
+  assert.deepEqual([described.remainingMs, described.expects, described.serverTime], [4_000, null, 30_000]);
+});
+
+test('round：用时按服务端 startedAt 计算；收敛后 complete，达到上限未收敛 complete_with_warning', () => {
+  const state = newState();
+  let now = toRound(state, 0);
+  assert.deepEqual([state.step.phase, state.step.round, state.currentFlow], [PHASES.ROUND, 1, 'B']);
+  assert.equal(expectedAction(state), 'tolerance_stop');
+
+  for (const sec of [20, 21, 20]) {
+    const { elapsedSec } = applyFlowAction(state, 'tolerance_stop', {}, now + sec * 1000, CFG);
+    assert.equal(elapsedSec, sec);
+    now += sec * 1000;
+    if (state.status === 'active') {
+      assert.equal(state.step.phase, PHASES.ROUND_REST);
+      now += 2_000;
+      advanceFlow(state, now, CFG);
+    }
+  }
+  assert.deepEqual([state.status, state.step.phase, state.flowB.T_stable], ['complete', PHASES.DONE, 20]);
+
+  const noisy = newState();
+  now = toRound(noisy, 0);
+  for (const sec of [10, 30, 10, 30]) {
+    applyFlowAction(noisy, 'tolerance_stop', {}, now + sec * 1000, CFG);
+    now += sec * 1000 + 2_000;
+    advanceFlow(noisy, now, CFG);
+  }
+  assert.equal(noisy.status, 'complete_with_warning');
+  assert.equal(noisy.flowB.rounds.length, 4);
+});
+
+test('round 超过安全期限未寸止：会话中断；恢复后从当时重新计时', () => {
+  const state = newState();
+  const start = toRound(state, 0);
+  assert.equal(nextWakeAt(state, CFG), start + 60_000);
+  advanceFlow(state, start + 60_000, CFG);
+  assert.deepEqual([state.status, state.safety.interruptedBySafetyTimeout], ['interrupted', true]);
+  assert.equal(nextWakeAt(state, CFG), null);
+
+  state.status = 'active';
+  resumeFlow(state, start + 100_000, CFG);
+  assert.deepEqual([state.step.phase, state.step.round, state.step.startedAt, state.step.deadlineAt], [PHASES.ROUND, 1, start + 100_000, start + 160_000]);
+});
+
+test('迁移来的旧会话（startedAt 为 null）在下次推进时从当时开始；evaluate 中断后从 adapt 重来', () => {
+  const state = newState();
+  state.step = { id: 0, phase: PHASES.ADAPT, flow: 'A', level: 1, round: null, startedAt: null, endsAt: null, deadlineAt: null };
+  assert.equal(advanceFlow(state, 5_000, CFG), true);
+  assert.deepEqual([state.step.startedAt, state.step.endsAt], [5_000, 15_000]);
+
+  advanceFlow(state, 16_000, CFG);
+  assert.equal(state.step.phase, PHASES.EVALUATE);
+  resumeFlow(state, 50_000, CFG);
+  assert.deepEqual([state.step.phase, state.step.level, state.step.startedAt], [PHASES.ADAPT, 1, 50_000]);
+});
+
+test('evalConvergence：轮次不足 stableWindow 不判断，只看最近 stableWindow 轮', () => {
+  const tolerance = CFG.flow.tolerance;
+  assert.deepEqual(evalConvergence([20, 21], tolerance), { converged: false, T_stable: null, T_guard: null });
+  assert.deepEqual(evalConvergence([50, 20, 21, 22], tolerance), { converged: true, T_stable: 21, T_guard: 16.8 });
+});
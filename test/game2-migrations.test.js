@@ -0,0 +1,85 @@
+/**
+ * game2 迁移：旧库（迁移机制之前）补齐表结构并升级 state JSON、有数据时先备份、dryRun 回滚、
+ * 任一行失败整体回滚、比代码新的版本拒绝处理。
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { DB_MIGRATIONS, DOC_SCHEMA_VERSION, migrate, planMigrations, upgradeState } from '../game2_cunzhi/game2-migrations.js';
+
+let dir;
+let db;
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'gw-game2-migrate-'));
+});
+
+afterEach(() => {
+  if (db?.open) db.close();
+  db = null;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// 迁移机制之前的库：只有 initial_tables，没有 game2_migrations，state 为 v1
+function openLegacy(sessions = []) {
+  db = new Database(path.join(dir, 'game2.sqlite'));
+  DB_MIGRATIONS[0].up(db);
+  const insert = db.prepare('INSERT INTO sessions(id, uid, game, status, state_json, schema_version, created_at, updated_at) VALUES(?, ?, ?, ?, ?, ?, 1, 1)');
+  for (const [id, state, version = 1] of sessions) insert.run(id, 'u1', 'cunzhi', state.status || 'flow_a', typeof state === 'string' ? state : JSON.stringify(state), version);
+  return db;
+}
+
+const stateOf = (id) => JSON.parse(db.prepare('SELECT state_json FROM sessions WHERE id = ?').pluck().get(id));
+
+test('upgradeState：v1 按已记录的进度推出当前步骤；缺 schemaVersion 视为 1', () => {
+  const adapt = upgradeState({ status: 'flow_a', flowA: { levels: [{ level: 1, score: 3 }, { level: 2, score: null }] } });
+  assert.equal(adapt.schemaVersion, DOC_SCHEMA_VERSION);
+  assert.deepEqual([adapt.step.phase, adapt.step.flow, adapt.step.level, adapt.step.startedAt], ['adapt', 'A', 2, null]);
+  assert.equal(adapt.safety.interruptedBySafetyTimeout, false);
+
+  const round = upgradeState({ schemaVersion: 1, status: 'flow_b', flowA: { selectedFrequency: 3 }, flowB: { rounds: [{}, {}] } });
+  assert.deepEqual([round.step.phase, round.step.round], ['round', 3]);
+  assert.equal(upgradeState({ status: 'aborted' }).step.phase, 'done');
+  assert.throws(() => upgradeState({ schemaVersion: DOC_SCHEMA_VERSION + 1 }), /拒绝处理/);
+});
+
+test('旧库：执行全部表结构迁移、升级 state 并先备份', async () => {
+  openLegacy([['s1', { status: 'flow_a', flowA: { levels: [] } }]]);
+  const before = planMigrations(db);
+  assert.deepEqual([before.dbVersion, before.pendingDb.length, before.docs.stale, before.hasData], [0, DB_MIGRATIONS.length, 1, true]);
+
+  const result = await migrate(db);
+  assert.deepEqual(result.applied.map((m) => m.id), [...DB_MIGRATIONS.map((m) => `db@${m.version}`), `docs@${DOC_SCHEMA_VERSION}`]);
+  assert.ok(result.backupPath && existsSync(result.backupPath));
+  assert.equal(stateOf('s1').step.phase, 'select');
+  assert.equal(db.prepare('SELECT schema_version FROM sessions').pluck().get(), DOC_SCHEMA_VERSION);
+
+  const again = await migrate(db);
+  assert.deepEqual([again.plan.pending, again.applied, again.backupPath], [false, [], null]);
+});
+
+test('dryRun：返回将执行的迁移，不改动数据', async () => {
+  openLegacy([['s1', { status: 'flow_a' }]]);
+  const result = await migrate(db, { dryRun: true });
+  assert.equal(result.dryRun, true);
+  assert.equal(result.applied.at(-1).detail.sessions, 1);
+  assert.equal(result.backupPath, null);
+  assert.equal(stateOf('s1').step, undefined);
+  assert.equal(planMigrations(db).pending, true);
+});
+
+test('任一行 JSON 无法解析时整体回滚；库里有比代码新的版本时拒绝', async () => {
+  openLegacy([['s1', { status: 'flow_a' }], ['s2', '{broken']]);
+  await assert.rejects(migrate(db, { backup: false }), /sessions\.id=s2 的 JSON 无法解析/);
+  assert.equal(stateOf('s1').step, undefined);
+  assert.equal(planMigrations(db).dbVersion, 0);
+  db.close();
+  rmSync(path.join(dir, 'game2.sqlite'));
+
+  openLegacy([['s1', { status: 'flow_a' }, DOC_SCHEMA_VERSION + 1]]);
+  await assert.rejects(migrate(db, { backup: false }), /比当前代码支持的 .* 新，拒绝启动/);
+});
@@ -0,0 +1,67 @@
+/**
+ * Game2Store：active session 按终态过滤取最新、transaction 出错整体回滚、hard reset 删除 uid 的全部数据。
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Game2Store } from '../game2_cunzhi/game2-store.js';
+
+let dir;
+let store;
+
+beforeEach(async () => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'gw-game2-store-'));
+  store = new Game2Store(path.join(dir, 'nested', 'game2.sqlite'), { terminalStatuses: ['complete', 'aborted'] });
+  await store.init();
+});
+
+afterEach(() => {
+  store?.close();
+  store = null;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const row = (id, uid, status, updatedAt) => ({
+  id, uid, game: 'cunzhi', status, state_json: JSON.stringify({ status }), schema_version: 2, game_version: 'test', created_at: 1, updated_at: updatedAt,
+});
+
+test('getActiveSession：跳过终态，取 updated_at 最新的', () => {
+  store.saveSession(row('s1', 'u1', 'flow_a', 100));
+  store.saveSession(row('s2', 'u1', 'flow_b', 200));
+  store.saveSession(row('s3', 'u1', 'complete', 300));
+  assert.equal(store.getActiveSession('u1').id, 's2');
+
+  store.saveSession(row('s2', 'u1', 'aborted', 400));
+  assert.equal(store.getActiveSession('u1').id, 's1');
+  assert.equal(store.getActiveSession('u2'), null);
+  assert.deepEqual(store.countSessionsByStatus(), { aborted: 1, complete: 1, flow_a: 1 });
+});
+
+test('transaction：fn 抛错时回滚全部写入', () => {
+  assert.throws(() => store.transaction(() => {
+    store.saveSession(row('s1', 'u1', 'flow_a', 100));
+    store.appendEvent({ sessionId: 's1', uid: 'u1', type: 'start' });
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(store.getSession('s1'), null);
+  assert.deepEqual(store.listEvents('s1'), []);
+
+  assert.equal(store.transaction(() => { store.saveSession(row('s1', 'u1', 'flow_a', 100)); return 'ok'; }), 'ok');
+  assert.equal(store.getSession('s1').status, 'flow_a');
+});
+
+test('deleteUser：删除该 uid 的 session、event、profile，不影响其他 uid', () => {
+  for (const uid of ['u1', 'u2']) {
+    store.saveSession(row(`s-${uid}`, uid, 'flow_a', 100));
+    store.appendEvent({ sessionId: `s-${uid}`, uid, type: 'start', payload: { uid } });
+    store.saveProfile({ uid, profile: { uid }, schemaVersion: 2, gameVersion: 'test' });
+  }
+  store.deleteUser('u1');
+  assert.deepEqual([store.getSession('s-u1'), store.listEvents('s-u1'), store.getProfile('u1')], [null, [], null]);
+  assert.equal(store.getSession('s-u2').uid, 'u2');
+  assert.equal(JSON.parse(store.listEvents('s-u2')[0].payload_json).uid, 'u2');
+  assert.deepEqual(JSON.parse(store.getProfile('u2').profile_json), { uid: 'u2' });
+});
@@ -0,0 +1,97 @@
+/**
+ * 测试辅助：在子进程里启动 server.js（mock IM），等待日志出现指定文本；连接网关 WS 并按类型等待回复帧。
+ */
+
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * 启动 server.js：返回 { child, exited, ready, output, waitFor }。
+ * ready 在日志出现 waitFor 时 resolve；waitFor(text) 等待之后的任意日志文本。进程提前退出时二者都 reject。
+ */
+export function runGateway(env, { waitFor = null } = {}) {
+  const child = spawn(process.execPath, ['server.js'], { cwd: ROOT, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  const waiters = [];
+  const exited = new Promise((resolve) => child.once('exit', (code) => resolve(code)));
+  const onData = (chunk) => {
+    output += chunk;
+    for (const w of waiters.filter((w) => output.includes(w.text))) {
+      waiters.splice(waiters.indexOf(w), 1);
+      w.resolve();
+    }
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+  const wait = (text) => {
+    const p = new Promise((resolve, reject) => {
+      if (output.includes(text)) return resolve();
+      waiters.push({ text, resolve });
+      exited.then((code) => reject(new Error(`server.js 退出（code=${code}）:\n${output}`)));
+    });
+    p.catch(() => {});
+    return p;
+  };
+  const ready = waitFor ? wait(waitFor) : null;
+  return { child, exited, ready, output: () => output, waitFor: wait };
+}
+
+/**
+ * 连接网关 WS：返回 { ws, send, next, close }。next(type) 等待下一条该类型的帧（已收到未取走的先返回）。
+ */
+export async function connectWs(url) {
+  const ws = new WebSocket(url);
+  const frames = [];
+  const waiters = [];
+  ws.on('message', (data) => {
+    const frame = JSON.parse(String(data));
+    const i = waiters.findIndex((w) => w.match(frame));
+    if (i >= 0) waiters.splice(i, 1)[0].resolve(frame);
+    else frames.push(frame);
+  });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  const next = (type, { timeoutMs = 5000 } = {}) => {
+    const match = (f) => f.type === type;
+    const i = frames.findIndex(match);
+    if (i >= 0) return Promise.resolve(frames.splice(i, 1)[0]);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`${timeoutMs}ms 内没有收到 ${type}`)), timeoutMs);
+      waiters.push({ match, resolve: (f) => { clearTimeout(timer); resolve(f); } });
+    });
+  };
+  return {
+    ws,
+    next,
+    send: (msg) => ws.send(JSON.stringify(msg)),
+    // 发送并等待回复帧
+    request: (msg, resultType) => {
+      const reply = next(resultType);
+      ws.send(JSON.stringify(msg));
+      return reply;
+    },
+    close: () => new Promise((resolve) => {
+      if (ws.readyState === WebSocket.CLOSED) return resolve();
+      ws.once('close', resolve);
+      ws.close();
+    }),
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * HistoryStore：同一 traceId 的每次发送各占一行，回执结果写到最近一次发送；旧库（trace_id 主键）启动时迁移；按调用方过滤。
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { HistoryStore } from '../history-store.js';
+
+let dir;
+let store;
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'gw-history-'));
+});
+
+afterEach(() => {
+  store?.close();
+  store = null;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function open() {
+  store = new HistoryStore({ dbPath: path.join(dir, 'gateway.sqlite'), retentionDays: 0 });
+  store.init();
+  return store;
+}
+
+const cmd = (id) => ({ code: 'game_cmd', id, token: 'secret' });
+
+test('traceId 复用不覆盖前一条记录，结果写到最近一次发送', () => {
+  open();
+  store.recordCommand({ traceId: 't1', sessionId: 's', uid: '30033', to: '30033', source: 'ws', payload: cmd('shock_1'), sentAt: 1000 });
+  store.recordResult({ kind: 'ack', traceId: 't1', latencyMs: 20 });
+  store.recordCommand({ traceId: 't1', sessionId: 's', uid: '30033', to: '30033', source: 'ws', payload: cmd('shock_2'), sentAt: 2000 });
+  store.recordResult({ kind: 'timeout', traceId: 't1', latencyMs: 5000 });
+
+  const { commands } = store.query({ uid: '30033' });
+  assert.deepEqual(commands.map((c) => [c.command_id, c.result_kind]), [['shock_2', 'timeout'], ['shock_1', 'ack']]);
+  assert.equal(commands[0].payload.token, '***');
+});
+
+test('发送失败的记录不接收回执结果', () => {
+  open();
+  store.recordCommand({ traceId: 't1', uid: '30033', payload: cmd('shock_1'), sentAt: 1000 });
+  store.recordCommand({ traceId: 't1', uid: '30033', payload: cmd('shock_2'), sentAt: 2000, ok: false, error: 'offline' });
+  store.recordResult({ kind: 'ack', traceId: 't1', latencyMs: 20 });
+
+  const { commands } = store.query({ uid: '30033' });
+  assert.deepEqual(commands.map((c) => [c.command_id, c.send_ok, c.result_kind]), [['shock_2', 0, null], ['shock_1', 1, 'ack']]);
+});
+
+test('旧库 gw_commands 以 trace_id 为主键：迁移到自增 id，数据保留', () => {
+  const db = new Database(path.join(dir, 'gateway.sqlite'));
+  db.exec(`CREATE TABLE gw_commands(trace_id TEXT PRIMARY KEY, session_id TEXT, uid TEXT, target TEXT, source TEXT, code TEXT, command_id TEXT,
+payload_json TEXT, message_id TEXT, sent_at INTEGER, send_ok INTEGER, send_error TEXT, result_kind TEXT, result_json TEXT, result_at INTEGER, latency_ms INTEGER)`);
+  db.prepare("INSERT INTO gw_commands(trace_id, uid, command_id, sent_at, send_ok, result_kind) VALUES('old', '30033', 'shock_1', 1000, 1, 'ack')").run();
+  db.close();
+
+  open();
+  store.recordCommand({ traceId: 'old', uid: '30033', payload: cmd('shock_2'), sentAt: 2000 });
+  const { commands } = store.query({ uid: '30033' });
+  assert.deepEqual(commands.map((c) => [c.trace_id, c.command_id, c.result_kind]), [['old', 'shock_2', null], ['old', 'shock_1', 'ack']]);
+  assert.equal(typeof commands[0].id, 'number');
+});
+
+test('principal 过滤：只返回自己创建的会话、其指令与匹配到的回执', () => {
+  open();
+  store.recordSession({ id: 'http_a', kind: 'http', uid: '30033', principal: 'alice', createdAt: 1000 });
+  store.recordSession({ id: 'ws_b', kind: 'ws', uid: '30033', principal: 'bob', createdAt: 1000 });
+  store.recordCommand({ traceId: 'ta', sessionId: 'http_a', uid: '30033', payload: cmd('shock_1'), sentAt: 2000 });
+  store.recordCommand({ traceId: 'tb', sessionId: 'ws_b', uid: '30033', payload: cmd('shock_2'), sentAt: 2000 });
+  store.recordReceipt({ uid: '30033', from: 'game_30033', text: 'a', traceId: 'ta', ts: 3000 });
+  store.recordReceipt({ uid: '30033', from: 'game_30033', text: 'b', traceId: 'tb', ts: 3000 });
+  store.recordReceipt({ uid: '30033', from: 'game_30033', text: 'unmatched', ts: 3000 });
+
+  const mine = store.query({ uid: '30033', principal: 'alice' });
+  assert.deepEqual(mine.sessions.map((r) => r.id), ['http_a']);
+  assert.deepEqual(mine.commands.map((r) => r.trace_id), ['ta']);
+  assert.deepEqual(mine.receipts.map((r) => r.text), ['a']);
+  assert.deepEqual(store.query({ principal: 'carol' }), { commands: [], receipts: [], sessions: [] });
+
+  const all = store.query({ uid: '30033' });
+  assert.equal(all.commands.length, 2);
+  assert.equal(all.receipts.length, 3);
+});
@@ -0,0 +1,59 @@
+/**
+ * metrics：Counter / Gauge / Histogram 的文本输出，collect 型 gauge 在抓取时重算、失败只记日志。
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry } from '../metrics.js';
+
+test('Counter：无 label 时从 0 输出，label 值转义', async () => {
+  const registry = new MetricsRegistry({ prefix: 'gw_' });
+  const logins = registry.counter('logins_total', '登录次数');
+  const sends = registry.counter('sends_total', '发送次数', { labelNames: ['result'] });
+  assert.match(await registry.render(), /^gw_logins_total 0$/m);
+
+  logins.inc();
+  sends.inc({ result: 'ok' }, 2);
+  sends.inc({ result: 'a"b\\c\nd' });
+  const text = await registry.render();
+  assert.match(text, /^# TYPE gw_sends_total counter$/m);
+  assert.match(text, /^gw_logins_total 1$/m);
+  assert.match(text, /^gw_sends_total\{result="ok"\} 2$/m);
+  assert.ok(text.includes('gw_sends_total{result="a\\"b\\\\c\\nd"} 1'));
+  assert.throws(() => registry.counter('logins_total', '重复'), /指标重复定义: gw_logins_total/);
+});
+
+test('Histogram：桶累计、+Inf、sum 与 count', async () => {
+  const registry = new MetricsRegistry();
+  const latency = registry.histogram('send_seconds', '发送耗时', { buckets: [0.1, 1] });
+  latency.observe({}, 0.05);
+  latency.observe({}, 0.5);
+  latency.observe({}, 3);
+  const lines = (await registry.render()).trim().split('\n').slice(2);
+  assert.deepEqual(lines, [
+    'send_seconds_bucket{le="0.1"} 1',
+    'send_seconds_bucket{le="1"} 2',
+    'send_seconds_bucket{le="+Inf"} 3',
+    'send_seconds_sum 3.55',
+    'send_seconds_count 3',
+  ]);
+});
+
+test('collect 型 gauge：每次抓取重算，消失的序列不保留；采集失败只记日志', async () => {
+  const logs = [];
+  const registry = new MetricsRegistry({ logger: (level, msg) => logs.push([level, msg]) });
+  let kinds = { ws: 2, http: 1 };
+  registry.gauge('sessions', '当前会话数', {
+    labelNames: ['kind'],
+    collect: (g) => { for (const [kind, n] of Object.entries(kinds)) g.set({ kind }, n); },
+  });
+  registry.gauge('game2_users', 'game2 用户数', { collect: async () => { throw new Error('db closed'); } });
+
+  assert.match(await registry.render(), /^sessions\{kind="http"\} 1$/m);
+  kinds = { ws: 3 };
+  const text = await registry.render();
+  assert.match(text, /^sessions\{kind="ws"\} 3$/m);
+  assert.equal(text.includes('kind="http"'), false);
+  assert.match(text, /^# TYPE game2_users gauge$/m);
+  assert.deepEqual(logs.at(-1), ['WARN', '[METRICS] game2_users 采集失败: db closed']);
+});
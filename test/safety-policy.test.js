@@ -0,0 +1,66 @@
+/**
+ * SafetyGuard：速率额度在 check 时占用（并发突发不越限），发送失败 release 归还；强度 / 时长 / 停止冷却 / 会话时长规则。
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SafetyGuard, SAFETY_RULES, DEFAULT_SAFETY_POLICY } from '../safety-policy.js';
+
+const guardWith = (overrides = {}, uids = {}) => new SafetyGuard({ default: { ...DEFAULT_SAFETY_POLICY, ...overrides }, uids });
+const cmd = (id) => ({ code: 'game_cmd', id, token: 't' });
+const opts = (data) => ({ code: 'game_opts', type: 'estim', action: 'control_channel', data: { channel: 'A', strength: 10, duration_ms: 500, ...data } });
+const stop = cmd('_stop_all');
+
+test('突发请求：check 当场占用额度，同一秒内只放行 maxCommandsPerSec 条', () => {
+  const guard = guardWith({ maxCommandsPerSec: 5 });
+  const now = 10000;
+  const verdicts = Array.from({ length: 20 }, (_, i) => guard.check({ uid: '30033', payload: cmd('shock_1'), ref: `t${i}` }, now));
+  assert.equal(verdicts.filter((v) => v === null).length, 5);
+  const rejected = verdicts.find(Boolean);
+  assert.equal(rejected.rule, SAFETY_RULES.RATE);
+  assert.equal(rejected.retryAfterMs, 1000);
+  // 窗口滑过之后恢复
+  assert.equal(guard.check({ uid: '30033', payload: cmd('shock_1'), ref: 'later' }, now + 1000), null);
+});
+
+test('release 归还没发出去的那一条，其他 uid 不受影响', () => {
+  const guard = guardWith({ maxCommandsPerSec: 2 });
+  assert.equal(guard.check({ uid: '30033', payload: cmd('shock_1'), ref: 'a' }, 0), null);
+  assert.equal(guard.check({ uid: 'game_30033', payload: cmd('shock_1'), ref: 'b' }, 0), null);
+  assert.equal(guard.check({ uid: '30033', payload: cmd('shock_1'), ref: 'c' }, 0)?.rule, SAFETY_RULES.RATE);
+  assert.equal(guard.check({ uid: '40044', payload: cmd('shock_1'), ref: 'x' }, 0), null);
+
+  guard.release({ uid: '30033', ref: 'b' });
+  guard.release({ uid: '30033', ref: 'missing' });
+  assert.equal(guard.check({ uid: '30033', payload: cmd('shock_1'), ref: 'd' }, 0), null);
+  assert.equal(guard.check({ uid: '30033', payload: cmd('shock_1'), ref: 'e' }, 0)?.rule, SAFETY_RULES.RATE);
+});
+
+test('停止类指令永远放行且不占额度', () => {
+  const guard = guardWith({ maxCommandsPerSec: 1 });
+  assert.equal(guard.check({ uid: '30033', payload: cmd('shock_1'), ref: 'a' }, 0), null);
+  for (let i = 0; i < 5; i += 1) assert.equal(guard.check({ uid: '30033', payload: stop }, 0), null);
+  const clear = { code: 'game_opts', type: 'estim', action: 'clear_channel', data: { channel: 'A' } };
+  assert.equal(guard.check({ uid: '30033', payload: clear }, 0), null);
+});
+
+test('强度、时长与持续输出按 uid 覆盖的策略检查', () => {
+  const guard = guardWith({ maxStrength: 60, maxDurationMs: 1000, allowContinuous: false, maxCommandsPerSec: 0 }, { 40044: { maxStrength: 20 } });
+  assert.equal(guard.check({ uid: '30033', payload: opts({ strength: 61 }) })?.rule, SAFETY_RULES.STRENGTH);
+  assert.equal(guard.check({ uid: '30033', payload: opts({ strength: 60 }) }), null);
+  assert.equal(guard.check({ uid: '40044', payload: opts({ strength: 21 }) })?.limit, 20);
+  assert.equal(guard.check({ uid: '30033', payload: opts({ duration_ms: 1001 }) })?.rule, SAFETY_RULES.DURATION);
+  assert.equal(guard.check({ uid: '30033', payload: opts({ duration_ms: 0 }) })?.rule, SAFETY_RULES.DURATION);
+});
+
+test('停止后冷却期内拒绝，会话超时后拒绝', () => {
+  const guard = guardWith({ stopCooldownMs: 3000, sessionTimeLimitMs: 60000 });
+  guard.check({ uid: '30033', payload: stop }, 1000);
+  const cooling = guard.check({ uid: '30033', payload: cmd('shock_1'), ref: 'a' }, 2000);
+  assert.equal(cooling.rule, SAFETY_RULES.COOLDOWN);
+  assert.equal(cooling.retryAfterMs, 2000);
+  assert.equal(guard.check({ uid: '30033', payload: cmd('shock_1'), ref: 'b' }, 4000), null);
+
+  const late = guard.check({ uid: '30033', payload: cmd('shock_1'), sessionStartedAt: 1000, ref: 'c' }, 61001);
+  assert.equal(late.rule, SAFETY_RULES.SESSION_TIME);
+});
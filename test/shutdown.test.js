@@ -0,0 +1,51 @@
+/**
+ * 关停：发送队列在 SHUTDOWN_DRAIN_MS 内未排空时取消排队中的指令（调用方收到失败），正在发送的那条不受影响。
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { freePort, runGateway } from './gateway.js';
+
+test('排空超时：取消排队中的指令后退出', { timeout: 30000 }, async (t) => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'gw-shutdown-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const port = await freePort();
+  const gateway = runGateway({
+    IM_TRANSPORT: 'mock',
+    HOST: '127.0.0.1',
+    PORT: String(port),
+    AUTH_KEYS: '',
+    STATE_FILE: path.join(dir, 'state.json'),
+    HISTORY_DB_PATH: path.join(dir, 'gateway.sqlite'),
+    GAME2_DB_PATH: path.join(dir, 'game2.sqlite'),
+    SHUTDOWN_DRAIN_MS: '300',
+    IM_SEND_TIMEOUT_MS: '1000',
+    // 关停时急停仍在输出的设备，等回执期间挂起的那条发送超时，排队中的随之被取消
+    EMERGENCY_STOP_MAX_ATTEMPTS: '1',
+    EMERGENCY_STOP_ACK_MS: '2000',
+  }, { waitFor: 'listening on' });
+  await gateway.ready;
+  const base = `http://127.0.0.1:${port}`;
+  const post = (p, body) => fetch(`${base}${p}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })
+    .then(async (r) => ({ status: r.status, body: await r.json() }));
+
+  const { id } = (await post('/api/sessions', { uid: '30099', token: 'tok' })).body.data;
+  assert.equal((await post(`/api/sessions/${id}/commands`, { commandId: 'shock_0' })).status, 200);
+  // 下一条发送挂起（IM_SEND_TIMEOUT_MS 后超时），后两条留在队列里
+  await post('/mock-im/fail-sends', { count: 1, hang: true });
+  const sends = ['shock_1', 'shock_2', 'shock_3'].map((commandId) => post(`/api/sessions/${id}/commands`, { commandId }));
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  gateway.child.kill('SIGTERM');
+  const [first, second, third] = await Promise.all(sends);
+  assert.match(first.body.message, /超时/);
+  for (const r of [second, third]) {
+    assert.equal(r.status, 500);
+    assert.match(r.body.message, /发送已取消（服务关停）/);
+  }
+  assert.equal(await gateway.exited, 0);
+  assert.match(gateway.output(), /发送队列 300ms 内未排空，已取消剩余指令/);
+});
@@ -0,0 +1,226 @@
+/**
+ * WS 网关：mock IM 模式启动 server.js（开启鉴权），覆盖 game2 订阅权限、dead-man switch、断线 resume、
+ * game_sign 方式、IM 自动重连与同 uid 共用 IM 登录等按连接的会话行为。
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { connectWs, freePort, runGateway } from './gateway.js';
+
+const KEYS = [
+  { name: 'alice', key: 'key-alice', scopes: ['status:read', 'commands:send'] },
+  { name: 'bob', key: 'key-bob', scopes: ['status:read', 'commands:send'] },
+];
+
+let tmpDir;
+let gateway;
+let wsUrl;
+let httpUrl;
+const clients = [];
+
+before(async () => {
+  tmpDir = mkdtempSync(path.join(os.tmpdir(), 'gw-ws-'));
+  const port = await freePort();
+  gateway = runGateway({
+    IM_TRANSPORT: 'mock',
+    HOST: '127.0.0.1',
+    PORT: String(port),
+    AUTH_KEYS: JSON.stringify(KEYS),
+    STATE_FILE: path.join(tmpDir, 'state.json'),
+    HISTORY_DB_PATH: path.join(tmpDir, 'gateway.sqlite'),
+    GAME2_DB_PATH: path.join(tmpDir, 'game2.sqlite'),
+    EMERGENCY_STOP_MAX_ATTEMPTS: '1',
+    EMERGENCY_STOP_ACK_MS: '200',
+    IM_RECONNECT_BASE_MS: '50',
+    IM_RECONNECT_MAX_MS: '200',
+  }, { waitFor: 'listening on' });
+  await gateway.ready;
+  wsUrl = `ws://127.0.0.1:${port}/`;
+  httpUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  await Promise.all(clients.map((c) => c.close()));
+  if (gateway && gateway.child.exitCode === null) {
+    gateway.child.kill('SIGTERM');
+    await gateway.exited;
+  }
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function client(key, query = '') {
+  const c = await connectWs(`${wsUrl}?access_token=${key}${query}`);
+  clients.push(c);
+  c.welcome = await c.next('welcome');
+  return c;
+}
+
+async function login(c, uid) {
+  const result = await c.request({ type: 'login', uid, token: `tok-${uid}` }, 'loginResult');
+  assert.equal(result.success, true, JSON.stringify(result));
+}
+
+const sentTo = async (uid) => (await fetch(`${httpUrl}/mock-im/sent?to=${uid}`).then((r) => r.json())).sent.map((m) => JSON.parse(m.text));
+const isStopAll = (p) => p.code === 'game_cmd' && p.id === '_stop_all';
+
+// 跳过其他 imEvent，等待 IM 连接状态变为 state
+async function imState(c, state) {
+  for (;;) {
+    const frame = await c.next('imEvent');
+    if (frame.name === 'CONNECTION_STATE' && frame.state === state) return frame;
+  }
+}
+
+async function waitForStop(uid) {
+  for (let i = 0; i < 100; i += 1) {
+    if ((await sentTo(uid)).some(isStopAll)) return true;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  return false;
+}
+
+test('game2Subscribe：需要先登录，只能订阅自己登录的 uid 或关联到自己会话的 game2 uid', async () => {
+  const alice = await client('key-alice');
+  const notReady = await alice.request({ type: 'game2Subscribe', uid: '30111' }, 'game2SubscribeResult');
+  assert.deepEqual([notReady.success, notReady.code], [false, 'im_not_ready']);
+
+  await login(alice, '30111');
+  const own = await alice.request({ type: 'game2Subscribe', uid: 'game_30111' }, 'game2SubscribeResult');
+  assert.equal(own.success, true);
+  const other = await alice.request({ type: 'game2Subscribe', uid: 'g2-alice' }, 'game2SubscribeResult');
+  assert.deepEqual([other.success, other.code], [false, 'forbidden']);
+
+  const linked = await alice.request({ type: 'game2Link', uid: 'g2-alice' }, 'game2LinkResult');
+  assert.equal(linked.success, true);
+  assert.equal((await alice.request({ type: 'game2Subscribe', uid: 'g2-alice' }, 'game2SubscribeResult')).success, true);
+
+  const bob = await client('key-bob');
+  await login(bob, '30122');
+  const stolen = await bob.request({ type: 'game2Subscribe', uid: 'g2-alice' }, 'game2SubscribeResult');
+  assert.deepEqual([stolen.success, stolen.code], [false, 'forbidden']);
+  const stolen30111 = await bob.request({ type: 'game2Subscribe', uid: '30111' }, 'game2SubscribeResult');
+  assert.equal(stolen30111.success, false);
+});
+
+test('dead-man switch：开启后超时未 feed 急停，feed 期间不触发', async () => {
+  const c = await client('key-alice');
+  await login(c, '30131');
+  assert.equal((await c.request({ type: 'sendCommand', payload: 'shock_1' }, 'sendResult')).success, true);
+  const enabled = await c.request({ type: 'watchdog', timeoutMs: 1000 }, 'watchdogResult');
+  assert.equal(enabled.timeoutMs, 1000);
+
+  for (let i = 0; i < 3; i += 1) {
+    await new Promise((r) => setTimeout(r, 500));
+    c.send({ type: 'watchdogFeed', source: 'timeupdate' });
+  }
+  assert.equal((await sentTo('30131')).some(isStopAll), false);
+
+  const expired = await c.next('watchdogExpired', { timeoutMs: 3000 });
+  assert.equal(expired.lastSource, 'timeupdate');
+  assert.equal((await c.next('emergencyStopResult')).by, 'watchdog');
+  assert.equal(await waitForStop('30131'), true);
+});
+
+test('dead-man switch：断线时仍可能在输出的设备立即急停，没有输出的不发送', async () => {
+  const playing = await client('key-alice');
+  await login(playing, '30132');
+  assert.equal((await playing.request({ type: 'sendCommand', payload: 'shock_1' }, 'sendResult')).success, true);
+  const idle = await client('key-alice');
+  await login(idle, '30133');
+
+  await Promise.all([playing.close(), idle.close()]);
+  assert.equal(await waitForStop('30132'), true);
+  assert.equal((await sentTo('30133')).some(isStopAll), false);
+});
+
+test('WS scope：开启鉴权后不带凭据的连接只读，不能 login', async () => {
+  const anonymous = await client('');
+  const denied = await anonymous.request({ type: 'login', uid: '30134', token: 'tok-30134' }, 'error');
+  assert.equal(denied.code, 'forbidden');
+  assert.equal((await anonymous.request({ type: 'getStatus' }, 'status')).type, 'status');
+});
+
+test('resume：断线后用 resumeToken 接回原会话，token 轮换，断线期间的帧补发', async () => {
+  const first = await client('key-alice');
+  await login(first, '30141');
+  const { sessionId, resumeToken } = first.welcome;
+  await first.close();
+  // 客户端 close 返回时服务端的 close 处理可能还没跑，等它把会话转入断线状态再注入消息
+  await new Promise((r) => setTimeout(r, 200));
+  await fetch(`${httpUrl}/mock-im/inject`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ type: 'MESSAGE_RECEIVED', to: '30141', payload: { action: 'ok' } }),
+  });
+
+  const second = await client('key-alice');
+  const resumed = await second.request({ type: 'resume', resumeToken }, 'resumeResult');
+  assert.deepEqual([resumed.success, resumed.sessionId, resumed.uid], [true, sessionId, '30141']);
+  assert.notEqual(resumed.resumeToken, resumeToken);
+  assert.equal(resumed.replayed >= 1, true);
+  assert.equal((await second.next('incoming')).type, 'incoming');
+
+  const third = await client('key-alice');
+  const stale = await third.request({ type: 'resume', resumeToken }, 'resumeResult');
+  assert.deepEqual([stale.success, stale.code], [false, 'resume_failed']);
+  const again = await second.request({ type: 'resume', resumeToken: resumed.resumeToken }, 'resumeResult');
+  assert.equal(again.success, false);
+});
+
+const inject = (body) => fetch(`${httpUrl}/mock-im/inject`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('game_sign：优先 connect_code；失败时回退 uid+token，错误里列出每种方式', async () => {
+  const c = await client('key-alice');
+  const ok = await c.request({ type: 'login', connectCode: '30171 tok-30171' }, 'loginResult');
+  assert.equal(ok.success, true, JSON.stringify(ok));
+  assert.deepEqual(
+    [ok.data.uid, ok.data.userId, ok.data.usedConnectCode, ok.data.signMethod],
+    ['30171', 'game_30171', true, 'connect_code'],
+  );
+
+  const other = await client('key-alice');
+  const failed = await other.request({ type: 'login', uid: '30172', token: 'invalid-token' }, 'loginResult');
+  assert.deepEqual([failed.success, failed.code], [false, 'login_failed']);
+  assert.match(failed.message, /^connect_code: .*token 无效.*; uid_token: .*token 无效/);
+});
+
+test('IM 重连：userSig 过期被踢后自动重新登录，之后可继续发指令', async () => {
+  const c = await client('key-alice');
+  await login(c, '30151');
+  await imState(c, 'ready');
+  await inject({ type: 'KICKED_OUT', to: '30151', reason: 'userSigExpired' });
+
+  assert.equal((await imState(c, 'reconnecting')).prevState, 'ready');
+  await imState(c, 'ready');
+  assert.equal((await c.request({ type: 'sendCommand', payload: 'shock_1' }, 'sendResult')).success, true);
+});
+
+test('IM 重连：账号在其他地方登录时不自动重连，发指令报 IM 未就绪', async () => {
+  const c = await client('key-alice');
+  await login(c, '30152');
+  await imState(c, 'ready');
+  await inject({ type: 'KICKED_OUT', to: '30152', reason: 'multipleAccount' });
+
+  assert.equal((await imState(c, 'kicked')).reason, 'multipleAccount');
+  const sent = await c.request({ type: 'sendCommand', payload: 'shock_1' }, 'sendResult');
+  assert.deepEqual([sent.success, sent.code], [false, 'im_not_ready']);
+});
+
+test('共用 IM：同一 uid 的多个连接只登录一次，入站消息扇出到每个连接', async () => {
+  const first = await client('key-alice');
+  const second = await client('key-bob');
+  await login(first, '30161');
+  await login(second, '30161');
+  assert.equal(gateway.output().split('[IM-SHARED] uid=30161 登录').length - 1, 1);
+
+  await inject({ type: 'MESSAGE_RECEIVED', to: '30161', payload: { action: 'ok' } });
+  const [a, b] = await Promise.all([first.next('incoming'), second.next('incoming')]);
+  assert.deepEqual(a.messages, b.messages);
+});
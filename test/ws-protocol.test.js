@@ -0,0 +1,45 @@
+/**
+ * WS 协议：版本协商、入站消息 schema 校验（v2 严格模式）与错误码。
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WS_DEFAULT_PROTOCOL, WS_ERROR_CODES, describeProtocol, negotiateProtocol, validateInbound, validateOutbound } from '../ws-protocol.js';
+
+test('版本协商：不带时为默认版本，不支持的返回 null', () => {
+  assert.equal(negotiateProtocol(null), WS_DEFAULT_PROTOCOL);
+  assert.equal(negotiateProtocol(''), WS_DEFAULT_PROTOCOL);
+  assert.equal(negotiateProtocol('2'), 2);
+  assert.equal(negotiateProtocol('3'), null);
+  assert.equal(negotiateProtocol('abc'), null);
+});
+
+test('入站校验：未知 type、多余字段、缺少必填、类型错误分别报告', () => {
+  assert.equal(validateInbound({ type: 'ping', requestId: 'r1' }).ok, true);
+  assert.equal(validateInbound([]).code, WS_ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateInbound({ type: 'nope' }).code, WS_ERROR_CODES.UNKNOWN_TYPE);
+
+  const extra = validateInbound({ type: 'ping', foo: 1 });
+  assert.deepEqual([extra.code, extra.errors], [WS_ERROR_CODES.INVALID_MESSAGE, ['$.foo 不是允许的字段']]);
+  assert.deepEqual(validateInbound({ type: 'resume' }).errors, ['$.resumeToken 必填']);
+  assert.deepEqual(validateInbound({ type: 'resume', resumeToken: '' }).errors, ['$.resumeToken 不能为空']);
+  assert.deepEqual(validateInbound({ type: 'ping', requestId: true }).errors, ['$.requestId 类型必须是 string / integer']);
+});
+
+test('login 的 anyOf：connect_code 或 uid + token', () => {
+  assert.equal(validateInbound({ type: 'login', connectCode: 'c' }).ok, true);
+  assert.equal(validateInbound({ type: 'login', uid: 1, token: 't' }).ok, true);
+  const missing = validateInbound({ type: 'login', uid: 1 });
+  assert.equal(missing.ok, false);
+  assert.match(missing.errors[0], /^\$ 不满足任一形式/);
+});
+
+test('出站帧与协议描述', () => {
+  assert.deepEqual(validateOutbound({ type: 'pong', time: '2026-01-01T00:00:00Z', extra: 1 }), []);
+  assert.deepEqual(validateOutbound({ type: 'pong' }), ['$.time 必填']);
+  assert.deepEqual(validateOutbound({ type: 'nope' }), ['未定义的出站帧 type=nope']);
+  const described = describeProtocol();
+  assert.equal(described.defaultVersion, WS_DEFAULT_PROTOCOL);
+  assert.ok(described.errorCodes.includes('resume_failed'));
+  assert.ok(described.inbound.login && described.outbound.welcome);
+});
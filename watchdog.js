@@ -0,0 +1,75 @@
+/**
+ * Dead-man switch（每个会话一个）
+ *
+ * 启用后客户端需周期性 feed（视频播放中的 timeupdate 等）；超过 timeoutMs 未 feed 即触发 onExpire。
+ * 触发一次后停止计时，下一次 feed 重新开始（客户端恢复后无需重新启用）。
+ * 连接断开 / 心跳丢失由 server.js 在 ws close 时检查 enabled 决定是否急停。
+ */
+
+export const WATCHDOG_LIMITS = {
+  minTimeoutMs: 1000,
+  maxTimeoutMs: 10 * 60 * 1000,
+};
+
+export function clampWatchdogTimeout(ms) {
+  const n = Math.floor(Number(ms));
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.min(Math.max(n, WATCHDOG_LIMITS.minTimeoutMs), WATCHDOG_LIMITS.maxTimeoutMs);
+}
+
+export class Watchdog {
+  constructor({ timeoutMs = 0, onExpire = null } = {}) {
+    this.onExpire = onExpire;
+    this.timeoutMs = 0;
+    this.timer = null;
+    this.lastFeedAt = null;
+    this.lastSource = null;
+    this.expiredAt = null;
+    if (timeoutMs > 0) this.enable(timeoutMs);
+  }
+
+  get enabled() {
+    return this.timeoutMs > 0;
+  }
+
+  enable(timeoutMs) {
+    this.timeoutMs = clampWatchdogTimeout(timeoutMs);
+    if (this.enabled) this.feed('enable');
+    else this.disable();
+    return this.timeoutMs;
+  }
+
+  disable() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.timeoutMs = 0;
+    this.expiredAt = null;
+  }
+
+  feed(source = 'client') {
+    if (!this.enabled) return;
+    this.lastFeedAt = Date.now();
+    this.lastSource = source;
+    this.expiredAt = null;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._expire(), this.timeoutMs);
+  }
+
+  _expire() {
+    this.timer = null;
+    this.expiredAt = Date.now();
+    if (typeof this.onExpire === 'function') {
+      try { this.onExpire({ lastFeedAt: this.lastFeedAt, lastSource: this.lastSource, timeoutMs: this.timeoutMs }); } catch (e) { /* ignore */ }
+    }
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      timeoutMs: this.timeoutMs,
+      lastFeedAt: this.lastFeedAt,
+      lastSource: this.lastSource,
+      expired: this.expiredAt !== null,
+    };
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * WS 网关协议（版本、消息 JSON Schema、错误码）
+ *
+ * 版本协商：客户端在升级 URL 上带 ?protocol=<n>，welcome 帧返回实际使用的 protocol 与 protocols（服务端支持的全部版本）。
+ *  - 1：旧协议（不带 ?protocol 时的默认值）。消息宽松解析，失败回复为 `<xxx>Result { success: false, code, message }`；
+ *  - 2：入站消息按 INBOUND_SCHEMAS 严格校验（多余字段也拒绝），所有失败统一为 error 帧：
+ *       { type: 'error', code, request, requestId?, message, ... }
+ * 两个版本都会把客户端的 requestId 原样带回该请求引起的每一帧（结果、log、status、error）。
+ * 指令回执（commandAck / commandFailed / commandTimeout）是异步推送，用 sendResult 里的 traceId 关联。
+ *
+ * Schema 为 JSON Schema（draft 2020-12）的子集，GET /api/ws-protocol 原样输出给第三方客户端；
+ * 服务端用下面的 validate() 校验，只实现了这里用到的关键字。
+ */
+
+export const WS_PROTOCOL_VERSION = 2;
+export const WS_PROTOCOL_VERSIONS = [1, 2];
+export const WS_DEFAULT_PROTOCOL = 1;
+
+export const WS_ERROR_CODES = {
+  BAD_JSON: 'bad_json',
+  INVALID_MESSAGE: 'invalid_message',
+  UNKNOWN_TYPE: 'unknown_type',
+  UNSUPPORTED_PROTOCOL: 'unsupported_protocol',
+  FORBIDDEN: 'forbidden',
+  MISSING_CREDENTIALS: 'missing_credentials',
+  LOGIN_FAILED: 'login_failed',
+  IM_NOT_READY: 'im_not_ready',
+  INVALID_PAYLOAD: 'invalid_payload',
+  SAFETY_VIOLATION: 'safety_violation',
+  SEND_FAILED: 'send_failed',
+  RESUME_FAILED: 'resume_failed',
+  ALREADY_LOGGED_IN: 'already_logged_in',
+};
+
+// ---------- schema 片段 ----------
+const str = { type: 'string' };
+const nullableStr = { type: ['string', 'null'] };
+const bool = { type: 'boolean' };
+const int = { type: 'integer' };
+const time = { type: 'string', description: 'ISO 8601' };
+const uidLike = { type: ['string', 'integer'], description: 'game_ 前缀可有可无' };
+const requestId = { type: ['string', 'integer'], maxLength: 128, description: '客户端自定义，原样回带' };
+const traceId = { type: 'string', minLength: 1, maxLength: 128 };
+const tried = { type: 'array', items: { type: 'object', properties: { to: str, ok: bool, attempts: int, message: str }, required: ['to', 'ok'] } };
+
+function inbound(type, properties = {}, required = [], description = '') {
+  return {
+    type: 'object',
+    description,
+    properties: { type: { const: type }, requestId, ...properties },
+    required: ['type', ...required],
+    additionalProperties: false,
+  };
+}
+
+function outbound(type, properties = {}, required = [], description = '') {
+  return {
+    type: 'object',
+    description,
+    properties: { type: { const: type }, requestId, ...properties },
+    required: ['type', ...required],
+    // 服务端可能追加字段，客户端应忽略不认识的字段
+    additionalProperties: true,
+  };
+}
+
+const credentials = {
+  uid: uidLike,
+  token: str,
+  connectCode: str,
+  connect_code: str,
+};
+
+export const INBOUND_SCHEMAS = {
+  ping: inbound('ping', {}, [], '心跳，回复 pong'),
+  getStatus: inbound('getStatus', {}, [], '回复 status'),
+  resume: inbound('resume', { resumeToken: { type: 'string', minLength: 1 } }, ['resumeToken'], '断线重连后恢复会话，回复 resumeResult'),
+  login: {
+    ...inbound('login', credentials, [], '登录 IM（connect_code，或 uid + token），回复 loginResult'),
+    anyOf: [{ required: ['connectCode'] }, { required: ['connect_code'] }, { required: ['uid', 'token'] }],
+  },
+  logout: inbound('logout', {}, [], '回复 logoutResult'),
+  sendCommand: inbound('sendCommand', {
+    payload: {
+      description: 'game_cmd 对象，或直接传 commandId 字符串',
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        {
+          type: 'object',
+          properties: { code: { const: 'game_cmd' }, id: { type: 'string', minLength: 1 }, token: str, payload: { type: ['object', 'null'] } },
+          required: ['code', 'id'],
+        },
+      ],
+    },
+    commandPayload: { type: ['object', 'null'], description: 'reset_strength / waveform 等指令参数（null 同缺省）' },
+    targetId: uidLike,
+    traceId,
+  }, ['payload'], '发送 game_cmd，回复 sendResult；App 回执异步推送 commandAck / commandFailed / commandTimeout'),
+  sendOpts: inbound('sendOpts', {
+    payload: { type: 'object', properties: { code: { const: 'game_opts' } }, required: ['code'], description: 'game_opts（control_channel / clear_channel）' },
+    targetId: uidLike,
+    traceId,
+  }, ['payload'], '发送 game_opts，回复 sendOptsResult'),
+  emergencyStop: inbound('emergencyStop', { reason: str }, [], '急停，回复 emergencyStopResult（不需要 scope）'),
+  watchdog: inbound('watchdog', { enabled: bool, timeoutMs: { type: 'integer', minimum: 0 } }, [], '启用 / 关闭 dead-man switch，回复 watchdogResult'),
+  watchdogFeed: inbound('watchdogFeed', { source: str }, [], '喂 watchdog，不回复'),
+  diagnose: inbound('diagnose', { ...credentials, targetId: uidLike, commandId: str, id: str }, [], '连通性自检，回复 diagnoseResult'),
+  game2Subscribe: inbound('game2Subscribe', { uid: { type: 'string', minLength: 1 } }, ['uid'], '订阅该 game2 uid 的流程步骤推送（game2Step，需已 login；只能是本会话登录的 uid 或已关联到自己网关会话的 game2 uid），回复 game2SubscribeResult'),
+  game2Unsubscribe: inbound('game2Unsubscribe', {}, [], '取消 game2 订阅，回复 game2SubscribeResult'),
+  game2Link: inbound('game2Link', { uid: { type: 'string', minLength: 1 } }, ['uid'], '用本会话的设备驱动该 game2 uid 的流程（需已 login，同时订阅 game2Step），回复 game2LinkResult'),
+  game2Unlink: inbound('game2Unlink', {}, [], '解除本会话的 game2 驱动（输出中的急停，进行中的 game2 会话中断），回复 game2LinkResult'),
+};
+
+const commandResult = {
+  traceId: str,
+  messageId: nullableStr,
+  to: str,
+  code: nullableStr,
+  commandId: nullableStr,
+  latencyMs: int,
+  time,
+};
+
+export const OUTBOUND_SCHEMAS = {
+  welcome: outbound('welcome', {
+    sessionId: str,
+    resumeToken: str,
+    resumeGraceMs: int,
+    wsPath: str,
+    protocol: { enum: WS_PROTOCOL_VERSIONS },
+    protocols: { type: 'array', items: int },
+    time,
+  }, ['sessionId', 'resumeToken', 'protocol', 'protocols'], '连接建立后第一帧'),
+  status: outbound('status', { isOnline: bool, isReady: bool, sessionId: str, uid: nullableStr, time }, ['isReady', 'sessionId']),
+  log: outbound('log', { level: { enum: ['info', 'success', 'warn', 'error', 'ws'] }, msg: str, extra: {}, time }, ['level', 'msg'], '人读日志，不要据此判断结果'),
+  pong: outbound('pong', { time }, ['time']),
+  loginResult: outbound('loginResult', {
+    success: bool,
+    data: { type: 'object', properties: { uid: str, userId: str, appId: { type: ['string', 'integer'] }, usedConnectCode: bool, signMethod: str } },
+    code: str,
+    message: str,
+  }, ['success']),
+  logoutResult: outbound('logoutResult', { success: bool }, ['success']),
+  sendResult: outbound('sendResult', { success: bool, traceId: str, messageId: nullableStr, to: str, tried, code: str, message: str, errors: { type: 'array', items: str } }, ['success']),
+  sendOptsResult: outbound('sendOptsResult', { success: bool, traceId: str, messageId: nullableStr, to: str, tried, actions: int, code: str, message: str, errors: { type: 'array', items: str } }, ['success']),
+  safetyViolation: outbound('safetyViolation', {
+    request: str, traceId: str, rule: str, limit: { type: 'number' }, retryAfterMs: { type: 'number' }, message: str, time,
+  }, ['rule', 'message'], '仅 protocol 1；protocol 2 为 error 帧 code=safety_violation'),
+  emergencyStop: outbound('emergencyStop', { by: str, reason: str, time }, ['by', 'reason'], '运维 / 其他会话触发了急停'),
+  emergencyStopResult: outbound('emergencyStopResult', {
+    success: bool, ok: bool, sessionId: str, uid: nullableStr, to: str, reason: str, by: str,
+    results: { type: 'array', items: { type: 'object', properties: { ok: bool, code: str, traceId: str, attempts: int, latencyMs: int, message: str }, required: ['ok'] } },
+    message: str,
+    time,
+  }, ['success', 'results']),
+  watchdogResult: outbound('watchdogResult', {
+    success: bool, enabled: bool, timeoutMs: int, lastFeedAt: { type: ['integer', 'null'] }, lastSource: nullableStr, expired: bool, time,
+  }, ['success', 'enabled', 'timeoutMs']),
+  watchdogExpired: outbound('watchdogExpired', { timeoutMs: int, lastSource: nullableStr, time }, ['timeoutMs']),
+  diagnoseResult: outbound('diagnoseResult', { success: bool, checks: { type: 'object' }, hints: { type: 'array', items: str }, time }, ['success', 'checks', 'hints']),
+  resumeResult: outbound('resumeResult', {
+    success: bool, sessionId: str, resumeToken: str, uid: nullableStr, replayed: int, dropped: int, code: str, message: str, time,
+  }, ['success']),
+  serverShutdown: outbound('serverShutdown', {
+    reason: str, retryAfterMs: int, reconnectUrl: nullableStr, resumable: bool, time,
+  }, ['reason', 'retryAfterMs'], '网关即将关闭（部署 / 重启）：会话不会保留，retryAfterMs 后重连（有 reconnectUrl 时连到该地址）并重新登录'),
+  game2SubscribeResult: outbound('game2SubscribeResult', {
+    success: bool, uid: nullableStr, current: { type: ['object', 'null'], description: '订阅时的当前步骤（同 game2Step，没有未结束会话时为 null）' }, code: str, message: str,
+  }, ['success', 'uid']),
+  game2Step: outbound('game2Step', {
+    uid: str, sessionId: str, status: str, step: { type: ['object', 'null'], description: '同 GET /api/game2/session/step 的 step' },
+    selectedFrequency: { type: ['integer', 'null'] }, time,
+  }, ['uid', 'sessionId', 'status', 'step'], 'game2 流程步骤变化（服务端计时推进 / 用户操作后）'),
+  game2LinkResult: outbound('game2LinkResult', {
+    success: bool, uid: nullableStr, link: { type: ['object', 'null'], description: '同 GET /api/game2/link 的 data（解除后为 null）' }, code: str, message: str,
+  }, ['success']),
+  imEvent: outbound('imEvent', { name: str, time }, ['name'], 'IM SDK 事件透传（SDK_READY / KICKED_OUT / NET_STATE_CHANGE / CONNECTION_STATE ...）'),
+  incoming: outbound('incoming', {
+    messages: { type: 'array', items: { type: 'object', properties: { from: nullableStr, to: nullableStr, text: nullableStr } } },
+    time,
+  }, ['messages'], '入站 IM 消息（App 回执 / 响应）'),
+  commandAck: outbound('commandAck', { ...commandResult, receipt: { type: 'object' }, warning: { type: 'object' } }, ['traceId']),
+  commandFailed: outbound('commandFailed', { ...commandResult, receipt: { type: 'object' }, error: { type: 'object' } }, ['traceId']),
+  commandTimeout: outbound('commandTimeout', { ...commandResult, timeoutMs: int, reason: str }, ['traceId']),
+  error: outbound('error', {
+    code: { enum: Object.values(WS_ERROR_CODES) },
+    request: str,
+    message: str,
+    errors: { type: 'array', items: str },
+    traceId: str,
+    rule: str,
+    limit: { type: 'number' },
+    retryAfterMs: { type: 'number' },
+    time,
+  }, ['code', 'message'], '统一错误帧；code 为机器可读错误码，message 仅供人读'),
+};
+
+// ---------- 校验 ----------
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function typeMatches(expected, v) {
+  const actual = typeOf(v);
+  return [].concat(expected).some((t) => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * 按 schema 校验 value，返回错误列表（空数组表示通过）。
+ * 支持：type、const、enum、properties、required、additionalProperties(false)、items、anyOf、
+ *       minLength、maxLength、minimum。
+ */
+export function validate(schema, value, at = '$') {
+  const errors = [];
+  if (schema.const !== undefined && value !== schema.const) errors.push(`${at} 必须为 ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} 必须是 ${schema.enum.join(' / ')} 之一`);
+  if (schema.type && !typeMatches(schema.type, value)) {
+    errors.push(`${at} 类型必须是 ${[].concat(schema.type).join(' / ')}`);
+    return errors;
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} 不能为空`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} 长度不能超过 ${schema.maxLength}`);
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} 不能小于 ${schema.minimum}`);
+  if (Array.isArray(value) && schema.items) value.forEach((v, i) => errors.push(...validate(schema.items, v, `${at}[${i}]`)));
+  if (typeOf(value) === 'object') {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) errors.push(`${at}.${k} 必填`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      const sub = schema.properties?.[k];
+      if (sub) errors.push(...validate(sub, v, `${at}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${k} 不是允许的字段`);
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some((s) => validate(s, value, at).length === 0)) {
+    const branches = schema.anyOf.map((s) => validate(s, value, at).join('，'));
+    errors.push(`${at} 不满足任一形式（${branches.join(' | ')}）`);
+  }
+  return errors;
+}
+
+/**
+ * 校验一条入站消息。返回 { ok, code?, errors }：未知 type 为 unknown_type，其余为 invalid_message。
+ */
+export function validateInbound(msg) {
+  if (typeOf(msg) !== 'object') return { ok: false, code: WS_ERROR_CODES.INVALID_MESSAGE, errors: ['消息必须是 JSON 对象'] };
+  const schema = INBOUND_SCHEMAS[msg.type];
+  if (!schema) return { ok: false, code: WS_ERROR_CODES.UNKNOWN_TYPE, errors: [`未知消息 type=${msg.type}`] };
+  const errors = validate(schema, msg);
+  return errors.length ? { ok: false, code: WS_ERROR_CODES.INVALID_MESSAGE, errors } : { ok: true, errors: [] };
+}
+
+export function validateOutbound(frame) {
+  const schema = OUTBOUND_SCHEMAS[frame?.type];
+  if (!schema) return [`未定义的出站帧 type=${frame?.type}`];
+  return validate(schema, frame);
+}
+
+/**
+ * 解析 ?protocol=；不带时为 WS_DEFAULT_PROTOCOL，不支持的版本返回 null。
+ */
+export function negotiateProtocol(requested) {
+  if (requested === null || requested === undefined || requested === '') return WS_DEFAULT_PROTOCOL;
+  const n = Number(requested);
+  return WS_PROTOCOL_VERSIONS.includes(n) ? n : null;
+}
+
+/**
+ * 协议描述（GET /api/ws-protocol）。
+ */
+export function describeProtocol() {
+  return {
+    version: WS_PROTOCOL_VERSION,
+    versions: WS_PROTOCOL_VERSIONS,
+    defaultVersion: WS_DEFAULT_PROTOCOL,
+    errorCodes: Object.values(WS_ERROR_CODES),
+    inbound: INBOUND_SCHEMAS,
+    outbound: OUTBOUND_SCHEMAS,
+  };
+}
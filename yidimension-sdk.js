@@ -6,10 +6,26 @@
 
     onLog: null,
     onStatusChange: null,
+    // (kind, data)：kind 为 commandAck / commandFailed / commandTimeout，data 含 traceId、latencyMs 等
+    onCommandResult: null,
+    // (data)：网关安全策略拒绝发送时触发，data 含 rule（rate_limit / max_strength / max_duration / stop_cooldown / session_time_limit）、message、limit
+    onSafetyViolation: null,
+    // (data)：网关即将关闭（部署 / 重启），data 含 retryAfterMs、reconnectUrl；SDK 会按提示自动重连，重连后需重新 login
+    onServerShutdown: null,
+    // (data)：game2 流程步骤变化（subscribeGame2 后推送），data 含 sessionId、status、step（phase / remainingMs / expects ...）
+    onGame2Step: null,
 
     _retry: 0,
     _url: "",
     _token: "",
+    // 断线重连时用 resumeToken 接回服务端保留的 IM 会话（免重新 game_sign + 登录）
+    _resumeToken: "",
+    _resumable: false,
+    // serverShutdown 帧给出的重连提示（下一次重连使用）与重连地址
+    _shutdownHint: null,
+    _reconnectUrl: "",
+    // subscribeGame2 的 uid：新连接 / resume 后自动重新订阅
+    _game2Uid: "",
 
     _emitLog(level, msg, extra) {
       try {
@@ -23,10 +39,20 @@
     },
 
     _buildWsUrl() {
-      if (global.YIDIMENSION_WS_URL) return String(global.YIDIMENSION_WS_URL);
-      const protocol = location.protocol === "https:" ? "wss" : "ws";
-      const host = location.hostname;
-      return `${protocol}://${host}:3001`;
+      let url;
+      if (this._reconnectUrl) {
+        url = this._reconnectUrl;
+      } else if (global.YIDIMENSION_WS_URL) {
+        url = String(global.YIDIMENSION_WS_URL);
+      } else {
+        const protocol = location.protocol === "https:" ? "wss" : "ws";
+        url = `${protocol}://${location.hostname}:3001`;
+      }
+      // 网关开启 WS 鉴权时：window.YIDIMENSION_ACCESS_TOKEN = "<签名 token>"
+      if (global.YIDIMENSION_ACCESS_TOKEN) {
+        url += (url.includes("?") ? "&" : "?") + "access_token=" + encodeURIComponent(String(global.YIDIMENSION_ACCESS_TOKEN));
+      }
+      return url;
     },
 
     connect() {
@@ -61,13 +87,114 @@
           return;
         }
 
+        if (data.type === "welcome") {
+          if (this._resumable && this._resumeToken) {
+            this._emitLog("info", "尝试恢复会话（resume）");
+            ws.send(JSON.stringify({ type: "resume", resumeToken: this._resumeToken }));
+          }
+          // resume 成功前先记下新会话的 token；成功后会被服务端轮换的 token 覆盖
+          this._pendingResumeToken = data.resumeToken || "";
+          if (!this._resumable) this._resumeToken = this._pendingResumeToken;
+          return;
+        }
+
+        if (data.type === "resumeResult") {
+          if (data.success) {
+            this._resumeToken = data.resumeToken || "";
+            this._emitLog("success", `会话已恢复（补发 ${data.replayed || 0} 条消息）`, { sessionId: data.sessionId, dropped: data.dropped });
+            this._sendGame2Subscribe();
+          } else {
+            this._resumeToken = this._pendingResumeToken || "";
+            this._resumable = false;
+            this._emitLog("warn", `会话恢复失败，请重新登录: ${data.message || ""}`);
+          }
+          return;
+        }
+
         if (data.type === "status") {
+          const wasReady = this.isIMReady;
+          this._resumable = !!data.uid;
           this.isIMReady = !!(data.isReady ?? data.imReady ?? false);
+          // game2 订阅需要已登录：登录（或 IM 恢复）后再发
+          if (!wasReady && this.isIMReady) this._sendGame2Subscribe();
           this._emitLog("info", "收到状态", data);
           this._emitStatus();
           return;
         }
 
+        if (data.type === "imEvent" && data.name === "CONNECTION_STATE") {
+          const level = data.state === "ready" ? "success" : (data.state === "connecting" ? "info" : "warn");
+          this._emitLog(level, `IM 状态: ${data.prevState} -> ${data.state}`, {
+            reason: data.reason, attempt: data.attempt, maxAttempts: data.maxAttempts, delayMs: data.delayMs
+          });
+          return;
+        }
+
+        if (data.type === "commandAck" || data.type === "commandFailed" || data.type === "commandTimeout") {
+          const level = data.type === "commandAck" ? "success" : (data.type === "commandFailed" ? "error" : "warn");
+          this._emitLog(level, `指令回执 ${data.type}`, { traceId: data.traceId, commandId: data.commandId, latencyMs: data.latencyMs, error: data.error });
+          try { this.onCommandResult && this.onCommandResult(data.type, data); } catch (_) {}
+          return;
+        }
+
+        if (data.type === "emergencyStop") {
+          this._emitLog("warn", "服务端触发急停", { by: data.by, reason: data.reason });
+          return;
+        }
+
+        if (data.type === "emergencyStopResult") {
+          this._emitLog(data.success ? "success" : "error", data.success ? "急停已确认" : "急停未确认", {
+            to: data.to, reason: data.reason, results: data.results, message: data.message
+          });
+          return;
+        }
+
+        if (data.type === "safetyViolation") {
+          this._emitLog("error", `安全策略拒绝发送（${data.rule}）: ${data.message}`, { traceId: data.traceId, limit: data.limit, retryAfterMs: data.retryAfterMs });
+          try { this.onSafetyViolation && this.onSafetyViolation(data); } catch (_) {}
+          return;
+        }
+
+        if (data.type === "serverShutdown") {
+          // 服务端会话不会保留：不再 resume，按提示延迟重连
+          this._resumable = false;
+          this._shutdownHint = { retryAfterMs: Number(data.retryAfterMs) || 0, reconnectUrl: data.reconnectUrl || "" };
+          this._emitLog("warn", `服务端即将关闭，${this._shutdownHint.retryAfterMs}ms 后重连，请重新登录`, { reconnectUrl: data.reconnectUrl });
+          try { this.onServerShutdown && this.onServerShutdown(data); } catch (_) {}
+          return;
+        }
+
+        if (data.type === "game2SubscribeResult") {
+          this._emitLog(data.success ? "info" : "warn", data.uid ? `已订阅 game2 uid=${data.uid}` : "已取消 game2 订阅", data.current || null);
+          if (data.current) {
+            try { this.onGame2Step && this.onGame2Step(data.current); } catch (_) {}
+          }
+          return;
+        }
+
+        if (data.type === "game2LinkResult") {
+          const text = data.success
+            ? (data.link ? `game2 uid=${data.uid} 已由本会话驱动设备` : "已解除 game2 驱动")
+            : `game2 关联失败: ${data.message || data.code || ""}`;
+          this._emitLog(data.success ? "info" : "warn", text, data.link || null);
+          return;
+        }
+
+        if (data.type === "game2Step") {
+          try { this.onGame2Step && this.onGame2Step(data); } catch (_) {}
+          return;
+        }
+
+        if (data.type === "watchdogResult") {
+          this._emitLog("info", data.enabled ? `watchdog 已启用（${data.timeoutMs}ms）` : "watchdog 已关闭");
+          return;
+        }
+
+        if (data.type === "watchdogExpired") {
+          this._emitLog("warn", `watchdog 超时（${data.timeoutMs}ms 未 feed），服务端已急停`, { lastSource: data.lastSource });
+          return;
+        }
+
         if (data.type === "log") {
           this._emitLog(data.level || "info", data.msg || "server log", data.extra || null);
           return;
@@ -102,23 +229,37 @@
 
     _scheduleReconnect() {
       this._retry += 1;
-      this._emitLog("ws", "3秒后尝试重连...", { retry: this._retry, url: this._url });
-      setTimeout(() => this.connect(), 3000);
+      const hint = this._shutdownHint;
+      this._shutdownHint = null;
+      if (hint && hint.reconnectUrl) this._reconnectUrl = hint.reconnectUrl;
+      const delayMs = hint ? hint.retryAfterMs : 3000;
+      this._emitLog("ws", `${delayMs}ms 后尝试重连...`, { retry: this._retry, url: this._reconnectUrl || this._url });
+      setTimeout(() => this.connect(), delayMs);
     },
 
-    login(uid, token) {
+    // connectCode：App 内复制的连接码（"UID 空格 Token"），有则优先用于获取签名
+    login(uid, token, connectCode) {
       if (!this.socket || this.socket.readyState !== 1) {
         this._emitLog("warn", "WS 未连接，无法 login（等重连成功后再点登录）");
         return;
       }
+      const code = String(connectCode || "").trim();
+      const parts = code.split(/\s+/).filter(Boolean);
+      if (parts.length >= 2) {
+        uid = uid || parts[0];
+        token = token || parts.slice(1).join(" ");
+      }
       this._token = String(token || "").trim();
 
       this._emitLog("info", `开始登录（UID: ${uid}）`);
-      this.socket.send(JSON.stringify({ type: "login", uid, token }));
+      const msg = { type: "login", uid, token };
+      if (parts.length >= 2) msg.connectCode = code;
+      this.socket.send(JSON.stringify(msg));
     },
 
     // 固定发送“开发游戏”协议：game_cmd
-    send(commandId) {
+    // options（可选，电击器）：{ waveform: "App 内置波形名", resetStrength: true }
+    send(commandId, options) {
       if (!this.socket || this.socket.readyState !== 1) {
         this._emitLog("warn", "WS 未连接，无法 send");
         return;
@@ -141,11 +282,104 @@
       }
 
       const payload = { code: 'game_cmd', id, token };
+      const opts = options || {};
+      const cmdPayload = {};
+      if (opts.waveform !== undefined) cmdPayload.waveform = String(opts.waveform);
+      if (opts.resetStrength !== undefined) cmdPayload.reset_strength = !!opts.resetStrength;
+      if (Object.keys(cmdPayload).length) payload.payload = cmdPayload;
+
       this._emitLog('info', '发送指令(game_cmd)', payload);
       this.socket.send(JSON.stringify({ type: 'sendCommand', payload }));
     },
 
+    // game_opts：直接控制通道强度（channel: A/B/AB，strength: 0..100 整数，durationMs: 0 表示持续到下一条）
+    // 可传完整 payload（{ code: 'game_opts', actions }）或 actions 数组；服务端校验后原样转发
+    sendOpts(payloadOrActions) {
+      if (!this.socket || this.socket.readyState !== 1) {
+        this._emitLog("warn", "WS 未连接，无法 sendOpts");
+        return;
+      }
+      if (!this.isIMReady) {
+        this._emitLog("warn", "IM 未就绪，无法 sendOpts");
+        return;
+      }
+      const payload = Array.isArray(payloadOrActions)
+        ? { code: "game_opts", actions: payloadOrActions }
+        : payloadOrActions;
+      this._emitLog("info", "发送指令(game_opts)", payload);
+      this.socket.send(JSON.stringify({ type: "sendOpts", payload }));
+    },
+
+    controlChannel(channel, strength, durationMs) {
+      this.sendOpts([{ type: "estim", action: "control_channel", data: { channel, strength, duration_ms: durationMs } }]);
+    },
+
+    clearChannel(channel) {
+      this.sendOpts([{ type: "estim", action: "clear_channel", data: { channel } }]);
+    },
+
+    // 急停：服务端绕过发送队列立即发送 _stop_all（用过 game_opts 时另发 clear_channel AB），重发直到 App 回执
+    emergencyStop(reason) {
+      if (!this.socket || this.socket.readyState !== 1) {
+        this._emitLog("error", "WS 未连接，无法急停");
+        return;
+      }
+      this._emitLog("warn", "发送急停", { reason: reason || "manual" });
+      this.socket.send(JSON.stringify({ type: "emergencyStop", reason: reason || "manual" }));
+    },
+
+    // dead-man switch：启用后需周期性 feedWatchdog，超时或断开连接时服务端自动急停
+    enableWatchdog(timeoutMs) {
+      if (!this.socket || this.socket.readyState !== 1) return;
+      this.socket.send(JSON.stringify({ type: "watchdog", enabled: true, timeoutMs }));
+    },
+
+    disableWatchdog() {
+      if (!this.socket || this.socket.readyState !== 1) return;
+      this.socket.send(JSON.stringify({ type: "watchdog", enabled: false }));
+    },
+
+    // 可高频调用（如 video timeupdate），每秒最多发送一次
+    feedWatchdog(source) {
+      if (!this.socket || this.socket.readyState !== 1) return;
+      const now = Date.now();
+      if (this._lastWatchdogFeed && now - this._lastWatchdogFeed < 1000) return;
+      this._lastWatchdogFeed = now;
+      this.socket.send(JSON.stringify({ type: "watchdogFeed", source: source || "client" }));
+    },
+
+    // 订阅 game2 流程步骤推送（onGame2Step）；uid 为 game2 的 uid
+    subscribeGame2(uid) {
+      this._game2Uid = String(uid || "");
+      this._sendGame2Subscribe();
+    },
+
+    unsubscribeGame2() {
+      this._game2Uid = "";
+      if (!this.socket || this.socket.readyState !== 1) return;
+      this.socket.send(JSON.stringify({ type: "game2Unsubscribe" }));
+    },
+
+    // 用本会话（需已 login）的设备驱动该 game2 uid 的流程，同时订阅其步骤推送；断线 resume 后关联保留
+    linkGame2(uid) {
+      this._game2Uid = String(uid || "");
+      if (!this.socket || this.socket.readyState !== 1) return;
+      this.socket.send(JSON.stringify({ type: "game2Link", uid: this._game2Uid }));
+    },
+
+    // 解除驱动：输出中的急停，进行中的 game2 会话被中断
+    unlinkGame2() {
+      if (!this.socket || this.socket.readyState !== 1) return;
+      this.socket.send(JSON.stringify({ type: "game2Unlink" }));
+    },
+
+    _sendGame2Subscribe() {
+      if (!this._game2Uid || !this.socket || this.socket.readyState !== 1) return;
+      this.socket.send(JSON.stringify({ type: "game2Subscribe", uid: this._game2Uid }));
+    },
+
     logout() {
+      this._resumable = false;
       try {
         if (this.socket && this.socket.readyState === 1) {
           this.socket.send(JSON.stringify({ type: "logout" }));